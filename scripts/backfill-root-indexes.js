@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * Resolve on-chain Merkle root indexes for stored batches
+ *
+ * Usage: node scripts/backfill-root-indexes.js
+ *
+ * Batches stored before root indexes were tracked are matched by root
+ * against the contract's merkleRoots(i). The server also does this on
+ * startup and before revealing a token from such a batch.
+ */
+require("dotenv").config();
+const merkleRoots = require("../src/services/merkleRoots");
+
+async function main() {
+  const report = await merkleRoots.backfillRootIndexes();
+
+  console.log(`Roots read from contract: ${report.scanned}`);
+  console.log(`Batches resolved: ${report.resolved}`);
+  report.unresolved.forEach((root) => {
+    console.log(`  not found on chain: ${root}`);
+  });
+
+  if (report.unresolved.length > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error("Backfill failed:", error.message);
+  process.exit(1);
+});
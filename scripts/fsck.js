@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Check local data for inconsistencies
+ *
+ * Usage: node scripts/fsck.js [--fix] [--json]
+ *
+ *   --fix   Back up the data and apply safe repairs (exact duplicates,
+ *           lastTokenId below the highest minted ID)
+ *   --json  Print the report as JSON only
+ *
+ * Exits with status 1 if issues remain after any repairs.
+ */
+require("dotenv").config();
+const integrity = require("../src/services/integrity");
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fix = args.includes("--fix");
+  const report = await integrity.checkIntegrity({ fix });
+  const remaining = report.issues.filter((i) => !fix || !i.fixable).length;
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const { checked } = report;
+    console.log(
+      `Checked ${checked.users} users, ${checked.batches} batches (${checked.liveBatches} live) and ${checked.tokenURIs} token URIs using ${report.clock} time`
+    );
+    console.log(`Issues found: ${report.issues.length}`);
+    report.issues.forEach((issue) => {
+      const { type, severity, fixable, ...details } = issue;
+      console.log(
+        `  - [${severity}] ${type}${
+          fixable ? " (fixable)" : ""
+        }: ${JSON.stringify(details)}`
+      );
+    });
+    if (report.backupDir) {
+      console.log(`Previous data backed up to ${report.backupDir}`);
+    }
+    if (report.fixed.length > 0) {
+      console.log(`Repaired: ${report.fixed.length}`);
+    }
+    console.log(`Report written to ${report.reportFile}`);
+  }
+
+  // Exit explicitly: an unreachable node would keep the provider retrying
+  process.exit(remaining > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error("Integrity check failed:", error.message);
+  process.exit(1);
+});
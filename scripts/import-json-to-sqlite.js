@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * One-shot importer from the JSON data files into the SQLite database
+ *
+ * Usage: node scripts/import-json-to-sqlite.js [--force]
+ *
+ * Reads every collection through the JSON adapter and writes it through the
+ * SQLite adapter in a single transaction. Refuses to run against a database
+ * that already holds data unless --force is given.
+ */
+require("dotenv").config();
+const storage = require("../src/models/storage");
+const { collections } = require("../src/models/storage/collections");
+const storageConfig = require("../src/config/storage");
+
+function main() {
+  const force = process.argv.includes("--force");
+  const source = storage.loadAdapter("json");
+  const target = storage.loadAdapter("sqlite");
+
+  if (!target.isEmpty() && !force) {
+    console.error(
+      `${storageConfig.getSqliteFile()} already contains data. Re-run with --force to overwrite it.`
+    );
+    process.exit(1);
+  }
+
+  const summary = {};
+  target.transaction(() => {
+    for (const name of Object.keys(collections)) {
+      const data = source.read(name);
+      target.write(name, data);
+      summary[name] = Array.isArray(data)
+        ? data.length
+        : Object.keys(data).length;
+    }
+  });
+  target.close();
+
+  console.log(`Imported JSON data into ${storageConfig.getSqliteFile()}:`);
+  for (const [name, count] of Object.entries(summary)) {
+    console.log(`  - ${name}: ${count} entries`);
+  }
+  console.log("Set STORAGE_ADAPTER=sqlite to use the imported database.");
+}
+
+main();
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+/**
+ * Index contract events up to the latest confirmed block and exit
+ *
+ * Usage: node scripts/index-events.js
+ *
+ * Uses the same cursor as the server's indexer, so it can be used to catch
+ * up a large range before starting the server.
+ */
+require("dotenv").config();
+const indexer = require("../src/services/indexer");
+
+async function main() {
+  const result = await indexer.syncOnce();
+  const status = indexer.getStatus();
+
+  console.log(
+    `Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.eventsAdded} new events`
+  );
+  console.log(`Total events: ${status.eventCount}`);
+}
+
+main().catch((error) => {
+  console.error("Indexing failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Apply pending data schema migrations
+ *
+ * Usage: node scripts/migrate.js [--dry-run] [--status]
+ *
+ *   --status   Show the current and latest schema versions and exit
+ *   --dry-run  Print the changes each pending migration would make
+ */
+require("dotenv").config();
+const migrationService = require("../src/services/migrations");
+
+function main() {
+  const args = process.argv.slice(2);
+  const current = migrationService.getSchemaVersion();
+  const latest = migrationService.getLatestVersion();
+
+  if (args.includes("--status")) {
+    const pending = migrationService.getPendingMigrations();
+    console.log(`Schema version: ${current} (latest: ${latest})`);
+    pending.forEach((migration) => {
+      console.log(`  pending: ${migration.version} ${migration.name}`);
+    });
+    return;
+  }
+
+  const result = migrationService.runMigrations({
+    dryRun: args.includes("--dry-run"),
+  });
+
+  if (result.migrations.length === 0) {
+    console.log(`Schema is up to date (version ${current})`);
+    return;
+  }
+
+  result.migrations.forEach((migration) => {
+    console.log(
+      `${result.dryRun ? "Would apply" : "Applied"} migration ${
+        migration.version
+      } (${migration.name}): ${migration.changes.length} changes`
+    );
+    migration.changes.forEach((change) => console.log(`  - ${change}`));
+  });
+
+  if (result.backupDir) {
+    console.log(`Backup written to ${result.backupDir}`);
+  }
+  console.log(
+    `Schema version: ${result.fromVersion} -> ${result.toVersion}${
+      result.dryRun ? " (dry run, nothing written)" : ""
+    }`
+  );
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("Migration failed:", error.message);
+  process.exit(1);
+}
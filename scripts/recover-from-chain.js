@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild minted ranges and batches from the chain
+ *
+ * Usage: node scripts/recover-from-chain.js [--apply]
+ *
+ *   --apply  Back up the current data and replace it with the recovered
+ *            data. Without it, only the report is written.
+ *
+ * Events are scanned from INDEXER_START_BLOCK, so set it to the contract's
+ * deployment block. Stop the server before applying.
+ */
+require("dotenv").config();
+const recovery = require("../src/services/recovery");
+
+async function main() {
+  const apply = process.argv.slice(2).includes("--apply");
+  const report = await recovery.recoverFromChain({ apply });
+
+  console.log(`Scanned blocks ${report.fromBlock}-${report.toBlock}`);
+  console.log(
+    `Mints: ${report.mints} for ${report.users} users (last token ID ${report.lastTokenId})`
+  );
+  console.log(
+    `Batches recovered: ${report.batchesRecovered} (${report.expiredBatches} expired, skipped)`
+  );
+  console.log(`Revealed tokens: ${report.revealedTokens}`);
+  console.log(`Unrecoverable items: ${report.unrecoverable.length}`);
+  report.unrecoverable.forEach((item) => {
+    console.log(`  - ${item.type} (tx ${item.txHash}): ${item.reason}`);
+  });
+
+  if (report.backupDir) {
+    console.log(`Previous data backed up to ${report.backupDir}`);
+  }
+  console.log(`Report written to ${report.reportFile}`);
+  if (!apply) {
+    console.log("Dry run: nothing was changed. Re-run with --apply to write.");
+  }
+}
+
+main().catch((error) => {
+  console.error("Recovery failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for a remote signing service
+ *
+ * Usage: node scripts/remote-signer.js
+ *
+ * Signs with the key from PRIVATE_KEY, or from KEYSTORE_FILE unlocked with
+ * KEYSTORE_PASSWORD / KEYSTORE_PASSWORD_FILE, and listens on
+ * REMOTE_SIGNER_PORT (default 8555). Requests must carry
+ * REMOTE_SIGNER_TOKEN as a bearer token if it is set. Point the backend at
+ * it with SIGNER_TYPE=remote and REMOTE_SIGNER_URL.
+ */
+require("dotenv").config();
+const fs = require("fs");
+const { ethers } = require("ethers");
+const signerConfig = require("../src/config/signer");
+const { createStandInServer } = require("../src/chain/remoteSigner");
+
+function loadWallet() {
+  const file = signerConfig.getKeystoreFile();
+  if (file) {
+    return ethers.Wallet.fromEncryptedJsonSync(
+      fs.readFileSync(file, "utf8"),
+      signerConfig.getKeystorePassword()
+    );
+  }
+  if (signerConfig.getPrivateKey()) {
+    return new ethers.Wallet(signerConfig.getPrivateKey());
+  }
+  throw new Error("Set PRIVATE_KEY or KEYSTORE_FILE");
+}
+
+try {
+  const wallet = loadWallet();
+  const port = parseInt(process.env.REMOTE_SIGNER_PORT || "8555");
+  const app = createStandInServer(wallet, {
+    token: signerConfig.getRemoteSignerToken(),
+  });
+
+  app.listen(port, "127.0.0.1", () => {
+    console.log(
+      `Remote signer for ${wallet.address} listening on 127.0.0.1:${port}`
+    );
+  });
+} catch (error) {
+  console.error("Remote signer failed to start:", error.message);
+  process.exit(1);
+}
@@ -2,26 +2,77 @@ const express = require("express");
 const morgan = require("morgan");
 const nftRoutes = require("./routes/nft");
 const userRoutes = require("./routes/users");
+const authRoutes = require("./routes/auth");
+const adminRoutes = require("./routes/admin");
+const simulatorRoutes = require("./routes/simulator");
 const cleanupService = require("./services/cleanup");
+const mintJobs = require("./services/mintJobs");
 const userModel = require("./models/users");
+const dataModel = require("./models/data");
+const migrationService = require("./services/migrations");
+const merkleRoots = require("./services/merkleRoots");
+const indexer = require("./services/indexer");
+const balanceMonitor = require("./services/balanceMonitor");
+const rateLimiter = require("./services/rateLimiter");
+const contractConfig = require("./config/contract");
+const rateLimitConfig = require("./config/rateLimit");
+const { waitForDataLock } = require("./middleware/dataLock");
+
+// Refuse to start on corrupt data files rather than overwriting them
+const dataProblems = dataModel.verifyDataFiles();
+if (dataProblems.length > 0) {
+  dataProblems.forEach((problem) => console.error(problem.error));
+  console.error(
+    "Data files failed integrity checks. Restore them from a backup before starting the server."
+  );
+  process.exit(1);
+}
+
+// Bring the data schema up to date before anything reads it
+try {
+  if (process.env.MIGRATE_ON_STARTUP !== "false") {
+    migrationService.runMigrations();
+  } else if (migrationService.getPendingMigrations().length > 0) {
+    throw new Error(
+      "Pending data migrations. Run `npm run migrate` before starting the server."
+    );
+  }
+} catch (error) {
+  console.error("Data migration failed:", error.message);
+  process.exit(1);
+}
 
 // Create Express app
 const app = express();
 
+// Read client IPs from X-Forwarded-For behind a trusted proxy
+app.set("trust proxy", rateLimitConfig.getTrustProxy());
+
 // Middleware
 app.use(morgan("dev")); // Request logging
 app.use(express.json()); // Parse JSON request bodies
+app.use("/api", waitForDataLock); // Wait out other processes' data locks
 
 // Routes
+app.use("/api/auth", authRoutes);
+app.use("/api/admin", adminRoutes);
 app.use("/api/nft", nftRoutes);
 app.use("/api/users", userRoutes);
+if (contractConfig.simulatedChain) {
+  app.use("/api/simulator", simulatorRoutes);
+}
 
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.json({
     status: "ok",
+    chainMode: contractConfig.chainMode,
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
+    rpc: contractConfig.provider.getHealth
+      ? contractConfig.provider.getHealth()
+      : null,
+    wallet: balanceMonitor.getStatus(),
   });
 });
 
@@ -39,7 +90,29 @@ app.use((err, req, res, next) => {
 cleanupService.scheduleCleanup(60); // Run cleanup every 60 minutes
 
 // Schedule user cleanup
-setInterval(userModel.checkOfflineUsers, 60 * 1000); // Check for offline users every minute
+// Check for offline users every minute
+setInterval(() => {
+  userModel.checkOfflineUsers().catch((error) => {
+    console.error("Error checking offline users:", error.message);
+  });
+}, 60 * 1000);
+
+// Resume interrupted mint jobs and retry failed ones
+mintJobs.scheduleJobRetries(30); // Sweep every 30 seconds
+
+// Watch the minter wallet's balance, pausing automatic minting when low
+balanceMonitor.scheduleBalanceMonitor();
+
+// Follow contract events if the indexer is enabled
+indexer.scheduleIndexer();
+
+// Save rate limit buckets and registrations kept in memory
+rateLimiter.scheduleRateLimitFlush();
+
+// Look up on-chain root indexes for batches stored without one
+merkleRoots.backfillRootIndexes().catch((error) => {
+  console.error("Error backfilling Merkle root indexes:", error.message);
+});
 
 // Start user-specific minting cycles
 userModel.startUserMintingCycles();
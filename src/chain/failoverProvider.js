@@ -0,0 +1,311 @@
+const { ethers } = require("ethers");
+
+/**
+ * Failover JSON-RPC provider
+ *
+ * Sends every request to the best endpoint available and moves on to the
+ * next one when it fails. Endpoints are ranked by priority, then by
+ * measured latency. One that fails `failureThreshold` times in a row is
+ * marked unhealthy and skipped for `retryAfterSeconds`, after which the
+ * next request probes it again.
+ *
+ * Reverts and other answers about the request itself are returned as-is;
+ * only transport errors, rate limiting and node-side errors fail over.
+ *
+ * Endpoints can be at different heights. The provider remembers the highest
+ * block it has seen and prefers endpoints that have reached it, so "latest"
+ * never moves backwards after a failover and a read pinned to a block
+ * (e.g. the block a reveal was checked at) is answered by a node that has it.
+ */
+
+// Answers that mean this node can't serve the request right now
+const NODE_ERROR_PATTERN =
+  /rate limit|too many requests|limit exceeded|capacity|timeout|timed out/i;
+
+// Answers that mean this node hasn't reached the requested block yet
+const BEHIND_ERROR_PATTERN =
+  /header not found|unknown block|block not found|missing trie node/i;
+
+// Answers to a re-sent raw transaction that mean it was already broadcast
+const ALREADY_SENT_PATTERN = /already known|known transaction/i;
+
+// Weight of the newest sample in the latency average
+const LATENCY_WEIGHT = 0.3;
+
+/**
+ * Hide credentials and API keys that are often part of RPC URLs
+ *
+ * @param {string} url - Endpoint URL
+ * @returns {string} Origin of the URL, with a marker if a path was removed
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const hidden = parsed.pathname !== "/" || parsed.search || parsed.username;
+    return `${parsed.protocol}//${parsed.host}${hidden ? "/…" : ""}`;
+  } catch (error) {
+    return "(invalid url)";
+  }
+}
+
+/**
+ * Block number a head request returned, if the request was one
+ *
+ * @param {Object} request - JSON-RPC request
+ * @param {Object} response - JSON-RPC response
+ * @returns {number|null} Block number, or null if not a head request
+ */
+function headBlockOf(request, response) {
+  if (response.error || response.result == null) return null;
+  if (request.method === "eth_blockNumber") {
+    return Number(response.result);
+  }
+  if (
+    request.method === "eth_getBlockByNumber" &&
+    request.params[0] === "latest"
+  ) {
+    return Number(response.result.number);
+  }
+  return null;
+}
+
+class FailoverProvider extends ethers.JsonRpcProvider {
+  /**
+   * @param {Array<Object>} endpoints - [{ url, priority }]
+   * @param {Object} options - Failover options
+   * @param {number} options.timeoutMs - Timeout of one request
+   * @param {number} options.failureThreshold - Failures before unhealthy
+   * @param {number} options.retryAfterSeconds - Time an unhealthy endpoint is skipped
+   */
+  constructor(
+    endpoints,
+    { timeoutMs = 8000, failureThreshold = 3, retryAfterSeconds = 30 } = {}
+  ) {
+    if (endpoints.length === 0) {
+      throw new Error("At least one RPC endpoint is required");
+    }
+    super(endpoints[0].url);
+
+    this.timeoutMs = timeoutMs;
+    this.failureThreshold = failureThreshold;
+    this.retryAfterMs = retryAfterSeconds * 1000;
+    this.highestBlock = null;
+    this.endpoints = endpoints.map(({ url, priority }) => ({
+      url,
+      priority,
+      healthy: true,
+      unhealthyUntil: null,
+      consecutiveFailures: 0,
+      latencyMs: null,
+      requests: 0,
+      failures: 0,
+      lastBlock: null,
+      lastError: null,
+      lastErrorAt: null,
+    }));
+  }
+
+  /**
+   * Endpoints in the order they should be tried
+   *
+   * Healthy endpoints, and unhealthy ones whose retry time has come, by
+   * priority then latency; the rest follow as a last resort.
+   */
+  rankEndpoints() {
+    const now = Date.now();
+    const byScore = (a, b) =>
+      a.priority - b.priority ||
+      (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity);
+
+    const available = this.endpoints
+      .filter((e) => e.healthy || e.unhealthyUntil <= now)
+      .sort(byScore);
+    const waiting = this.endpoints
+      .filter((e) => !e.healthy && e.unhealthyUntil > now)
+      .sort((a, b) => a.unhealthyUntil - b.unhealthyUntil);
+    return available.concat(waiting);
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.requests++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.latencyMs =
+      endpoint.latencyMs === null
+        ? latencyMs
+        : Math.round(
+            LATENCY_WEIGHT * latencyMs +
+              (1 - LATENCY_WEIGHT) * endpoint.latencyMs
+          );
+    if (!endpoint.healthy) {
+      console.log(`RPC endpoint ${redactUrl(endpoint.url)} is healthy again`);
+    }
+    endpoint.healthy = true;
+    endpoint.unhealthyUntil = null;
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.requests++;
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.message;
+    endpoint.lastErrorAt = new Date().toISOString();
+
+    if (
+      endpoint.consecutiveFailures >= this.failureThreshold ||
+      !endpoint.healthy // A failed probe keeps it out for another period
+    ) {
+      if (endpoint.healthy) {
+        console.warn(
+          `RPC endpoint ${redactUrl(endpoint.url)} marked unhealthy: ${
+            error.message
+          }`
+        );
+      }
+      endpoint.healthy = false;
+      endpoint.unhealthyUntil = Date.now() + this.retryAfterMs;
+    }
+  }
+
+  /**
+   * Send a JSON-RPC payload to one endpoint
+   *
+   * @returns {Array<Object>} JSON-RPC responses
+   */
+  async sendTo(endpoint, requests) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.timeout = this.timeoutMs;
+    request.body = JSON.stringify(requests);
+    request.setHeader("content-type", "application/json");
+
+    const response = await request.send();
+    response.assertOk();
+    const body = response.bodyJson;
+    return Array.isArray(body) ? body : [body];
+  }
+
+  /**
+   * Route a payload to the best endpoint, failing over as needed
+   *
+   * Overrides JsonRpcProvider's transport, so every ethers call (including
+   * batched ones) goes through here.
+   *
+   * @param {Object|Array<Object>} payload - JSON-RPC request(s)
+   * @returns {Array<Object>} JSON-RPC responses
+   */
+  async _send(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    let behindResponses = null;
+    let lastError = null;
+    let attempt = 0;
+
+    for (const endpoint of this.rankEndpoints()) {
+      const startedAt = Date.now();
+      let responses;
+      try {
+        responses = await this.sendTo(endpoint, requests);
+      } catch (error) {
+        this.recordFailure(endpoint, error);
+        lastError = error;
+        attempt++;
+        continue;
+      }
+
+      // A raw transaction re-sent after a failed attempt may already be in
+      // the mempool through the endpoint that failed
+      if (attempt > 0) {
+        responses = responses.map((response) => {
+          const request = requests.find((r) => r.id === response.id);
+          if (
+            !request ||
+            request.method !== "eth_sendRawTransaction" ||
+            !response.error ||
+            !ALREADY_SENT_PATTERN.test(response.error.message)
+          ) {
+            return response;
+          }
+          const answered = {
+            ...response,
+            result: ethers.keccak256(request.params[0]),
+          };
+          delete answered.error;
+          return answered;
+        });
+      }
+
+      const errors = responses
+        .filter((r) => r.error)
+        .map((r) => r.error.message || "");
+      const nodeError = errors.find((message) =>
+        NODE_ERROR_PATTERN.test(message)
+      );
+      if (nodeError) {
+        this.recordFailure(endpoint, new Error(nodeError));
+        lastError = new Error(nodeError);
+        attempt++;
+        continue;
+      }
+      this.recordSuccess(endpoint, Date.now() - startedAt);
+
+      // Prefer a node that has reached the highest block seen so far
+      let behind = errors.some((message) => BEHIND_ERROR_PATTERN.test(message));
+      responses.forEach((response) => {
+        const request = requests.find((r) => r.id === response.id);
+        const head = request ? headBlockOf(request, response) : null;
+        if (head === null) return;
+        endpoint.lastBlock = head;
+        if (this.highestBlock !== null && head < this.highestBlock) {
+          behind = true;
+        } else {
+          this.highestBlock = head;
+        }
+      });
+      if (behind) {
+        behindResponses = behindResponses || responses;
+        attempt++;
+        continue;
+      }
+      return responses;
+    }
+
+    // Every node that answered is behind: an answer at a lower height will do
+    if (behindResponses) return behindResponses;
+
+    const error = new Error(
+      `All RPC endpoints failed: ${
+        lastError ? lastError.message : "no endpoints"
+      }`
+    );
+    error.code = "NETWORK_ERROR";
+    throw error;
+  }
+
+  /**
+   * Health of every endpoint, with credentials removed from URLs
+   *
+   * @returns {Object} Highest block seen and per-endpoint health
+   */
+  getHealth() {
+    return {
+      highestBlock: this.highestBlock,
+      endpoints: this.endpoints.map((endpoint) => ({
+        url: redactUrl(endpoint.url),
+        priority: endpoint.priority,
+        healthy: endpoint.healthy,
+        retryAt: endpoint.unhealthyUntil
+          ? new Date(endpoint.unhealthyUntil).toISOString()
+          : null,
+        latencyMs: endpoint.latencyMs,
+        requests: endpoint.requests,
+        failures: endpoint.failures,
+        lastBlock: endpoint.lastBlock,
+        lastError: endpoint.lastError,
+        lastErrorAt: endpoint.lastErrorAt,
+      })),
+    };
+  }
+}
+
+module.exports = {
+  FailoverProvider,
+  redactUrl,
+};
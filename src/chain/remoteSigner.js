@@ -0,0 +1,189 @@
+const axios = require("axios");
+const express = require("express");
+const { ethers } = require("ethers");
+
+/**
+ * Remote signer
+ *
+ * Keeps the minter key out of this process. Transactions are built and
+ * broadcast here; only signing is delegated over HTTP:
+ *
+ *   GET  /address           -> { address }
+ *   POST /sign-transaction  { transaction } -> { signedTransaction }
+ *   POST /sign-message      { message, encoding } -> { signature }
+ *
+ * `transaction` is the unsigned serialized transaction (hex); a message's
+ * `encoding` is "utf8" for text or "hex" for bytes. Requests carry
+ * `Authorization: Bearer <token>` when a token is configured. Every
+ * signature is checked against the expected address and payload before use.
+ *
+ * `createStandInServer` implements the same interface with a local key, for
+ * development and tests (see scripts/remote-signer.js).
+ */
+
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {Object} options - Remote signer options
+   * @param {string} options.url - Base URL of the signing service
+   * @param {string} options.address - Address the service signs for
+   * @param {string} options.token - Optional bearer token
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {Object} provider - ethers provider used to send transactions
+   */
+  constructor({ url, address, token = null, timeoutMs = 10000 }, provider) {
+    super(provider);
+    this.url = url.replace(/\/$/, "");
+    this.address = ethers.getAddress(address);
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(
+      {
+        url: this.url,
+        address: this.address,
+        token: this.token,
+        timeoutMs: this.timeoutMs,
+      },
+      provider
+    );
+  }
+
+  /**
+   * Call the signing service
+   *
+   * @param {string} path - Endpoint path
+   * @param {Object} body - JSON body, or undefined for a GET
+   * @returns {Object} Response body
+   */
+  async request(path, body) {
+    const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    try {
+      const response = await axios({
+        method: body === undefined ? "get" : "post",
+        url: `${this.url}${path}`,
+        data: body,
+        headers,
+        timeout: this.timeoutMs,
+      });
+      return response.data;
+    } catch (error) {
+      const detail =
+        (error.response && error.response.data && error.response.data.error) ||
+        error.message;
+      throw new Error(`Remote signer ${path} failed: ${detail}`);
+    }
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signTransaction(tx) {
+    const { from, ...request } = tx;
+    if (from) {
+      const resolvedFrom = await ethers.resolveAddress(from, this.provider);
+      if (resolvedFrom.toLowerCase() !== this.address.toLowerCase()) {
+        throw new Error(
+          `Transaction from ${resolvedFrom} can't be signed by ${this.address}`
+        );
+      }
+    }
+    if (request.to) {
+      request.to = await ethers.resolveAddress(request.to, this.provider);
+    }
+
+    const unsigned = ethers.Transaction.from(request);
+    const { signedTransaction } = await this.request("/sign-transaction", {
+      transaction: unsigned.unsignedSerialized,
+    });
+
+    // Never broadcast something other than what was asked for
+    const signed = ethers.Transaction.from(signedTransaction);
+    if (
+      signed.unsignedHash !== unsigned.unsignedHash ||
+      !signed.from ||
+      signed.from.toLowerCase() !== this.address.toLowerCase()
+    ) {
+      throw new Error(
+        "Remote signer returned a transaction for a different payload or signer"
+      );
+    }
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const isText = typeof message === "string";
+    const { signature } = await this.request("/sign-message", {
+      message: isText ? message : ethers.hexlify(message),
+      encoding: isText ? "utf8" : "hex",
+    });
+    if (
+      ethers.verifyMessage(message, signature).toLowerCase() !==
+      this.address.toLowerCase()
+    ) {
+      throw new Error("Remote signer returned a signature for another address");
+    }
+    return signature;
+  }
+
+  async signTypedData() {
+    throw new Error("Typed data signing is not supported by the remote signer");
+  }
+}
+
+/**
+ * Local stand-in for a remote signing service
+ *
+ * @param {Object} wallet - ethers Wallet holding the key
+ * @param {Object} options - Server options
+ * @param {string} options.token - Bearer token required on every request
+ * @returns {Object} Express app
+ */
+function createStandInServer(wallet, { token = null } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (token && req.get("Authorization") !== `Bearer ${token}`) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+  });
+
+  app.get("/address", (req, res) => {
+    res.json({ address: wallet.address });
+  });
+
+  app.post("/sign-transaction", (req, res) => {
+    try {
+      const tx = ethers.Transaction.from(req.body.transaction);
+      if (tx.signature) {
+        return res.status(400).json({ error: "Transaction is already signed" });
+      }
+      tx.signature = wallet.signingKey.sign(tx.unsignedHash);
+      console.log(`Signed transaction to ${tx.to} with nonce ${tx.nonce}`);
+      res.json({ signedTransaction: tx.serialized });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.post("/sign-message", async (req, res) => {
+    try {
+      const { message, encoding } = req.body;
+      const payload = encoding === "hex" ? ethers.getBytes(message) : message;
+      res.json({ signature: await wallet.signMessage(payload) });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  return app;
+}
+
+module.exports = {
+  RemoteSigner,
+  createStandInServer,
+};
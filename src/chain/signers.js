@@ -0,0 +1,106 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const signerConfig = require("../config/signer");
+const { RemoteSigner } = require("./remoteSigner");
+
+/**
+ * Minter signer backends
+ *
+ * Every backend returns an ethers Signer connected to the provider, with an
+ * `address` property, so contract calls and the transaction sender work the
+ * same whichever is configured with SIGNER_TYPE:
+ *
+ * - key: raw PRIVATE_KEY
+ * - keystore: encrypted JSON keystore (KEYSTORE_FILE) unlocked with
+ *   KEYSTORE_PASSWORD or the contents of KEYSTORE_PASSWORD_FILE
+ * - remote: an HTTP signing service (REMOTE_SIGNER_URL) signing for
+ *   REMOTE_SIGNER_ADDRESS
+ */
+
+/**
+ * Signer from a raw private key
+ */
+function createKeySigner(provider) {
+  const privateKey = signerConfig.getPrivateKey();
+  if (!privateKey) {
+    throw new Error("PRIVATE_KEY is required when SIGNER_TYPE=key");
+  }
+  return new ethers.Wallet(privateKey, provider);
+}
+
+/**
+ * Signer from an encrypted JSON keystore
+ *
+ * Decrypting is deliberately slow (scrypt) and only happens once, at startup.
+ */
+function createKeystoreSigner(provider) {
+  const file = signerConfig.getKeystoreFile();
+  const password = signerConfig.getKeystorePassword();
+  if (!file) {
+    throw new Error("KEYSTORE_FILE is required when SIGNER_TYPE=keystore");
+  }
+  if (password === undefined) {
+    throw new Error(
+      "KEYSTORE_PASSWORD or KEYSTORE_PASSWORD_FILE is required when SIGNER_TYPE=keystore"
+    );
+  }
+
+  const json = fs.readFileSync(file, "utf8");
+  let wallet;
+  try {
+    wallet = ethers.Wallet.fromEncryptedJsonSync(json, password);
+  } catch (error) {
+    throw new Error(`Could not unlock keystore ${file}: ${error.message}`);
+  }
+  return wallet.connect(provider);
+}
+
+/**
+ * Signer backed by a remote signing service
+ */
+function createRemoteSigner(provider) {
+  const url = signerConfig.getRemoteSignerUrl();
+  const address = signerConfig.getRemoteSignerAddress();
+  if (!url || !address) {
+    throw new Error(
+      "REMOTE_SIGNER_URL and REMOTE_SIGNER_ADDRESS are required when SIGNER_TYPE=remote"
+    );
+  }
+  return new RemoteSigner(
+    {
+      url,
+      address,
+      token: signerConfig.getRemoteSignerToken(),
+      timeoutMs: signerConfig.getRemoteSignerTimeoutMs(),
+    },
+    provider
+  );
+}
+
+const BACKENDS = {
+  key: createKeySigner,
+  keystore: createKeystoreSigner,
+  remote: createRemoteSigner,
+};
+
+/**
+ * Create the minter signer configured by SIGNER_TYPE
+ *
+ * @param {Object} provider - ethers provider
+ * @returns {Object} ethers Signer with an `address` property
+ */
+function createSigner(provider) {
+  const type = signerConfig.getSignerType();
+  if (!BACKENDS[type]) {
+    throw new Error(
+      `Unknown SIGNER_TYPE "${type}" (expected ${signerConfig.SIGNER_TYPES.join(
+        ", "
+      )})`
+    );
+  }
+  return BACKENDS[type](provider);
+}
+
+module.exports = {
+  createSigner,
+};
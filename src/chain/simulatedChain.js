@@ -0,0 +1,677 @@
+const { ethers } = require("ethers");
+const { contractABI } = require("../config/abi");
+
+/**
+ * Simulated MerkleNFT chain
+ *
+ * An in-process stand-in for a node running bananaContract.sol, used when
+ * CHAIN_MODE=simulated. It exposes the parts of the ethers provider, wallet
+ * and contract APIs this backend uses, and follows the contract's rules:
+ * the same require() checks and revert reasons, the same events, and
+ * OpenZeppelin's sorted-pair Merkle proof verification.
+ *
+ * Every transaction is mined as it is sent, in its own block, unless its max
+ * fee is below the base fee: then it waits in the mempool until the base fee
+ * drops (`setBaseFee`) or it is replaced at the same nonce. Gas is paid from
+ * the owner's balance (`setBalance`), and a send it can't cover is refused.
+ * Block timestamps come from a clock that follows the server clock plus an
+ * offset, which tests move forward with `advanceTime` to open or close
+ * reveal windows. Token owners can be read at past blocks (`blockTag`), as
+ * from an archive node; other views answer for the latest state.
+ * Nothing is persisted: the chain starts empty on every start.
+ */
+
+const DEFAULT_CONTRACT_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const DEFAULT_OWNER_ADDRESS = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+const DEFAULT_BASE_FEE = ethers.parseUnits("1", "gwei");
+const DEFAULT_PRIORITY_FEE = ethers.parseUnits("1", "gwei");
+const DEFAULT_OWNER_BALANCE = ethers.parseEther("100");
+
+// Chain ID of a local Hardhat node, which the owner address comes from
+const CHAIN_ID = 31337n;
+
+const contractInterface = new ethers.Interface(contractABI);
+
+/**
+ * Gas a call uses: a flat cost plus a share per event it emits
+ *
+ * @param {Array<Object>} logs - Logs the call emits
+ * @returns {bigint} Gas used
+ */
+function gasFor(logs) {
+  return BigInt(50000 + 25000 * logs.length);
+}
+
+/**
+ * Build the error ethers throws when a call reverts
+ *
+ * @param {string} reason - Revert reason
+ * @returns {Error} Error with code CALL_EXCEPTION
+ */
+function revertError(reason) {
+  const error = new Error(`execution reverted: "${reason}"`);
+  error.code = "CALL_EXCEPTION";
+  error.reason = reason;
+  error.shortMessage = error.message;
+  return error;
+}
+
+/**
+ * Contract-style require()
+ *
+ * @param {boolean} condition - Condition that must hold
+ * @param {string} reason - Revert reason if it doesn't
+ */
+function requireThat(condition, reason) {
+  if (!condition) throw revertError(reason);
+}
+
+/**
+ * OpenZeppelin MerkleProof.verify: hash sorted pairs up to the root
+ *
+ * @param {Array<string>} proof - Sibling hashes
+ * @param {string} root - Expected root
+ * @param {string} leaf - Leaf hash
+ * @returns {boolean} True if the proof leads to the root
+ */
+function verifyMerkleProof(proof, root, leaf) {
+  let computed = leaf;
+  for (const sibling of proof) {
+    const [a, b] =
+      BigInt(computed) <= BigInt(sibling)
+        ? [computed, sibling]
+        : [sibling, computed];
+    computed = ethers.keccak256(ethers.concat([a, b]));
+  }
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+/**
+ * Create a simulated chain with a deployed MerkleNFT contract
+ *
+ * @param {Object} options - Chain options
+ * @param {string} options.contractAddress - Address of the contract
+ * @param {string} options.ownerAddress - Contract owner and minter wallet
+ * @param {number} options.revealThreshold - Initial reveal threshold in seconds
+ * @param {string} options.defaultURI - URI returned for unrevealed tokens
+ * @returns {Object} { provider, wallet, contract } plus clock controls
+ */
+function createSimulatedChain({
+  contractAddress = DEFAULT_CONTRACT_ADDRESS,
+  ownerAddress = DEFAULT_OWNER_ADDRESS,
+  revealThreshold = 60,
+  defaultURI = "",
+} = {}) {
+  const address = ethers.getAddress(contractAddress);
+  const owner = ethers.getAddress(ownerAddress);
+
+  // Contract storage
+  const state = {
+    tokenIdCounter: 0,
+    merkleRoots: [],
+    mintTimestamps: new Map(),
+    revealed: new Map(),
+    tokenURIs: new Map(),
+    owners: new Map(),
+    // Token ID → [[blockNumber, owner], ...] for reads at past blocks
+    ownerHistory: new Map(),
+    revealThreshold: BigInt(revealThreshold),
+    defaultURI,
+  };
+
+  // Chain state. Hashes are salted per chain, so a restarted simulator
+  // never reuses the hashes of a previous run.
+  const salt = ethers.hexlify(ethers.randomBytes(8));
+  let timeOffset = 0;
+  let baseFee = DEFAULT_BASE_FEE;
+  let ownerBalance = DEFAULT_OWNER_BALANCE;
+  let confirmedNonce = 0;
+  let txCount = 0;
+  const blocks = [];
+  const transactions = new Map();
+  const receipts = new Map();
+
+  // Sent transactions not yet mined, keyed by nonce: { tx, execute }
+  const mempool = new Map();
+
+  /**
+   * Current time of the block clock in seconds
+   */
+  function now() {
+    return Math.floor(Date.now() / 1000) + timeOffset;
+  }
+
+  /**
+   * Next nonce after the transactions waiting in the mempool
+   */
+  function pendingNonce() {
+    let next = confirmedNonce;
+    while (mempool.has(next)) next++;
+    return next;
+  }
+
+  /**
+   * Timestamp the next block will get
+   */
+  function pendingTimestamp() {
+    return Math.max(now(), blocks[blocks.length - 1].timestamp);
+  }
+
+  /**
+   * Append a block, including the mempool's transactions in nonce order
+   *
+   * A transaction whose max fee is below the base fee stays in the mempool,
+   * and so does every later nonce, as on a live chain. A transaction that
+   * reverts when it is mined gets a receipt with status 0 and no effects.
+   */
+  function mineBlock(timestamp = now()) {
+    const parent = blocks[blocks.length - 1];
+    const number = parent ? parent.number + 1 : 0;
+
+    const included = [];
+    while (mempool.has(confirmedNonce)) {
+      const entry = mempool.get(confirmedNonce);
+      if (entry.tx.maxFeePerGas < baseFee) break;
+      mempool.delete(confirmedNonce);
+      confirmedNonce++;
+      included.push(entry);
+    }
+
+    const block = {
+      number,
+      hash: ethers.id(`${salt}-block-${number}`),
+      parentHash: parent ? parent.hash : ethers.ZeroHash,
+      // Block timestamps never go backwards
+      timestamp: Math.max(timestamp, parent ? parent.timestamp : 0),
+      baseFeePerGas: baseFee,
+      transactions: included.map(({ tx }) => tx.hash),
+    };
+    blocks.push(block);
+
+    let logIndex = 0;
+    included.forEach(({ tx, execute }, index) => {
+      let result = null;
+      try {
+        result = execute(block.timestamp);
+        result.apply();
+      } catch (error) {
+        result = null; // Reverted
+      }
+      const logs = result ? result.logs : [];
+      const tip = tx.maxFeePerGas - baseFee;
+      const gasPrice =
+        baseFee +
+        (tip < tx.maxPriorityFeePerGas ? tip : tx.maxPriorityFeePerGas);
+      ownerBalance -= gasFor(logs) * gasPrice;
+
+      tx.blockNumber = number;
+      receipts.set(tx.hash, {
+        hash: tx.hash,
+        from: owner,
+        to: address,
+        blockNumber: number,
+        blockHash: block.hash,
+        index,
+        status: result ? 1 : 0,
+        gasUsed: gasFor(logs),
+        gasPrice,
+        logs: logs.map((log) => ({
+          ...log,
+          blockNumber: number,
+          blockHash: block.hash,
+          transactionHash: tx.hash,
+          transactionIndex: index,
+          index: logIndex++,
+        })),
+      });
+    });
+
+    return block;
+  }
+
+  /**
+   * Latest block, with a new one mined once the clock has moved past it, as
+   * a live chain would keep producing blocks
+   */
+  function latestBlock() {
+    const latest = blocks[blocks.length - 1];
+    return now() > latest.timestamp ? mineBlock() : latest;
+  }
+
+  mineBlock(); // Genesis
+
+  /**
+   * Build a log entry the way a node returns it
+   */
+  function makeLog(name, args) {
+    const { data, topics } = contractInterface.encodeEventLog(name, args);
+    return { address, data, topics };
+  }
+
+  /**
+   * Wait for a transaction the way ethers' tx.wait() does
+   *
+   * Resolves with the receipt once mined, and throws if the transaction
+   * reverted or was replaced by another one with the same nonce.
+   */
+  async function waitForReceipt(hash) {
+    for (;;) {
+      const receipt = receipts.get(hash);
+      if (receipt) {
+        if (receipt.status !== 1) {
+          const error = revertError("transaction reverted");
+          error.receipt = receipt;
+          throw error;
+        }
+        return receipt;
+      }
+      if (!transactions.has(hash)) {
+        const error = new Error(`Transaction ${hash} was replaced`);
+        error.code = "TRANSACTION_REPLACED";
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+  /**
+   * Send a contract write and mine a block
+   *
+   * The method body first runs against the pending block's timestamp, so a
+   * call that would revert throws at send time as it does in ethers' gas
+   * estimation. Otherwise the transaction enters the mempool (replacing one
+   * with the same nonce if it pays at least 10% more) and a block is mined.
+   */
+  async function transact(method, overrides, execute) {
+    const expected = pendingNonce();
+    const nonce = overrides.nonce === undefined ? expected : overrides.nonce;
+    if (nonce < confirmedNonce || nonce > expected) {
+      const error = new Error(
+        nonce < confirmedNonce
+          ? `nonce too low: next nonce ${confirmedNonce}, tx nonce ${nonce}`
+          : `nonce too high: next nonce ${expected}, tx nonce ${nonce}`
+      );
+      if (nonce < confirmedNonce) error.code = "NONCE_EXPIRED";
+      throw error;
+    }
+
+    const { logs } = execute(pendingTimestamp());
+
+    const maxPriorityFeePerGas =
+      overrides.maxPriorityFeePerGas === undefined
+        ? DEFAULT_PRIORITY_FEE
+        : BigInt(overrides.maxPriorityFeePerGas);
+    const maxFeePerGas =
+      overrides.maxFeePerGas === undefined
+        ? baseFee * 2n + maxPriorityFeePerGas
+        : BigInt(overrides.maxFeePerGas);
+
+    const gasLimit =
+      overrides.gasLimit === undefined
+        ? gasFor(logs)
+        : BigInt(overrides.gasLimit);
+    if (ownerBalance < gasLimit * maxFeePerGas) {
+      const error = new Error("insufficient funds for gas * price + value");
+      error.code = "INSUFFICIENT_FUNDS";
+      throw error;
+    }
+
+    const replaced = mempool.get(nonce);
+    if (replaced) {
+      if (
+        maxFeePerGas * 10n < replaced.tx.maxFeePerGas * 11n ||
+        maxPriorityFeePerGas * 10n < replaced.tx.maxPriorityFeePerGas * 11n
+      ) {
+        const error = new Error("replacement transaction underpriced");
+        error.code = "REPLACEMENT_UNDERPRICED";
+        throw error;
+      }
+      transactions.delete(replaced.tx.hash);
+    }
+
+    const hash = ethers.id(`${salt}-tx-${txCount++}`);
+    const tx = {
+      hash,
+      nonce,
+      from: owner,
+      to: address,
+      method,
+      gasLimit,
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+      blockNumber: null,
+      wait: () => waitForReceipt(hash),
+    };
+    mempool.set(nonce, { tx, execute });
+    transactions.set(hash, tx);
+
+    mineBlock(pendingTimestamp());
+    return tx;
+  }
+
+  /**
+   * ERC721 ownerOf
+   *
+   * @param {number} tokenId - Token ID
+   * @param {number} blockTag - Optional block to read at (default: latest)
+   */
+  function ownerOf(tokenId, blockTag) {
+    let tokenOwner = state.owners.get(tokenId);
+    if (blockTag !== undefined && blockTag !== "latest") {
+      const changes = (state.ownerHistory.get(tokenId) || []).filter(
+        ([number]) => number <= Number(blockTag)
+      );
+      tokenOwner = changes.length > 0 ? changes[changes.length - 1][1] : null;
+    }
+    if (!tokenOwner) {
+      throw revertError(`ERC721NonexistentToken(${tokenId})`);
+    }
+    return tokenOwner;
+  }
+
+  /**
+   * Give a token to a new owner in the block being mined
+   */
+  function setOwner(tokenId, tokenOwner) {
+    state.owners.set(tokenId, tokenOwner);
+    const changes = state.ownerHistory.get(tokenId) || [];
+    changes.push([blocks[blocks.length - 1].number, tokenOwner]);
+    state.ownerHistory.set(tokenId, changes);
+  }
+
+  /**
+   * Split ethers-style trailing overrides from call arguments
+   */
+  function withOverrides(args, count) {
+    return [args.slice(0, count), args[count] || {}];
+  }
+
+  const contract = {
+    target: address,
+
+    // Views
+
+    merkleRoots: async (index) => {
+      const root = state.merkleRoots[Number(index)];
+      if (root === undefined) {
+        throw revertError("Panic: array index out of bounds");
+      }
+      return root;
+    },
+    mintTimestamps: async (tokenId) =>
+      state.mintTimestamps.get(Number(tokenId)) || 0n,
+    revealed: async (tokenId) => state.revealed.get(Number(tokenId)) || false,
+    revealThreshold: async () => state.revealThreshold,
+    defaultURI: async () => state.defaultURI,
+    ownerOf: async (tokenId, overrides = {}) =>
+      ownerOf(Number(tokenId), overrides.blockTag),
+    tokenURI: async (tokenId) => {
+      const id = Number(tokenId);
+      requireThat(
+        id <= state.tokenIdCounter,
+        "URI query for nonexistent token"
+      );
+      return state.revealed.get(id)
+        ? state.tokenURIs.get(id)
+        : state.defaultURI;
+    },
+  };
+
+  // Writes (onlyOwner: the simulated wallet is the owner). Each takes the
+  // call arguments and returns the method body, which runs at a block
+  // timestamp and returns { logs, apply } or throws a revert.
+  const writes = {
+    mintWithMerkle: (merkleRoot, user, quantity) => {
+      const to = ethers.getAddress(user);
+      return (timestamp) => {
+        const rootIndex = state.merkleRoots.length;
+        const firstId = state.tokenIdCounter + 1;
+        const count = Number(quantity);
+
+        const logs = [];
+        for (let i = 0; i < count; i++) {
+          logs.push(makeLog("Transfer", [ethers.ZeroAddress, to, firstId + i]));
+        }
+        logs.push(makeLog("MerkleSetAdded", [rootIndex, count, to]));
+
+        return {
+          logs,
+          apply: () => {
+            state.merkleRoots.push(ethers.hexlify(merkleRoot));
+            for (let i = 0; i < count; i++) {
+              setOwner(firstId + i, to);
+              state.mintTimestamps.set(firstId + i, BigInt(timestamp));
+            }
+            state.tokenIdCounter += count;
+          },
+        };
+      };
+    },
+
+    reveal: (tokenId, rootIndex, merkleProof, uri) => {
+      const id = Number(tokenId);
+      const index = Number(rootIndex);
+      return (timestamp) => {
+        requireThat(!state.revealed.get(id), "Token already revealed");
+        requireThat(
+          BigInt(timestamp) <=
+            (state.mintTimestamps.get(id) || 0n) + state.revealThreshold,
+          "Reveal period has expired"
+        );
+        requireThat(
+          index < state.merkleRoots.length,
+          "Invalid merkle root index"
+        );
+        requireThat(uri.length > 0, "URI must be non-empty");
+
+        const leaf = ethers.solidityPackedKeccak256(
+          ["uint256", "string"],
+          [id, uri]
+        );
+        requireThat(
+          verifyMerkleProof(merkleProof, state.merkleRoots[index], leaf),
+          "Invalid merkle proof"
+        );
+
+        return {
+          logs: [makeLog("NFTRevealed", [id, uri])],
+          apply: () => {
+            state.revealed.set(id, true);
+            state.tokenURIs.set(id, uri);
+          },
+        };
+      };
+    },
+
+    batchTransfer: (tokenIds, to) => {
+      const ids = tokenIds.map(Number);
+      const recipient = ethers.getAddress(to);
+      return () => {
+        ids.forEach((id) => {
+          requireThat(
+            ownerOf(id) === address,
+            "Token is not owned by contract"
+          );
+        });
+
+        const logs = ids.map((id) =>
+          makeLog("Transfer", [address, recipient, id])
+        );
+        logs.push(makeLog("BatchTransfer", [recipient, ids]));
+
+        return {
+          logs,
+          apply: () => ids.forEach((id) => setOwner(id, recipient)),
+        };
+      };
+    },
+
+    setDefaultURI: (uri) => () => ({
+      logs: [],
+      apply: () => {
+        state.defaultURI = uri;
+      },
+    }),
+
+    setRevealThreshold: (threshold) => () => ({
+      logs: [],
+      apply: () => {
+        state.revealThreshold = BigInt(threshold);
+      },
+    }),
+  };
+
+  // Expose writes the way an ethers contract does: trailing overrides, and
+  // estimateGas and staticCall, which throw the revert a send would hit
+  // without changing anything
+  Object.entries(writes).forEach(([method, build]) => {
+    const send = async (...args) => {
+      const [callArgs, overrides] = withOverrides(args, build.length);
+      return transact(method, overrides, build(...callArgs));
+    };
+    send.estimateGas = async (...args) => {
+      const [callArgs] = withOverrides(args, build.length);
+      return gasFor(build(...callArgs)(pendingTimestamp()).logs);
+    };
+    send.staticCall = async (...args) => {
+      const [callArgs] = withOverrides(args, build.length);
+      build(...callArgs)(pendingTimestamp());
+    };
+    contract[method] = send;
+  });
+
+  const provider = {
+    getNetwork: async () => ({ name: "simulated", chainId: CHAIN_ID }),
+    getBlockNumber: async () => latestBlock().number,
+    getBlock: async (blockTag) => {
+      if (blockTag === "latest") return latestBlock();
+      return blocks[Number(blockTag)] || null;
+    },
+    getBalance: async (account) =>
+      ethers.getAddress(account) === owner ? ownerBalance : 0n,
+    getFeeData: async () => ({
+      gasPrice: baseFee + DEFAULT_PRIORITY_FEE,
+      maxFeePerGas: baseFee * 2n + DEFAULT_PRIORITY_FEE,
+      maxPriorityFeePerGas: DEFAULT_PRIORITY_FEE,
+    }),
+    getTransaction: async (hash) => transactions.get(hash) || null,
+    getTransactionReceipt: async (hash) => receipts.get(hash) || null,
+    waitForTransaction: async (hash) => receipts.get(hash) || null,
+    getLogs: async ({ address: logAddress, fromBlock = 0, toBlock }) => {
+      const last = toBlock === undefined ? blocks.length - 1 : Number(toBlock);
+      const logs = [];
+      for (const receipt of receipts.values()) {
+        if (receipt.blockNumber < fromBlock || receipt.blockNumber > last) {
+          continue;
+        }
+        receipt.logs
+          .filter(
+            (log) =>
+              !logAddress ||
+              log.address.toLowerCase() === logAddress.toLowerCase()
+          )
+          .forEach((log) => logs.push(log));
+      }
+      return logs;
+    },
+  };
+
+  const wallet = {
+    address: owner,
+    provider,
+    getNonce: async (blockTag) =>
+      blockTag === "latest" ? confirmedNonce : pendingNonce(),
+  };
+
+  return {
+    provider,
+    wallet,
+    contract,
+
+    /**
+     * Move the block clock forward
+     *
+     * @param {number} seconds - Seconds to add
+     * @returns {number} New clock time
+     */
+    advanceTime(seconds) {
+      timeOffset += seconds;
+      return now();
+    },
+
+    /**
+     * Mine a block at the current clock time
+     *
+     * @returns {Object} The new block
+     */
+    mine() {
+      return mineBlock();
+    },
+
+    /**
+     * Drop every transaction waiting in the mempool, as a node evicting
+     * them would: they are forgotten and their nonces are free again
+     *
+     * @returns {number} Transactions dropped
+     */
+    dropPending() {
+      const count = mempool.size;
+      for (const { tx } of mempool.values()) transactions.delete(tx.hash);
+      mempool.clear();
+      return count;
+    },
+
+    /**
+     * Set the base fee of the blocks mined from now on
+     *
+     * @param {bigint} fee - Base fee in wei
+     * @returns {bigint} The new base fee
+     */
+    setBaseFee(fee) {
+      baseFee = BigInt(fee);
+      return baseFee;
+    },
+
+    /**
+     * Set the minter wallet's balance, which pays for gas
+     *
+     * @param {bigint} balance - Balance in wei
+     * @returns {bigint} The new balance
+     */
+    setBalance(balance) {
+      ownerBalance = BigInt(balance);
+      return ownerBalance;
+    },
+
+    /**
+     * Summary of the chain and contract state
+     *
+     * @returns {Object} Head block, clock and token counts
+     */
+    getStatus() {
+      const head = blocks[blocks.length - 1];
+      return {
+        contractAddress: address,
+        owner,
+        blockNumber: head.number,
+        blockTimestamp: head.timestamp,
+        clock: now(),
+        timeOffsetSeconds: timeOffset,
+        baseFeeGwei: ethers.formatUnits(baseFee, "gwei"),
+        ownerBalanceEth: ethers.formatEther(ownerBalance),
+        pendingTransactions: mempool.size,
+        merkleRoots: state.merkleRoots.length,
+        tokensMinted: state.tokenIdCounter,
+        tokensRevealed: Array.from(state.revealed.values()).filter(Boolean)
+          .length,
+        revealThreshold: Number(state.revealThreshold),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createSimulatedChain,
+  verifyMerkleProof,
+};
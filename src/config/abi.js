@@ -0,0 +1,20 @@
+// Minimal ABI for the MerkleNFT contract (see bananaContract.sol)
+const contractABI = [
+  "function mintWithMerkle(bytes32 _merkleRoot, address _user, uint256 _quantity) external",
+  "function reveal(uint256 tokenId, uint256 rootIndex, bytes32[] calldata merkleProof, string calldata _uri) external",
+  "function revealThreshold() view returns (uint256)",
+  "function merkleRoots(uint256) view returns (bytes32)",
+  "function revealed(uint256) view returns (bool)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function mintTimestamps(uint256) view returns (uint256)",
+  "function tokenURI(uint256 tokenId) view returns (string)",
+  "function batchTransfer(uint256[] calldata tokenIds, address to) external",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event MerkleSetAdded(uint256 indexed rootIndex, uint256 _quantity, address _user)",
+  "event NFTRevealed(uint256 indexed tokenId, string tokenURI)",
+  "event BatchTransfer(address indexed to, uint256[] tokenIds)",
+];
+
+module.exports = {
+  contractABI,
+};
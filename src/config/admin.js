@@ -0,0 +1,62 @@
+// Admin roles, each allowed everything the ones before it are
+const ADMIN_ROLES = ["viewer", "operator", "admin"];
+
+/**
+ * Split a comma-separated list of "a|b|c" entries
+ *
+ * @param {string} list - Raw environment value
+ * @returns {Array<Array<string>>} Trimmed fields of each entry
+ */
+function parseEntries(list) {
+  return (list || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => entry.split("|").map((field) => field.trim()));
+}
+
+/**
+ * Check a configured role name
+ *
+ * @param {string} role - Role name
+ * @param {string} variable - Environment variable it came from
+ * @returns {string} The role
+ */
+function checkRole(role, variable) {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new Error(
+      `Unknown role "${role}" in ${variable}. Supported: ${ADMIN_ROLES.join(
+        ", "
+      )}`
+    );
+  }
+  return role;
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  // API keys as [{ name, role, key }]. ADMIN_API_KEYS lists them as
+  // "name|role|key" separated by commas; the name is what the audit log
+  // records.
+  getAdminApiKeys: () => {
+    return parseEntries(process.env.ADMIN_API_KEYS).map(
+      ([name, role, key]) => ({
+        name,
+        role: checkRole(role, "ADMIN_API_KEYS"),
+        key,
+      })
+    );
+  },
+  // Wallets whose Sign-In with Ethereum sessions carry an admin role, as
+  // [{ address, role }]. ADMIN_WALLETS lists them as "address|role".
+  getAdminWallets: () => {
+    return parseEntries(process.env.ADMIN_WALLETS).map(([address, role]) => ({
+      address: address.toLowerCase(),
+      role: checkRole(role, "ADMIN_WALLETS"),
+    }));
+  },
+  // Audit log entries kept, oldest dropped first
+  getAuditLogMaxEntries: () => {
+    return parseInt(process.env.AUDIT_LOG_MAX_ENTRIES || "10000");
+  },
+};
@@ -0,0 +1,24 @@
+module.exports = {
+  // User-scoped routes need a Sign-In with Ethereum session and operational
+  // ones an admin role. Only turn this off for local testing.
+  isAuthRequired: () => {
+    return process.env.AUTH_REQUIRED !== "false";
+  },
+  // Domain sign-in messages must name (the site users sign in from).
+  // Unset means the request's Host header.
+  getSiweDomain: () => {
+    return process.env.SIWE_DOMAIN || null;
+  },
+  // Time a sign-in nonce stays valid
+  getAuthNonceTtlSeconds: () => {
+    return parseInt(process.env.AUTH_NONCE_TTL_SECONDS || "300");
+  },
+  // Most sign-in nonces outstanding at once; past it the oldest is dropped
+  getAuthMaxNonces: () => {
+    return parseInt(process.env.AUTH_MAX_NONCES || "10000");
+  },
+  // Lifetime of a session token
+  getSessionTtlSeconds: () => {
+    return parseInt(process.env.SESSION_TTL_SECONDS || "3600");
+  },
+};
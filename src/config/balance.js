@@ -0,0 +1,13 @@
+module.exports = {
+  // Below this balance the minter wallet is reported as low, in ETH
+  getBalanceWarnEth: () => {
+    return process.env.BALANCE_WARN_ETH || "0.1";
+  },
+  // Below this balance automatic minting pauses (reveals go on), in ETH
+  getBalanceCriticalEth: () => {
+    return process.env.BALANCE_CRITICAL_ETH || "0.02";
+  },
+  getBalanceCheckSeconds: () => {
+    return parseInt(process.env.BALANCE_CHECK_SECONDS || "60");
+  },
+};
@@ -1,42 +1,70 @@
 require("dotenv").config();
 const { ethers } = require("ethers");
-
-// Validate environment variables
-if (
-  !process.env.RPC_URL ||
-  !process.env.PRIVATE_KEY ||
-  !process.env.CONTRACT_ADDRESS
-) {
-  console.error(
-    "Please set RPC_URL, PRIVATE_KEY, and CONTRACT_ADDRESS in your environment variables."
-  );
-  process.exit(1);
-}
-
-// Provider and wallet setup
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-// Minimal ABI including the functions we need (mintWithMerkle and reveal)
-const contractABI = [
-  "function mintWithMerkle(bytes32 _merkleRoot, address _user, uint256 _quantity) external",
-  "function reveal(uint256 tokenId, uint256 rootIndex, bytes32[] calldata merkleProof, string calldata _uri) external",
-  "function revealThreshold() view returns (uint256)",
-];
-
-// Create contract instance
-const contract = new ethers.Contract(
-  process.env.CONTRACT_ADDRESS,
-  contractABI,
-  wallet
-);
+const { contractABI } = require("./abi");
+const { createSimulatedChain } = require("../chain/simulatedChain");
+const signers = require("../chain/signers");
+const { FailoverProvider } = require("../chain/failoverProvider");
+const rpcConfig = require("./rpc");
 
 // Get the configured reveal threshold from .env or fallback to contract value
 const configuredRevealThreshold = process.env.REVEAL_THRESHOLD_SECONDS
   ? parseInt(process.env.REVEAL_THRESHOLD_SECONDS)
   : 300; // Default: 5 minutes (in seconds)
 
+// "rpc" talks to a node; "simulated" runs the contract in-process
+const chainMode = process.env.CHAIN_MODE || "rpc";
+
+let provider;
+let wallet;
+let contract;
+let simulatedChain = null;
+
+if (chainMode === "simulated") {
+  simulatedChain = createSimulatedChain({
+    contractAddress: process.env.CONTRACT_ADDRESS || undefined,
+    revealThreshold: process.env.REVEAL_THRESHOLD_SECONDS
+      ? configuredRevealThreshold
+      : undefined,
+  });
+  ({ provider, wallet, contract } = simulatedChain);
+  console.log(
+    `Using a simulated MerkleNFT chain at ${contract.target} (CHAIN_MODE=simulated)`
+  );
+} else {
+  // Validate environment variables
+  const endpoints = rpcConfig.getRpcEndpoints();
+  if (endpoints.length === 0 || !process.env.CONTRACT_ADDRESS) {
+    console.error(
+      "Please set RPC_URL (or RPC_URLS) and CONTRACT_ADDRESS in your environment variables, or CHAIN_MODE=simulated to run without a node."
+    );
+    process.exit(1);
+  }
+
+  // Provider and signer setup. Requests fail over between RPC endpoints;
+  // SIGNER_TYPE picks where the key lives.
+  provider = new FailoverProvider(endpoints, {
+    timeoutMs: rpcConfig.getRpcTimeoutMs(),
+    failureThreshold: rpcConfig.getRpcFailureThreshold(),
+    retryAfterSeconds: rpcConfig.getRpcRetryAfterSeconds(),
+  });
+  try {
+    wallet = signers.createSigner(provider);
+  } catch (error) {
+    console.error(`Could not set up the minter signer: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Create contract instance
+  contract = new ethers.Contract(
+    process.env.CONTRACT_ADDRESS,
+    contractABI,
+    wallet
+  );
+}
+
 module.exports = {
+  chainMode,
+  simulatedChain,
   provider,
   wallet,
   contract,
@@ -47,7 +75,7 @@ module.exports = {
         return configuredRevealThreshold;
       }
       // Otherwise get it from the contract
-      return await contract.revealThreshold();
+      return Number(await contract.revealThreshold());
     } catch (error) {
       console.error("Error getting reveal threshold:", error);
       return configuredRevealThreshold; // Default fallback
@@ -62,4 +90,22 @@ module.exports = {
   getUserInactivitySeconds: () => {
     return parseInt(process.env.USER_INACTIVITY_SECONDS || "300");
   },
+  getMintJobMaxAttempts: () => {
+    return parseInt(process.env.MINT_JOB_MAX_ATTEMPTS || "5");
+  },
+  getMintJobRetryBaseSeconds: () => {
+    return parseInt(process.env.MINT_JOB_RETRY_BASE_SECONDS || "15");
+  },
+  getMintJobRetentionHours: () => {
+    return parseInt(process.env.MINT_JOB_RETENTION_HOURS || "24");
+  },
+  getTxDroppedAfterSeconds: () => {
+    return parseInt(process.env.TX_DROPPED_AFTER_SECONDS || "300");
+  },
+  getRevealSafetyMarginSeconds: () => {
+    return parseInt(process.env.REVEAL_SAFETY_MARGIN_SECONDS || "30");
+  },
+  getRevealCheckOnChain: () => {
+    return process.env.REVEAL_CHECK_ONCHAIN === "true";
+  },
 };
@@ -0,0 +1,39 @@
+module.exports = {
+  // Hard cap on maxFeePerGas for any transaction, in gwei
+  getMaxFeePerGasGwei: () => {
+    return process.env.MAX_FEE_PER_GAS_GWEI || "100";
+  },
+  // Tip offered to validators, in gwei
+  getPriorityFeeGwei: () => {
+    return process.env.PRIORITY_FEE_GWEI || "1.5";
+  },
+  // Tip for reveals close to the end of their window, in gwei
+  getUrgentPriorityFeeGwei: () => {
+    return process.env.URGENT_PRIORITY_FEE_GWEI || "5";
+  },
+  // Most the minter may spend on fees in any rolling hour, in ETH.
+  // Unset means no budget.
+  getFeeBudgetPerHourEth: () => {
+    return process.env.FEE_BUDGET_PER_HOUR_ETH || null;
+  },
+  // Reveals with less than this left in their window (by chain time) jump
+  // the transaction queue, pay the urgent tip and may exceed the budget
+  getUrgentRevealSeconds: () => {
+    return parseInt(process.env.URGENT_REVEAL_SECONDS || "120");
+  },
+  // Time a transaction may stay pending before it is sped up
+  getTxSpeedUpAfterSeconds: () => {
+    return parseInt(process.env.TX_SPEED_UP_AFTER_SECONDS || "60");
+  },
+  // Fee increase of a speed-up; nodes reject replacements below 10%
+  getTxFeeBumpPercent: () => {
+    return Math.max(10, parseInt(process.env.TX_FEE_BUMP_PERCENT || "20"));
+  },
+  getTxMaxSpeedUps: () => {
+    return parseInt(process.env.TX_MAX_SPEED_UPS || "3");
+  },
+  // Time to wait for a transaction to be mined before giving up on it
+  getTxWaitTimeoutSeconds: () => {
+    return parseInt(process.env.TX_WAIT_TIMEOUT_SECONDS || "600");
+  },
+};
@@ -0,0 +1,28 @@
+module.exports = {
+  isIndexerEnabled: () => {
+    return process.env.INDEXER_ENABLED === "true";
+  },
+  // Block the contract was deployed in; nothing before it is scanned
+  getIndexerStartBlock: () => {
+    return parseInt(process.env.INDEXER_START_BLOCK || "0");
+  },
+  // Maximum block range requested from the node in one eth_getLogs call
+  getIndexerBatchSize: () => {
+    return parseInt(process.env.INDEXER_BATCH_SIZE || "2000");
+  },
+  // Blocks to stay behind the head so short reorgs don't reach the index
+  getIndexerConfirmations: () => {
+    return parseInt(process.env.INDEXER_CONFIRMATIONS || "2");
+  },
+  getIndexerPollSeconds: () => {
+    return parseInt(process.env.INDEXER_POLL_SECONDS || "15");
+  },
+  // Owners the index doesn't know are read with ownerOf: this many calls at
+  // a time, and each answer is reused for this long
+  getOwnerLookupConcurrency: () => {
+    return Math.max(1, parseInt(process.env.OWNER_LOOKUP_CONCURRENCY || "5"));
+  },
+  getOwnerCacheSeconds: () => {
+    return parseInt(process.env.OWNER_CACHE_SECONDS || "30");
+  },
+};
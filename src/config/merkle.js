@@ -0,0 +1,24 @@
+// Leaf encodings understood by the backend. The contract's reveal() hashes
+// keccak256(abi.encodePacked(tokenId, _uri)), which is "packed".
+const LEAF_ENCODINGS = ["packed", "token-id"];
+
+// Encoding used by batches stored before leaf encodings were configurable
+const LEGACY_LEAF_ENCODING = "token-id";
+
+module.exports = {
+  LEAF_ENCODINGS,
+  LEGACY_LEAF_ENCODING,
+  getLeafEncoding: () => {
+    const encoding = (
+      process.env.MERKLE_LEAF_ENCODING || "packed"
+    ).toLowerCase();
+    if (!LEAF_ENCODINGS.includes(encoding)) {
+      throw new Error(
+        `Unknown MERKLE_LEAF_ENCODING "${encoding}". Supported: ${LEAF_ENCODINGS.join(
+          ", "
+        )}`
+      );
+    }
+    return encoding;
+  },
+};
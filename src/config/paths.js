@@ -1,19 +1,37 @@
 const path = require("path");
 
 // File Paths Configuration
-const DATA_DIR = path.join(__dirname, "../../data");
+// DATA_DIR can be overridden to point the service (or a script) at another data set
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, "../../data");
 
 // Ensure data directory exists
 if (!require("fs").existsSync(DATA_DIR)) {
-  require("fs").mkdirSync(DATA_DIR);
+  require("fs").mkdirSync(DATA_DIR, { recursive: true });
 }
 
 module.exports = {
   DATA_DIR,
   // JSON database files
   LOGGED_USERS_FILE: path.join(DATA_DIR, "loggedUsers.json"),
+  USER_PROFILES_FILE: path.join(DATA_DIR, "user_profiles.json"),
   MINTED_NFTS_FILE: path.join(DATA_DIR, "mintedNFTs.json"),
   BATCHES_FILE: path.join(DATA_DIR, "batches.json"),
   URIS_FILE: path.join(DATA_DIR, "designs_distribution.json"),
   TOKEN_URIS_FILE: path.join(DATA_DIR, "token_uris.json"),
+  SCHEMA_VERSION_FILE: path.join(DATA_DIR, "schema_version.json"),
+  MINT_JOBS_FILE: path.join(DATA_DIR, "mint_jobs.json"),
+  REVEALED_TOKENS_FILE: path.join(DATA_DIR, "revealed_tokens.json"),
+  CHAIN_EVENTS_FILE: path.join(DATA_DIR, "chain_events.json"),
+  INDEXED_TOKENS_FILE: path.join(DATA_DIR, "indexed_tokens.json"),
+  INDEXER_CURSOR_FILE: path.join(DATA_DIR, "indexer_cursor.json"),
+  AUDIT_LOG_FILE: path.join(DATA_DIR, "audit_log.json"),
+  RATE_LIMITS_FILE: path.join(DATA_DIR, "rate_limits.json"),
+  // Snapshots taken before migrations and recovery
+  BACKUPS_DIR: path.join(DATA_DIR, "backups"),
+  // Reports written by maintenance commands
+  REPORTS_DIR: path.join(DATA_DIR, "reports"),
+  // SQLite database file (used when STORAGE_ADAPTER=sqlite)
+  SQLITE_FILE: path.join(DATA_DIR, "banana.db"),
 };
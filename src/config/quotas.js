@@ -0,0 +1,30 @@
+/**
+ * Read a mint quota
+ *
+ * @param {string} variable - Environment variable holding the quota
+ * @returns {number|null} Tokens allowed, or null for no limit
+ */
+function readQuota(variable) {
+  const value = process.env[variable];
+  if (!value) return null;
+
+  const quota = parseInt(value);
+  if (!(quota >= 0)) {
+    throw new Error(`${variable} must be a number of tokens, got "${value}"`);
+  }
+  return quota;
+}
+
+module.exports = {
+  // Most tokens one address may receive in any rolling hour, day, and
+  // ever. Unset means no limit.
+  getHourlyMintQuota: () => {
+    return readQuota("MINT_QUOTA_HOURLY");
+  },
+  getDailyMintQuota: () => {
+    return readQuota("MINT_QUOTA_DAILY");
+  },
+  getLifetimeMintQuota: () => {
+    return readQuota("MINT_QUOTA_LIFETIME");
+  },
+};
@@ -0,0 +1,71 @@
+// Default token buckets as "capacity|refill per minute", per client IP and
+// per address. Heartbeats come often; mints cost gas and are scarce; reveals
+// are cheap and can't wait. Sign-in nonces are asked for before there is an
+// address, so only their IP is limited.
+const DEFAULT_LIMITS = {
+  heartbeat: { ip: "60|30", address: "10|4" },
+  mint: { ip: "10|2", address: "3|1" },
+  reveal: { ip: "60|20", address: "20|10" },
+  nonce: { ip: "20|10" },
+};
+
+/**
+ * Parse a "capacity|refill per minute" bucket
+ *
+ * @param {string} value - Bucket setting
+ * @param {string} variable - Environment variable it came from
+ * @returns {Object} { capacity, refillPerMinute }
+ */
+function parseBucket(value, variable) {
+  const [capacity, refillPerMinute] = value.split("|").map(Number);
+  if (!(capacity >= 1) || !(refillPerMinute > 0)) {
+    throw new Error(
+      `${variable} must be "capacity|refill per minute", got "${value}"`
+    );
+  }
+  return { capacity, refillPerMinute };
+}
+
+module.exports = {
+  RATE_LIMITED_ACTIONS: Object.keys(DEFAULT_LIMITS),
+  isRateLimitEnabled: () => {
+    return process.env.RATE_LIMIT_ENABLED !== "false";
+  },
+  // Bucket of an action for one scope ("ip" or "address"), overridden by
+  // RATE_LIMIT_<ACTION>_<SCOPE>, e.g. RATE_LIMIT_MINT_IP=10|2
+  getRateLimit: (action, scope) => {
+    const variable = `RATE_LIMIT_${action.toUpperCase()}_${scope.toUpperCase()}`;
+    return parseBucket(
+      process.env[variable] || DEFAULT_LIMITS[action][scope],
+      variable
+    );
+  },
+  // New addresses one IP may register per window
+  getRegistrationsPerIp: () => {
+    return parseInt(process.env.REGISTRATIONS_PER_IP || "3");
+  },
+  getRegistrationWindowSeconds: () => {
+    return parseInt(process.env.REGISTRATION_WINDOW_SECONDS || "3600");
+  },
+  // An IP or /24 subnet that registered at least this many addresses in
+  // the report period is reported as a suspicious cluster
+  getAbuseClusterMinAddresses: () => {
+    return parseInt(process.env.ABUSE_CLUSTER_MIN_ADDRESSES || "3");
+  },
+  // Period covered by the abuse report; registrations are kept this long
+  getAbuseReportHours: () => {
+    return parseInt(process.env.ABUSE_REPORT_HOURS || "24");
+  },
+  // Buckets and registrations are kept in memory and saved this often
+  getRateLimitFlushSeconds: () => {
+    return parseInt(process.env.RATE_LIMIT_FLUSH_SECONDS || "10");
+  },
+  // Express "trust proxy" setting, so client IPs are read from
+  // X-Forwarded-For behind a load balancer. Unset trusts no proxy.
+  getTrustProxy: () => {
+    const value = process.env.TRUST_PROXY;
+    if (!value || value === "false") return false;
+    if (value === "true") return true;
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+  },
+};
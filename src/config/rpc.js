@@ -0,0 +1,30 @@
+module.exports = {
+  // RPC endpoints as [{ url, priority }], lowest priority number first.
+  // RPC_URLS lists several as "url|priority" separated by commas (priority
+  // defaults to the position in the list); RPC_URL is a single endpoint.
+  getRpcEndpoints: () => {
+    const list = process.env.RPC_URLS || process.env.RPC_URL || "";
+    return list
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry, index) => {
+        const [url, priority] = entry.split("|");
+        return {
+          url: url.trim(),
+          priority: priority ? parseInt(priority) : index + 1,
+        };
+      });
+  },
+  getRpcTimeoutMs: () => {
+    return parseInt(process.env.RPC_TIMEOUT_MS || "8000");
+  },
+  // Consecutive failures before an endpoint is taken out of rotation
+  getRpcFailureThreshold: () => {
+    return parseInt(process.env.RPC_FAILURE_THRESHOLD || "3");
+  },
+  // How long an unhealthy endpoint is skipped before it is tried again
+  getRpcRetryAfterSeconds: () => {
+    return parseInt(process.env.RPC_RETRY_AFTER_SECONDS || "30");
+  },
+};
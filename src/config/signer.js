@@ -0,0 +1,39 @@
+const fs = require("fs");
+
+const SIGNER_TYPES = ["key", "keystore", "remote"];
+
+module.exports = {
+  SIGNER_TYPES,
+  // Where the minter key lives: a raw PRIVATE_KEY, an encrypted JSON
+  // keystore, or a remote signing service
+  getSignerType: () => {
+    return process.env.SIGNER_TYPE || "key";
+  },
+  getPrivateKey: () => {
+    return process.env.PRIVATE_KEY;
+  },
+  getKeystoreFile: () => {
+    return process.env.KEYSTORE_FILE;
+  },
+  // KEYSTORE_PASSWORD_FILE keeps the passphrase out of the environment
+  getKeystorePassword: () => {
+    if (process.env.KEYSTORE_PASSWORD_FILE) {
+      return fs
+        .readFileSync(process.env.KEYSTORE_PASSWORD_FILE, "utf8")
+        .replace(/\r?\n$/, "");
+    }
+    return process.env.KEYSTORE_PASSWORD;
+  },
+  getRemoteSignerUrl: () => {
+    return process.env.REMOTE_SIGNER_URL;
+  },
+  getRemoteSignerAddress: () => {
+    return process.env.REMOTE_SIGNER_ADDRESS;
+  },
+  getRemoteSignerToken: () => {
+    return process.env.REMOTE_SIGNER_TOKEN || null;
+  },
+  getRemoteSignerTimeoutMs: () => {
+    return parseInt(process.env.REMOTE_SIGNER_TIMEOUT_MS || "10000");
+  },
+};
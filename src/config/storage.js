@@ -0,0 +1,19 @@
+const paths = require("./paths");
+
+const SUPPORTED_ADAPTERS = ["json", "sqlite"];
+
+module.exports = {
+  SUPPORTED_ADAPTERS,
+  getStorageAdapterName: () => {
+    return (process.env.STORAGE_ADAPTER || "json").toLowerCase();
+  },
+  getSqliteFile: () => {
+    return process.env.SQLITE_FILE || paths.SQLITE_FILE;
+  },
+  getLockTimeoutMs: () => {
+    return parseInt(process.env.DATA_LOCK_TIMEOUT_MS || "10000");
+  },
+  getLockStaleMs: () => {
+    return parseInt(process.env.DATA_LOCK_STALE_MS || "30000");
+  },
+};
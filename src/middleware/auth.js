@@ -0,0 +1,107 @@
+const authService = require("../services/auth");
+const adminService = require("../services/admin");
+const auditLog = require("../services/auditLog");
+const authConfig = require("../config/auth");
+
+/**
+ * Read the session token from an `Authorization: Bearer <token>` header
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} The token, if any
+ */
+function getBearerToken(req) {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Middleware requiring a session for the address a request acts on
+ *
+ * The address is `:address` or the body's `address`, as for
+ * validateAddress. Sets `req.session` when a session is found.
+ */
+function requireSession(req, res, next) {
+  if (!authConfig.isAuthRequired()) {
+    return next();
+  }
+
+  const session = authService.getSession(getBearerToken(req));
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: "Sign in with Ethereum to use this endpoint",
+    });
+  }
+
+  const address = req.params.address || req.body.address;
+  if (String(address).toLowerCase() !== session.address) {
+    return res.status(403).json({
+      success: false,
+      error: "Session is for a different address",
+    });
+  }
+
+  req.session = session;
+  next();
+}
+
+/**
+ * Middleware factory requiring an admin role
+ *
+ * Sets `req.admin` to { actor, role, via }. Admin roles are always checked,
+ * even with AUTH_REQUIRED=false. Every call is recorded in the audit log
+ * once its response is sent, including calls refused for missing
+ * credentials or for want of a higher role.
+ *
+ * @param {string} role - Lowest role allowed (viewer, operator or admin)
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const admin = adminService.authenticate({
+      apiKey: req.get("x-api-key"),
+      token: getBearerToken(req),
+    });
+
+    res.on("finish", () => {
+      auditLog
+        .record({
+          actor: admin ? admin.actor : null,
+          role: admin ? admin.role : null,
+          via: admin ? admin.via : null,
+          method: req.method,
+          path: req.originalUrl,
+          body: req.body,
+          status: res.statusCode,
+          ip: req.ip,
+        })
+        .catch((error) => {
+          console.error("Error writing the audit log:", error.message);
+        });
+    });
+
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        error: "Admin credentials required",
+      });
+    }
+
+    if (!adminService.hasRole(admin.role, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Requires the ${role} role`,
+      });
+    }
+
+    req.admin = admin;
+    next();
+  };
+}
+
+module.exports = {
+  getBearerToken,
+  requireSession,
+  requireRole,
+};
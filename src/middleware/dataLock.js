@@ -0,0 +1,30 @@
+const dataModel = require("../models/data");
+
+/**
+ * Middleware waiting for the data lock before a request is handled
+ *
+ * While another process (a script or another instance) holds the lock,
+ * the request waits on a timer instead of blocking the event loop in its
+ * first transaction. If the lock is still held after DATA_LOCK_TIMEOUT_MS
+ * the request gets `503`.
+ */
+function waitForDataLock(req, res, next) {
+  dataModel.waitForLock().then(
+    () => next(),
+    (error) => {
+      if (error.name !== "DataLockError") {
+        return next(error);
+      }
+      console.error(`Data lock busy for ${req.method} ${req.originalUrl}`);
+      res.set("Retry-After", "1");
+      res.status(503).json({
+        success: false,
+        error: "Data is locked by another process, try again",
+      });
+    }
+  );
+}
+
+module.exports = {
+  waitForDataLock,
+};
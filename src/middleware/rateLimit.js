@@ -0,0 +1,82 @@
+const rateLimiter = require("../services/rateLimiter");
+const rateLimitConfig = require("../config/rateLimit");
+
+/**
+ * Answer a request refused by a limit
+ *
+ * @param {Object} res - Express response
+ * @param {number} retryAfterSeconds - When trying again makes sense
+ * @param {string} error - What was exceeded
+ */
+function refuse(res, retryAfterSeconds, error) {
+  res.set("Retry-After", String(retryAfterSeconds));
+  res.status(429).json({
+    success: false,
+    error,
+    retryAfterSeconds,
+  });
+}
+
+/**
+ * Middleware factory taking a token for an action from the client IP's and
+ * the address's buckets
+ *
+ * The address is `:address` or the body's `address`. Without one, only the
+ * IP's bucket is used.
+ *
+ * @param {string} action - heartbeat, mint, reveal or nonce
+ * @returns {Function} Express middleware
+ */
+function limitRate(action) {
+  return (req, res, next) => {
+    if (!rateLimitConfig.isRateLimitEnabled()) {
+      return next();
+    }
+
+    const result = rateLimiter.consume(action, {
+      ip: req.ip,
+      address: req.params.address || req.body.address,
+    });
+    if (!result.allowed) {
+      return refuse(
+        res,
+        result.retryAfterSeconds,
+        `Too many ${action} requests for this ${
+          result.limitedBy === "ip" ? "IP address" : "address"
+        }`
+      );
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware limiting the new addresses a client IP may register
+ *
+ * Goes right before a heartbeat, which mints for addresses never seen.
+ */
+function limitRegistrations(req, res, next) {
+  if (!rateLimitConfig.isRateLimitEnabled()) {
+    return next();
+  }
+
+  const result = rateLimiter.registerAddress({
+    ip: req.ip,
+    address: req.params.address || req.body.address,
+  });
+  if (!result.allowed) {
+    return refuse(
+      res,
+      result.retryAfterSeconds,
+      "Too many new addresses from this IP address"
+    );
+  }
+
+  next();
+}
+
+module.exports = {
+  limitRate,
+  limitRegistrations,
+};
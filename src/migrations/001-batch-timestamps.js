@@ -0,0 +1,29 @@
+/**
+ * Stamp legacy batches that were saved without a timestamp
+ *
+ * Older releases wrote batches without a `timestamp`, and the cleanup service
+ * used to patch them on every run. They are far past any reveal window, so
+ * they get timestamp 0 and are removed by the next cleanup.
+ */
+module.exports = {
+  version: 1,
+  name: "batch-timestamps",
+  up(store) {
+    const batches = store.read("batches");
+    const changes = [];
+
+    batches.forEach((batch) => {
+      if (!batch.timestamp) {
+        batch.timestamp = 0;
+        changes.push(
+          `Stamped batch [${batch.tokenIdRange.join(", ")}] for ${
+            batch.user
+          } as expired`
+        );
+      }
+    });
+
+    if (changes.length > 0) store.write("batches", batches);
+    return changes;
+  },
+};
@@ -0,0 +1,76 @@
+/**
+ * Build user profiles from the active user list and the minting records
+ *
+ * Minting history used to live in `loggedUsers`, and was lost whenever a
+ * user went offline. Profiles keep it for good: each address that is logged
+ * in, holds minted ranges or revealed a token gets one, and `lastMintTime`
+ * moves out of the active user list.
+ */
+module.exports = {
+  version: 2,
+  name: "user-profiles",
+  up(store) {
+    const profiles = store.read("userProfiles");
+    const users = store.read("loggedUsers");
+    const mintedData = store.read("mintedNFTs");
+    const revealedTokens = store.read("revealedTokens");
+    const changes = [];
+
+    const profileOf = (address, seenAt) => {
+      if (!profiles[address]) {
+        profiles[address] = {
+          firstSeen: seenAt,
+          lastSeen: seenAt,
+          loginCount: 0,
+          lastMintTime: 0,
+          mintCount: 0,
+          totalMinted: 0,
+          totalRevealed: 0,
+        };
+        changes.push(`Created a profile for ${address}`);
+      }
+      return profiles[address];
+    };
+
+    Object.entries(users).forEach(([address, data]) => {
+      const profile = profileOf(address, data.lastActive || 0);
+      profile.lastMintTime = Math.max(
+        profile.lastMintTime,
+        data.lastMintTime || 0
+      );
+      if ("lastMintTime" in data) {
+        delete data.lastMintTime;
+        changes.push(`Moved the last mint time of ${address} to its profile`);
+      }
+    });
+
+    Object.entries(mintedData.users).forEach(([address, ranges]) => {
+      const profile = profileOf(address, 0);
+      if (profile.mintCount === 0 && ranges.length > 0) {
+        profile.mintCount = ranges.length;
+        profile.totalMinted = ranges.reduce((sum, [, count]) => sum + count, 0);
+        changes.push(
+          `Counted ${profile.totalMinted} minted tokens for ${address}`
+        );
+      }
+    });
+
+    const reveals = {};
+    Object.values(revealedTokens).forEach((record) => {
+      if (record.user) reveals[record.user] = (reveals[record.user] || 0) + 1;
+    });
+    Object.entries(reveals).forEach(([address, count]) => {
+      const profile = profileOf(address, 0);
+      if (profile.totalRevealed === 0) {
+        profile.totalRevealed = count;
+        changes.push(`Counted ${count} revealed tokens for ${address}`);
+      }
+    });
+
+    if (changes.length > 0) {
+      store.write("userProfiles", profiles);
+      store.write("loggedUsers", users);
+    }
+    return changes;
+  },
+};
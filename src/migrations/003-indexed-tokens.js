@@ -0,0 +1,45 @@
+/**
+ * Build the per-token view of the indexed events
+ *
+ * The indexer used to work out owners and reveals by scanning every stored
+ * event on each lookup. It now keeps them per token as events arrive; this
+ * fills that view from the events indexed before it existed.
+ */
+module.exports = {
+  version: 3,
+  name: "indexed-tokens",
+  up(store) {
+    const tokens = store.read("indexedTokens");
+    if (Object.keys(tokens).length > 0) return [];
+
+    let owners = 0;
+    let reveals = 0;
+    store.read("chainEvents").forEach((e) => {
+      if (e.event === "Transfer") {
+        tokens[e.args.tokenId] = {
+          ...tokens[e.args.tokenId],
+          owner: e.args.to,
+        };
+        owners++;
+      } else if (e.event === "NFTRevealed") {
+        tokens[e.args.tokenId] = {
+          ...tokens[e.args.tokenId],
+          reveal: {
+            uri: e.args.tokenURI,
+            txHash: e.transactionHash,
+            blockNumber: e.blockNumber,
+          },
+        };
+        reveals++;
+      }
+    });
+
+    if (owners + reveals === 0) return [];
+    store.write("indexedTokens", tokens);
+    return [
+      `Indexed ${owners} transfers and ${reveals} reveals across ${
+        Object.keys(tokens).length
+      } tokens`,
+    ];
+  },
+};
@@ -0,0 +1,35 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Load all migrations in this directory, ordered by version
+ *
+ * Files are named `NNN-description.js` and export
+ * `{ version, name, up(store) }`. `up` reads and writes collections through
+ * `store` and returns a list of human-readable changes.
+ *
+ * @returns {Array<Object>} - Migrations sorted by version
+ */
+function loadMigrations() {
+  const migrations = fs
+    .readdirSync(__dirname)
+    .filter((file) => /^\d+-.+\.js$/.test(file))
+    .map((file) => require(path.join(__dirname, file)))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (migration.version !== i + 1) {
+      throw new Error(
+        `Migration versions must be consecutive from 1; found ${
+          migration.version
+        } at position ${i + 1}`
+      );
+    }
+  });
+
+  return migrations;
+}
+
+module.exports = {
+  loadMigrations,
+};
@@ -0,0 +1,66 @@
+const { ethers } = require("ethers");
+const keccak256 = require("keccak256");
+
+/**
+ * Merkle leaf encoding strategies
+ *
+ * Each strategy turns a (tokenId, uri) pair into the 32-byte leaf hash used
+ * to build a batch's Merkle tree:
+ * - packed: keccak256(abi.encodePacked(uint256 tokenId, string uri)), as
+ *   verified by MerkleNFT.reveal
+ * - token-id: keccak256 of the decimal token ID string. Does not commit to
+ *   the URI; kept only to rebuild batches minted before this was fixed
+ */
+const strategies = {
+  packed: (tokenId, uri) =>
+    Buffer.from(
+      ethers
+        .solidityPackedKeccak256(["uint256", "string"], [tokenId, uri])
+        .slice(2),
+      "hex"
+    ),
+  "token-id": (tokenId) => keccak256(Buffer.from(tokenId.toString())),
+};
+
+/**
+ * Hash a token's leaf with the given encoding
+ * @param {string} encoding - Strategy name
+ * @param {number} tokenId - Token ID
+ * @param {string} uri - Token URI
+ * @returns {Buffer} - 32-byte leaf hash
+ */
+function encodeLeaf(encoding, tokenId, uri) {
+  const strategy = strategies[encoding];
+  if (!strategy) {
+    throw new Error(`Unknown leaf encoding: ${encoding}`);
+  }
+  return strategy(tokenId, uri);
+}
+
+/**
+ * Verify a Merkle proof the way OpenZeppelin's MerkleProof.verify does
+ *
+ * Pairs are hashed in sorted order, which is what merkletreejs produces
+ * with `sort: true`.
+ *
+ * @param {Array<string>} proof - Hex proof elements
+ * @param {string} root - Hex Merkle root
+ * @param {Buffer|string} leaf - Leaf hash
+ * @returns {boolean} - True if the proof leads to the root
+ */
+function verifyProof(proof, root, leaf) {
+  let computed = ethers.hexlify(leaf);
+  for (const element of proof) {
+    const [a, b] =
+      BigInt(computed) <= BigInt(element)
+        ? [computed, element]
+        : [element, computed];
+    computed = ethers.keccak256(ethers.concat([a, b]));
+  }
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+  encodeLeaf,
+  verifyProof,
+};
@@ -1,7 +1,9 @@
 const dataModel = require("./data");
-const { ethers } = require("ethers");
 const { MerkleTree } = require("merkletreejs");
 const keccak256 = require("keccak256");
+const leafEncoding = require("./leafEncoding");
+const profiles = require("./profiles");
+const merkleConfig = require("../config/merkle");
 
 /**
  * Select a random URI based on the configured weights
@@ -38,9 +40,15 @@ function generateTokenIdsFromRange(startId, count) {
  * @param {number} startTokenId - Starting token ID
  * @param {number} count - Number of tokens
  * @param {Object} uris - Mapping of token IDs to URIs
+ * @param {string} encoding - Leaf encoding (defaults to MERKLE_LEAF_ENCODING)
  * @returns {Array} - Array of leaf hashes
  */
-function generateLeaves(startTokenId, count, uris) {
+function generateLeaves(
+  startTokenId,
+  count,
+  uris,
+  encoding = merkleConfig.getLeafEncoding()
+) {
   const leaves = [];
   for (let i = 0; i < count; i++) {
     const tokenId = startTokenId + i;
@@ -48,16 +56,56 @@ function generateLeaves(startTokenId, count, uris) {
     if (!uri) {
       throw new Error(`URI not found for token ID ${tokenId}`);
     }
-
-    // Only hash the token ID itself, not the URI
-    // This matches the contract's expectation
-    const tokenIdStr = tokenId.toString();
-    const leaf = keccak256(Buffer.from(tokenIdStr));
-    leaves.push(leaf);
+    leaves.push(leafEncoding.encodeLeaf(encoding, tokenId, uri));
   }
   return leaves;
 }
 
+/**
+ * Build the Merkle tree for a range of token IDs
+ * @param {number} startTokenId - Starting token ID
+ * @param {number} count - Number of tokens
+ * @param {Object} uris - Mapping of token IDs to URIs
+ * @param {string} encoding - Leaf encoding (defaults to MERKLE_LEAF_ENCODING)
+ * @returns {Object} - The tree and its leaves, in token order
+ */
+function buildMerkleTree(startTokenId, count, uris, encoding) {
+  const leaves = generateLeaves(startTokenId, count, uris, encoding);
+  const tree = new MerkleTree(leaves, keccak256, { sort: true });
+  return { tree, leaves };
+}
+
+/**
+ * Assign URIs to a range of token IDs and compute the batch's Merkle root
+ * @param {number} startTokenId - Starting token ID
+ * @param {Array<string>} uriList - URIs in token order
+ * @param {string} encoding - Leaf encoding (defaults to MERKLE_LEAF_ENCODING)
+ * @returns {Object} - Mapping of token IDs to URIs, the Merkle root and the encoding used
+ */
+function buildBatch(
+  startTokenId,
+  uriList,
+  encoding = merkleConfig.getLeafEncoding()
+) {
+  const tokenURIs = {};
+  uriList.forEach((uri, i) => {
+    tokenURIs[startTokenId + i] = uri;
+  });
+
+  const { tree } = buildMerkleTree(
+    startTokenId,
+    uriList.length,
+    tokenURIs,
+    encoding
+  );
+
+  return {
+    tokenURIs,
+    merkleRoot: tree.getHexRoot(),
+    leafEncoding: encoding,
+  };
+}
+
 /**
  * Find the batch that contains a specific token ID for a user
  * @param {string} userAddress - User's Ethereum address
@@ -73,9 +121,54 @@ function findBatchForToken(userAddress, tokenId) {
   });
 }
 
+/**
+ * Find the batch that contains a specific token ID, whoever it was minted to
+ * @param {number} tokenId - Token ID to lookup
+ * @returns {Object|null} - Batch object if found, null otherwise
+ */
+function findBatchByTokenId(tokenId) {
+  const batches = dataModel.getBatches();
+  return batches.find((batch) => {
+    const [startId, count] = batch.tokenIdRange;
+    return tokenId >= startId && tokenId < startId + count;
+  });
+}
+
+/**
+ * Get the local reveal record of a token
+ * @param {number} tokenId - Token ID to lookup
+ * @returns {Object|null} - Reveal record (user, uri, txHash, revealedAt) or null
+ */
+function getRevealRecord(tokenId) {
+  return dataModel.getRevealedTokens()[tokenId] || null;
+}
+
+/**
+ * Record that a token has been revealed
+ * @param {number} tokenId - Revealed token ID
+ * @param {Object} record - Reveal details (user, uri, txHash, revealedAt)
+ * @returns {Object} - The stored record
+ */
+function recordReveal(tokenId, record) {
+  return dataModel.transaction(() => {
+    const revealedTokens = dataModel.getRevealedTokens();
+    if (!revealedTokens[tokenId] && record.user) {
+      profiles.recordReveal(record.user);
+    }
+    revealedTokens[tokenId] = record;
+    dataModel.saveRevealedTokens(revealedTokens);
+    return record;
+  });
+}
+
 module.exports = {
   getRandomURI,
   generateTokenIdsFromRange,
   generateLeaves,
+  buildMerkleTree,
+  buildBatch,
   findBatchForToken,
+  findBatchByTokenId,
+  getRevealRecord,
+  recordReveal,
 };
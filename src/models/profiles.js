@@ -0,0 +1,198 @@
+const dataModel = require("./data");
+
+// Recent mints are kept in a profile this long, for the daily mint quota
+const RECENT_MINTS_MS = 24 * 3600 * 1000;
+
+/**
+ * Durable user profiles
+ *
+ * A profile holds what the service knows about an address for good: when it
+ * was first and last seen, how often it came online, and its minting and
+ * reveal history, including the mints of the last day for the mint quotas.
+ * Online presence is kept apart, in `loggedUsers`, so an address dropped
+ * from the active list keeps its history and is not treated as a new user
+ * when it comes back.
+ */
+
+/**
+ * An empty profile for an address seen for the first time
+ *
+ * @param {number} now - Current time (ms)
+ * @returns {Object} New profile
+ */
+function createProfile(now) {
+  return {
+    firstSeen: now,
+    lastSeen: now,
+    loginCount: 0,
+    lastMintTime: 0,
+    mintCount: 0,
+    totalMinted: 0,
+    totalRevealed: 0,
+    recentMints: [],
+  };
+}
+
+/**
+ * Get an address's profile
+ *
+ * @param {string} address - User's Ethereum address
+ * @returns {Object|null} Profile, or null if the address was never seen
+ */
+function getProfile(address) {
+  return dataModel.getUserProfiles()[address.toLowerCase()] || null;
+}
+
+/**
+ * Record that an address was seen, creating its profile if needed
+ *
+ * @param {string} address - User's Ethereum address
+ * @param {Object} options - Visit details
+ * @param {boolean} options.cameOnline - Whether the address was offline
+ * @returns {Object} { profile, isNew }
+ */
+function recordVisit(address, { cameOnline = false } = {}) {
+  const normalizedAddress = address.toLowerCase();
+  const now = Date.now();
+
+  return dataModel.transaction(() => {
+    const profiles = dataModel.getUserProfiles();
+    const isNew = !profiles[normalizedAddress];
+    const profile = profiles[normalizedAddress] || createProfile(now);
+
+    profile.lastSeen = now;
+    if (cameOnline) profile.loginCount += 1;
+
+    profiles[normalizedAddress] = profile;
+    dataModel.saveUserProfiles(profiles);
+    return { profile, isNew };
+  });
+}
+
+/**
+ * Claim an address's next mint, if the mint interval has passed since its
+ * last one
+ *
+ * The mint time is stamped right away, under the data lock, so concurrent
+ * callers can't both claim the same mint. recordMint stamps it again once
+ * the mint is confirmed; if no mint comes of the claim, releaseMint gives
+ * the address its previous mint time back.
+ *
+ * @param {string} address - User's Ethereum address
+ * @param {number} intervalMs - Minimum time between mints
+ * @returns {Object|null} The claim, with the `previous` mint time and the
+ *   time it was `claimedAt`, or null if the caller may not mint
+ */
+function claimMint(address, intervalMs) {
+  const normalizedAddress = address.toLowerCase();
+  const now = Date.now();
+
+  return dataModel.transaction(() => {
+    const profiles = dataModel.getUserProfiles();
+    const profile = profiles[normalizedAddress] || createProfile(now);
+    if (now - profile.lastMintTime < intervalMs) return null;
+
+    const claim = { previous: profile.lastMintTime, claimedAt: now };
+    profile.lastMintTime = now;
+
+    profiles[normalizedAddress] = profile;
+    dataModel.saveUserProfiles(profiles);
+    return claim;
+  });
+}
+
+/**
+ * Give back a mint claimed with claimMint that was never made
+ *
+ * The previous mint time is restored, unless the mint time has moved on
+ * since the claim, as it does when a mint is recorded.
+ *
+ * @param {string} address - User's Ethereum address
+ * @param {Object} claim - Claim returned by claimMint
+ */
+function releaseMint(address, claim) {
+  const normalizedAddress = address.toLowerCase();
+
+  dataModel.transaction(() => {
+    const profiles = dataModel.getUserProfiles();
+    const profile = profiles[normalizedAddress];
+    if (!profile || profile.lastMintTime !== claim.claimedAt) return;
+
+    profile.lastMintTime = claim.previous;
+    dataModel.saveUserProfiles(profiles);
+  });
+}
+
+/**
+ * Record a confirmed mint in an address's profile
+ *
+ * @param {string} address - Address the tokens were minted to
+ * @param {number} quantity - Tokens minted
+ */
+function recordMint(address, quantity) {
+  const normalizedAddress = address.toLowerCase();
+  const now = Date.now();
+
+  dataModel.transaction(() => {
+    const profiles = dataModel.getUserProfiles();
+    const profile = profiles[normalizedAddress] || createProfile(now);
+
+    profile.lastMintTime = now;
+    profile.mintCount += 1;
+    profile.totalMinted += quantity;
+    profile.recentMints = (profile.recentMints || [])
+      .filter((mint) => mint.at > now - RECENT_MINTS_MS)
+      .concat({ at: now, quantity });
+
+    profiles[normalizedAddress] = profile;
+    dataModel.saveUserProfiles(profiles);
+  });
+}
+
+/**
+ * Count a reveal in an address's profile
+ *
+ * @param {string} address - Address that revealed the token
+ */
+function recordReveal(address) {
+  const normalizedAddress = address.toLowerCase();
+
+  dataModel.transaction(() => {
+    const profiles = dataModel.getUserProfiles();
+    const profile = profiles[normalizedAddress] || createProfile(Date.now());
+
+    profile.totalRevealed += 1;
+
+    profiles[normalizedAddress] = profile;
+    dataModel.saveUserProfiles(profiles);
+  });
+}
+
+/**
+ * Format a profile for API responses, with ISO dates
+ *
+ * @param {Object} profile - Stored profile
+ * @returns {Object} Formatted profile
+ */
+function formatProfile(profile) {
+  const toDate = (ms) => (ms ? new Date(ms).toISOString() : null);
+  return {
+    firstSeen: toDate(profile.firstSeen),
+    lastSeen: toDate(profile.lastSeen),
+    loginCount: profile.loginCount,
+    lastMintTime: toDate(profile.lastMintTime),
+    mintCount: profile.mintCount,
+    totalMinted: profile.totalMinted,
+    totalRevealed: profile.totalRevealed,
+  };
+}
+
+module.exports = {
+  getProfile,
+  recordVisit,
+  claimMint,
+  releaseMint,
+  recordMint,
+  recordReveal,
+  formatProfile,
+};
@@ -0,0 +1,91 @@
+const paths = require("../../config/paths");
+
+/**
+ * Named data collections managed by the storage layer
+ *
+ * Each collection has the JSON file used by the JSON adapter and a factory
+ * for its empty value. Adapters must return the default when a collection
+ * has never been written.
+ */
+const collections = {
+  loggedUsers: {
+    file: paths.LOGGED_USERS_FILE,
+    defaultValue: () => ({}),
+  },
+  userProfiles: {
+    file: paths.USER_PROFILES_FILE,
+    defaultValue: () => ({}),
+  },
+  mintedNFTs: {
+    file: paths.MINTED_NFTS_FILE,
+    defaultValue: () => ({ lastTokenId: 0, users: {} }),
+  },
+  batches: {
+    file: paths.BATCHES_FILE,
+    defaultValue: () => [],
+  },
+  tokenURIs: {
+    file: paths.TOKEN_URIS_FILE,
+    defaultValue: () => ({}),
+  },
+  mintJobs: {
+    file: paths.MINT_JOBS_FILE,
+    defaultValue: () => ({}),
+  },
+  revealedTokens: {
+    file: paths.REVEALED_TOKENS_FILE,
+    defaultValue: () => ({}),
+  },
+  chainEvents: {
+    file: paths.CHAIN_EVENTS_FILE,
+    defaultValue: () => [],
+  },
+  indexedTokens: {
+    file: paths.INDEXED_TOKENS_FILE,
+    defaultValue: () => ({}),
+  },
+  indexerCursor: {
+    file: paths.INDEXER_CURSOR_FILE,
+    defaultValue: () => ({ lastBlock: null, updatedAt: null }),
+  },
+  auditLog: {
+    file: paths.AUDIT_LOG_FILE,
+    defaultValue: () => [],
+  },
+  rateLimits: {
+    file: paths.RATE_LIMITS_FILE,
+    defaultValue: () => ({ buckets: {}, registrations: [], rejections: {} }),
+  },
+  schemaVersion: {
+    file: paths.SCHEMA_VERSION_FILE,
+    defaultValue: () => ({ version: 0, history: [] }),
+  },
+};
+
+/**
+ * Look up a collection definition by name
+ * @param {string} name - Collection name
+ * @returns {Object} - Collection definition
+ */
+function getCollection(name) {
+  const collection = collections[name];
+  if (!collection) {
+    throw new Error(`Unknown data collection: ${name}`);
+  }
+  return collection;
+}
+
+/**
+ * Find the collection stored in a given JSON file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object|undefined} - Collection definition, if any
+ */
+function findCollectionByFile(filePath) {
+  return Object.values(collections).find((c) => c.file === filePath);
+}
+
+module.exports = {
+  collections,
+  getCollection,
+  findCollectionByFile,
+};
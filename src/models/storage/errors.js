@@ -0,0 +1,27 @@
+/**
+ * Raised when a data file exists but cannot be parsed (truncated or corrupt)
+ */
+class DataFileError extends Error {
+  constructor(filePath, cause) {
+    super(`Data file ${filePath} is corrupt or truncated: ${cause.message}`);
+    this.name = "DataFileError";
+    this.filePath = filePath;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Raised when the data lock cannot be acquired in time
+ */
+class DataLockError extends Error {
+  constructor(lockPath, timeoutMs) {
+    super(`Timed out after ${timeoutMs}ms waiting for data lock ${lockPath}`);
+    this.name = "DataLockError";
+    this.lockPath = lockPath;
+  }
+}
+
+module.exports = {
+  DataFileError,
+  DataLockError,
+};
@@ -0,0 +1,62 @@
+const storageConfig = require("../../config/storage");
+
+/**
+ * Storage adapters
+ *
+ * Every adapter exposes the same interface:
+ * - init(): prepare the backing store (create files or tables)
+ * - read(name): return a collection, or its default if never written
+ * - write(name, data): replace a collection
+ * - append(name, items): add items to the end of a list collection
+ * - transaction(fn): run a synchronous read-modify-write under a lock that
+ *   also excludes other processes, blocking the thread while it waits for
+ *   the lock; meant for CLI scripts
+ * - transactionAsync(fn): the same, waiting for the lock on a timer so the
+ *   event loop keeps running; used by the server
+ * - waitForLock(): resolve once no other process holds that lock, waiting
+ *   without blocking the event loop
+ * - verify(): list collections that are corrupt or truncated
+ * - close(): release any open handles
+ *
+ * Collection names are defined in ./collections.js.
+ */
+const adapters = {
+  json: () => require("./json"),
+  sqlite: () => require("./sqlite"),
+};
+
+/**
+ * Load a storage adapter by name
+ * @param {string} name - Adapter name (json or sqlite)
+ * @returns {Object} - Initialized adapter
+ */
+function loadAdapter(name) {
+  if (!adapters[name]) {
+    throw new Error(
+      `Unknown STORAGE_ADAPTER "${name}". Supported: ${storageConfig.SUPPORTED_ADAPTERS.join(
+        ", "
+      )}`
+    );
+  }
+  const adapter = adapters[name]();
+  adapter.init();
+  return adapter;
+}
+
+let activeAdapter = null;
+
+/**
+ * Get the adapter selected by STORAGE_ADAPTER
+ * @returns {Object} - Active storage adapter
+ */
+function getAdapter() {
+  if (!activeAdapter) {
+    activeAdapter = loadAdapter(storageConfig.getStorageAdapterName());
+  }
+  return activeAdapter;
+}
+
+module.exports = {
+  loadAdapter,
+  getAdapter,
+};
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  collections,
+  getCollection,
+  findCollectionByFile,
+} = require("./collections");
+const { DataFileError } = require("./errors");
+const {
+  withLock,
+  withLockAsync,
+  waitForLock,
+  isProcessAlive,
+} = require("./lock");
+
+/**
+ * Get the empty value for a JSON file based on the collection it holds
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object|Array} - Default value
+ */
+function defaultFor(filePath) {
+  const collection = findCollectionByFile(filePath);
+  return collection ? collection.defaultValue() : {};
+}
+
+/**
+ * Read a JSON file and parse its contents
+ *
+ * A missing file yields the collection default. An empty or unparsable file
+ * means a write was cut short, so it raises instead of silently wiping state.
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} - Parsed JSON data
+ * @throws {DataFileError} If the file is truncated or corrupt
+ */
+function readJSON(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return defaultFor(filePath);
+    throw err;
+  }
+
+  try {
+    if (content.trim() === "") {
+      throw new Error("file is empty");
+    }
+    return JSON.parse(content);
+  } catch (err) {
+    throw new DataFileError(filePath, err);
+  }
+}
+
+/**
+ * Write data to a JSON file atomically
+ *
+ * The data is written and flushed to a temporary file in the same directory,
+ * which is then renamed over the target. Readers see either the old or the
+ * new contents, never a partial file.
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @param {Object} data - Data to write
+ */
+function writeJSON(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2), null, "utf8");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+
+  // Persist the rename itself; not supported on every platform
+  try {
+    const dirFd = fs.openSync(path.dirname(filePath), "r");
+    fs.fsyncSync(dirFd);
+    fs.closeSync(dirFd);
+  } catch (err) {
+    // Ignore: directory fsync is best effort
+  }
+}
+
+/**
+ * Add items to the end of a list collection
+ *
+ * The file holds a single JSON document, so it is rewritten as a whole.
+ *
+ * @param {string} name - Collection name
+ * @param {Array} items - Items to add
+ */
+function append(name, items) {
+  const { file } = getCollection(name);
+  writeJSON(file, readJSON(file).concat(items));
+}
+
+/**
+ * Remove temporary files left behind by writes that never completed
+ */
+function removeStaleTempFiles() {
+  const dirs = new Set(
+    Object.values(collections).map(({ file }) => path.dirname(file))
+  );
+  dirs.forEach((dir) => {
+    fs.readdirSync(dir)
+      .filter((name) => {
+        const match = name.match(/\.json\.(\d+)\.tmp$/);
+        return match && !isProcessAlive(parseInt(match[1]));
+      })
+      .forEach((name) => {
+        console.warn(`Removing incomplete write ${path.join(dir, name)}`);
+        fs.rmSync(path.join(dir, name), { force: true });
+      });
+  });
+}
+
+/**
+ * Create the collection files with default values if they don't exist
+ */
+function init() {
+  removeStaleTempFiles();
+  Object.values(collections).forEach(({ file, defaultValue }) => {
+    if (!fs.existsSync(file)) {
+      writeJSON(file, defaultValue());
+    }
+  });
+}
+
+/**
+ * Check that every collection file can be parsed
+ * @returns {Array<Object>} - One entry per corrupt file, empty if all are valid
+ */
+function verify() {
+  const problems = [];
+  Object.entries(collections).forEach(([name, { file }]) => {
+    try {
+      readJSON(file);
+    } catch (err) {
+      problems.push({ collection: name, file, error: err.message });
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  name: "json",
+  init,
+  read: (name) => readJSON(getCollection(name).file),
+  write: (name, data) => writeJSON(getCollection(name).file, data),
+  append,
+  transaction: withLock,
+  transactionAsync: withLockAsync,
+  waitForLock,
+  verify,
+  close: () => {},
+  readJSON,
+  writeJSON,
+};
@@ -0,0 +1,234 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const paths = require("../../config/paths");
+const storageConfig = require("../../config/storage");
+const { DataLockError } = require("./errors");
+
+const LOCK_FILE = path.join(paths.DATA_DIR, ".lock");
+const RETRY_INTERVAL_MS = 20;
+
+// Lock depth for this process, so nested transactions don't deadlock
+let depth = 0;
+
+/**
+ * Block the current thread for a short time without spinning the CPU
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check whether a process is still running
+ *
+ * This process counts as not running: a file carrying its PID was left by
+ * an earlier process that had the same PID, as happens across container
+ * restarts.
+ *
+ * @param {number} pid - Process ID
+ * @returns {boolean} - True if the process exists
+ */
+function isProcessAlive(pid) {
+  if (pid === process.pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * Check whether a lock file was left behind by a dead process
+ *
+ * A lock taken on this host is only stale once its process has exited, so
+ * a slow holder keeps it however long it takes. The PID of a lock taken on
+ * another host (a shared data directory) can't be checked, so that lock is
+ * stale once it is older than DATA_LOCK_STALE_MS.
+ *
+ * @returns {boolean} - True if the lock can be taken over
+ */
+function isStale() {
+  let owner;
+  try {
+    owner = JSON.parse(fs.readFileSync(LOCK_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return false; // Released meanwhile, retry
+    // Unreadable lock: the owner may still be writing it, or crashed doing so
+    try {
+      return Date.now() - fs.statSync(LOCK_FILE).mtimeMs > 1000;
+    } catch (statErr) {
+      return false;
+    }
+  }
+
+  if (owner.host && owner.host !== os.hostname()) {
+    return Date.now() - owner.acquiredAt > storageConfig.getLockStaleMs();
+  }
+  return !isProcessAlive(owner.pid);
+}
+
+/**
+ * Remove the lock file if it was left behind by a dead process
+ * @returns {boolean} - True if a stale lock was removed
+ */
+function removeIfStale() {
+  if (!isStale()) return false;
+  console.warn(`Removing stale data lock ${LOCK_FILE}`);
+  fs.rmSync(LOCK_FILE, { force: true });
+  return true;
+}
+
+/**
+ * Create the lock file if no one holds the lock
+ * @returns {boolean} - True if the lock was taken
+ */
+function tryAcquire() {
+  try {
+    const fd = fs.openSync(LOCK_FILE, "wx");
+    fs.writeSync(
+      fd,
+      JSON.stringify({
+        pid: process.pid,
+        host: os.hostname(),
+        acquiredAt: Date.now(),
+      })
+    );
+    fs.closeSync(fd);
+    return true;
+  } catch (err) {
+    if (err.code !== "EEXIST") throw err;
+    return false;
+  }
+}
+
+/**
+ * Acquire the cross-process data lock, waiting up to the configured timeout
+ *
+ * Blocks the thread while it waits, so it is meant for CLI scripts; the
+ * server waits with acquireAsync().
+ */
+function acquire() {
+  const timeoutMs = storageConfig.getLockTimeoutMs();
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    if (tryAcquire()) return;
+    if (removeIfStale()) continue;
+
+    if (Date.now() >= deadline) {
+      throw new DataLockError(LOCK_FILE, timeoutMs);
+    }
+    sleepSync(RETRY_INTERVAL_MS);
+  }
+}
+
+/**
+ * Acquire the data lock, waiting on a timer instead of blocking the thread
+ *
+ * If this process already holds the lock it is joined, as withLock() does.
+ * The lock is counted as held as soon as it is taken, so nothing else in
+ * this process mistakes it for a lock left by a dead process.
+ *
+ * @throws {DataLockError} If it is still held after DATA_LOCK_TIMEOUT_MS
+ */
+async function acquireAsync() {
+  const timeoutMs = storageConfig.getLockTimeoutMs();
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    if (depth > 0 || tryAcquire()) {
+      depth++;
+      return;
+    }
+    if (removeIfStale()) continue;
+
+    if (Date.now() >= deadline) {
+      throw new DataLockError(LOCK_FILE, timeoutMs);
+    }
+    await new Promise((resolve) => setTimeout(resolve, RETRY_INTERVAL_MS));
+  }
+}
+
+/**
+ * Wait until the data lock is free, without blocking the event loop
+ *
+ * Request handlers call this first, so a lock held by another process
+ * (a script or another instance) is waited for asynchronously. The
+ * blocking transactions that follow, in helpers shared with CLI scripts,
+ * then rarely have to wait in acquire().
+ *
+ * @returns {Promise<void>} - Resolves once no other process holds the lock
+ * @throws {DataLockError} If it is still held after DATA_LOCK_TIMEOUT_MS
+ */
+async function waitForLock() {
+  if (depth > 0) return;
+  const timeoutMs = storageConfig.getLockTimeoutMs();
+  const deadline = Date.now() + timeoutMs;
+
+  while (fs.existsSync(LOCK_FILE)) {
+    if (removeIfStale()) continue;
+
+    if (Date.now() >= deadline) {
+      throw new DataLockError(LOCK_FILE, timeoutMs);
+    }
+    await new Promise((resolve) => setTimeout(resolve, RETRY_INTERVAL_MS));
+  }
+}
+
+/**
+ * Run a synchronous read-modify-write under the data lock
+ *
+ * The lock is re-entrant within this process. The callback must not be
+ * async: the lock is released as soon as it returns. Waiting for the lock
+ * blocks the thread; the server uses withLockAsync().
+ *
+ * @param {Function} fn - Synchronous function to run while holding the lock
+ * @returns {*} - Return value of fn
+ */
+function withLock(fn) {
+  if (depth === 0) acquire();
+  depth++;
+  return runLocked(fn);
+}
+
+/**
+ * Run a synchronous read-modify-write under the data lock, waiting for the
+ * lock without blocking the event loop
+ *
+ * @param {Function} fn - Synchronous function to run while holding the lock
+ * @returns {Promise<*>} - Return value of fn
+ * @throws {DataLockError} If the lock is still held after DATA_LOCK_TIMEOUT_MS
+ */
+async function withLockAsync(fn) {
+  await acquireAsync();
+  return runLocked(fn);
+}
+
+/**
+ * Run fn with the lock held, releasing it when the outermost holder is done
+ *
+ * @param {Function} fn - Synchronous function
+ * @returns {*} - Return value of fn
+ */
+function runLocked(fn) {
+  try {
+    const result = fn();
+    if (result && typeof result.then === "function") {
+      throw new Error("Data transactions must be synchronous");
+    }
+    return result;
+  } finally {
+    depth--;
+    if (depth === 0) fs.rmSync(LOCK_FILE, { force: true });
+  }
+}
+
+module.exports = {
+  LOCK_FILE,
+  withLock,
+  withLockAsync,
+  waitForLock,
+  isProcessAlive,
+};
@@ -0,0 +1,602 @@
+const path = require("path");
+const fs = require("fs");
+const storageConfig = require("../../config/storage");
+const { getCollection } = require("./collections");
+const { DataLockError } = require("./errors");
+
+// Time between checks while another connection holds the write lock
+const LOCK_RETRY_INTERVAL_MS = 20;
+const BUSY_TIMEOUT_MS = 5000;
+
+let db = null;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS logged_users (
+    address TEXT PRIMARY KEY,
+    last_active INTEGER NOT NULL,
+    last_mint_time INTEGER NOT NULL DEFAULT 0,
+    extra TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS user_ranges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    address TEXT NOT NULL,
+    start_token_id INTEGER NOT NULL,
+    count INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_user_ranges_address
+    ON user_ranges (address, start_token_id);
+
+  CREATE TABLE IF NOT EXISTS batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user TEXT NOT NULL,
+    start_token_id INTEGER NOT NULL,
+    count INTEGER NOT NULL,
+    merkle_root TEXT NOT NULL,
+    timestamp INTEGER,
+    extra TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_batches_user ON batches (user);
+  CREATE INDEX IF NOT EXISTS idx_batches_start_token_id
+    ON batches (start_token_id);
+  CREATE INDEX IF NOT EXISTS idx_batches_merkle_root ON batches (merkle_root);
+
+  CREATE TABLE IF NOT EXISTS token_uris (
+    token_id INTEGER PRIMARY KEY,
+    uri TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS chain_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER,
+    body TEXT NOT NULL
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_chain_events_position
+    ON chain_events (block_number, log_index);
+
+  CREATE TABLE IF NOT EXISTS indexed_tokens (
+    token_id INTEGER PRIMARY KEY,
+    body TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    body TEXT NOT NULL
+  );
+`;
+
+/**
+ * Split an object into the keys stored in dedicated columns and the rest
+ * @param {Object} record - Record to split
+ * @param {Array<string>} columns - Keys that have their own column
+ * @returns {string|null} - JSON of the remaining keys, or null if none
+ */
+function extraFields(record, columns) {
+  const extra = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (!columns.includes(key)) extra[key] = value;
+  }
+  return Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+}
+
+/**
+ * Bring a table's rows in line with a list of records, writing only what
+ * changed
+ *
+ * Rows are matched to records by their key columns. A matched row is
+ * updated if any column differs, unmatched rows are deleted and records
+ * without a row are inserted, so unchanged rows keep their IDs and the
+ * order reads follow.
+ *
+ * @param {Object} conn - Database handle
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Columns to write, besides `id`
+ * @param {Array<string>} keyColumns - Columns identifying a record
+ * @param {Array<Object>} records - Column values of every record, in order
+ */
+function syncRows(conn, table, columns, keyColumns, records) {
+  const keyOf = (values) =>
+    JSON.stringify(keyColumns.map((column) => values[column]));
+
+  const existing = new Map();
+  conn
+    .prepare(`SELECT id, ${columns.join(", ")} FROM ${table} ORDER BY id`)
+    .all()
+    .forEach((row) => {
+      const key = keyOf(row);
+      if (!existing.has(key)) existing.set(key, []);
+      existing.get(key).push(row);
+    });
+
+  const insert = conn.prepare(
+    `INSERT INTO ${table} (${columns.join(", ")})
+     VALUES (${columns.map((column) => `@${column}`).join(", ")})`
+  );
+  const update = conn.prepare(
+    `UPDATE ${table}
+     SET ${columns.map((column) => `${column} = @${column}`).join(", ")}
+     WHERE id = @id`
+  );
+  const remove = conn.prepare(`DELETE FROM ${table} WHERE id = ?`);
+
+  records.forEach((values) => {
+    const row = (existing.get(keyOf(values)) || []).shift();
+    if (!row) {
+      insert.run(values);
+    } else if (columns.some((column) => row[column] !== values[column])) {
+      update.run({ ...values, id: row.id });
+    }
+  });
+  existing.forEach((rows) => rows.forEach((row) => remove.run(row.id)));
+}
+
+/**
+ * Open the database file and create the schema if needed
+ * @returns {Object} - better-sqlite3 database handle
+ */
+function getDb() {
+  if (db) return db;
+
+  // Loaded lazily so the JSON adapter works without the native module
+  const Database = require("better-sqlite3");
+  const file = storageConfig.getSqliteFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+  db.exec(SCHEMA);
+  moveChainEventsDocument(db);
+  return db;
+}
+
+/**
+ * Move chain events that earlier releases kept in a document into their
+ * table
+ * @param {Object} conn - Database handle
+ */
+function moveChainEventsDocument(conn) {
+  const row = conn
+    .prepare("SELECT body FROM documents WHERE name = 'chainEvents'")
+    .get();
+  if (!row) return;
+
+  conn.transaction(() => {
+    tables.chainEvents.append(JSON.parse(row.body));
+    conn.prepare("DELETE FROM documents WHERE name = 'chainEvents'").run();
+  })();
+}
+
+/**
+ * Column values of a chain event row
+ * @param {Object} event - Indexed event
+ * @returns {Object} - Row values
+ */
+function chainEventRow(event) {
+  return {
+    block_number: event.blockNumber,
+    log_index: event.logIndex === undefined ? null : event.logIndex,
+    body: JSON.stringify(event),
+  };
+}
+
+// Readers and writers for the collections that have real tables.
+// Fields added to users or batches later are kept in the `extra` column.
+// Tables of list collections can also append rows.
+const tables = {
+  loggedUsers: {
+    read() {
+      const users = {};
+      getDb()
+        .prepare("SELECT * FROM logged_users ORDER BY address")
+        .all()
+        .forEach((row) => {
+          users[row.address] = {
+            ...(row.extra ? JSON.parse(row.extra) : {}),
+            lastActive: row.last_active,
+          };
+          // Mint times are kept in user profiles now; only rows written
+          // before the user-profiles migration still have one
+          if (row.last_mint_time) {
+            users[row.address].lastMintTime = row.last_mint_time;
+          }
+        });
+      return users;
+    },
+    write(users) {
+      const conn = getDb();
+      const existing = conn
+        .prepare("SELECT address FROM logged_users")
+        .all()
+        .map((row) => row.address);
+      const remove = conn.prepare("DELETE FROM logged_users WHERE address = ?");
+      const upsert = conn.prepare(`
+        INSERT INTO logged_users (address, last_active, last_mint_time, extra)
+        VALUES (@address, @lastActive, @lastMintTime, @extra)
+        ON CONFLICT (address) DO UPDATE SET
+          last_active = excluded.last_active,
+          last_mint_time = excluded.last_mint_time,
+          extra = excluded.extra
+        WHERE last_active != excluded.last_active
+          OR last_mint_time != excluded.last_mint_time
+          OR extra IS NOT excluded.extra
+      `);
+
+      existing
+        .filter((address) => !users[address])
+        .forEach((address) => remove.run(address));
+
+      for (const [address, data] of Object.entries(users)) {
+        upsert.run({
+          address,
+          lastActive: data.lastActive || 0,
+          lastMintTime: data.lastMintTime || 0,
+          extra: extraFields(data, ["lastActive", "lastMintTime"]),
+        });
+      }
+    },
+  },
+
+  mintedNFTs: {
+    read() {
+      const conn = getDb();
+      const meta = conn
+        .prepare("SELECT value FROM meta WHERE key = 'lastTokenId'")
+        .get();
+      const users = {};
+      conn
+        .prepare(
+          "SELECT address, start_token_id, count FROM user_ranges ORDER BY id"
+        )
+        .all()
+        .forEach((row) => {
+          if (!users[row.address]) users[row.address] = [];
+          users[row.address].push([row.start_token_id, row.count]);
+        });
+      return {
+        lastTokenId: meta ? parseInt(meta.value) : 0,
+        users,
+      };
+    },
+    write(data) {
+      const conn = getDb();
+      conn
+        .prepare(
+          `INSERT INTO meta (key, value) VALUES ('lastTokenId', ?)
+           ON CONFLICT (key) DO UPDATE SET value = excluded.value`
+        )
+        .run(String(data.lastTokenId || 0));
+
+      const ranges = [];
+      for (const [address, userRanges] of Object.entries(data.users || {})) {
+        userRanges.forEach(([startId, count]) =>
+          ranges.push({ address, start_token_id: startId, count })
+        );
+      }
+      syncRows(
+        conn,
+        "user_ranges",
+        ["address", "start_token_id", "count"],
+        ["address", "start_token_id"],
+        ranges
+      );
+    },
+  },
+
+  batches: {
+    read() {
+      return getDb()
+        .prepare("SELECT * FROM batches ORDER BY id")
+        .all()
+        .map((row) => {
+          const batch = {
+            user: row.user,
+            tokenIdRange: [row.start_token_id, row.count],
+            merkleRoot: row.merkle_root,
+          };
+          if (row.timestamp !== null) batch.timestamp = row.timestamp;
+          return { ...batch, ...(row.extra ? JSON.parse(row.extra) : {}) };
+        });
+    },
+    write(batches) {
+      syncRows(
+        getDb(),
+        "batches",
+        [
+          "user",
+          "start_token_id",
+          "count",
+          "merkle_root",
+          "timestamp",
+          "extra",
+        ],
+        ["start_token_id", "merkle_root"],
+        batches.map((batch) => ({
+          user: batch.user,
+          start_token_id: batch.tokenIdRange[0],
+          count: batch.tokenIdRange[1],
+          merkle_root: batch.merkleRoot,
+          timestamp: batch.timestamp === undefined ? null : batch.timestamp,
+          extra: extraFields(batch, [
+            "user",
+            "tokenIdRange",
+            "merkleRoot",
+            "timestamp",
+          ]),
+        }))
+      );
+    },
+  },
+
+  tokenURIs: {
+    read() {
+      const uris = {};
+      getDb()
+        .prepare("SELECT token_id, uri FROM token_uris ORDER BY token_id")
+        .all()
+        .forEach((row) => {
+          uris[row.token_id] = row.uri;
+        });
+      return uris;
+    },
+    write(uris) {
+      const conn = getDb();
+      const existing = conn
+        .prepare("SELECT token_id FROM token_uris")
+        .all()
+        .map((row) => String(row.token_id));
+      const remove = conn.prepare("DELETE FROM token_uris WHERE token_id = ?");
+      const upsert = conn.prepare(`
+        INSERT INTO token_uris (token_id, uri) VALUES (?, ?)
+        ON CONFLICT (token_id) DO UPDATE SET uri = excluded.uri
+        WHERE uri != excluded.uri
+      `);
+
+      existing
+        .filter((tokenId) => !(tokenId in uris))
+        .forEach((tokenId) => remove.run(parseInt(tokenId)));
+
+      for (const [tokenId, uri] of Object.entries(uris)) {
+        upsert.run(parseInt(tokenId), uri);
+      }
+    },
+  },
+
+  chainEvents: {
+    read() {
+      return getDb()
+        .prepare("SELECT body FROM chain_events ORDER BY id")
+        .all()
+        .map((row) => JSON.parse(row.body));
+    },
+    write(events) {
+      syncRows(
+        getDb(),
+        "chain_events",
+        ["block_number", "log_index", "body"],
+        ["block_number", "log_index"],
+        events.map(chainEventRow)
+      );
+    },
+    append(events) {
+      // Events already stored at the same position are skipped
+      const insert = getDb().prepare(`
+        INSERT OR IGNORE INTO chain_events (block_number, log_index, body)
+        VALUES (@block_number, @log_index, @body)
+      `);
+      events.forEach((event) => insert.run(chainEventRow(event)));
+    },
+  },
+
+  indexedTokens: {
+    read() {
+      const tokens = {};
+      getDb()
+        .prepare("SELECT token_id, body FROM indexed_tokens ORDER BY token_id")
+        .all()
+        .forEach((row) => {
+          tokens[row.token_id] = JSON.parse(row.body);
+        });
+      return tokens;
+    },
+    write(tokens) {
+      const conn = getDb();
+      const existing = conn
+        .prepare("SELECT token_id FROM indexed_tokens")
+        .all()
+        .map((row) => String(row.token_id));
+      const remove = conn.prepare(
+        "DELETE FROM indexed_tokens WHERE token_id = ?"
+      );
+      const upsert = conn.prepare(`
+        INSERT INTO indexed_tokens (token_id, body) VALUES (?, ?)
+        ON CONFLICT (token_id) DO UPDATE SET body = excluded.body
+        WHERE body != excluded.body
+      `);
+
+      existing
+        .filter((tokenId) => !(tokenId in tokens))
+        .forEach((tokenId) => remove.run(parseInt(tokenId)));
+
+      for (const [tokenId, token] of Object.entries(tokens)) {
+        upsert.run(parseInt(tokenId), JSON.stringify(token));
+      }
+    },
+  },
+};
+
+/**
+ * Read a collection
+ * @param {string} name - Collection name
+ * @returns {Object|Array} - Stored value or the collection default
+ */
+function read(name) {
+  const collection = getCollection(name);
+  if (tables[name]) return tables[name].read();
+
+  // Collections without a dedicated table are stored as JSON documents
+  const row = getDb()
+    .prepare("SELECT body FROM documents WHERE name = ?")
+    .get(name);
+  return row ? JSON.parse(row.body) : collection.defaultValue();
+}
+
+/**
+ * Replace the contents of a collection
+ * @param {string} name - Collection name
+ * @param {Object|Array} data - New value
+ */
+function write(name, data) {
+  getCollection(name);
+  const conn = getDb();
+
+  if (tables[name]) {
+    conn.transaction(() => tables[name].write(data))();
+    return;
+  }
+
+  conn
+    .prepare(
+      `INSERT INTO documents (name, body) VALUES (?, ?)
+       ON CONFLICT (name) DO UPDATE SET body = excluded.body`
+    )
+    .run(name, JSON.stringify(data));
+}
+
+/**
+ * Add items to the end of a list collection
+ * @param {string} name - Collection name
+ * @param {Array} items - Items to add
+ */
+function append(name, items) {
+  getCollection(name);
+
+  if (tables[name] && tables[name].append) {
+    getDb().transaction(() => tables[name].append(items))();
+    return;
+  }
+  write(name, read(name).concat(items));
+}
+
+/**
+ * Take the write lock with BEGIN IMMEDIATE, without blocking the event loop
+ * the way busy_timeout does
+ *
+ * Retries on a timer while another connection holds the lock.
+ *
+ * @returns {Promise<boolean>} - True once a transaction was begun, false if
+ *   one is already open on this connection
+ * @throws {DataLockError} If it is still held after DATA_LOCK_TIMEOUT_MS
+ */
+async function beginImmediate() {
+  const conn = getDb();
+  const timeoutMs = storageConfig.getLockTimeoutMs();
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    if (conn.inTransaction) return false;
+    conn.pragma("busy_timeout = 0");
+    try {
+      conn.exec("BEGIN IMMEDIATE");
+      return true;
+    } catch (err) {
+      if (err.code !== "SQLITE_BUSY") throw err;
+    } finally {
+      conn.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    }
+
+    if (Date.now() >= deadline) {
+      throw new DataLockError(storageConfig.getSqliteFile(), timeoutMs);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_INTERVAL_MS));
+  }
+}
+
+/**
+ * Wait until no other connection holds the write lock
+ *
+ * Takes the lock and releases it right away.
+ *
+ * @returns {Promise<void>} - Resolves once the write lock was free
+ * @throws {DataLockError} If it is still held after DATA_LOCK_TIMEOUT_MS
+ */
+async function waitForLock() {
+  if (await beginImmediate()) getDb().exec("ROLLBACK");
+}
+
+/**
+ * Run a synchronous read-modify-write in a write transaction, waiting for
+ * the write lock on a timer
+ *
+ * @param {Function} fn - Synchronous function to run in the transaction
+ * @returns {Promise<*>} - Return value of fn
+ * @throws {DataLockError} If the lock is still held after DATA_LOCK_TIMEOUT_MS
+ */
+async function transactionAsync(fn) {
+  const conn = getDb();
+  const began = await beginImmediate();
+
+  // Nested in an open transaction, fn runs in a savepoint of it
+  if (!began) return conn.transaction(fn)();
+  try {
+    const result = conn.transaction(fn)();
+    conn.exec("COMMIT");
+    return result;
+  } catch (err) {
+    if (conn.inTransaction) conn.exec("ROLLBACK");
+    throw err;
+  }
+}
+
+/**
+ * Check whether the database already holds any data
+ * @returns {boolean} - True if any table has rows
+ */
+function isEmpty() {
+  const conn = getDb();
+  return [
+    "meta",
+    "logged_users",
+    "user_ranges",
+    "batches",
+    "token_uris",
+    "chain_events",
+    "indexed_tokens",
+    "documents",
+  ].every(
+    (table) => conn.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n === 0
+  );
+}
+
+module.exports = {
+  name: "sqlite",
+  init: () => {
+    getDb();
+  },
+  read,
+  write,
+  append,
+  // BEGIN IMMEDIATE takes SQLite's write lock up front, across processes
+  transaction: (fn) => getDb().transaction(fn).immediate(),
+  transactionAsync,
+  waitForLock,
+  verify: () => {
+    const result = getDb().pragma("quick_check", { simple: true });
+    return result === "ok"
+      ? []
+      : [{ file: storageConfig.getSqliteFile(), error: result }];
+  },
+  isEmpty,
+  close: () => {
+    if (db) {
+      db.close();
+      db = null;
+    }
+  },
+};
@@ -1,6 +1,31 @@
 const dataModel = require("./data");
 const contractConfig = require("../config/contract");
 const nftService = require("../services/nft");
+const balanceMonitor = require("../services/balanceMonitor");
+const mintQuotas = require("../services/mintQuotas");
+const profiles = require("./profiles");
+
+/**
+ * Mint for a user on a claim made with profiles.claimMint
+ *
+ * The claim stamped the user's mint time before minting. If no mint job
+ * comes of it, or the job fails for good, the claim is released so the
+ * user isn't kept waiting a whole interval for a mint they never got.
+ *
+ * @param {string} address - Normalized Ethereum address
+ * @param {Object} claim - Claim returned by profiles.claimMint
+ * @returns {Promise<Object>} Result of nftService.mintNFTsForUser
+ */
+async function mintOnClaim(address, claim) {
+  const minted = await nftService.mintNFTsForUser(address);
+  const pending = minted.result && minted.result.willRetry;
+  if (!minted.success && !pending) {
+    await dataModel.transactionAsync(() =>
+      profiles.releaseMint(address, claim)
+    );
+  }
+  return minted;
+}
 
 /**
  * Updates a user's activity status and manages their minting cycle
@@ -9,60 +34,99 @@ const nftService = require("../services/nft");
  * and handles the transition between inactive and active states.
  * Acts as the primary entry point for user interaction with the system.
  *
+ * A user gets NFTs when they come online, as a new user or returning after
+ * inactivity, unless they received some within the mint interval: going
+ * offline and coming back does not earn an early mint. While they stay
+ * online, their minting cycle takes over.
+ *
  * @param {string} address - User's Ethereum address
  * @param {boolean} triggerMint - Whether to trigger NFT minting for this update
  * @returns {Object} Updated user data including activity timestamps
  */
 async function updateUserHeartbeat(address, triggerMint = true) {
-  const users = dataModel.getLoggedUsers();
   const normalizedAddress = address.toLowerCase();
   const now = Date.now();
 
-  // Check if this is a new login or a returning user
-  const isFirstLogin = !users[normalizedAddress];
-  const wasInactive =
-    users[normalizedAddress] &&
-    now - users[normalizedAddress].lastActive >
-      contractConfig.getUserInactivitySeconds() * 1000;
-
-  // Initialize or update user data
-  if (!users[normalizedAddress]) {
-    users[normalizedAddress] = {
-      lastActive: now,
-      lastMintTime: 0, // We'll mint immediately for new users
-    };
-  } else {
-    users[normalizedAddress].lastActive = now;
-  }
+  const { userData, isFirstLogin, cameOnline, mintPaused, mintClaim } =
+    await dataModel.transactionAsync(() => {
+      const users = dataModel.getLoggedUsers();
+
+      // Coming online: not in the active list, or inactive for too long
+      const cameOnline =
+        !users[normalizedAddress] ||
+        now - users[normalizedAddress].lastActive >
+          contractConfig.getUserInactivitySeconds() * 1000;
 
-  // Save updated user data
-  dataModel.saveLoggedUsers(users);
+      const { isNew } = profiles.recordVisit(normalizedAddress, {
+        cameOnline,
+      });
+
+      // Claim the mint in this transaction, so concurrent heartbeats mint once
+      const wantsMint = triggerMint && cameOnline;
+      const mintPaused = wantsMint && balanceMonitor.isMintingPaused();
+      const mintClaim =
+        wantsMint &&
+        !mintPaused &&
+        profiles.claimMint(
+          normalizedAddress,
+          contractConfig.getMintIntervalSeconds() * 1000
+        );
+
+      // Initialize or update presence
+      users[normalizedAddress] = {
+        ...users[normalizedAddress],
+        lastActive: now,
+      };
+
+      // Save updated user data
+      dataModel.saveLoggedUsers(users);
+
+      return {
+        userData: {
+          lastActive: now,
+          lastMintTime: profiles.getProfile(normalizedAddress).lastMintTime,
+        },
+        isFirstLogin: isNew,
+        cameOnline,
+        mintPaused,
+        mintClaim,
+      };
+    });
 
-  // Mint NFTs if this is a new login or the user was inactive
-  if (triggerMint && (isFirstLogin || wasInactive)) {
+  if (mintPaused) {
+    // The user's minting cycle picks this up once the wallet is refunded
     console.log(
-      `Triggering mint for user ${normalizedAddress} (new: ${isFirstLogin}, returning after inactivity: ${wasInactive})`
+      `Not minting for user ${normalizedAddress}: minting is paused until the minter wallet is refunded`
     );
-    await nftService.mintNFTsForUser(normalizedAddress);
+  } else if (mintClaim) {
+    console.log(
+      `Triggering mint for user ${normalizedAddress} (new: ${isFirstLogin}, returning after inactivity: ${
+        cameOnline && !isFirstLogin
+      })`
+    );
+    await mintOnClaim(normalizedAddress, mintClaim);
+    userData.lastMintTime = profiles.getProfile(normalizedAddress).lastMintTime;
   }
 
-  return users[normalizedAddress];
+  return userData;
 }
 
 /**
- * Removes a user and their associated data from the system
+ * Removes a user from the active user list
  *
- * Handles the complete removal of a user including all tracking data.
  * Typically called when a user explicitly logs out or is purged after
- * extended inactivity.
+ * extended inactivity. The user's profile, and with it their minting
+ * history, is kept.
  *
  * @param {string} address - User's Ethereum address
- * @returns {boolean} Success status of the operation
+ * @returns {Promise<void>} Resolves once the user is removed
  */
 function removeUser(address) {
-  const users = dataModel.getLoggedUsers();
-  delete users[address.toLowerCase()];
-  dataModel.saveLoggedUsers(users);
+  return dataModel.transactionAsync(() => {
+    const users = dataModel.getLoggedUsers();
+    delete users[address.toLowerCase()];
+    dataModel.saveLoggedUsers(users);
+  });
 }
 
 /**
@@ -70,6 +134,7 @@ function removeUser(address) {
  *
  * Compares the elapsed time since last mint operation against the
  * configured mint interval to determine if new NFTs should be minted.
+ * Users who have used up a mint quota are skipped.
  * Central to the per-user minting cycle implementation.
  *
  * @param {string} address - User's Ethereum address
@@ -80,17 +145,22 @@ async function checkAndMintForUser(address) {
 
   if (!users[normalizedAddress]) return;
 
-  const now = Date.now();
   const mintInterval = contractConfig.getMintIntervalSeconds() * 1000;
-  const lastMintTime = users[normalizedAddress].lastMintTime || 0;
 
-  // Check if it's time to mint more NFTs for this user
-  if (now - lastMintTime >= mintInterval) {
+  // Users who used up a mint quota wait until it frees up
+  if (mintQuotas.getQuota(normalizedAddress).remaining === 0) return;
+
+  // Check if it's time to mint more NFTs for this user. Claiming the mint
+  // stamps its time, so a cycle running while it is sent doesn't mint again.
+  const claim = await dataModel.transactionAsync(() =>
+    profiles.claimMint(normalizedAddress, mintInterval)
+  );
+  if (claim) {
     // Time to mint more NFTs
     console.log(
       `Minting interval reached for user ${normalizedAddress}, minting more NFTs`
     );
-    await nftService.mintNFTsForUser(normalizedAddress);
+    await mintOnClaim(normalizedAddress, claim);
   }
 }
 
@@ -99,47 +169,32 @@ async function checkAndMintForUser(address) {
  *
  * Identifies users whose last activity exceeds the inactivity threshold
  * and removes them from the active user list. Essential for maintaining
- * system performance and resource utilization.
+ * system performance and resource utilization. Profiles are kept.
  *
- * @returns {Object} Results of the cleanup operation
+ * @returns {Promise<void>} Resolves once offline users are removed
  */
 function checkOfflineUsers() {
-  const users = dataModel.getLoggedUsers();
   const now = Date.now();
   const inactivityThreshold = contractConfig.getUserInactivitySeconds() * 1000;
-  let changed = false;
-
-  for (const [address, data] of Object.entries(users)) {
-    if (now - data.lastActive > inactivityThreshold) {
-      console.log(
-        `User ${address} considered offline (last active: ${new Date(
-          data.lastActive
-        )}, threshold: ${inactivityThreshold / 1000}s)`
-      );
-      delete users[address];
-      changed = true;
-    }
-  }
 
-  if (changed) dataModel.saveLoggedUsers(users);
-}
-
-/**
- * Records the time when a user last received NFTs
- *
- * Updates the minting timestamp to track when users should next
- * receive NFTs based on the configured minting interval.
- *
- * @param {string} address - User's Ethereum address
- */
-function updateUserLastMintTime(address) {
-  const users = dataModel.getLoggedUsers();
-  const normalizedAddress = address.toLowerCase();
+  return dataModel.transactionAsync(() => {
+    const users = dataModel.getLoggedUsers();
+    let changed = false;
+
+    for (const [address, data] of Object.entries(users)) {
+      if (now - data.lastActive > inactivityThreshold) {
+        console.log(
+          `User ${address} considered offline (last active: ${new Date(
+            data.lastActive
+          )}, threshold: ${inactivityThreshold / 1000}s)`
+        );
+        delete users[address];
+        changed = true;
+      }
+    }
 
-  if (users[normalizedAddress]) {
-    users[normalizedAddress].lastMintTime = Date.now();
-    dataModel.saveLoggedUsers(users);
-  }
+    if (changed) dataModel.saveLoggedUsers(users);
+  });
 }
 
 /**
@@ -152,6 +207,9 @@ function updateUserLastMintTime(address) {
 function startUserMintingCycles() {
   // Check every minute if any active users need more NFTs
   setInterval(() => {
+    // The balance monitor logs the pause once; skip quietly until refunded
+    if (balanceMonitor.isMintingPaused()) return;
+
     const users = dataModel.getLoggedUsers();
 
     Object.keys(users).forEach((address) => {
@@ -168,6 +226,5 @@ module.exports = {
   updateUserHeartbeat,
   removeUser,
   checkOfflineUsers,
-  updateUserLastMintTime,
   startUserMintingCycles,
 };
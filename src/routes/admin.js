@@ -0,0 +1,44 @@
+const express = require("express");
+const router = express.Router();
+const auditLog = require("../services/auditLog");
+const rateLimiter = require("../services/rateLimiter");
+const { requireRole } = require("../middleware/auth");
+
+/**
+ * GET /admin/whoami - Show the admin behind the request's credentials
+ */
+router.get("/whoami", requireRole("viewer"), (req, res) => {
+  res.json({
+    success: true,
+    ...req.admin,
+  });
+});
+
+/**
+ * GET /admin/audit - List privileged calls, newest first
+ * Optional query filters: actor, limit (default 100)
+ */
+router.get("/audit", requireRole("admin"), (req, res) => {
+  const { actor } = req.query;
+  const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+  const entries = auditLog.listEntries({ actor, limit });
+
+  res.json({
+    success: true,
+    entries,
+    count: entries.length,
+  });
+});
+
+/**
+ * GET /admin/abuse - Report clusters of addresses registered from one IP or
+ * subnet, and the IPs refused by rate limits most often
+ */
+router.get("/abuse", requireRole("viewer"), (req, res) => {
+  res.json({
+    success: true,
+    ...rateLimiter.getAbuseReport(),
+  });
+});
+
+module.exports = router;
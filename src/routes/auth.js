@@ -0,0 +1,105 @@
+const express = require("express");
+const router = express.Router();
+const authService = require("../services/auth");
+const authConfig = require("../config/auth");
+const { getBearerToken } = require("../middleware/auth");
+const { limitRate } = require("../middleware/rateLimit");
+
+/**
+ * Domain sign-in messages must name: SIWE_DOMAIN or the request's host
+ */
+function expectedDomain(req) {
+  return authConfig.getSiweDomain() || req.get("host");
+}
+
+/**
+ * GET /auth/nonce - Get a nonce and the values to build a sign-in message
+ */
+router.get("/nonce", limitRate("nonce"), async (req, res) => {
+  try {
+    const { nonce, expiresAt } = authService.createNonce();
+    res.json({
+      success: true,
+      nonce,
+      domain: expectedDomain(req),
+      chainId: await authService.getChainId(),
+      expiresAt: new Date(expiresAt).toISOString(),
+    });
+  } catch (error) {
+    console.error("Error issuing sign-in nonce:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /auth/login - Exchange a signed sign-in message for a session token
+ * Body: { message, signature }
+ */
+router.post("/login", async (req, res) => {
+  const { message, signature } = req.body;
+
+  if (!message || !signature) {
+    return res.status(400).json({
+      success: false,
+      error: "message and signature are required",
+    });
+  }
+
+  try {
+    const result = await authService.signIn(message, signature, {
+      domain: expectedDomain(req),
+    });
+    if (!result.success) {
+      return res.status(401).json(result);
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      address: result.address,
+      expiresAt: new Date(result.expiresAt).toISOString(),
+    });
+  } catch (error) {
+    console.error("Error signing in:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /auth/session - Show the session of the bearer token
+ */
+router.get("/session", (req, res) => {
+  const session = authService.getSession(getBearerToken(req));
+
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: "No session",
+    });
+  }
+
+  res.json({
+    success: true,
+    address: session.address,
+    issuedAt: new Date(session.issuedAt).toISOString(),
+    expiresAt: new Date(session.expiresAt).toISOString(),
+  });
+});
+
+/**
+ * POST /auth/logout - End the session of the bearer token
+ */
+router.post("/logout", (req, res) => {
+  res.json({
+    success: true,
+    signedOut: authService.signOut(getBearerToken(req)),
+  });
+});
+
+module.exports = router;
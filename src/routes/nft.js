@@ -1,9 +1,25 @@
 const express = require("express");
 const router = express.Router();
 const nftService = require("../services/nft");
+const mintJobs = require("../services/mintJobs");
+const mintQuotas = require("../services/mintQuotas");
+const txSender = require("../services/txSender");
+const indexer = require("../services/indexer");
+const recovery = require("../services/recovery");
+const integrity = require("../services/integrity");
 const userModel = require("../models/users");
 const cleanupService = require("../services/cleanup");
 const contractConfig = require("../config/contract");
+const { requireSession, requireRole } = require("../middleware/auth");
+const { limitRate, limitRegistrations } = require("../middleware/rateLimit");
+
+/**
+ * Check whether a request asks for a dry run (body or query `dryRun`)
+ */
+function isDryRun(req) {
+  const flag = (req.body && req.body.dryRun) || req.query.dryRun;
+  return flag === true || flag === "true";
+}
 
 /**
  * Middleware to validate Ethereum address
@@ -18,36 +34,77 @@ function validateAddress(req, res, next) {
     });
   }
 
-  // Update user heartbeat
-  userModel.updateUserHeartbeat(address);
-
   next();
 }
 
+/**
+ * Middleware to update the user's heartbeat once they are signed in
+ * (dry runs leave no trace, not even this)
+ */
+function recordHeartbeat(req, res, next) {
+  if (isDryRun(req)) {
+    return next();
+  }
+
+  // The heartbeat mints for new addresses, so it counts as a registration
+  limitRegistrations(req, res, () => {
+    const address = req.params.address || req.body.address;
+    userModel.updateUserHeartbeat(address).catch((error) => {
+      console.error(`Error updating heartbeat for ${address}:`, error);
+    });
+    next();
+  });
+}
+
+// Address checks for user-scoped routes
+const userScoped = [validateAddress, requireSession];
+
 /**
  * GET /nft/config - Get NFT configuration
  * This endpoint doesn't require address validation
+ * Optional query: address, to include that address's remaining mint quota
  */
 router.get("/config", async (req, res) => {
-  const revealThreshold = await contractConfig.getRevealThreshold();
-  const nftsPerUser = contractConfig.getNFTsPerUser();
-  const mintIntervalSeconds = contractConfig.getMintIntervalSeconds();
-  const userInactivitySeconds = contractConfig.getUserInactivitySeconds();
+  try {
+    const revealThreshold = await contractConfig.getRevealThreshold();
+    const nftsPerUser = contractConfig.getNFTsPerUser();
+    const mintIntervalSeconds = contractConfig.getMintIntervalSeconds();
+    const userInactivitySeconds = contractConfig.getUserInactivitySeconds();
+    const { address } = req.query;
 
-  res.json({
-    success: true,
-    revealThresholdSeconds: revealThreshold,
-    nftsPerUser,
-    mintIntervalSeconds,
-    userInactivitySeconds,
-  });
+    const response = {
+      success: true,
+      revealThresholdSeconds: revealThreshold,
+      nftsPerUser,
+      mintIntervalSeconds,
+      userInactivitySeconds,
+      mintQuotas: mintQuotas.getLimits(),
+    };
+
+    if (address) {
+      if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid Ethereum address",
+        });
+      }
+      response.mintQuota = mintQuotas.getQuota(address);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("Error getting NFT config:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
 });
 
 /**
  * GET /nft/cleanup - Run global cleanup operations
  */
-router.get("/cleanup", async (req, res) => {
-  // In a real app, you would add authentication here
+router.get("/cleanup", requireRole("operator"), async (req, res) => {
   const result = await cleanupService.runCleanup();
   res.json(result);
 });
@@ -55,77 +112,236 @@ router.get("/cleanup", async (req, res) => {
 /**
  * GET /nft/cleanup/:address - Run cleanup operations for a specific user
  */
-router.get("/cleanup/:address", validateAddress, async (req, res) => {
-  const address = req.params.address;
-  const result = await cleanupService.runUserCleanup(address);
-  res.json(result);
-});
+router.get(
+  "/cleanup/:address",
+  validateAddress,
+  requireRole("operator"),
+  async (req, res) => {
+    const address = req.params.address;
+    const result = await cleanupService.runUserCleanup(address);
+    res.json(result);
+  }
+);
 
 /**
  * GET /nft/mint-for-user/:address - Trigger minting for a specific user
+ * Query: dryRun=true to simulate without sending or saving anything
  */
-router.get("/mint-for-user/:address", validateAddress, async (req, res) => {
-  const address = req.params.address;
-  const result = await nftService.mintNFTsForUser(address);
-  res.json(result);
-});
+router.get(
+  "/mint-for-user/:address",
+  validateAddress,
+  requireRole("operator"),
+  async (req, res) => {
+    const address = req.params.address;
+    const result = await nftService.mintNFTsForUser(address, {
+      dryRun: isDryRun(req),
+    });
+    res.json(result);
+  }
+);
 
 /**
- * POST /nft/mint - Mint new NFTs
+ * GET /nft/jobs - List mint jobs
+ * Optional query filters: status, address
  */
-router.post("/mint", validateAddress, async (req, res) => {
-  const { address, quantity } = req.body;
+router.get("/jobs", requireRole("viewer"), (req, res) => {
+  const { status, address } = req.query;
+  const jobs = mintJobs.listJobs({ status, address });
 
-  // Get max NFTs per user from config
-  const maxNFTsPerUser = contractConfig.getNFTsPerUser();
+  res.json({
+    success: true,
+    jobs,
+    count: jobs.length,
+  });
+});
 
-  if (!quantity || quantity < 1) {
-    return res.status(400).json({
+/**
+ * GET /nft/jobs/:id - Get the status of a single mint job
+ */
+router.get("/jobs/:id", requireRole("viewer"), (req, res) => {
+  const job = mintJobs.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
       success: false,
-      error: `Invalid quantity. Must be at least 1.`,
+      error: "Mint job not found",
     });
   }
 
-  if (quantity > maxNFTsPerUser) {
-    console.log(
-      `Requested quantity ${quantity} exceeds max ${maxNFTsPerUser}, will be limited.`
-    );
+  res.json({
+    success: true,
+    job,
+  });
+});
+
+/**
+ * GET /nft/transactions - Show the minter wallet's nonce and pending transactions
+ */
+router.get("/transactions", requireRole("viewer"), (req, res) => {
+  res.json({
+    success: true,
+    ...txSender.getStatus(),
+  });
+});
+
+/**
+ * GET /nft/indexer - Show the event indexer's progress
+ * Optional query filters: event, tokenId (also lists matching events)
+ */
+router.get("/indexer", requireRole("viewer"), (req, res) => {
+  const { event, tokenId } = req.query;
+  const response = { success: true, ...indexer.getStatus() };
+
+  if (event || tokenId) {
+    response.events = indexer.getEvents({
+      event,
+      tokenId: tokenId === undefined ? undefined : parseInt(tokenId),
+    });
   }
 
-  const result = await nftService.mintNFTs(address, quantity);
-  res.json(result);
+  res.json(response);
 });
 
 /**
- * POST /nft/reveal - Reveal an NFT
+ * POST /nft/recover - Report what would be rebuilt from the chain
+ * Recovery replaces minted ranges and batches, so it is only applied with
+ * the server stopped (npm run recover -- --apply); apply=true is refused
  */
-router.post("/reveal", validateAddress, async (req, res) => {
-  const { address, tokenId } = req.body;
+router.post("/recover", requireRole("admin"), async (req, res) => {
+  if (String(req.body.apply || req.query.apply) === "true") {
+    return res.status(409).json({
+      success: false,
+      error:
+        "Recovery can't be applied while the server is running; stop it and run npm run recover -- --apply",
+    });
+  }
 
-  if (!tokenId || isNaN(tokenId)) {
-    return res.status(400).json({
+  try {
+    const report = await recovery.recoverFromChain({ apply: false });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error("Error recovering data from chain:", error);
+    res.status(500).json({
       success: false,
-      error: "Invalid token ID",
+      error: error.message,
     });
   }
+});
 
-  const result = await nftService.revealNFT(address, parseInt(tokenId));
-  res.json(result);
+/**
+ * GET /nft/fsck - Check local data for inconsistencies
+ * POST /nft/fsck - Check and apply safe repairs
+ */
+async function runIntegrityCheck(req, res, fix) {
+  try {
+    const report = await integrity.checkIntegrity({ fix });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error("Error checking data integrity:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+router.get("/fsck", requireRole("viewer"), (req, res) => {
+  runIntegrityCheck(req, res, false);
+});
+
+router.post("/fsck", requireRole("operator"), (req, res) => {
+  runIntegrityCheck(req, res, true);
 });
 
+/**
+ * POST /nft/mint - Mint new NFTs
+ * Body or query dryRun: true to simulate without sending or saving anything
+ */
+router.post(
+  "/mint",
+  userScoped,
+  limitRate("mint"),
+  recordHeartbeat,
+  async (req, res) => {
+    const { address, quantity } = req.body;
+
+    // Get max NFTs per user from config
+    const maxNFTsPerUser = contractConfig.getNFTsPerUser();
+
+    if (!quantity || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid quantity. Must be at least 1.`,
+      });
+    }
+
+    if (quantity > maxNFTsPerUser) {
+      console.log(
+        `Requested quantity ${quantity} exceeds max ${maxNFTsPerUser}, will be limited.`
+      );
+    }
+
+    const result = await nftService.mintNFTs(address, quantity, {
+      dryRun: isDryRun(req),
+    });
+    res.json(result);
+  }
+);
+
+/**
+ * POST /nft/reveal - Reveal an NFT
+ * Body or query dryRun: true to simulate without sending or saving anything
+ */
+router.post(
+  "/reveal",
+  userScoped,
+  limitRate("reveal"),
+  recordHeartbeat,
+  async (req, res) => {
+    const { address, tokenId } = req.body;
+
+    if (!tokenId || isNaN(tokenId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid token ID",
+      });
+    }
+
+    const result = await nftService.revealNFT(address, parseInt(tokenId), {
+      dryRun: isDryRun(req),
+    });
+    res.json(result);
+  }
+);
+
 /**
  * GET /nft/:address - Get all NFTs owned by a user
  * This wildcard route should be at the end to avoid catching other routes
  */
-router.get("/:address", validateAddress, async (req, res) => {
-  const address = req.params.address;
-  const nftData = await nftService.getUserNFTs(address);
+router.get(
+  "/:address",
+  userScoped,
+  limitRate("heartbeat"),
+  recordHeartbeat,
+  async (req, res) => {
+    const address = req.params.address;
 
-  res.json({
-    success: true,
-    address,
-    ...nftData,
-  });
-});
+    try {
+      const nftData = await nftService.getUserNFTs(address);
+      res.json({
+        success: true,
+        address,
+        ...nftData,
+        mintQuota: mintQuotas.getQuota(address),
+      });
+    } catch (error) {
+      console.error(`Error getting NFTs for ${address}:`, error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
 
 module.exports = router;
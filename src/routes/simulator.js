@@ -0,0 +1,83 @@
+const express = require("express");
+const router = express.Router();
+const { ethers } = require("ethers");
+const contractConfig = require("../config/contract");
+
+/**
+ * Controls for the simulated chain
+ *
+ * Only mounted when CHAIN_MODE=simulated.
+ */
+
+/**
+ * GET /simulator - Show the simulated chain's head block, clock and contract
+ */
+router.get("/", (req, res) => {
+  res.json({ success: true, ...contractConfig.simulatedChain.getStatus() });
+});
+
+/**
+ * POST /simulator/advance - Move the block clock forward and mine a block
+ * Body: { seconds }
+ */
+router.post("/advance", (req, res) => {
+  const seconds = parseInt(req.body.seconds);
+  if (!Number.isInteger(seconds) || seconds < 0) {
+    return res.status(400).json({
+      success: false,
+      error: "seconds must be a non-negative integer",
+    });
+  }
+
+  contractConfig.simulatedChain.advanceTime(seconds);
+  contractConfig.simulatedChain.mine();
+  res.json({ success: true, ...contractConfig.simulatedChain.getStatus() });
+});
+
+/**
+ * POST /simulator/base-fee - Set the base fee of the next blocks
+ * Body: { gwei }
+ * Transactions with a lower max fee stay pending, as on a congested chain.
+ */
+router.post("/base-fee", (req, res) => {
+  let fee;
+  try {
+    fee = ethers.parseUnits(String(req.body.gwei), "gwei");
+  } catch (error) {
+    fee = -1n;
+  }
+  if (fee < 0n) {
+    return res.status(400).json({
+      success: false,
+      error: "gwei must be a non-negative number",
+    });
+  }
+
+  contractConfig.simulatedChain.setBaseFee(fee);
+  contractConfig.simulatedChain.mine();
+  res.json({ success: true, ...contractConfig.simulatedChain.getStatus() });
+});
+
+/**
+ * POST /simulator/balance - Set the minter wallet's balance
+ * Body: { eth }
+ */
+router.post("/balance", (req, res) => {
+  let balance;
+  try {
+    balance = ethers.parseEther(String(req.body.eth));
+  } catch (error) {
+    balance = -1n;
+  }
+  if (balance < 0n) {
+    return res.status(400).json({
+      success: false,
+      error: "eth must be a non-negative number",
+    });
+  }
+
+  contractConfig.simulatedChain.setBalance(balance);
+  res.json({ success: true, ...contractConfig.simulatedChain.getStatus() });
+});
+
+module.exports = router;
@@ -2,8 +2,11 @@ const express = require("express");
 const router = express.Router();
 const userModel = require("../models/users");
 const dataModel = require("../models/data");
+const profiles = require("../models/profiles");
 const cleanupService = require("../services/cleanup");
 const contractConfig = require("../config/contract");
+const { requireSession, requireRole } = require("../middleware/auth");
+const { limitRate, limitRegistrations } = require("../middleware/rateLimit");
 
 /**
  * Middleware to validate Ethereum address
@@ -29,13 +32,16 @@ router.get("/", (req, res) => {
   const inactivityThreshold = contractConfig.getUserInactivitySeconds() * 1000;
   const now = Date.now();
 
+  const userProfiles = dataModel.getUserProfiles();
+
   // Format the response
   const formattedUsers = Object.entries(users).map(([address, data]) => ({
     address,
     lastActive: new Date(data.lastActive).toISOString(),
-    lastMintTime: data.lastMintTime
-      ? new Date(data.lastMintTime).toISOString()
-      : null,
+    lastMintTime:
+      userProfiles[address] && userProfiles[address].lastMintTime
+        ? new Date(userProfiles[address].lastMintTime).toISOString()
+        : null,
     isActive: now - data.lastActive < inactivityThreshold,
     inactiveInSeconds: Math.max(0, Math.floor((now - data.lastActive) / 1000)),
   }));
@@ -51,51 +57,91 @@ router.get("/", (req, res) => {
 /**
  * POST /users/heartbeat - Update user heartbeat and potentially trigger minting
  */
-router.post("/heartbeat", validateAddress, async (req, res) => {
-  const { address } = req.body;
-  const triggerMint = req.body.triggerMint !== false; // Default to true
-
-  const userData = await userModel.updateUserHeartbeat(address, triggerMint);
-
-  res.json({
-    success: true,
-    address,
-    lastActive: new Date(userData.lastActive).toISOString(),
-    lastMintTime: userData.lastMintTime
-      ? new Date(userData.lastMintTime).toISOString()
-      : null,
-    timestamp: Date.now(),
-    mintingTriggered: triggerMint,
-  });
-});
+router.post(
+  "/heartbeat",
+  validateAddress,
+  requireSession,
+  limitRate("heartbeat"),
+  limitRegistrations,
+  async (req, res) => {
+    const { address } = req.body;
+    const triggerMint = req.body.triggerMint !== false; // Default to true
+
+    const userData = await userModel.updateUserHeartbeat(address, triggerMint);
+
+    res.json({
+      success: true,
+      address,
+      lastActive: new Date(userData.lastActive).toISOString(),
+      lastMintTime: userData.lastMintTime
+        ? new Date(userData.lastMintTime).toISOString()
+        : null,
+      timestamp: Date.now(),
+      mintingTriggered: triggerMint,
+    });
+  }
+);
 
 /**
- * DELETE /users/:address - Remove a user
+ * GET /users/:address/profile - Get a user's durable profile: first and last
+ * seen, logins, and lifetime minting and reveal counts
  */
-router.delete("/:address", validateAddress, async (req, res) => {
-  const address = req.params.address;
+router.get("/:address/profile", validateAddress, requireSession, (req, res) => {
+  const address = req.params.address.toLowerCase();
+  const profile = profiles.getProfile(address);
 
-  // Run cleanup for this user first
-  await cleanupService.runUserCleanup(address);
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: "No profile for this address",
+    });
+  }
 
-  // Then remove the user
-  userModel.removeUser(address);
+  const presence = dataModel.getLoggedUsers()[address];
 
   res.json({
     success: true,
     address,
-    message: "User removed successfully",
+    isOnline:
+      !!presence &&
+      Date.now() - presence.lastActive <
+        contractConfig.getUserInactivitySeconds() * 1000,
+    ...profiles.formatProfile(profile),
   });
 });
 
+/**
+ * DELETE /users/:address - Remove a user from the active user list; their
+ * profile is kept
+ */
+router.delete(
+  "/:address",
+  validateAddress,
+  requireRole("operator"),
+  async (req, res) => {
+    const address = req.params.address;
+
+    // Run cleanup for this user first
+    await cleanupService.runUserCleanup(address);
+
+    // Then remove the user from the active list
+    await userModel.removeUser(address);
+
+    res.json({
+      success: true,
+      address,
+      message: "User removed successfully",
+    });
+  }
+);
+
 /**
  * GET /users/cleanup - Clean up inactive users
  */
-router.get("/cleanup", (req, res) => {
-  // In a real app, you would add authentication here
+router.get("/cleanup", requireRole("operator"), async (req, res) => {
   const beforeCount = Object.keys(dataModel.getLoggedUsers()).length;
 
-  userModel.checkOfflineUsers();
+  await userModel.checkOfflineUsers();
 
   const afterCount = Object.keys(dataModel.getLoggedUsers()).length;
 
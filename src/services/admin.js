@@ -0,0 +1,78 @@
+const crypto = require("crypto");
+const authService = require("./auth");
+const adminConfig = require("../config/admin");
+
+/**
+ * Admin authentication
+ *
+ * Operational endpoints are open to callers holding a role:
+ *
+ * viewer   → read job, transaction, indexer and integrity status
+ * operator → also run cleanup, trigger mints and apply safe repairs
+ * admin    → also rebuild data from the chain and read the audit log
+ *
+ * A caller proves a role with an API key from ADMIN_API_KEYS (sent as
+ * `X-API-Key`), or with a Sign-In with Ethereum session for a wallet listed
+ * in ADMIN_WALLETS (sent as a bearer token, like user sessions).
+ */
+
+/**
+ * Compare two secrets in constant time
+ *
+ * @param {string} a - First secret
+ * @param {string} b - Second secret
+ * @returns {boolean} True if they are equal
+ */
+function secretsMatch(a, b) {
+  const digest = (value) =>
+    crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Find the admin behind a set of credentials
+ *
+ * @param {Object} credentials - What the caller sent
+ * @param {string} credentials.apiKey - Value of the X-API-Key header
+ * @param {string} credentials.token - Bearer session token
+ * @returns {Object|null} { actor, role, via }, or null if the credentials
+ *   carry no role
+ */
+function authenticate({ apiKey, token } = {}) {
+  if (apiKey) {
+    const match = adminConfig
+      .getAdminApiKeys()
+      .find((entry) => secretsMatch(entry.key, apiKey));
+    return match
+      ? { actor: match.name, role: match.role, via: "api-key" }
+      : null;
+  }
+
+  const session = authService.getSession(token);
+  if (session) {
+    const match = adminConfig
+      .getAdminWallets()
+      .find((entry) => entry.address === session.address);
+    if (match) {
+      return { actor: match.address, role: match.role, via: "wallet" };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a role includes the rights of another
+ *
+ * @param {string} role - Role held
+ * @param {string} required - Role needed
+ * @returns {boolean} True if `role` is `required` or above
+ */
+function hasRole(role, required) {
+  const roles = adminConfig.ADMIN_ROLES;
+  return roles.indexOf(role) >= roles.indexOf(required);
+}
+
+module.exports = {
+  authenticate,
+  hasRole,
+};
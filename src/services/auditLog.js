@@ -0,0 +1,65 @@
+const dataModel = require("../models/data");
+const adminConfig = require("../config/admin");
+
+/**
+ * Audit log of privileged calls
+ *
+ * Every call to an admin endpoint is recorded with who made it, how they
+ * authenticated, what they asked for and the status it got. Entries are
+ * kept oldest first and capped at AUDIT_LOG_MAX_ENTRIES.
+ */
+
+/**
+ * Record a privileged call
+ *
+ * @param {Object} entry - What happened
+ * @param {string|null} entry.actor - API key name or wallet address
+ * @param {string|null} entry.role - Role the caller had
+ * @param {string|null} entry.via - "api-key" or "wallet"
+ * @param {string} entry.method - HTTP method
+ * @param {string} entry.path - Path and query string
+ * @param {Object} entry.body - Request body
+ * @param {number} entry.status - HTTP status of the response
+ * @param {string} entry.ip - Caller's IP address
+ * @returns {Promise<Object>} The recorded entry
+ */
+async function record(entry) {
+  const recorded = { at: new Date().toISOString(), ...entry };
+
+  await dataModel.transactionAsync(() => {
+    const log = dataModel.getAuditLog();
+    log.push(recorded);
+    const excess = log.length - adminConfig.getAuditLogMaxEntries();
+    if (excess > 0) {
+      log.splice(0, excess);
+    }
+    dataModel.saveAuditLog(log);
+  });
+
+  return recorded;
+}
+
+/**
+ * List audit log entries, newest first
+ *
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.actor - Only calls by this actor
+ * @param {number} filters.limit - Most entries to return
+ * @returns {Array<Object>} Matching entries
+ */
+function listEntries({ actor, limit = 100 } = {}) {
+  return dataModel
+    .getAuditLog()
+    .filter(
+      (entry) =>
+        !actor ||
+        String(entry.actor).toLowerCase() === String(actor).toLowerCase()
+    )
+    .reverse()
+    .slice(0, limit);
+}
+
+module.exports = {
+  record,
+  listEntries,
+};
@@ -0,0 +1,285 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const contractConfig = require("../config/contract");
+const authConfig = require("../config/auth");
+
+/**
+ * Sign-In with Ethereum (EIP-4361)
+ *
+ * A client asks for a nonce, has the user sign a sign-in message that
+ * contains it, and exchanges the message and signature for a session token:
+ *
+ * 1. `createNonce` hands out a single-use nonce valid for
+ *    AUTH_NONCE_TTL_SECONDS. At most AUTH_MAX_NONCES are outstanding: past
+ *    that, the oldest is dropped.
+ * 2. `signIn` parses the message, checks its domain, chain ID, nonce and
+ *    validity window, and recovers the signer with ethers. The nonce is
+ *    used up whether or not the sign-in succeeds.
+ * 3. The session token it returns is valid for SESSION_TTL_SECONDS, or
+ *    until the message's expiration time if that comes first
+ *
+ * Only signatures from externally owned accounts are accepted (no EIP-1271
+ * contract wallets). Nonces and sessions are kept in memory, so a restart
+ * signs everyone out.
+ */
+
+const MESSAGE_HEADER = " wants you to sign in with your Ethereum account:";
+
+// Outstanding nonces: nonce → expiry (ms), oldest first
+const nonces = new Map();
+
+// Sessions by token: { address, issuedAt, expiresAt } (ms)
+const sessions = new Map();
+
+// Chain ID of the provider, looked up on first use
+let chainId = null;
+
+/**
+ * Drop expired nonces and sessions
+ */
+function prune() {
+  const now = Date.now();
+  for (const [nonce, expiresAt] of nonces) {
+    if (expiresAt <= now) nonces.delete(nonce);
+  }
+  for (const [token, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(token);
+  }
+}
+
+/**
+ * Chain ID sign-in messages must name
+ *
+ * @returns {number} Chain ID of the connected chain
+ */
+async function getChainId() {
+  if (chainId === null) {
+    const network = await contractConfig.provider.getNetwork();
+    chainId = Number(network.chainId);
+  }
+  return chainId;
+}
+
+/**
+ * Issue a single-use sign-in nonce
+ *
+ * @returns {Object} { nonce, expiresAt } with expiresAt in ms
+ */
+function createNonce() {
+  prune();
+  const maxNonces = authConfig.getAuthMaxNonces();
+  for (const oldest of nonces.keys()) {
+    if (nonces.size < maxNonces) break;
+    nonces.delete(oldest);
+  }
+
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const expiresAt = Date.now() + authConfig.getAuthNonceTtlSeconds() * 1000;
+  nonces.set(nonce, expiresAt);
+  return { nonce, expiresAt };
+}
+
+/**
+ * Build an EIP-4361 sign-in message
+ *
+ * @param {Object} fields - Message fields
+ * @param {string} fields.domain - Domain requesting the sign-in
+ * @param {string} fields.address - EIP-55 checksummed address
+ * @param {string} fields.statement - Optional human-readable statement
+ * @param {string} fields.uri - URI of the resource signed in to
+ * @param {number} fields.chainId - Chain ID
+ * @param {string} fields.nonce - Nonce from createNonce
+ * @param {string} fields.issuedAt - ISO 8601 time
+ * @param {string} fields.expirationTime - Optional ISO 8601 time
+ * @param {string} fields.notBefore - Optional ISO 8601 time
+ * @returns {string} The message to sign
+ */
+function buildMessage(fields) {
+  const lines = [`${fields.domain}${MESSAGE_HEADER}`, fields.address, ""];
+  if (fields.statement) {
+    lines.push(fields.statement, "");
+  }
+  lines.push(
+    `URI: ${fields.uri}`,
+    "Version: 1",
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  );
+  if (fields.expirationTime) {
+    lines.push(`Expiration Time: ${fields.expirationTime}`);
+  }
+  if (fields.notBefore) {
+    lines.push(`Not Before: ${fields.notBefore}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Parse an EIP-4361 sign-in message
+ *
+ * @param {string} message - Message as signed
+ * @returns {Object} Fields as named by buildMessage
+ * @throws {Error} If the message is not a valid sign-in message
+ */
+function parseMessage(message) {
+  const lines = String(message).split("\n");
+
+  if (!lines[0] || !lines[0].endsWith(MESSAGE_HEADER)) {
+    throw new Error("Not a Sign-In with Ethereum message");
+  }
+  const domain = lines[0].slice(0, -MESSAGE_HEADER.length);
+
+  const address = lines[1];
+  if (!ethers.isAddress(address) || ethers.getAddress(address) !== address) {
+    throw new Error("Sign-in message address must be EIP-55 checksummed");
+  }
+
+  const values = {};
+  const statement = [];
+  for (const line of lines.slice(2)) {
+    const match = line.match(/^([A-Za-z ]+): (.*)$/);
+    if (match) {
+      values[match[1]] = match[2];
+    } else if (line && Object.keys(values).length === 0) {
+      statement.push(line);
+    }
+  }
+
+  ["URI", "Version", "Chain ID", "Nonce", "Issued At"].forEach((name) => {
+    if (!values[name]) {
+      throw new Error(`Sign-in message has no ${name}`);
+    }
+  });
+  if (values.Version !== "1") {
+    throw new Error(`Unsupported sign-in message version ${values.Version}`);
+  }
+  ["Issued At", "Expiration Time", "Not Before"].forEach((name) => {
+    if (values[name] && isNaN(Date.parse(values[name]))) {
+      throw new Error(`Sign-in message ${name} is not a valid time`);
+    }
+  });
+
+  return {
+    domain,
+    address,
+    statement: statement.join("\n") || null,
+    uri: values.URI,
+    chainId: Number(values["Chain ID"]),
+    nonce: values.Nonce,
+    issuedAt: values["Issued At"],
+    expirationTime: values["Expiration Time"] || null,
+    notBefore: values["Not Before"] || null,
+  };
+}
+
+/**
+ * Exchange a signed sign-in message for a session token
+ *
+ * @param {string} message - EIP-4361 message
+ * @param {string} signature - The address's signature of the message
+ * @param {Object} options - Sign-in options
+ * @param {string} options.domain - Domain the message must name
+ * @returns {Object} { success, token, address, expiresAt } or
+ *   { success: false, error }
+ */
+async function signIn(message, signature, { domain } = {}) {
+  prune();
+
+  let fields;
+  try {
+    fields = parseMessage(message);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  // Single use: a failed attempt needs a new nonce too
+  const nonceExpiresAt = nonces.get(fields.nonce);
+  nonces.delete(fields.nonce);
+  if (!nonceExpiresAt) {
+    return { success: false, error: "Unknown or expired nonce" };
+  }
+
+  if (domain && fields.domain !== domain) {
+    return {
+      success: false,
+      error: `Sign-in message is for ${fields.domain}, not ${domain}`,
+    };
+  }
+  if (fields.chainId !== (await getChainId())) {
+    return {
+      success: false,
+      error: `Sign-in message is for chain ${fields.chainId}`,
+    };
+  }
+
+  const now = Date.now();
+  if (Date.parse(fields.expirationTime) <= now) {
+    return { success: false, error: "Sign-in message has expired" };
+  }
+  if (Date.parse(fields.notBefore) > now) {
+    return { success: false, error: "Sign-in message is not valid yet" };
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    return { success: false, error: "Invalid signature" };
+  }
+  if (signer !== fields.address) {
+    return {
+      success: false,
+      error: "Signature does not match the message's address",
+    };
+  }
+
+  const expirationTime = Date.parse(fields.expirationTime);
+  let expiresAt = now + authConfig.getSessionTtlSeconds() * 1000;
+  if (expirationTime < expiresAt) {
+    expiresAt = expirationTime;
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const address = fields.address.toLowerCase();
+  sessions.set(token, { address, issuedAt: now, expiresAt });
+
+  return { success: true, token, address, expiresAt };
+}
+
+/**
+ * Look up a session
+ *
+ * @param {string} token - Session token
+ * @returns {Object|null} { address, issuedAt, expiresAt }, or null if the
+ *   token is unknown or expired
+ */
+function getSession(token) {
+  if (!token) return null;
+  const session = sessions.get(token);
+  if (!session || session.expiresAt <= Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session;
+}
+
+/**
+ * End a session
+ *
+ * @param {string} token - Session token
+ * @returns {boolean} True if the session existed
+ */
+function signOut(token) {
+  return sessions.delete(token);
+}
+
+module.exports = {
+  getChainId,
+  createNonce,
+  buildMessage,
+  parseMessage,
+  signIn,
+  getSession,
+  signOut,
+};
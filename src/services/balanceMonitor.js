@@ -0,0 +1,154 @@
+const { ethers } = require("ethers");
+const contractConfig = require("../config/contract");
+const balanceConfig = require("../config/balance");
+
+/**
+ * Minter wallet balance monitor
+ *
+ * Reads the minter wallet's balance periodically and classifies it:
+ *
+ * ok       → at or above BALANCE_WARN_ETH
+ * warn     → below BALANCE_WARN_ETH; logged once when it happens
+ * critical → below BALANCE_CRITICAL_ETH; automatic minting pauses
+ * unknown  → not read yet
+ *
+ * Only automatic minting pauses (user minting cycles, mints on login and
+ * retries of mint jobs that were never sent). Reveals go on, since a late
+ * reveal is lost for good. Minting resumes on the first check after the
+ * wallet is refunded. A failed read keeps the last known level.
+ */
+
+const LEVELS = {
+  UNKNOWN: "unknown",
+  OK: "ok",
+  WARN: "warn",
+  CRITICAL: "critical",
+};
+
+const status = {
+  level: LEVELS.UNKNOWN,
+  balance: null,
+  checkedAt: null,
+  changedAt: null,
+  lastError: null,
+};
+
+/**
+ * Level of a balance against the configured thresholds
+ *
+ * @param {bigint} balance - Balance in wei
+ * @returns {string} One of LEVELS
+ */
+function levelFor(balance) {
+  if (balance < ethers.parseEther(balanceConfig.getBalanceCriticalEth())) {
+    return LEVELS.CRITICAL;
+  }
+  if (balance < ethers.parseEther(balanceConfig.getBalanceWarnEth())) {
+    return LEVELS.WARN;
+  }
+  return LEVELS.OK;
+}
+
+/**
+ * Log a change of level
+ *
+ * @param {string} from - Previous level
+ * @param {string} to - New level
+ * @param {string} balanceEth - Balance in ETH
+ */
+function logChange(from, to, balanceEth) {
+  if (to === LEVELS.CRITICAL) {
+    console.error(
+      `Minter wallet balance ${balanceEth} ETH is below ${balanceConfig.getBalanceCriticalEth()} ETH: automatic minting paused`
+    );
+  } else if (from === LEVELS.CRITICAL) {
+    console.log(
+      `Minter wallet balance is ${balanceEth} ETH: automatic minting resumed`
+    );
+  } else if (to === LEVELS.WARN) {
+    console.warn(
+      `Minter wallet balance ${balanceEth} ETH is below ${balanceConfig.getBalanceWarnEth()} ETH`
+    );
+  } else if (from === LEVELS.WARN) {
+    console.log(`Minter wallet balance is back to ${balanceEth} ETH`);
+  }
+}
+
+/**
+ * Read the minter wallet's balance and update its level
+ *
+ * @returns {Object} The monitor's status (see getStatus)
+ */
+async function checkBalance() {
+  try {
+    const balance = await contractConfig.provider.getBalance(
+      contractConfig.wallet.address
+    );
+    const level = levelFor(balance);
+    if (level !== status.level) {
+      logChange(status.level, level, ethers.formatEther(balance));
+      status.level = level;
+      status.changedAt = new Date().toISOString();
+    }
+    status.balance = balance;
+    status.checkedAt = new Date().toISOString();
+    status.lastError = null;
+  } catch (error) {
+    console.error("Error reading the minter wallet balance:", error.message);
+    status.lastError = error.message;
+  }
+  return getStatus();
+}
+
+/**
+ * Check whether automatic minting is paused for lack of funds
+ *
+ * @returns {boolean} True while the balance is critical
+ */
+function isMintingPaused() {
+  return status.level === LEVELS.CRITICAL;
+}
+
+/**
+ * Check the balance now and then periodically
+ *
+ * @param {number} intervalSeconds - Time between checks
+ */
+function scheduleBalanceMonitor(
+  intervalSeconds = balanceConfig.getBalanceCheckSeconds()
+) {
+  checkBalance();
+  setInterval(checkBalance, intervalSeconds * 1000);
+
+  console.log(
+    `Scheduled minter balance checks every ${intervalSeconds} seconds`
+  );
+}
+
+/**
+ * Get the last balance reading
+ *
+ * @returns {Object} Address, balance, level, thresholds and pause state
+ */
+function getStatus() {
+  return {
+    address: contractConfig.wallet.address,
+    balanceEth:
+      status.balance === null ? null : ethers.formatEther(status.balance),
+    level: status.level,
+    warnBelowEth: balanceConfig.getBalanceWarnEth(),
+    criticalBelowEth: balanceConfig.getBalanceCriticalEth(),
+    mintingPaused: isMintingPaused(),
+    checkedAt: status.checkedAt,
+    changedAt: status.changedAt,
+    lastError: status.lastError,
+  };
+}
+
+module.exports = {
+  LEVELS,
+  checkBalance,
+  isMintingPaused,
+  scheduleBalanceMonitor,
+  getStatus,
+};
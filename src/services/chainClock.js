@@ -0,0 +1,85 @@
+const contractConfig = require("../config/contract");
+
+/**
+ * Chain time
+ *
+ * The contract checks reveal windows against `block.timestamp`, which can
+ * drift from the server clock. Windows are therefore computed from the
+ * mined block's timestamp of each batch and the latest block's timestamp.
+ */
+
+/**
+ * Number and timestamp of the latest block
+ *
+ * Time-sensitive checks read everything else they need at this block
+ * number (`blockTag`), so all of them see the same chain state even if
+ * the RPC provider fails over between endpoints in the meantime.
+ *
+ * @returns {Object} { blockNumber, timestamp } with the timestamp in seconds
+ */
+async function getChainHead() {
+  const block = await contractConfig.provider.getBlock("latest");
+  if (!block) {
+    throw new Error("Could not read the latest block");
+  }
+  return {
+    blockNumber: Number(block.number),
+    timestamp: Number(block.timestamp),
+  };
+}
+
+/**
+ * Timestamp of the latest block
+ *
+ * @returns {number} Chain time in seconds
+ */
+async function getChainTime() {
+  return (await getChainHead()).timestamp;
+}
+
+/**
+ * Timestamp of a specific block
+ *
+ * @param {number} blockNumber - Block number
+ * @returns {number} Block timestamp in seconds
+ */
+async function getBlockTimestamp(blockNumber) {
+  const block = await contractConfig.provider.getBlock(blockNumber);
+  if (!block) {
+    throw new Error(`Block ${blockNumber} not found`);
+  }
+  return Number(block.timestamp);
+}
+
+/**
+ * Reveal window of a batch at a given chain time
+ *
+ * The contract accepts a reveal while `block.timestamp <= timestamp +
+ * revealThreshold`. A reveal is only sent with at least the safety margin
+ * left, since it is mined in a later block than the one we read.
+ *
+ * @param {Object} batch - Stored batch (timestamp is the mint block's)
+ * @param {number} revealThreshold - Reveal threshold in seconds
+ * @param {number} chainTime - Current chain time in seconds
+ * @returns {Object} Expiry time, elapsed and remaining seconds, and whether
+ *   the batch is still revealable or has expired on chain
+ */
+function getRevealWindow(batch, revealThreshold, chainTime) {
+  const expiresAt = batch.timestamp + revealThreshold;
+  const timeRemaining = expiresAt - chainTime;
+
+  return {
+    expiresAt,
+    timeElapsed: chainTime - batch.timestamp,
+    timeRemaining,
+    revealable: timeRemaining >= contractConfig.getRevealSafetyMarginSeconds(),
+    expired: timeRemaining < 0,
+  };
+}
+
+module.exports = {
+  getChainHead,
+  getChainTime,
+  getBlockTimestamp,
+  getRevealWindow,
+};
@@ -1,40 +1,35 @@
 const dataModel = require("../models/data");
 const contractConfig = require("../config/contract");
+const chainClock = require("./chainClock");
 
 /**
  * Cleans up batches that have exceeded the reveal threshold
  *
  * Identifies and removes batch records that are no longer valid for revealing.
- * Handles backward compatibility by adding timestamps to legacy batch records.
  *
  * @returns {number} Number of batches removed during cleanup
  */
 async function cleanupExpiredBatches() {
-  const batches = dataModel.getBatches();
   const revealThreshold = await contractConfig.getRevealThreshold();
-  const now = Math.floor(Date.now() / 1000); // Current time in seconds
+  const now = await chainClock.getChainTime(); // Reveal windows use chain time
 
-  // Add timestamps to batches that don't have them (for backwards compatibility)
-  batches.forEach((batch) => {
-    if (!batch.timestamp) {
-      batch.timestamp = now - (revealThreshold + 60); // Assume it's expired
-      console.log(`Added timestamp to batch for ${batch.user}`);
-    }
-  });
+  return dataModel.transactionAsync(() => {
+    const batches = dataModel.getBatches();
 
-  const validBatches = batches.filter((batch) => {
-    // Keep batches that are still within the reveal window
-    return now - batch.timestamp < revealThreshold;
-  });
+    const validBatches = batches.filter((batch) => {
+      // Keep batches that are still within the reveal window
+      return !chainClock.getRevealWindow(batch, revealThreshold, now).expired;
+    });
 
-  const removedCount = batches.length - validBatches.length;
+    const removedCount = batches.length - validBatches.length;
 
-  if (removedCount > 0) {
-    console.log(`Cleaned up ${removedCount} expired batches`);
-    dataModel.saveBatches(validBatches);
-  }
+    if (removedCount > 0) {
+      console.log(`Cleaned up ${removedCount} expired batches`);
+      dataModel.saveBatches(validBatches);
+    }
 
-  return removedCount;
+    return removedCount;
+  });
 }
 
 /**
@@ -46,43 +41,46 @@ async function cleanupExpiredBatches() {
  * @returns {number} Number of token URIs removed during cleanup
  */
 async function cleanupExpiredTokenURIs() {
-  const tokenURIs = dataModel.getTokenURIs();
-  const batches = dataModel.getBatches();
   const revealThreshold = await contractConfig.getRevealThreshold();
-  const now = Math.floor(Date.now() / 1000); // Current time in seconds
-
-  // Create a set of all token IDs that are still within valid batches
-  const validTokenIds = new Set();
-  batches.forEach((batch) => {
-    if (now - (batch.timestamp || 0) < revealThreshold) {
-      const [startId, count] = batch.tokenIdRange;
-      for (let i = 0; i < count; i++) {
-        validTokenIds.add(String(startId + i));
+  const now = await chainClock.getChainTime(); // Reveal windows use chain time
+
+  return dataModel.transactionAsync(() => {
+    const tokenURIs = dataModel.getTokenURIs();
+    const batches = dataModel.getBatches();
+
+    // Create a set of all token IDs that are still within valid batches
+    const validTokenIds = new Set();
+    batches.forEach((batch) => {
+      if (!chainClock.getRevealWindow(batch, revealThreshold, now).expired) {
+        const [startId, count] = batch.tokenIdRange;
+        for (let i = 0; i < count; i++) {
+          validTokenIds.add(String(startId + i));
+        }
       }
-    }
-  });
+    });
 
-  // Filter the token URIs to keep only those with valid token IDs
-  const initialCount = Object.keys(tokenURIs).length;
-  const cleanedTokenURIs = {};
+    // Filter the token URIs to keep only those with valid token IDs
+    const initialCount = Object.keys(tokenURIs).length;
+    const cleanedTokenURIs = {};
 
-  Object.entries(tokenURIs).forEach(([tokenId, uri]) => {
-    if (validTokenIds.has(tokenId)) {
-      cleanedTokenURIs[tokenId] = uri;
-    }
-  });
+    Object.entries(tokenURIs).forEach(([tokenId, uri]) => {
+      if (validTokenIds.has(tokenId)) {
+        cleanedTokenURIs[tokenId] = uri;
+      }
+    });
 
-  const removedCount = initialCount - Object.keys(cleanedTokenURIs).length;
+    const removedCount = initialCount - Object.keys(cleanedTokenURIs).length;
 
-  if (removedCount > 0) {
-    console.log(`Cleaned up ${removedCount} expired token URIs`);
-    dataModel.saveTokenURIs(cleanedTokenURIs);
-  } else if (initialCount > 0) {
-    // Log that we checked but found no URIs to clean up
-    console.log(`Checked ${initialCount} token URIs, none expired`);
-  }
+    if (removedCount > 0) {
+      console.log(`Cleaned up ${removedCount} expired token URIs`);
+      dataModel.saveTokenURIs(cleanedTokenURIs);
+    } else if (initialCount > 0) {
+      // Log that we checked but found no URIs to clean up
+      console.log(`Checked ${initialCount} token URIs, none expired`);
+    }
 
-  return removedCount;
+    return removedCount;
+  });
 }
 
 /**
@@ -95,56 +93,51 @@ async function cleanupExpiredTokenURIs() {
  * @returns {number} Number of batches removed for the user
  */
 async function cleanupUserBatches(userAddress) {
-  const batches = dataModel.getBatches();
   const revealThreshold = await contractConfig.getRevealThreshold();
-  const now = Math.floor(Date.now() / 1000); // Current time in seconds
+  const now = await chainClock.getChainTime(); // Reveal windows use chain time
   const normalizedAddress = userAddress.toLowerCase();
 
-  // Filter batches for this user
-  const userBatches = batches.filter(
-    (batch) => batch.user === normalizedAddress
-  );
+  return dataModel.transactionAsync(() => {
+    const batches = dataModel.getBatches();
 
-  if (userBatches.length === 0) {
-    return 0;
-  }
+    // Filter batches for this user
+    const userBatches = batches.filter(
+      (batch) => batch.user === normalizedAddress
+    );
 
-  // Add timestamps for backwards compatibility
-  userBatches.forEach((batch) => {
-    if (!batch.timestamp) {
-      batch.timestamp = now - (revealThreshold + 60); // Assume it's expired
-      console.log(`Added timestamp to batch for user ${normalizedAddress}`);
+    if (userBatches.length === 0) {
+      return 0;
     }
-  });
 
-  // Keep track of which batches to remove
-  const batchesToRemove = userBatches.filter(
-    (batch) => now - batch.timestamp >= revealThreshold
-  );
+    // Keep track of which batches to remove
+    const batchesToRemove = userBatches.filter(
+      (batch) => chainClock.getRevealWindow(batch, revealThreshold, now).expired
+    );
 
-  if (batchesToRemove.length === 0) {
-    return 0;
-  }
+    if (batchesToRemove.length === 0) {
+      return 0;
+    }
+
+    // Get the merkle roots of the batches to remove
+    const rootsToRemove = new Set(
+      batchesToRemove.map((batch) => batch.merkleRoot)
+    );
+
+    // Filter out the expired batches
+    const updatedBatches = batches.filter(
+      (batch) =>
+        batch.user !== normalizedAddress || // Keep all batches from other users
+        !rootsToRemove.has(batch.merkleRoot) // And keep this user's unexpired batches
+    );
+
+    // Save updated batches
+    dataModel.saveBatches(updatedBatches);
 
-  // Get the merkle roots of the batches to remove
-  const rootsToRemove = new Set(
-    batchesToRemove.map((batch) => batch.merkleRoot)
-  );
-
-  // Filter out the expired batches
-  const updatedBatches = batches.filter(
-    (batch) =>
-      batch.user !== normalizedAddress || // Keep all batches from other users
-      !rootsToRemove.has(batch.merkleRoot) // And keep this user's unexpired batches
-  );
-
-  // Save updated batches
-  dataModel.saveBatches(updatedBatches);
-
-  console.log(
-    `Cleaned up ${batchesToRemove.length} expired batches for user ${normalizedAddress}`
-  );
-  return batchesToRemove.length;
+    console.log(
+      `Cleaned up ${batchesToRemove.length} expired batches for user ${normalizedAddress}`
+    );
+    return batchesToRemove.length;
+  });
 }
 
 /**
@@ -0,0 +1,235 @@
+const { ethers } = require("ethers");
+const contractConfig = require("../config/contract");
+const feeConfig = require("../config/fees");
+
+/**
+ * EIP-1559 fee policy for the minter wallet
+ *
+ * Every transaction is sent with explicit fees: the configured tip (a larger
+ * one for urgent reveals) and a max fee that leaves room for the base fee to
+ * double, never above MAX_FEE_PER_GAS_GWEI. While the base fee is at or above
+ * the cap nothing is sent.
+ *
+ * Spending is tracked over a rolling hour. A send reserves its worst case
+ * (gas limit x max fee), which is settled to the real cost once mined. A
+ * send that would go over FEE_BUDGET_PER_HOUR_ETH is deferred, unless it is
+ * urgent: a reveal that lands after its window closes is lost for good.
+ * Spending is kept in memory, so a restart starts a fresh hour.
+ *
+ * Deferrals throw an error with code FEE_DEFERRED and `retryAfterSeconds`.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fee spending over the last hour: { at, wei }
+let spending = [];
+
+/**
+ * Convert a decimal gwei string to wei
+ *
+ * @param {string} value - Amount in gwei
+ * @returns {bigint} Amount in wei
+ */
+function gwei(value) {
+  return ethers.parseUnits(String(value), "gwei");
+}
+
+/**
+ * Build the error thrown when a send has to wait for fees or budget
+ *
+ * @param {string} message - Reason
+ * @param {number} retryAfterSeconds - When trying again makes sense
+ * @returns {Error} Error with code FEE_DEFERRED
+ */
+function deferredError(message, retryAfterSeconds) {
+  const error = new Error(message);
+  error.code = "FEE_DEFERRED";
+  error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+}
+
+/**
+ * Base fee of the latest block
+ *
+ * @returns {bigint} Base fee in wei
+ */
+async function getBaseFee() {
+  const block = await contractConfig.provider.getBlock("latest");
+  if (block && block.baseFeePerGas != null) {
+    return BigInt(block.baseFeePerGas);
+  }
+  // Chains without EIP-1559: the gas price stands in for the base fee
+  const feeData = await contractConfig.provider.getFeeData();
+  return BigInt(feeData.gasPrice);
+}
+
+/**
+ * Fees for a new transaction
+ *
+ * @param {Object} options - Fee options
+ * @param {boolean} options.urgent - Pay the urgent tip
+ * @returns {Object} { maxFeePerGas, maxPriorityFeePerGas } in wei
+ */
+async function getFees({ urgent = false } = {}) {
+  const cap = gwei(feeConfig.getMaxFeePerGasGwei());
+  const tip = gwei(
+    urgent
+      ? feeConfig.getUrgentPriorityFeeGwei()
+      : feeConfig.getPriorityFeeGwei()
+  );
+  const baseFee = await getBaseFee();
+
+  if (baseFee >= cap) {
+    throw deferredError(
+      `Base fee of ${ethers.formatUnits(
+        baseFee,
+        "gwei"
+      )} gwei is at or above the ${ethers.formatUnits(cap, "gwei")} gwei cap`,
+      feeConfig.getTxSpeedUpAfterSeconds()
+    );
+  }
+
+  const maxFeePerGas = baseFee * 2n + tip < cap ? baseFee * 2n + tip : cap;
+  return {
+    maxFeePerGas,
+    // Under the cap the tip may have to give way to the base fee
+    maxPriorityFeePerGas:
+      tip < maxFeePerGas - baseFee ? tip : maxFeePerGas - baseFee,
+  };
+}
+
+/**
+ * Fees for a replacement of a pending transaction
+ *
+ * Raises both fees by at least TX_FEE_BUMP_PERCENT (nodes only accept a
+ * replacement paying 10% more), or to the current market fees if higher.
+ *
+ * @param {Object} fees - Fees the pending transaction was sent with
+ * @param {Object} options - Fee options
+ * @param {boolean} options.urgent - Pay the urgent tip
+ * @returns {Object|null} New fees, or null if they would exceed the cap
+ */
+async function bumpFees(fees, { urgent = false } = {}) {
+  const cap = gwei(feeConfig.getMaxFeePerGasGwei());
+  const percent = BigInt(100 + feeConfig.getTxFeeBumpPercent());
+  const bump = (value) => (BigInt(value) * percent + 99n) / 100n;
+
+  let maxFeePerGas = bump(fees.maxFeePerGas);
+  let maxPriorityFeePerGas = bump(fees.maxPriorityFeePerGas);
+
+  // Catch up with the market if it moved further than the bump
+  const market = await getFees({ urgent }).catch(() => null);
+  if (market && market.maxFeePerGas > maxFeePerGas) {
+    maxFeePerGas = market.maxFeePerGas;
+  }
+  if (market && market.maxPriorityFeePerGas > maxPriorityFeePerGas) {
+    maxPriorityFeePerGas = market.maxPriorityFeePerGas;
+  }
+
+  if (maxFeePerGas > cap || maxPriorityFeePerGas > maxFeePerGas) {
+    return null;
+  }
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Drop spending older than an hour
+ */
+function pruneSpending() {
+  const cutoff = Date.now() - HOUR_MS;
+  spending = spending.filter((entry) => entry.at > cutoff);
+}
+
+/**
+ * Total fees spent or reserved in the last hour
+ *
+ * @returns {bigint} Amount in wei
+ */
+function spentLastHour() {
+  pruneSpending();
+  return spending.reduce((total, entry) => total + entry.wei, 0n);
+}
+
+/**
+ * Reserve fees for a send against the hourly budget
+ *
+ * @param {bigint} amount - Worst-case cost in wei
+ * @param {Object} options - Reservation options
+ * @param {boolean} options.urgent - Allowed to go over the budget
+ * @param {string} options.label - Description for logs
+ * @param {Object} existing - Reservation to raise instead of adding one
+ *   (a replacement of a pending transaction)
+ * @returns {Object} The reservation
+ */
+function reserveSpend(amount, { urgent = false, label = "" } = {}, existing) {
+  const budget = feeConfig.getFeeBudgetPerHourEth();
+  const added = existing ? amount - existing.wei : amount;
+
+  if (budget !== null && added > 0n) {
+    const limit = ethers.parseEther(budget);
+    const spent = spentLastHour();
+    if (spent + added > limit) {
+      if (!urgent) {
+        const oldest = spending.length > 0 ? spending[0].at : Date.now();
+        throw deferredError(
+          `Hourly fee budget of ${budget} ETH would be exceeded (${ethers.formatEther(
+            spent
+          )} ETH spent in the last hour)`,
+          Math.max(1, Math.ceil((oldest + HOUR_MS - Date.now()) / 1000))
+        );
+      }
+      console.warn(`Urgent ${label} goes over the hourly fee budget`);
+    }
+  }
+
+  if (existing) {
+    existing.wei = amount;
+    return existing;
+  }
+  const entry = { at: Date.now(), wei: amount };
+  spending.push(entry);
+  return entry;
+}
+
+/**
+ * Replace a reservation with what the mined transaction really cost
+ *
+ * @param {Object} entry - Reservation
+ * @param {Object} receipt - Receipt of the mined transaction
+ */
+function settleSpend(entry, receipt) {
+  entry.wei = BigInt(receipt.gasUsed) * BigInt(receipt.gasPrice);
+}
+
+/**
+ * Remove a reservation for a send that never happened
+ *
+ * @param {Object} entry - Reservation
+ */
+function releaseSpend(entry) {
+  spending = spending.filter((spend) => spend !== entry);
+}
+
+/**
+ * Budget and spending over the last hour
+ *
+ * @returns {Object} Policy settings and amounts in ETH/gwei
+ */
+function getStatus() {
+  return {
+    maxFeePerGasGwei: feeConfig.getMaxFeePerGasGwei(),
+    priorityFeeGwei: feeConfig.getPriorityFeeGwei(),
+    urgentPriorityFeeGwei: feeConfig.getUrgentPriorityFeeGwei(),
+    budgetPerHourEth: feeConfig.getFeeBudgetPerHourEth(),
+    spentLastHourEth: ethers.formatEther(spentLastHour()),
+  };
+}
+
+module.exports = {
+  getFees,
+  bumpFees,
+  reserveSpend,
+  settleSpend,
+  releaseSpend,
+  getStatus,
+};
@@ -0,0 +1,347 @@
+const { ethers } = require("ethers");
+const dataModel = require("../models/data");
+const contractConfig = require("../config/contract");
+const indexerConfig = require("../config/indexer");
+const { contractABI } = require("../config/abi");
+
+/**
+ * Contract event indexer
+ *
+ * Follows the MerkleNFT contract's logs from INDEXER_START_BLOCK and stores
+ * every MerkleSetAdded, NFTRevealed, Transfer and BatchTransfer event with
+ * its block and log position. Each sync appends only its new events, and
+ * updates the owner and reveal of every token they touch in a per-token
+ * view. Events, that view and the cursor (last indexed block) are written in
+ * the same data transaction, so an interrupted sync resumes from the last
+ * stored range without gaps or duplicates.
+ *
+ * The views at the bottom of this file answer questions about what
+ * happened on chain, including changes made outside this backend.
+ */
+
+const INDEXED_EVENTS = [
+  "MerkleSetAdded",
+  "NFTRevealed",
+  "Transfer",
+  "BatchTransfer",
+];
+
+const contractInterface = new ethers.Interface(contractABI);
+
+// Sync state of this process, reported by getStatus
+let syncing = false;
+let lastSyncAt = null;
+let lastError = null;
+
+/**
+ * Convert an event's arguments to plain JSON values
+ *
+ * @param {string} name - Event name
+ * @param {Object} args - Decoded ethers arguments
+ * @returns {Object} Arguments with lowercase addresses and numeric IDs
+ */
+function normalizeArgs(name, args) {
+  switch (name) {
+    case "MerkleSetAdded":
+      return {
+        rootIndex: Number(args.rootIndex),
+        quantity: Number(args._quantity),
+        user: args._user.toLowerCase(),
+      };
+    case "NFTRevealed":
+      return { tokenId: Number(args.tokenId), tokenURI: args.tokenURI };
+    case "Transfer":
+      return {
+        from: args.from.toLowerCase(),
+        to: args.to.toLowerCase(),
+        tokenId: Number(args.tokenId),
+      };
+    case "BatchTransfer":
+      return { to: args.to.toLowerCase(), tokenIds: args.tokenIds.map(Number) };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Compare two events by chain position
+ */
+function byPosition(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Decode raw logs into indexed event records
+ *
+ * Logs from other contracts and events the indexer does not follow are
+ * skipped. Accepts logs as returned by `provider.getLogs`, so a recorded
+ * list of logs can be replayed in tests.
+ *
+ * @param {Array<Object>} logs - Raw logs
+ * @param {string} contractAddress - MerkleNFT contract address
+ * @returns {Array<Object>} Event records in chain order
+ */
+function processLogs(logs, contractAddress) {
+  const events = [];
+
+  for (const log of logs) {
+    if (log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+
+    let parsed;
+    try {
+      parsed = contractInterface.parseLog(log);
+    } catch (error) {
+      continue; // Not an event we know about
+    }
+    if (!parsed || !INDEXED_EVENTS.includes(parsed.name)) continue;
+
+    events.push({
+      event: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      transactionIndex: log.transactionIndex,
+      logIndex: log.index,
+      args: normalizeArgs(parsed.name, parsed.args),
+    });
+  }
+
+  return events.sort(byPosition);
+}
+
+/**
+ * Apply an event to the per-token view
+ *
+ * @param {Object} tokens - Token ID to { owner, reveal }
+ * @param {Object} event - Event record
+ */
+function applyToTokens(tokens, { event, args, transactionHash, blockNumber }) {
+  if (event === "Transfer") {
+    tokens[args.tokenId] = { ...tokens[args.tokenId], owner: args.to };
+  } else if (event === "NFTRevealed") {
+    tokens[args.tokenId] = {
+      ...tokens[args.tokenId],
+      reveal: { uri: args.tokenURI, txHash: transactionHash, blockNumber },
+    };
+  }
+}
+
+/**
+ * Store indexed events and advance the cursor in one transaction
+ *
+ * Events in blocks the cursor has passed are already stored and are not
+ * added again.
+ *
+ * @param {Array<Object>} events - Event records from processLogs
+ * @param {number} toBlock - Last block covered by these events
+ * @returns {Promise<number>} Number of events added
+ */
+function storeEvents(events, toBlock) {
+  return dataModel.transactionAsync(() => {
+    const { lastBlock } = dataModel.getIndexerCursor();
+    const added = events
+      .filter((e) => lastBlock === null || e.blockNumber > lastBlock)
+      .sort(byPosition);
+
+    if (added.length > 0) {
+      dataModel.appendChainEvents(added);
+      const tokens = dataModel.getIndexedTokens();
+      added.forEach((e) => applyToTokens(tokens, e));
+      dataModel.saveIndexedTokens(tokens);
+    }
+
+    dataModel.saveIndexerCursor({
+      lastBlock: lastBlock === null ? toBlock : Math.max(lastBlock, toBlock),
+      updatedAt: new Date().toISOString(),
+    });
+    return added.length;
+  });
+}
+
+/**
+ * Fetch and decode the contract's events in a block range without storing them
+ *
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @returns {Array<Object>} Event records in chain order
+ */
+async function fetchEvents(fromBlock, toBlock) {
+  const contractAddress = contractConfig.contract.target;
+  const batchSize = indexerConfig.getIndexerBatchSize();
+
+  let events = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const logs = await contractConfig.provider.getLogs({
+      address: contractAddress,
+      fromBlock: from,
+      toBlock: Math.min(from + batchSize - 1, toBlock),
+    });
+    events = events.concat(processLogs(logs, contractAddress));
+  }
+  return events;
+}
+
+/**
+ * Index every new confirmed block since the cursor
+ *
+ * Requests logs in ranges of INDEXER_BATCH_SIZE blocks and stores each
+ * range before requesting the next.
+ *
+ * @returns {Object} Block range indexed and number of events added
+ */
+async function syncOnce() {
+  if (syncing) return { skipped: true };
+  syncing = true;
+
+  try {
+    const contractAddress = contractConfig.contract.target;
+    const batchSize = indexerConfig.getIndexerBatchSize();
+    const head =
+      (await contractConfig.provider.getBlockNumber()) -
+      indexerConfig.getIndexerConfirmations();
+
+    const cursor = dataModel.getIndexerCursor();
+    const fromBlock =
+      cursor.lastBlock === null
+        ? indexerConfig.getIndexerStartBlock()
+        : cursor.lastBlock + 1;
+
+    let eventsAdded = 0;
+    for (let from = fromBlock; from <= head; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, head);
+      const logs = await contractConfig.provider.getLogs({
+        address: contractAddress,
+        fromBlock: from,
+        toBlock: to,
+      });
+      eventsAdded += await storeEvents(processLogs(logs, contractAddress), to);
+    }
+
+    lastSyncAt = new Date().toISOString();
+    lastError = null;
+    if (eventsAdded > 0) {
+      console.log(`Indexed ${eventsAdded} contract events up to block ${head}`);
+    }
+    return { fromBlock, toBlock: Math.max(head, fromBlock - 1), eventsAdded };
+  } catch (error) {
+    lastError = error.message;
+    throw error;
+  } finally {
+    syncing = false;
+  }
+}
+
+/**
+ * Starts following the chain if the indexer is enabled
+ *
+ * @param {number} intervalSeconds - Time between syncs
+ */
+function scheduleIndexer(
+  intervalSeconds = indexerConfig.getIndexerPollSeconds()
+) {
+  if (!indexerConfig.isIndexerEnabled()) {
+    console.log("Event indexer disabled (set INDEXER_ENABLED=true to enable)");
+    return;
+  }
+
+  const run = () =>
+    syncOnce().catch((error) => {
+      console.error("Error indexing contract events:", error.message);
+    });
+
+  run();
+  setInterval(run, intervalSeconds * 1000);
+
+  console.log(`Scheduled event indexing every ${intervalSeconds} seconds`);
+}
+
+/**
+ * Get the indexer's progress
+ *
+ * @returns {Object} Configuration, cursor and last sync result
+ */
+function getStatus() {
+  const cursor = dataModel.getIndexerCursor();
+  return {
+    enabled: indexerConfig.isIndexerEnabled(),
+    startBlock: indexerConfig.getIndexerStartBlock(),
+    lastBlock: cursor.lastBlock,
+    updatedAt: cursor.updatedAt,
+    eventCount: dataModel.getChainEvents().length,
+    syncing,
+    lastSyncAt,
+    lastError,
+  };
+}
+
+/**
+ * List indexed events, oldest first
+ *
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.event - Only events with this name
+ * @param {number} filters.tokenId - Only events that involve this token
+ * @returns {Array<Object>} Event records
+ */
+function getEvents({ event, tokenId } = {}) {
+  return dataModel.getChainEvents().filter((e) => {
+    if (event && e.event !== event) return false;
+    if (tokenId === undefined) return true;
+    return (
+      e.args.tokenId === tokenId || (e.args.tokenIds || []).includes(tokenId)
+    );
+  });
+}
+
+/**
+ * Current owner of every token seen in a Transfer event
+ *
+ * @returns {Map<number, string>} Token ID to lowercase owner address
+ */
+function getTokenOwners() {
+  const owners = new Map();
+  Object.entries(dataModel.getIndexedTokens()).forEach(([tokenId, token]) => {
+    if (token.owner) owners.set(Number(tokenId), token.owner);
+  });
+  return owners;
+}
+
+/**
+ * Reveals seen on chain, from NFTRevealed events
+ *
+ * @returns {Object} Token ID to { uri, txHash, blockNumber }
+ */
+function getOnChainReveals() {
+  const reveals = {};
+  Object.entries(dataModel.getIndexedTokens()).forEach(([tokenId, token]) => {
+    if (token.reveal) reveals[tokenId] = token.reveal;
+  });
+  return reveals;
+}
+
+/**
+ * Root index assigned by a mint transaction, from its MerkleSetAdded event
+ *
+ * @param {string} txHash - Mint transaction hash
+ * @returns {number|null} Root index, or null if not indexed
+ */
+function getRootIndexForTx(txHash) {
+  if (!txHash) return null;
+  const event = getEvents({ event: "MerkleSetAdded" }).find(
+    (e) => e.transactionHash.toLowerCase() === txHash.toLowerCase()
+  );
+  return event ? event.args.rootIndex : null;
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  processLogs,
+  storeEvents,
+  fetchEvents,
+  syncOnce,
+  scheduleIndexer,
+  getStatus,
+  getEvents,
+  getTokenOwners,
+  getOnChainReveals,
+  getRootIndexForTx,
+};
@@ -0,0 +1,396 @@
+const dataModel = require("../models/data");
+const nftModel = require("../models/nft");
+const contractConfig = require("../config/contract");
+const merkleConfig = require("../config/merkle");
+const chainClock = require("./chainClock");
+const migrationService = require("./migrations");
+const reports = require("./reports");
+
+/**
+ * Data integrity checker (fsck)
+ *
+ * Cross-checks minted ranges, batches, token URIs and Merkle roots and lists
+ * every inconsistency as an issue with a stable `type`. Only repairs that
+ * can't lose information are ever applied:
+ *
+ * - dropping a minted range or batch that is an exact copy of another
+ * - raising `lastTokenId` to the highest minted token ID, so those IDs are
+ *   not handed out again
+ *
+ * Everything else (overlaps, orphaned batches, missing URIs, wrong roots)
+ * needs a person, or recovery from the chain, to decide which copy is right.
+ */
+
+/**
+ * Key identifying a batch by owner, range and root
+ *
+ * @param {Object} batch - Stored batch
+ * @returns {string} Batch key
+ */
+function batchKey(batch) {
+  return `${batch.user}:${batch.tokenIdRange.join(",")}:${batch.merkleRoot}`;
+}
+
+/**
+ * Last token ID of a [startId, count] range
+ *
+ * @param {Array<number>} range - [startId, count]
+ * @returns {number} Last token ID
+ */
+function rangeEnd([startId, count]) {
+  return startId + count - 1;
+}
+
+/**
+ * Check that a range is a positive run of integer token IDs
+ *
+ * @param {Array<number>} range - [startId, count]
+ * @returns {boolean} True if the range is well-formed
+ */
+function isValidRange(range) {
+  return (
+    Array.isArray(range) &&
+    range.length === 2 &&
+    Number.isInteger(range[0]) &&
+    Number.isInteger(range[1]) &&
+    range[0] >= 1 &&
+    range[1] >= 1
+  );
+}
+
+/**
+ * Current time for reveal windows
+ *
+ * Uses chain time like cleanup does. If the node can't be reached the server
+ * clock is used instead, so the checker still runs offline.
+ *
+ * @returns {Object} { now, clock } where clock is "chain" or "server"
+ */
+async function getCheckTime() {
+  try {
+    return { now: await chainClock.getChainTime(), clock: "chain" };
+  } catch (error) {
+    return { now: Math.floor(Date.now() / 1000), clock: "server" };
+  }
+}
+
+/**
+ * Check minted ranges for malformed, duplicate and overlapping entries
+ *
+ * @param {Object} mintedData - Minted NFT data
+ * @param {Array<Object>} issues - Issues found so far (appended to)
+ */
+function checkMintedRanges(mintedData, issues) {
+  const ranges = [];
+
+  Object.entries(mintedData.users).forEach(([user, userRanges]) => {
+    const seen = new Set();
+    userRanges.forEach((range) => {
+      if (!isValidRange(range)) {
+        issues.push({
+          type: "invalid-range",
+          severity: "error",
+          user,
+          range,
+          fixable: false,
+        });
+        return;
+      }
+
+      const key = range.join(",");
+      if (seen.has(key)) {
+        issues.push({
+          type: "duplicate-range",
+          severity: "warning",
+          user,
+          range,
+          fixable: true,
+        });
+        return;
+      }
+      seen.add(key);
+      ranges.push({ user, range });
+    });
+  });
+
+  // Sorted by start ID, a range overlaps an earlier one if it starts at or
+  // before the furthest end seen so far
+  ranges.sort((a, b) => a.range[0] - b.range[0]);
+  let furthest = null;
+  ranges.forEach((current) => {
+    if (furthest && current.range[0] <= rangeEnd(furthest.range)) {
+      issues.push({
+        type: "overlapping-range",
+        severity: "error",
+        user: current.user,
+        range: current.range,
+        overlapsWith: { user: furthest.user, range: furthest.range },
+        fixable: false,
+      });
+    }
+    if (!furthest || rangeEnd(current.range) > rangeEnd(furthest.range)) {
+      furthest = current;
+    }
+  });
+
+  const highest = ranges.reduce(
+    (max, { range }) => Math.max(max, rangeEnd(range)),
+    0
+  );
+  if (highest > mintedData.lastTokenId) {
+    issues.push({
+      type: "token-id-above-last",
+      severity: "error",
+      lastTokenId: mintedData.lastTokenId,
+      highestTokenId: highest,
+      fixable: true,
+    });
+  }
+}
+
+/**
+ * Check batches against minted ranges, token URIs and their Merkle roots
+ *
+ * @param {Object} data - { mintedData, batches, tokenURIs }
+ * @param {Object} window - { revealThreshold, now }
+ * @param {Array<Object>} issues - Issues found so far (appended to)
+ * @returns {number} Number of live (not expired) batches
+ */
+function checkBatches(
+  { mintedData, batches, tokenURIs },
+  { revealThreshold, now },
+  issues
+) {
+  const seen = new Map();
+  let liveBatches = 0;
+
+  batches.forEach((batch, index) => {
+    const { user, tokenIdRange } = batch;
+    if (!isValidRange(tokenIdRange)) {
+      issues.push({
+        type: "invalid-range",
+        severity: "error",
+        batchIndex: index,
+        user,
+        range: tokenIdRange,
+        fixable: false,
+      });
+      return;
+    }
+
+    // 1. Copies of an earlier batch
+    const key = batchKey(batch);
+    if (seen.has(key)) {
+      const original = batches[seen.get(key)];
+      const identical = JSON.stringify(original) === JSON.stringify(batch);
+      issues.push({
+        type: "duplicate-batch",
+        severity: "warning",
+        batchIndex: index,
+        duplicateOf: seen.get(key),
+        user,
+        range: tokenIdRange,
+        fixable: identical, // Copies with differing fields need a person
+      });
+      return;
+    }
+    seen.set(key, index);
+
+    // 2. The batch's tokens must have been minted to its user
+    const userRanges = mintedData.users[user] || [];
+    const covered = userRanges.some(
+      (range) =>
+        isValidRange(range) &&
+        tokenIdRange[0] >= range[0] &&
+        rangeEnd(tokenIdRange) <= rangeEnd(range)
+    );
+    if (!covered) {
+      issues.push({
+        type: "batch-without-range",
+        severity: "error",
+        batchIndex: index,
+        user,
+        range: tokenIdRange,
+        fixable: false,
+      });
+    }
+
+    if (rangeEnd(tokenIdRange) > mintedData.lastTokenId) {
+      issues.push({
+        type: "token-id-above-last",
+        severity: "error",
+        batchIndex: index,
+        lastTokenId: mintedData.lastTokenId,
+        highestTokenId: rangeEnd(tokenIdRange),
+        fixable: false, // Raising lastTokenId is reported for minted ranges
+      });
+    }
+
+    // Expired batches are cleanup's business; only live ones need URIs
+    if (chainClock.getRevealWindow(batch, revealThreshold, now).expired) {
+      return;
+    }
+    liveBatches++;
+
+    // 3. Every token of a live batch needs its URI to be revealed
+    const missing = [];
+    for (let i = 0; i < tokenIdRange[1]; i++) {
+      if (!tokenURIs[tokenIdRange[0] + i]) missing.push(tokenIdRange[0] + i);
+    }
+    if (missing.length > 0) {
+      issues.push({
+        type: "missing-token-uri",
+        severity: "error",
+        batchIndex: index,
+        user,
+        tokenIds: missing,
+        fixable: false,
+      });
+      return; // The root can't be recomputed without them
+    }
+
+    // 4. The stored URIs must rebuild the stored root
+    const leafEncoding =
+      batch.leafEncoding || merkleConfig.LEGACY_LEAF_ENCODING;
+    const { tree } = nftModel.buildMerkleTree(
+      tokenIdRange[0],
+      tokenIdRange[1],
+      tokenURIs,
+      leafEncoding
+    );
+    if (tree.getHexRoot() !== batch.merkleRoot.toLowerCase()) {
+      issues.push({
+        type: "merkle-root-mismatch",
+        severity: "error",
+        batchIndex: index,
+        user,
+        range: tokenIdRange,
+        leafEncoding,
+        storedRoot: batch.merkleRoot,
+        computedRoot: tree.getHexRoot(),
+        fixable: false,
+      });
+    }
+  });
+
+  return liveBatches;
+}
+
+/**
+ * Apply the safe repairs for the fixable issues found
+ *
+ * Re-reads the data inside the transaction so concurrent writes since the
+ * check are not lost.
+ *
+ * @returns {Array<Object>} Repairs made ({ type, ...details })
+ */
+function applySafeFixes() {
+  return dataModel.transaction(() => {
+    const fixed = [];
+    const mintedData = dataModel.getMintedNFTData();
+    const batches = dataModel.getBatches();
+
+    // Exact duplicate ranges per user
+    Object.entries(mintedData.users).forEach(([user, ranges]) => {
+      const seen = new Set();
+      mintedData.users[user] = ranges.filter((range) => {
+        const key = JSON.stringify(range);
+        if (!seen.has(key)) {
+          seen.add(key);
+          return true;
+        }
+        fixed.push({ type: "duplicate-range", user, range });
+        return false;
+      });
+    });
+
+    // lastTokenId must cover every minted ID
+    const highest = Object.values(mintedData.users)
+      .flat()
+      .filter(isValidRange)
+      .reduce((max, range) => Math.max(max, rangeEnd(range)), 0);
+    if (highest > mintedData.lastTokenId) {
+      fixed.push({
+        type: "token-id-above-last",
+        from: mintedData.lastTokenId,
+        to: highest,
+      });
+      mintedData.lastTokenId = highest;
+    }
+
+    // Exact duplicate batches
+    const seenBatches = new Set();
+    const keptBatches = batches.filter((batch) => {
+      const key = JSON.stringify(batch);
+      if (!seenBatches.has(key)) {
+        seenBatches.add(key);
+        return true;
+      }
+      fixed.push({
+        type: "duplicate-batch",
+        user: batch.user,
+        range: batch.tokenIdRange,
+      });
+      return false;
+    });
+
+    if (fixed.some((f) => f.type !== "duplicate-batch")) {
+      dataModel.saveMintedNFTData(mintedData);
+    }
+    if (keptBatches.length !== batches.length) {
+      dataModel.saveBatches(keptBatches);
+    }
+    return fixed;
+  });
+}
+
+/**
+ * Check minted ranges, batches, token URIs and Merkle roots
+ *
+ * @param {Object} options - Check options
+ * @param {boolean} options.fix - Back up the data and apply safe repairs
+ * @returns {Object} Integrity report (also written to data/reports/)
+ */
+async function checkIntegrity({ fix = false } = {}) {
+  const revealThreshold = await contractConfig.getRevealThreshold();
+  const { now, clock } = await getCheckTime();
+
+  const data = {
+    mintedData: dataModel.getMintedNFTData(),
+    batches: dataModel.getBatches(),
+    tokenURIs: dataModel.getTokenURIs(),
+  };
+
+  const issues = [];
+  checkMintedRanges(data.mintedData, issues);
+  const liveBatches = checkBatches(data, { revealThreshold, now }, issues);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    ok: issues.length === 0,
+    clock,
+    checked: {
+      users: Object.keys(data.mintedData.users).length,
+      lastTokenId: data.mintedData.lastTokenId,
+      batches: data.batches.length,
+      liveBatches,
+      tokenURIs: Object.keys(data.tokenURIs).length,
+    },
+    issues,
+    backupDir: null,
+    fixed: [],
+  };
+
+  if (fix && issues.some((issue) => issue.fixable)) {
+    report.backupDir = migrationService.backupData("fsck");
+    report.fixed = applySafeFixes();
+    console.log(`Integrity check repaired ${report.fixed.length} issues`);
+  }
+
+  report.reportFile = reports.writeReport("fsck", report);
+  return report;
+}
+
+module.exports = {
+  checkIntegrity,
+};
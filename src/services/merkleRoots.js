@@ -0,0 +1,168 @@
+const { ethers } = require("ethers");
+const dataModel = require("../models/data");
+const contractConfig = require("../config/contract");
+const { contractABI } = require("../config/abi");
+const indexer = require("./indexer");
+
+/**
+ * On-chain Merkle root indexes
+ *
+ * The contract stores every mint's root in `merkleRoots[]` and reveals
+ * address it by position. That position is reported by the MerkleSetAdded
+ * event and stored on each batch as `rootIndex`; it has nothing to do with
+ * the batch's position in local data, which shrinks as cleanup runs.
+ */
+
+const contractInterface = new ethers.Interface(contractABI);
+
+/**
+ * Root index assigned by a mint transaction, read from its MerkleSetAdded log
+ *
+ * @param {Object} receipt - Transaction receipt
+ * @param {string} contractAddress - MerkleNFT contract address
+ * @returns {number|null} Root index, or null if the log is missing
+ */
+function rootIndexFromReceipt(receipt, contractAddress) {
+  for (const log of receipt.logs || []) {
+    if (log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+
+    let parsed;
+    try {
+      parsed = contractInterface.parseLog(log);
+    } catch (error) {
+      continue; // Not an event we know about
+    }
+    if (parsed && parsed.name === "MerkleSetAdded") {
+      return Number(parsed.args.rootIndex);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a batch already knows its on-chain root index
+ *
+ * @param {Object} batch - Stored batch
+ * @returns {boolean} True if the batch has a root index
+ */
+function hasRootIndex(batch) {
+  return Number.isInteger(batch.rootIndex);
+}
+
+/**
+ * Read every root stored by the contract
+ *
+ * `merkleRoots` has no length getter, so indexes are read in order until
+ * the call reverts past the end of the array.
+ *
+ * @returns {Array<string>} Lowercase roots in contract order
+ */
+async function readOnChainRoots() {
+  const roots = [];
+  for (let i = 0; ; i++) {
+    try {
+      const root = await contractConfig.contract.merkleRoots(i);
+      roots.push(root.toLowerCase());
+    } catch (error) {
+      if (error.code === "CALL_EXCEPTION") break; // Past the last root
+      throw error;
+    }
+  }
+  return roots;
+}
+
+/**
+ * Resolve root indexes for stored batches that do not have one
+ *
+ * Batches recorded before root indexes were tracked are matched against
+ * `merkleRoots(i)` on the contract by root.
+ *
+ * @returns {Object} Report with the number of roots scanned, batches
+ *   resolved, and the roots that could not be found on chain
+ */
+async function backfillRootIndexes() {
+  const missing = dataModel.getBatches().filter((b) => !hasRootIndex(b));
+  if (missing.length === 0) {
+    return { scanned: 0, resolved: 0, unresolved: [] };
+  }
+
+  console.log(`Resolving on-chain root indexes for ${missing.length} batches`);
+  const roots = await readOnChainRoots();
+
+  return dataModel.transactionAsync(() => {
+    const batches = dataModel.getBatches();
+    let resolved = 0;
+    const unresolved = [];
+
+    batches.forEach((batch) => {
+      if (hasRootIndex(batch)) return;
+      const rootIndex = roots.indexOf(batch.merkleRoot.toLowerCase());
+      if (rootIndex === -1) {
+        unresolved.push(batch.merkleRoot);
+        return;
+      }
+      batch.rootIndex = rootIndex;
+      resolved++;
+    });
+
+    if (resolved > 0) dataModel.saveBatches(batches);
+    if (unresolved.length > 0) {
+      console.warn(
+        `No on-chain root found for ${
+          unresolved.length
+        } batches: ${unresolved.join(", ")}`
+      );
+    }
+
+    return { scanned: roots.length, resolved, unresolved };
+  });
+}
+
+/**
+ * Get a batch's on-chain root index, backfilling it if it is missing
+ *
+ * The event index is consulted first, since it answers without reading
+ * the contract's roots one by one.
+ *
+ * @param {Object} batch - Stored batch
+ * @param {Object} options - Resolve options
+ * @param {boolean} options.persist - Store the index found on the batch
+ *   (false for dry runs, which must not write)
+ * @returns {number|null} Root index, or null if the root is not on chain
+ */
+async function resolveRootIndex(batch, { persist = true } = {}) {
+  if (hasRootIndex(batch)) return batch.rootIndex;
+
+  const indexedRootIndex = indexer.getRootIndexForTx(batch.txHash);
+  if (indexedRootIndex !== null && !persist) return indexedRootIndex;
+  if (indexedRootIndex !== null) {
+    await dataModel.transactionAsync(() => {
+      const batches = dataModel.getBatches();
+      const stored = batches.find((b) => b.merkleRoot === batch.merkleRoot);
+      if (stored) {
+        stored.rootIndex = indexedRootIndex;
+        dataModel.saveBatches(batches);
+      }
+    });
+    return indexedRootIndex;
+  }
+
+  if (!persist) {
+    const rootIndex = (await readOnChainRoots()).indexOf(
+      batch.merkleRoot.toLowerCase()
+    );
+    return rootIndex === -1 ? null : rootIndex;
+  }
+
+  await backfillRootIndexes();
+  const updated = dataModel
+    .getBatches()
+    .find((b) => b.merkleRoot === batch.merkleRoot);
+  return updated && hasRootIndex(updated) ? updated.rootIndex : null;
+}
+
+module.exports = {
+  rootIndexFromReceipt,
+  backfillRootIndexes,
+  resolveRootIndex,
+};
@@ -0,0 +1,171 @@
+const fs = require("fs");
+const path = require("path");
+const paths = require("../config/paths");
+const dataModel = require("../models/data");
+const { collections } = require("../models/storage/collections");
+const { loadMigrations } = require("../migrations");
+
+/**
+ * Get the schema version currently stamped in the data directory
+ * @returns {number} Schema version (0 for data that predates versioning)
+ */
+function getSchemaVersion() {
+  return dataModel.readCollection("schemaVersion").version || 0;
+}
+
+/**
+ * Get the latest schema version this release knows how to produce
+ * @returns {number} Latest migration version
+ */
+function getLatestVersion() {
+  const migrations = loadMigrations();
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Lists migrations that have not been applied to the data directory yet
+ *
+ * @returns {Array<Object>} Pending migrations in the order they will run
+ */
+function getPendingMigrations() {
+  const current = getSchemaVersion();
+  return loadMigrations().filter((migration) => migration.version > current);
+}
+
+/**
+ * Creates a store that records writes in memory instead of persisting them
+ *
+ * Reads return earlier staged writes, so a chain of migrations behaves
+ * exactly as it would for real.
+ *
+ * @returns {Object} Store with read and write methods
+ */
+function createDryRunStore() {
+  const staged = {};
+  return {
+    read: (name) =>
+      JSON.parse(
+        JSON.stringify(
+          name in staged ? staged[name] : dataModel.readCollection(name)
+        )
+      ),
+    write: (name, data) => {
+      staged[name] = data;
+    },
+  };
+}
+
+/**
+ * Snapshots every collection before migrating or recovering
+ *
+ * Collections are written as JSON regardless of the storage adapter, so a
+ * backup can be inspected or restored by hand. A JSON file that can't be
+ * read is copied as it is.
+ *
+ * @param {string} label - Suffix for the backup directory name
+ * @returns {string} Path of the backup directory
+ */
+function backupData(label) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const backupDir = path.join(paths.BACKUPS_DIR, `${stamp}-${label}`);
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  Object.entries(collections).forEach(([name, { file }]) => {
+    const backupFile = path.join(backupDir, path.basename(file));
+    try {
+      dataModel.writeJSON(backupFile, dataModel.readCollection(name));
+    } catch (error) {
+      if (!fs.existsSync(file)) throw error;
+      fs.copyFileSync(file, backupFile);
+    }
+  });
+
+  return backupDir;
+}
+
+/**
+ * Applies all pending migrations in order
+ *
+ * A backup is taken first. Each migration runs under the data lock and
+ * stamps the new schema version as soon as it succeeds; a migration that
+ * throws is not stamped, so it can be fixed and re-run or the backup
+ * restored. In dry-run mode nothing is written and no backup is taken.
+ *
+ * @param {Object} options - Runner options
+ * @param {boolean} options.dryRun - Report changes without writing them
+ * @returns {Object} Versions before and after, backup path and per-migration changes
+ */
+function runMigrations({ dryRun = false } = {}) {
+  const fromVersion = getSchemaVersion();
+  const latestVersion = getLatestVersion();
+
+  if (fromVersion > latestVersion) {
+    throw new Error(
+      `Data schema version ${fromVersion} is newer than this release supports (${latestVersion})`
+    );
+  }
+
+  const pending = getPendingMigrations();
+  const result = {
+    dryRun,
+    fromVersion,
+    toVersion: fromVersion,
+    backupDir: null,
+    migrations: [],
+  };
+
+  if (pending.length === 0) return result;
+
+  if (dryRun) {
+    const store = createDryRunStore();
+    pending.forEach((migration) => {
+      result.migrations.push({
+        version: migration.version,
+        name: migration.name,
+        changes: migration.up(store),
+      });
+      result.toVersion = migration.version;
+    });
+    return result;
+  }
+
+  result.backupDir = backupData(`v${fromVersion}`);
+
+  pending.forEach((migration) => {
+    dataModel.transaction(() => {
+      const changes = migration.up({
+        read: dataModel.readCollection,
+        write: dataModel.writeCollection,
+      });
+
+      const schema = dataModel.readCollection("schemaVersion");
+      schema.version = migration.version;
+      schema.history = schema.history || [];
+      schema.history.push({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: new Date().toISOString(),
+        changeCount: changes.length,
+      });
+      dataModel.writeCollection("schemaVersion", schema);
+
+      result.migrations.push({
+        version: migration.version,
+        name: migration.name,
+        changes,
+      });
+      result.toVersion = migration.version;
+    });
+    console.log(`Applied migration ${migration.version} (${migration.name})`);
+  });
+
+  return result;
+}
+
+module.exports = {
+  getSchemaVersion,
+  getLatestVersion,
+  getPendingMigrations,
+  runMigrations,
+  backupData,
+};
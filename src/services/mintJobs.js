@@ -0,0 +1,551 @@
+const crypto = require("crypto");
+const dataModel = require("../models/data");
+const contractConfig = require("../config/contract");
+const nftModel = require("../models/nft");
+const profiles = require("../models/profiles");
+const txSender = require("./txSender");
+const tokenReservations = require("./tokenReservations");
+const merkleRoots = require("./merkleRoots");
+const chainClock = require("./chainClock");
+const balanceMonitor = require("./balanceMonitor");
+
+/**
+ * Mint job lifecycle
+ *
+ * pending    → job recorded with its reserved token range, URIs and root
+ * submitted  → mint transaction sent, hash saved before waiting
+ * confirmed  → transaction mined successfully
+ * persisted  → range, batch and token URIs written to local data
+ * failed     → gave up after the maximum number of attempts
+ */
+const JOB_STATUS = {
+  PENDING: "pending",
+  SUBMITTED: "submitted",
+  CONFIRMED: "confirmed",
+  PERSISTED: "persisted",
+  FAILED: "failed",
+};
+
+const FINAL_STATUSES = [JOB_STATUS.PERSISTED, JOB_STATUS.FAILED];
+
+// Transaction fields of a job going back to pending to be sent again
+const NOT_SENT = { txHash: null, nonce: null, sentHashes: [] };
+
+// Jobs currently being driven by this process
+const inFlight = new Set();
+
+/**
+ * Apply changes to a stored job under the data lock
+ *
+ * @param {string} jobId - Job identifier
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} The updated job
+ */
+function updateJob(jobId, changes) {
+  return dataModel.transactionAsync(() => {
+    const jobs = dataModel.getMintJobs();
+    jobs[jobId] = {
+      ...jobs[jobId],
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    };
+    dataModel.saveMintJobs(jobs);
+    return jobs[jobId];
+  });
+}
+
+/**
+ * Builds a new job on the next free token range
+ *
+ * @param {Object} jobs - Existing mint jobs keyed by ID
+ * @param {string} user - Recipient address (lowercase)
+ * @param {Array<string>} uriList - URIs for the new tokens, in order
+ * @returns {Object} The job, not yet stored
+ */
+function buildJob(jobs, user, uriList) {
+  const startTokenId = tokenReservations.nextFreeTokenId(
+    dataModel.getMintedNFTData(),
+    jobs
+  );
+  const { tokenURIs, merkleRoot, leafEncoding } = nftModel.buildBatch(
+    startTokenId,
+    uriList
+  );
+
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    user,
+    quantity: uriList.length,
+    startTokenId,
+    endTokenId: startTokenId + uriList.length - 1,
+    tokenURIs,
+    merkleRoot,
+    leafEncoding,
+    status: JOB_STATUS.PENDING,
+    txHash: null,
+    nonce: null,
+    sentHashes: [],
+    blockNumber: null,
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Records a new mint job before anything is sent to the chain
+ *
+ * The job's token range is reserved in the same locked transaction that
+ * stores it, so concurrent mints always get disjoint ranges.
+ *
+ * @param {Object} params - Job parameters
+ * @param {string} params.user - Recipient address (lowercase)
+ * @param {Array<string>} params.uriList - URIs for the new tokens, in order
+ * @returns {Object} The stored job
+ */
+function createJob({ user, uriList }) {
+  return dataModel.transaction(() => {
+    const jobs = dataModel.getMintJobs();
+    const job = buildJob(jobs, user, uriList);
+    jobs[job.id] = job;
+    dataModel.saveMintJobs(jobs);
+    return job;
+  });
+}
+
+/**
+ * Builds the job createJob would record, without recording it
+ *
+ * Used by dry runs. The range is the one a mint would reserve right now;
+ * a later mint may get a different one.
+ *
+ * @param {Object} params - Job parameters
+ * @param {string} params.user - Recipient address (lowercase)
+ * @param {Array<string>} params.uriList - URIs for the new tokens, in order
+ * @returns {Object} The job, not stored
+ */
+function previewJob({ user, uriList }) {
+  return buildJob(dataModel.getMintJobs(), user, uriList);
+}
+
+/**
+ * Moves a job's reservation to the range the chain will assign next
+ *
+ * Called from the transaction queue right before the mint is sent. If an
+ * earlier mint failed or was retried, the provisional range no longer
+ * matches the contract's counter, so the URIs are shifted onto the new range
+ * and the Merkle root is rebuilt.
+ *
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object>} The job with an aligned range
+ */
+function alignReservation(jobId) {
+  return dataModel.transactionAsync(() => {
+    const jobs = dataModel.getMintJobs();
+    const job = jobs[jobId];
+    const expectedStart = tokenReservations.nextChainTokenId(
+      dataModel.getMintedNFTData(),
+      jobs,
+      jobId
+    );
+
+    if (job.startTokenId !== expectedStart) {
+      console.log(
+        `Moving reservation of mint job ${jobId} from token ${job.startTokenId} to ${expectedStart}`
+      );
+      const uriList = Array.from(
+        { length: job.quantity },
+        (_, i) => job.tokenURIs[job.startTokenId + i]
+      );
+      const { tokenURIs, merkleRoot } = nftModel.buildBatch(
+        expectedStart,
+        uriList,
+        job.leafEncoding
+      );
+
+      Object.assign(job, {
+        startTokenId: expectedStart,
+        endTokenId: expectedStart + job.quantity - 1,
+        tokenURIs,
+        merkleRoot,
+        updatedAt: new Date().toISOString(),
+      });
+      dataModel.saveMintJobs(jobs);
+    }
+
+    return job;
+  });
+}
+
+/**
+ * Writes a confirmed job's range, batch and token URIs to local data
+ *
+ * Safe to run more than once: a job whose range is already recorded for
+ * the user is not added again. If the chain assigned different token IDs
+ * than were reserved, the committed Merkle root cannot prove them, so only
+ * the ownership range is recorded and no batch is stored for reveals.
+ *
+ * @param {Object} job - Confirmed mint job
+ * @returns {Promise<void>} Resolves once the job's data is written
+ */
+function persistJob(job) {
+  const [startId, count] = job.mintedRange;
+
+  return dataModel.transactionAsync(() => {
+    // 1. Update minted NFTs data
+    const mintedData = dataModel.getMintedNFTData();
+    if (!mintedData.users[job.user]) {
+      mintedData.users[job.user] = [];
+    }
+
+    const alreadyStored = mintedData.users[job.user].some(
+      ([rangeStart, rangeCount]) =>
+        rangeStart === startId && rangeCount === count
+    );
+    if (alreadyStored) return;
+
+    // Add the new range to the user's tokens
+    mintedData.users[job.user].push([startId, count]);
+    mintedData.lastTokenId = Math.max(
+      mintedData.lastTokenId,
+      startId + count - 1
+    );
+    dataModel.saveMintedNFTData(mintedData);
+    profiles.recordMint(job.user, count);
+
+    if (job.rangeMismatch) {
+      console.error(
+        `Mint job ${job.id}: chain assigned tokens [${startId}, ${count}] but [${job.startTokenId}, ${job.quantity}] were reserved; these tokens cannot be revealed`
+      );
+      return;
+    }
+
+    // 2. Add batch data with the mined block's timestamp and number
+    const batches = dataModel.getBatches();
+    batches.push({
+      user: job.user,
+      tokenIdRange: [startId, count],
+      merkleRoot: job.merkleRoot,
+      rootIndex: job.rootIndex, // Position in the contract's merkleRoots
+      leafEncoding: job.leafEncoding,
+      timestamp: job.mintTimestamp,
+      blockNumber: job.blockNumber,
+      txHash: job.txHash,
+    });
+
+    // 3. Store the URIs needed to reveal the new tokens
+    const tokenURIs = dataModel.getTokenURIs();
+    Object.assign(tokenURIs, job.tokenURIs);
+
+    // Save updated data
+    dataModel.saveBatches(batches);
+    dataModel.saveTokenURIs(tokenURIs);
+  });
+}
+
+/**
+ * Advances a job by one stage
+ *
+ * @param {Object} job - Job to advance
+ * @returns {Object} The job after the step
+ */
+async function stepJob(job) {
+  switch (job.status) {
+    case JOB_STATUS.PENDING: {
+      let submittedJob;
+      await txSender.sendTransaction(
+        `mint ${job.quantity} to ${job.user}`,
+        "mintWithMerkle",
+        async () => {
+          const aligned = await alignReservation(job.id);
+          return [aligned.merkleRoot, aligned.user, aligned.quantity];
+        },
+        async (tx) => {
+          // Save the hash before waiting so a restart can pick the tx back
+          // up. This runs inside the queue, before the next mint is aligned.
+          submittedJob = await updateJob(job.id, {
+            status: JOB_STATUS.SUBMITTED,
+            txHash: tx.hash,
+            nonce: tx.nonce,
+            sentHashes: [tx.hash],
+            submittedAt: new Date().toISOString(),
+          });
+        }
+      );
+      return submittedJob;
+    }
+
+    case JOB_STATUS.SUBMITTED: {
+      // Sped-up copies can be mined instead; the job follows whichever was.
+      // Their hashes and the nonce are saved so that after a restart the
+      // sender can still tell if the mint was dropped or replaced.
+      const sentHashes = job.sentHashes ? [...job.sentHashes] : [job.txHash];
+      let receipt;
+      try {
+        receipt = await txSender.waitForReceipt(job.txHash, {
+          nonce: job.nonce,
+          hashes: sentHashes,
+          sentAt: Date.parse(job.submittedAt),
+          onReplaced: (hash) => updateJob(job.id, { txHash: hash }),
+          onSpedUp: (hash) => {
+            sentHashes.push(hash);
+            return updateJob(job.id, { sentHashes: [...sentHashes] });
+          },
+        });
+      } catch (error) {
+        // Dropped from the mempool, or its nonce went to another
+        // transaction: nothing was minted, so the mint is sent again at a
+        // free nonce on the next attempt
+        if (error.code === "TX_DROPPED" || error.code === "TX_REPLACED") {
+          await updateJob(job.id, { status: JOB_STATUS.PENDING, ...NOT_SENT });
+        }
+        throw error;
+      }
+      if (receipt.status !== 1) {
+        // Reverted: the tokens were not minted, so the mint is sent again
+        // on the next attempt
+        await updateJob(job.id, { status: JOB_STATUS.PENDING, ...NOT_SENT });
+        throw new Error(`Transaction ${job.txHash} reverted`);
+      }
+
+      // Check the reservation against the token IDs the chain assigned
+      const reservedRange = [job.startTokenId, job.quantity];
+      const mintedIds = tokenReservations.mintedTokenIdsFromReceipt(
+        receipt,
+        contractConfig.contract.target
+      );
+      let mintedRange = tokenReservations.toRange(mintedIds);
+      if (mintedIds.length === 0) {
+        console.warn(
+          `No Transfer logs in receipt of ${job.txHash}, assuming the reserved range`
+        );
+        mintedRange = reservedRange;
+      }
+
+      return updateJob(job.id, {
+        status: JOB_STATUS.CONFIRMED,
+        mintedRange: mintedRange || [mintedIds[0], mintedIds.length],
+        rangeMismatch:
+          !mintedRange ||
+          mintedRange[0] !== reservedRange[0] ||
+          mintedRange[1] !== reservedRange[1],
+        rootIndex: merkleRoots.rootIndexFromReceipt(
+          receipt,
+          contractConfig.contract.target
+        ),
+        blockNumber: receipt.blockNumber,
+        // The contract starts the reveal window at the block's timestamp
+        mintTimestamp: await chainClock.getBlockTimestamp(receipt.blockNumber),
+        confirmedAt: new Date().toISOString(),
+      });
+    }
+
+    case JOB_STATUS.CONFIRMED:
+      await persistJob(job);
+      return updateJob(job.id, {
+        status: JOB_STATUS.PERSISTED,
+        persistedAt: new Date().toISOString(),
+        nextAttemptAt: null,
+      });
+
+    default:
+      return job;
+  }
+}
+
+/**
+ * Drives a job through its remaining stages
+ *
+ * Stops at the first error and schedules a retry with exponential backoff,
+ * or marks the job failed once it has used all its attempts. A job whose
+ * transaction was sent is only retried, never failed, until the transaction
+ * is known to be dropped or replaced.
+ *
+ * @param {string} jobId - Job identifier
+ * @returns {Object} The job in its latest state
+ */
+async function runJob(jobId) {
+  if (inFlight.has(jobId)) {
+    return dataModel.getMintJobs()[jobId];
+  }
+
+  inFlight.add(jobId);
+  let job = dataModel.getMintJobs()[jobId];
+
+  try {
+    while (job && !FINAL_STATUSES.includes(job.status)) {
+      try {
+        job = await stepJob(job);
+      } catch (error) {
+        // Waiting for fees to drop or budget to free up is not a failure
+        if (error.code === "FEE_DEFERRED") {
+          console.warn(`Mint job ${job.id} deferred: ${error.message}`);
+          return await updateJob(job.id, {
+            lastError: error.message,
+            nextAttemptAt: Date.now() + error.retryAfterSeconds * 1000,
+          });
+        }
+
+        // A sent mint can still be mined however long it takes, and its
+        // tokens are counted as taken until then. It stays submitted and
+        // its receipt is polled again, without using up an attempt.
+        const stored = dataModel.getMintJobs()[job.id];
+        if (stored.status === JOB_STATUS.SUBMITTED) {
+          console.warn(
+            `Mint job ${job.id} still waiting for ${stored.txHash}:`,
+            error.message
+          );
+          return await updateJob(job.id, {
+            lastError: error.message,
+            nextAttemptAt:
+              Date.now() + contractConfig.getMintJobRetryBaseSeconds() * 1000,
+          });
+        }
+
+        const attempts = job.attempts + 1;
+        const maxAttempts = contractConfig.getMintJobMaxAttempts();
+        const delaySeconds =
+          contractConfig.getMintJobRetryBaseSeconds() * 2 ** (attempts - 1);
+
+        console.error(
+          `Mint job ${job.id} failed at ${job.status} (attempt ${attempts}/${maxAttempts}):`,
+          error.message
+        );
+
+        return await updateJob(job.id, {
+          attempts,
+          lastError: error.message,
+          ...(attempts >= maxAttempts
+            ? { status: JOB_STATUS.FAILED, nextAttemptAt: null }
+            : { nextAttemptAt: Date.now() + delaySeconds * 1000 }),
+        });
+      }
+    }
+    return job;
+  } finally {
+    inFlight.delete(jobId);
+  }
+}
+
+/**
+ * Resumes every unfinished job whose retry time has come
+ *
+ * Called on startup to recover jobs interrupted by a crash, and periodically
+ * to retry jobs that failed with a transient error.
+ *
+ * @returns {number} Number of jobs resumed
+ */
+async function resumeJobs() {
+  const now = Date.now();
+  // Without funds for gas, unsent mints would only use up their attempts
+  const paused = balanceMonitor.isMintingPaused();
+  const due = Object.values(dataModel.getMintJobs()).filter(
+    (job) =>
+      !FINAL_STATUSES.includes(job.status) &&
+      !inFlight.has(job.id) &&
+      !(paused && job.status === JOB_STATUS.PENDING) &&
+      (!job.nextAttemptAt || job.nextAttemptAt <= now)
+  );
+
+  for (const job of due) {
+    console.log(`Resuming mint job ${job.id} (${job.status})`);
+    await runJob(job.id);
+  }
+
+  return due.length;
+}
+
+/**
+ * Removes finished jobs older than the retention period
+ *
+ * @returns {Promise<number>} Number of jobs removed
+ */
+function pruneJobs() {
+  const cutoff =
+    Date.now() - contractConfig.getMintJobRetentionHours() * 60 * 60 * 1000;
+
+  return dataModel.transactionAsync(() => {
+    const jobs = dataModel.getMintJobs();
+    let removed = 0;
+
+    for (const [id, job] of Object.entries(jobs)) {
+      if (
+        FINAL_STATUSES.includes(job.status) &&
+        new Date(job.updatedAt).getTime() < cutoff
+      ) {
+        delete jobs[id];
+        removed++;
+      }
+    }
+
+    if (removed > 0) dataModel.saveMintJobs(jobs);
+    return removed;
+  });
+}
+
+/**
+ * Lists jobs, newest first, without their per-token URI maps
+ *
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.status - Only jobs in this status
+ * @param {string} filters.address - Only jobs for this recipient
+ * @returns {Array<Object>} Job summaries
+ */
+function listJobs({ status, address } = {}) {
+  return Object.values(dataModel.getMintJobs())
+    .filter((job) => !status || job.status === status)
+    .filter((job) => !address || job.user === address.toLowerCase())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ tokenURIs, ...summary }) => summary);
+}
+
+/**
+ * Get a single job summary
+ *
+ * @param {string} jobId - Job identifier
+ * @returns {Object|null} Job summary, or null if unknown
+ */
+function getJob(jobId) {
+  const job = dataModel.getMintJobs()[jobId];
+  if (!job) return null;
+  const { tokenURIs, ...summary } = job;
+  return summary;
+}
+
+/**
+ * Starts the background loop that resumes and prunes mint jobs
+ *
+ * @param {number} intervalSeconds - Time between retry sweeps
+ */
+function scheduleJobRetries(intervalSeconds = 30) {
+  // Pick up jobs interrupted by a restart right away
+  resumeJobs().catch((error) => {
+    console.error("Error resuming mint jobs:", error);
+  });
+
+  setInterval(() => {
+    pruneJobs().catch((error) => {
+      console.error("Error pruning mint jobs:", error);
+    });
+    resumeJobs().catch((error) => {
+      console.error("Error resuming mint jobs:", error);
+    });
+  }, intervalSeconds * 1000);
+
+  console.log(`Scheduled mint job retries every ${intervalSeconds} seconds`);
+}
+
+module.exports = {
+  JOB_STATUS,
+  createJob,
+  previewJob,
+  runJob,
+  resumeJobs,
+  pruneJobs,
+  listJobs,
+  getJob,
+  scheduleJobRetries,
+};
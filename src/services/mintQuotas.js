@@ -0,0 +1,116 @@
+const dataModel = require("../models/data");
+const profiles = require("../models/profiles");
+const quotaConfig = require("../config/quotas");
+const mintJobs = require("./mintJobs");
+
+/**
+ * Per-address mint quotas
+ *
+ * An address may receive at most MINT_QUOTA_HOURLY tokens in any rolling
+ * hour, MINT_QUOTA_DAILY in any rolling day and MINT_QUOTA_LIFETIME ever.
+ * Rolling windows count the mints recorded in the address's profile;
+ * the lifetime quota counts its total minted. Mint jobs that are still
+ * being sent count against every quota, so concurrent mints can't share
+ * the same allowance.
+ */
+
+const QUOTA_WINDOWS = [
+  {
+    name: "hourly",
+    seconds: 3600,
+    getLimit: quotaConfig.getHourlyMintQuota,
+  },
+  {
+    name: "daily",
+    seconds: 86400,
+    getLimit: quotaConfig.getDailyMintQuota,
+  },
+  {
+    name: "lifetime",
+    seconds: null,
+    getLimit: quotaConfig.getLifetimeMintQuota,
+  },
+];
+
+/**
+ * Configured quotas
+ *
+ * @returns {Object} { hourly, daily, lifetime }, null where there is no limit
+ */
+function getLimits() {
+  return Object.fromEntries(
+    QUOTA_WINDOWS.map((window) => [window.name, window.getLimit()])
+  );
+}
+
+/**
+ * Tokens of an address's mint jobs that are not persisted or failed yet
+ *
+ * @param {string} address - Normalized address
+ * @returns {number} Tokens in flight
+ */
+function getTokensInFlight(address) {
+  const done = [mintJobs.JOB_STATUS.PERSISTED, mintJobs.JOB_STATUS.FAILED];
+  return Object.values(dataModel.getMintJobs())
+    .filter((job) => job.user === address && !done.includes(job.status))
+    .reduce((total, job) => total + job.quantity, 0);
+}
+
+/**
+ * Usage and remaining allowance of an address under each quota
+ *
+ * A window's `resetsAt` is when its oldest counted mint leaves it, freeing
+ * up allowance.
+ *
+ * @param {string} address - User's Ethereum address
+ * @returns {Object} { hourly, daily, lifetime } each as
+ *   { limit, used, remaining, resetsAt }, and the overall `remaining`
+ *   (null if no quota is set)
+ */
+function getQuota(address) {
+  const normalizedAddress = address.toLowerCase();
+  const now = Date.now();
+  const profile = profiles.getProfile(normalizedAddress);
+  const recentMints = (profile && profile.recentMints) || [];
+  const inFlight = getTokensInFlight(normalizedAddress);
+
+  const quota = {};
+  let overallRemaining = null;
+  QUOTA_WINDOWS.forEach(({ name, seconds, getLimit }) => {
+    const limit = getLimit();
+    const counted = seconds
+      ? recentMints.filter((mint) => mint.at > now - seconds * 1000)
+      : [];
+
+    let used = inFlight;
+    if (seconds) {
+      used += counted.reduce((total, mint) => total + mint.quantity, 0);
+    } else if (profile) {
+      used += profile.totalMinted;
+    }
+    const remaining = limit === null ? null : Math.max(0, limit - used);
+
+    quota[name] = {
+      limit,
+      used,
+      remaining,
+      resetsAt:
+        counted.length > 0
+          ? new Date(counted[0].at + seconds * 1000).toISOString()
+          : null,
+    };
+    if (remaining !== null) {
+      overallRemaining =
+        overallRemaining === null
+          ? remaining
+          : Math.min(overallRemaining, remaining);
+    }
+  });
+
+  return { ...quota, remaining: overallRemaining };
+}
+
+module.exports = {
+  getLimits,
+  getQuota,
+};
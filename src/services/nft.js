@@ -1,36 +1,57 @@
-const { MerkleTree } = require("merkletreejs");
-const keccak256 = require("keccak256");
-const { ethers } = require("ethers");
 const dataModel = require("../models/data");
 const nftModel = require("../models/nft");
+const leafEncoding = require("../models/leafEncoding");
 const contractConfig = require("../config/contract");
+const merkleConfig = require("../config/merkle");
+const feeConfig = require("../config/fees");
+const mintJobs = require("./mintJobs");
+const mintQuotas = require("./mintQuotas");
+const txSender = require("./txSender");
+const merkleRoots = require("./merkleRoots");
+const chainClock = require("./chainClock");
+const indexer = require("./indexer");
+const ownership = require("./ownership");
+
+// Tokens with a reveal transaction being prepared or awaited
+const revealsInFlight = new Set();
 
-// Import user model only for updateUserLastMintTime function
-// to avoid circular dependency
-let userModel;
-setTimeout(() => {
-  userModel = require("../models/users");
-}, 0);
+/**
+ * Result of a mint refused because the address's quota is used up
+ *
+ * @param {Object} quota - The address's quota (see mintQuotas.getQuota)
+ * @returns {Object} Failed mint result
+ */
+function quotaExhausted(quota) {
+  return {
+    success: false,
+    error: "Mint quota exhausted for this address",
+    mintQuota: quota,
+  };
+}
 
 /**
  * Mint new NFTs for a user
  *
  * Creates new NFTs, generates a Merkle tree for verification,
- * and records the minting data for future revealing.
+ * and records the minting data for future revealing. The mint runs as a
+ * persistent job, so a crash after the transaction is sent can be recovered.
+ * The quantity is capped by the address's remaining mint quota, and nothing
+ * is minted once a quota is used up.
+ *
+ * With `dryRun`, reports the token range, URIs and Merkle root the mint
+ * would use and simulates the call, without sending it or writing data.
  *
  * @param {string} userAddress - User's Ethereum address
  * @param {number} quantity - Number of NFTs to mint
+ * @param {Object} options - Mint options
+ * @param {boolean} options.dryRun - Simulate only
  * @returns {Object} Minting result with token IDs and transaction hash
  */
-async function mintNFTs(userAddress, quantity) {
+async function mintNFTs(userAddress, quantity, { dryRun = false } = {}) {
   try {
     // Normalize user address
     const normalizedAddress = userAddress.toLowerCase();
 
-    // Get current minted NFT data
-    const mintedData = dataModel.getMintedNFTData();
-    const tokenURIs = dataModel.getTokenURIs();
-
     // Cap quantity to max NFTs per user if specified in env
     const maxNFTsPerUser = contractConfig.getNFTsPerUser();
     if (quantity > maxNFTsPerUser) {
@@ -40,75 +61,93 @@ async function mintNFTs(userAddress, quantity) {
       quantity = maxNFTsPerUser;
     }
 
-    // Calculate new token IDs
-    const startTokenId = mintedData.lastTokenId + 1;
-    const endTokenId = startTokenId + quantity - 1;
-
-    // Generate URIs for new tokens
-    for (let tokenId = startTokenId; tokenId <= endTokenId; tokenId++) {
-      tokenURIs[tokenId] = nftModel.getRandomURI();
+    // Keep within the address's mint quotas
+    const quota = mintQuotas.getQuota(normalizedAddress);
+    if (quota.remaining === 0) {
+      return quotaExhausted(quota);
+    }
+    if (quota.remaining !== null && quantity > quota.remaining) {
+      console.log(
+        `Limiting mint quantity from ${quantity} to the ${quota.remaining} left in the mint quota of ${normalizedAddress}`
+      );
+      quantity = quota.remaining;
     }
 
-    // Generate leaves for Merkle tree
-    const leaves = nftModel.generateLeaves(startTokenId, quantity, tokenURIs);
-
-    // Create Merkle tree
-    const merkleTree = new MerkleTree(leaves, keccak256, { sort: true });
-    const merkleRoot = merkleTree.getHexRoot();
-
-    // Call contract to mint NFTs
-    const tx = await contractConfig.contract.mintWithMerkle(
-      merkleRoot,
-      normalizedAddress,
-      quantity
+    // Pick URIs for the new tokens
+    const uriList = Array.from({ length: quantity }, () =>
+      nftModel.getRandomURI()
     );
 
-    // Wait for transaction to be mined
-    const receipt = await tx.wait();
+    if (dryRun) {
+      const job = mintJobs.previewJob({ user: normalizedAddress, uriList });
+      const simulation = await txSender.simulateTransaction("mintWithMerkle", [
+        job.merkleRoot,
+        job.user,
+        job.quantity,
+      ]);
 
-    // Update local data
-    // 1. Update minted NFTs data
-    if (!mintedData.users[normalizedAddress]) {
-      mintedData.users[normalizedAddress] = [];
+      return {
+        success: !simulation.wouldRevert,
+        error: simulation.wouldRevert
+          ? `Mint would revert: ${simulation.revertReason}`
+          : undefined,
+        dryRun: true,
+        startTokenId: job.startTokenId,
+        endTokenId: job.endTokenId,
+        quantity: job.quantity,
+        tokenURIs: job.tokenURIs,
+        merkleRoot: job.merkleRoot,
+        leafEncoding: job.leafEncoding,
+        mintQuota: quota,
+        simulation,
+      };
     }
 
-    // Add the new range to the user's tokens
-    mintedData.users[normalizedAddress].push([startTokenId, quantity]);
-    mintedData.lastTokenId = endTokenId;
-
-    // 2. Add batch data with current timestamp
-    const batches = dataModel.getBatches();
-    batches.push({
-      user: normalizedAddress,
-      tokenIdRange: [startTokenId, quantity],
-      merkleRoot,
-      timestamp: Math.floor(Date.now() / 1000), // Current time in seconds
+    // Record the mint as a durable job, which reserves its token range,
+    // then drive it to completion. The quota is checked again under the
+    // data lock, as another process may have minted for the address since.
+    const job = await dataModel.transactionAsync(() => {
+      const { remaining } = mintQuotas.getQuota(normalizedAddress);
+      if (remaining !== null && remaining < quantity) return null;
+      return mintJobs.createJob({ user: normalizedAddress, uriList });
     });
+    if (!job) {
+      return quotaExhausted(mintQuotas.getQuota(normalizedAddress));
+    }
+    const finishedJob = await mintJobs.runJob(job.id);
 
-    // Save updated data
-    dataModel.saveMintedNFTData(mintedData);
-    dataModel.saveBatches(batches);
-    dataModel.saveTokenURIs(tokenURIs);
-
-    // Update user's last mint time
-    if (userModel) {
-      userModel.updateUserLastMintTime(normalizedAddress);
+    if (finishedJob.status !== mintJobs.JOB_STATUS.PERSISTED) {
+      return {
+        success: false,
+        error: finishedJob.lastError,
+        jobId: finishedJob.id,
+        jobStatus: finishedJob.status,
+        transactionHash: finishedJob.txHash,
+        willRetry: finishedJob.status !== mintJobs.JOB_STATUS.FAILED,
+      };
     }
 
-    // Calculate reveal expiration
+    const [startTokenId, mintedCount] = finishedJob.mintedRange;
+    const endTokenId = startTokenId + mintedCount - 1;
+
+    // The reveal window runs from the mint block's timestamp
     const revealThreshold = await contractConfig.getRevealThreshold();
     const expiresAt = new Date(
-      (Math.floor(Date.now() / 1000) + revealThreshold) * 1000
+      (finishedJob.mintTimestamp + revealThreshold) * 1000
     );
 
     return {
       success: true,
       startTokenId,
       endTokenId,
-      quantity,
-      transactionHash: receipt.hash,
+      quantity: mintedCount,
+      revealable: !finishedJob.rangeMismatch,
+      jobId: finishedJob.id,
+      transactionHash: finishedJob.txHash,
+      blockNumber: finishedJob.blockNumber,
       revealExpiresAt: expiresAt.toISOString(),
       revealThresholdSeconds: revealThreshold,
+      mintQuota: mintQuotas.getQuota(normalizedAddress),
     };
   } catch (error) {
     console.error("Error minting NFTs:", error);
@@ -123,18 +162,37 @@ async function mintNFTs(userAddress, quantity) {
  * Mint NFTs specifically for a user based on their address
  *
  * Handles the business logic for determining how many NFTs to mint
- * and when to mint them based on user activity patterns.
+ * and when to mint them based on user activity patterns. Addresses that
+ * used up a mint quota get nothing until it frees up.
  *
  * @param {string} userAddress - Ethereum address of the user
+ * @param {Object} options - Mint options
+ * @param {boolean} options.dryRun - Simulate only (see mintNFTs)
  * @returns {Object} Result of the minting operation
  */
-async function mintNFTsForUser(userAddress) {
+async function mintNFTsForUser(userAddress, { dryRun = false } = {}) {
   try {
     const normalizedAddress = userAddress.toLowerCase();
     const nftsPerUser = contractConfig.getNFTsPerUser();
 
-    console.log(`Minting ${nftsPerUser} NFTs for user ${normalizedAddress}`);
-    const result = await mintNFTs(normalizedAddress, nftsPerUser);
+    const quota = mintQuotas.getQuota(normalizedAddress);
+    if (quota.remaining === 0) {
+      console.log(
+        `Not minting for user ${normalizedAddress}: mint quota exhausted`
+      );
+      return {
+        success: false,
+        address: normalizedAddress,
+        result: quotaExhausted(quota),
+      };
+    }
+
+    console.log(
+      `${
+        dryRun ? "Simulating a mint of" : "Minting"
+      } ${nftsPerUser} NFTs for user ${normalizedAddress}`
+    );
+    const result = await mintNFTs(normalizedAddress, nftsPerUser, { dryRun });
 
     return {
       success: result.success,
@@ -157,33 +215,136 @@ async function mintNFTsForUser(userAddress) {
  * Generates the necessary Merkle proof for the token ID and submits
  * it to the contract for verification, making the metadata accessible.
  *
+ * With `dryRun`, runs every check, returns the proof and simulates the call
+ * without sending it or writing data.
+ *
  * @param {string} userAddress - Owner's Ethereum address
  * @param {number} tokenId - Token ID to reveal
+ * @param {Object} options - Reveal options
+ * @param {boolean} options.dryRun - Simulate only
  * @returns {Object} Reveal result with URI and transaction details
  */
-async function revealNFT(userAddress, tokenId) {
+async function revealNFT(userAddress, tokenId, { dryRun = false } = {}) {
+  let claimed = false;
   try {
     // Normalize user address
     const normalizedAddress = userAddress.toLowerCase();
 
-    // Find the batch for this token
-    const batch = nftModel.findBatchForToken(normalizedAddress, tokenId);
+    // Find the batch for this token. It belongs to whoever the token was
+    // minted to, which may not be its current owner.
+    const batch = nftModel.findBatchByTokenId(tokenId);
     if (!batch) {
       return {
         success: false,
-        error: "Token not found or not owned by user",
+        error: "Token not found or no longer revealable",
+      };
+    }
+
+    // Every chain read below is made at this block, so ownership, reveal
+    // state and the reveal window agree even if the RPC provider fails over
+    const head = await chainClock.getChainHead();
+
+    // Only the token's current owner may reveal it
+    const owner = await ownership.readOwner(tokenId, head.blockNumber);
+    if (owner !== normalizedAddress) {
+      return {
+        success: false,
+        error: "Token not owned by user",
+        mintedTo: batch.user,
+        ownedBy: owner,
+      };
+    }
+
+    // A revealed token can't be revealed again; don't pay for the revert.
+    // Reveals seen by the event indexer are recorded locally as well, for
+    // whoever owned the token when it was revealed.
+    let revealRecord = nftModel.getRevealRecord(tokenId);
+    const indexedReveal = indexer.getOnChainReveals()[tokenId];
+    if (!revealRecord && indexedReveal) {
+      const revealedBy = await ownership
+        .readOwner(tokenId, indexedReveal.blockNumber)
+        .catch((error) => {
+          // Nodes without old state can't answer; the owner now stands in
+          console.warn(
+            `Can't read owner of token ${tokenId} at block ${indexedReveal.blockNumber}:`,
+            error.message
+          );
+          return owner;
+        });
+      revealRecord = {
+        user: revealedBy,
+        uri: indexedReveal.uri,
+        txHash: indexedReveal.txHash,
+        revealedAt: null, // Revealed outside this backend
+      };
+      if (!dryRun) {
+        await dataModel.transactionAsync(() =>
+          nftModel.recordReveal(tokenId, revealRecord)
+        );
+      }
+    }
+    if (revealRecord) {
+      return {
+        success: false,
+        error: "Token already revealed",
+        ...revealRecord,
+      };
+    }
+    if (revealsInFlight.has(tokenId)) {
+      return {
+        success: false,
+        error: "A reveal for this token is already in progress",
+      };
+    }
+    if (!dryRun) {
+      revealsInFlight.add(tokenId);
+      claimed = true;
+    }
+
+    // Optionally ask the contract too, in case it was revealed elsewhere
+    if (
+      contractConfig.getRevealCheckOnChain() &&
+      (await contractConfig.contract.revealed(tokenId, {
+        blockTag: head.blockNumber,
+      }))
+    ) {
+      // When it was revealed is unknown, so it goes to the owner at the head
+      const record = {
+        user: owner,
+        uri: null,
+        txHash: null,
+        revealedAt: null, // Revealed outside this backend
+      };
+      if (!dryRun) {
+        await dataModel.transactionAsync(() =>
+          nftModel.recordReveal(tokenId, record)
+        );
+      }
+      return {
+        success: false,
+        error: "Token already revealed",
+        ...record,
       };
     }
 
-    // Check if the token is still within the reveal window
+    // Check the reveal window against chain time, leaving a safety margin
+    // so we don't pay for a reveal that gets mined after the window closes
     const revealThreshold = await contractConfig.getRevealThreshold();
-    const now = Math.floor(Date.now() / 1000); // Current time in seconds
-    if (now - batch.timestamp > revealThreshold) {
+    const revealWindow = chainClock.getRevealWindow(
+      batch,
+      revealThreshold,
+      head.timestamp
+    );
+    if (!revealWindow.revealable) {
       return {
         success: false,
-        error: "Reveal period has expired for this token",
-        timeElapsed: now - batch.timestamp,
+        error: revealWindow.expired
+          ? "Reveal period has expired for this token"
+          : "Reveal period is about to expire for this token",
+        timeElapsed: revealWindow.timeElapsed,
+        timeRemainingSeconds: Math.max(0, revealWindow.timeRemaining),
         revealThreshold,
+        checkedAtBlock: head.blockNumber,
       };
     }
 
@@ -205,9 +366,20 @@ async function revealNFT(userAddress, tokenId) {
     );
     console.log(`Using merkle root: ${batch.merkleRoot}`);
 
-    // Use the fixed generateLeaves function from nftModel
-    const leaves = nftModel.generateLeaves(startId, count, tokenURIs);
-    const merkleTree = new MerkleTree(leaves, keccak256, { sort: true });
+    // Rebuild the tree with the encoding the batch was minted with
+    const encoding = batch.leafEncoding || merkleConfig.LEGACY_LEAF_ENCODING;
+    if (encoding !== merkleConfig.getLeafEncoding()) {
+      return {
+        success: false,
+        error: `Batch was built with the "${encoding}" leaf encoding, which the contract cannot verify`,
+      };
+    }
+    const { tree: merkleTree, leaves } = nftModel.buildMerkleTree(
+      startId,
+      count,
+      tokenURIs,
+      encoding
+    );
 
     // Check if our computed merkle root matches the stored one
     const calculatedRoot = merkleTree.getHexRoot();
@@ -215,6 +387,10 @@ async function revealNFT(userAddress, tokenId) {
       console.error(
         `Merkle root mismatch! Calculated: ${calculatedRoot}, Stored: ${batch.merkleRoot}`
       );
+      return {
+        success: false,
+        error: "Stored token URIs do not match the batch's Merkle root",
+      };
     }
 
     // Find the token index in the batch (0-based)
@@ -238,39 +414,89 @@ async function revealNFT(userAddress, tokenId) {
       )}`
     );
 
-    // Verify the proof locally before sending to the contract
-    const isValidLocally = merkleTree.verify(proof, leaf, calculatedRoot);
+    // Verify the proof the way the contract will before paying for the call
+    const isValidLocally = leafEncoding.verifyProof(
+      proof,
+      batch.merkleRoot,
+      leaf
+    );
     console.log(
       `Local proof verification: ${isValidLocally ? "VALID" : "INVALID"}`
     );
+    if (!isValidLocally) {
+      return {
+        success: false,
+        error: "Merkle proof failed local verification",
+      };
+    }
 
-    // Find the batch index for the contract call
-    const batches = dataModel.getBatches();
-    const rootIndex = batches.findIndex(
-      (b) => b.merkleRoot === batch.merkleRoot
-    );
-
-    if (rootIndex === -1) {
+    // The contract addresses roots by their position in merkleRoots[]
+    const rootIndex = await merkleRoots.resolveRootIndex(batch, {
+      persist: !dryRun,
+    });
+    if (rootIndex === null) {
       return {
         success: false,
-        error: "Batch not found in batches array",
+        error: "Batch's Merkle root was not found on chain",
       };
     }
 
-    // Call contract to reveal NFT
-    const tx = await contractConfig.contract.reveal(
-      tokenId,
-      rootIndex,
-      proof,
-      uri
+    // Call contract to reveal NFT. A reveal close to the end of its window
+    // goes ahead of queued mints with a higher tip.
+    const urgent =
+      revealWindow.timeRemaining <= feeConfig.getUrgentRevealSeconds();
+    const expiresAt = new Date(revealWindow.expiresAt * 1000);
+
+    if (dryRun) {
+      const simulation = await txSender.simulateTransaction(
+        "reveal",
+        [tokenId, rootIndex, proof, uri],
+        { urgent }
+      );
+      return {
+        success: !simulation.wouldRevert,
+        error: simulation.wouldRevert
+          ? `Reveal would revert: ${simulation.revertReason}`
+          : undefined,
+        dryRun: true,
+        tokenId,
+        uri,
+        merkleRoot: batch.merkleRoot,
+        rootIndex,
+        proof,
+        batchExpiresAt: expiresAt.toISOString(),
+        timeRemainingSeconds: revealWindow.timeRemaining,
+        urgent,
+        checkedAtBlock: head.blockNumber,
+        simulation,
+      };
+    }
+    const tx = await txSender.sendTransaction(
+      `reveal ${tokenId}`,
+      "reveal",
+      [tokenId, rootIndex, proof, uri],
+      null,
+      { urgent }
     );
 
-    // Wait for transaction to be mined
-    const receipt = await tx.wait();
+    // Wait for transaction to be mined, speeding it up if it gets stuck
+    const receipt = await txSender.waitForReceipt(tx.hash);
+    if (receipt.status !== 1) {
+      return {
+        success: false,
+        error: "Reveal transaction reverted",
+        transactionHash: receipt.hash,
+      };
+    }
 
-    // Calculate remaining time for other tokens in this batch
-    const timeRemaining = revealThreshold - (now - batch.timestamp);
-    const expiresAt = new Date((now + timeRemaining) * 1000);
+    await dataModel.transactionAsync(() =>
+      nftModel.recordReveal(tokenId, {
+        user: normalizedAddress,
+        uri,
+        txHash: receipt.hash,
+        revealedAt: new Date().toISOString(),
+      })
+    );
 
     return {
       success: true,
@@ -278,7 +504,9 @@ async function revealNFT(userAddress, tokenId) {
       uri,
       transactionHash: receipt.hash,
       batchExpiresAt: expiresAt.toISOString(),
-      timeRemainingSeconds: timeRemaining,
+      timeRemainingSeconds: revealWindow.timeRemaining,
+      urgent,
+      checkedAtBlock: head.blockNumber,
     };
   } catch (error) {
     console.error("Error revealing NFT:", error);
@@ -286,57 +514,75 @@ async function revealNFT(userAddress, tokenId) {
       success: false,
       error: error.message,
     };
+  } finally {
+    if (claimed) revealsInFlight.delete(tokenId);
   }
 }
 
 /**
  * Get all NFTs owned by a user
  *
- * Retrieves the complete list of tokens owned by the user,
- * and filters which ones are currently eligible for revealing.
+ * Retrieves the tokens the user currently owns on chain, lists tokens
+ * minted to them that have since been transferred away, and filters which
+ * owned tokens are currently eligible for revealing.
  *
  * @param {string} userAddress - User's Ethereum address
  * @returns {Object} NFT data including tokenIds and revealable tokens
  */
 async function getUserNFTs(userAddress) {
   const normalizedAddress = userAddress.toLowerCase();
-  const mintedData = dataModel.getMintedNFTData();
+  const tokens = await ownership.getTokensForAddress(normalizedAddress);
   const revealThreshold = await contractConfig.getRevealThreshold();
-  const now = Math.floor(Date.now() / 1000);
+  const now = await chainClock.getChainTime();
 
-  if (!mintedData.users[normalizedAddress]) {
-    return { tokenIds: [], revealableTokenIds: [] };
-  }
+  const batches = dataModel.getBatches();
 
-  // Get all batches for this user
-  const batches = dataModel
-    .getBatches()
-    .filter((batch) => batch.user === normalizedAddress);
+  // Reveals made through this backend, plus any the indexer saw on chain
+  const revealRecords = {
+    ...indexer.getOnChainReveals(),
+    ...dataModel.getRevealedTokens(),
+  };
 
-  // Convert ranges to full token ID arrays
+  // Tokens the address owns now, and tokens minted to it but since transferred
   const tokenIds = [];
+  const transferredTokenIds = [];
   const revealableTokenIds = [];
+  const revealedTokens = [];
+
+  tokens.forEach(({ tokenId, mintedTo, ownedBy }) => {
+    if (ownedBy !== normalizedAddress) {
+      if (mintedTo === normalizedAddress) transferredTokenIds.push(tokenId);
+      return;
+    }
+    tokenIds.push(tokenId);
 
-  mintedData.users[normalizedAddress].forEach(([startId, count]) => {
-    for (let i = 0; i < count; i++) {
-      const tokenId = startId + i;
-      tokenIds.push(tokenId);
+    const revealRecord = revealRecords[tokenId];
+    if (revealRecord) {
+      const { uri, txHash, revealedAt = null } = revealRecord;
+      revealedTokens.push({ tokenId, uri, txHash, revealedAt });
+      return;
+    }
 
-      // Check if this token is still revealable
-      const batch = batches.find((b) => {
-        const [batchStartId, batchCount] = b.tokenIdRange;
-        return tokenId >= batchStartId && tokenId < batchStartId + batchCount;
-      });
+    // Check if this token is still revealable
+    const batch = batches.find((b) => {
+      const [batchStartId, batchCount] = b.tokenIdRange;
+      return tokenId >= batchStartId && tokenId < batchStartId + batchCount;
+    });
 
-      if (batch && now - batch.timestamp < revealThreshold) {
-        revealableTokenIds.push(tokenId);
-      }
+    if (
+      batch &&
+      chainClock.getRevealWindow(batch, revealThreshold, now).revealable
+    ) {
+      revealableTokenIds.push(tokenId);
     }
   });
 
   return {
     tokenIds,
     revealableTokenIds,
+    revealedTokens,
+    transferredTokenIds,
+    tokens,
     revealThresholdSeconds: revealThreshold,
   };
 }
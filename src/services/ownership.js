@@ -0,0 +1,142 @@
+const dataModel = require("../models/data");
+const contractConfig = require("../config/contract");
+const indexerConfig = require("../config/indexer");
+const indexer = require("./indexer");
+
+/**
+ * Token ownership
+ *
+ * Local data only records who each token was minted to. Who owns it now is
+ * read from the chain: from the indexed Transfer history when the event
+ * indexer is enabled, and from `ownerOf` for tokens the index hasn't seen.
+ * Those calls run OWNER_LOOKUP_CONCURRENCY at a time, and their answers are
+ * cached for OWNER_CACHE_SECONDS.
+ */
+
+// Owners read with ownerOf: token ID → { owner, readAt } (ms)
+const ownerCache = new Map();
+
+/**
+ * Read a token's owner from the contract
+ *
+ * @param {number} tokenId - Token ID
+ * @param {number} blockTag - Optional block to read at (default: latest)
+ * @returns {string|null} Lowercase owner, or null if the token doesn't exist
+ */
+async function readOwner(tokenId, blockTag) {
+  try {
+    const owner = await contractConfig.contract.ownerOf(
+      tokenId,
+      blockTag === undefined ? {} : { blockTag }
+    );
+    return owner.toLowerCase();
+  } catch (error) {
+    if (error.code === "CALL_EXCEPTION") return null; // Nonexistent token
+    throw error;
+  }
+}
+
+/**
+ * Address each token was originally minted to, from local minted ranges
+ *
+ * @returns {Map<number, string>} Token ID to lowercase address
+ */
+function getMintedTo() {
+  const mintedTo = new Map();
+  const { users } = dataModel.getMintedNFTData();
+
+  Object.entries(users).forEach(([user, ranges]) => {
+    ranges.forEach(([startId, count]) => {
+      for (let i = 0; i < count; i++) mintedTo.set(startId + i, user);
+    });
+  });
+  return mintedTo;
+}
+
+/**
+ * Current owners of a set of tokens
+ *
+ * @param {Array<number>} tokenIds - Token IDs
+ * @returns {Map<number, string|null>} Token ID to lowercase owner
+ */
+async function getCurrentOwners(tokenIds) {
+  const indexedOwners = indexerConfig.isIndexerEnabled()
+    ? indexer.getTokenOwners()
+    : new Map();
+
+  const now = Date.now();
+  const maxAgeMs = indexerConfig.getOwnerCacheSeconds() * 1000;
+  for (const [tokenId, cached] of ownerCache) {
+    if (now - cached.readAt >= maxAgeMs) ownerCache.delete(tokenId);
+  }
+
+  const owners = new Map();
+  const toRead = [];
+  tokenIds.forEach((tokenId) => {
+    if (indexedOwners.has(tokenId)) {
+      owners.set(tokenId, indexedOwners.get(tokenId));
+    } else if (ownerCache.has(tokenId)) {
+      owners.set(tokenId, ownerCache.get(tokenId).owner);
+    } else {
+      toRead.push(tokenId);
+    }
+  });
+
+  // A few workers share the remaining reads so the node isn't flooded
+  let next = 0;
+  const readNext = async () => {
+    while (next < toRead.length) {
+      const tokenId = toRead[next++];
+      const owner = await readOwner(tokenId);
+      ownerCache.set(tokenId, { owner, readAt: Date.now() });
+      owners.set(tokenId, owner);
+    }
+  };
+  const workers = Math.min(
+    indexerConfig.getOwnerLookupConcurrency(),
+    toRead.length
+  );
+  await Promise.all(Array.from({ length: workers }, readNext));
+  return owners;
+}
+
+/**
+ * Tokens minted to or currently owned by an address
+ *
+ * Candidates are the tokens minted to the address plus, when the indexer
+ * is enabled, tokens transferred to it. Each is reported with both its
+ * original recipient and its current owner.
+ *
+ * @param {string} userAddress - Ethereum address
+ * @returns {Array<Object>} { tokenId, mintedTo, ownedBy } sorted by token ID
+ */
+async function getTokensForAddress(userAddress) {
+  const address = userAddress.toLowerCase();
+  const mintedTo = getMintedTo();
+
+  const candidates = new Set();
+  mintedTo.forEach((user, tokenId) => {
+    if (user === address) candidates.add(tokenId);
+  });
+  if (indexerConfig.isIndexerEnabled()) {
+    indexer.getTokenOwners().forEach((owner, tokenId) => {
+      if (owner === address) candidates.add(tokenId);
+    });
+  }
+
+  const tokenIds = Array.from(candidates).sort((a, b) => a - b);
+  const owners = await getCurrentOwners(tokenIds);
+
+  return tokenIds.map((tokenId) => ({
+    tokenId,
+    mintedTo: mintedTo.get(tokenId) || null,
+    ownedBy: owners.get(tokenId),
+  }));
+}
+
+module.exports = {
+  readOwner,
+  getMintedTo,
+  getCurrentOwners,
+  getTokensForAddress,
+};
@@ -0,0 +1,336 @@
+const dataModel = require("../models/data");
+const rateLimitConfig = require("../config/rateLimit");
+
+/**
+ * Rate limiting and abuse detection for minting triggers
+ *
+ * Heartbeats, mints and reveals each draw from two token buckets: one for
+ * the client IP and one for the address. Sign-in nonces draw from the IP's
+ * bucket only. A request goes through only if
+ * both buckets have a token, and then takes one from each. Buckets refill
+ * continuously up to their capacity.
+ *
+ * An IP may also register only REGISTRATIONS_PER_IP new addresses (ones
+ * never seen before, which get a mint on their first heartbeat)
+ * per REGISTRATION_WINDOW_SECONDS. Registrations are kept for the abuse
+ * report, which lists IPs and /24 subnets that registered many addresses.
+ *
+ * Buckets, registrations and rejection counts are kept in memory and saved
+ * to the `rateLimits` collection every RATE_LIMIT_FLUSH_SECONDS and on exit,
+ * so limits hold across restarts. Requests never write to disk themselves,
+ * so a flood of refused requests costs no writes.
+ */
+
+// Rate limit state, loaded from the data directory on first use
+let state = null;
+// Whether the state changed since it was last saved
+let dirty = false;
+
+/**
+ * The rate limit state of this process
+ *
+ * @returns {Object} { buckets, registrations, rejections }
+ */
+function getState() {
+  if (!state) state = dataModel.getRateLimits();
+  return state;
+}
+
+/**
+ * Save the state if it changed since the last save
+ *
+ * @returns {boolean} Whether anything was written
+ */
+function flush() {
+  if (!dirty) return false;
+  // Only this process writes the state, so it is saved without the lock
+  dataModel.saveRateLimits(state);
+  dirty = false;
+  return true;
+}
+
+/**
+ * Save the state periodically and when the process exits
+ *
+ * @param {number} intervalSeconds - Time between saves
+ */
+function scheduleRateLimitFlush(
+  intervalSeconds = rateLimitConfig.getRateLimitFlushSeconds()
+) {
+  const run = () => {
+    try {
+      flush();
+    } catch (error) {
+      console.error("Error saving rate limits:", error.message);
+    }
+  };
+
+  setInterval(run, intervalSeconds * 1000);
+  process.on("exit", run);
+
+  console.log(`Scheduled rate limit saves every ${intervalSeconds} seconds`);
+}
+
+/**
+ * Normalize a client IP, unwrapping IPv4-mapped IPv6 addresses
+ *
+ * @param {string} ip - IP as seen by Express
+ * @returns {string} The IP
+ */
+function normalizeIp(ip) {
+  return String(ip || "unknown").replace(/^::ffff:/, "");
+}
+
+/**
+ * The /24 subnet of an IPv4 address
+ *
+ * @param {string} ip - Normalized IP
+ * @returns {string|null} Subnet as "a.b.c.0/24", or null for IPv6
+ */
+function subnetOf(ip) {
+  const match = ip.match(/^(\d+\.\d+\.\d+)\.\d+$/);
+  return match ? `${match[1]}.0/24` : null;
+}
+
+/**
+ * Tokens in a bucket after refilling it up to now
+ *
+ * @param {Object} bucket - Stored bucket { tokens, updatedAt, limit }, if any
+ * @param {Object} limit - { capacity, refillPerMinute }
+ * @param {number} now - Current time (ms)
+ * @returns {number} Tokens available
+ */
+function refill(bucket, limit, now) {
+  if (!bucket) return limit.capacity;
+  const minutes = (now - bucket.updatedAt) / 60000;
+  return Math.min(
+    limit.capacity,
+    bucket.tokens + minutes * limit.refillPerMinute
+  );
+}
+
+/**
+ * Drop buckets that have refilled completely, and registrations and
+ * rejection counts older than both the registration window and the report
+ * period
+ *
+ * @param {Object} state - Rate limit state
+ * @param {number} now - Current time (ms)
+ */
+function prune(state, now) {
+  for (const [key, bucket] of Object.entries(state.buckets)) {
+    if (refill(bucket, bucket.limit, now) >= bucket.limit.capacity) {
+      delete state.buckets[key];
+    }
+  }
+
+  const keepMs = Math.max(
+    rateLimitConfig.getRegistrationWindowSeconds() * 1000,
+    rateLimitConfig.getAbuseReportHours() * 3600 * 1000
+  );
+  state.registrations = state.registrations.filter(
+    (registration) => registration.at > now - keepMs
+  );
+  for (const [ip, entry] of Object.entries(state.rejections)) {
+    if (entry.lastAt <= now - keepMs) delete state.rejections[ip];
+  }
+}
+
+/**
+ * Count a refused request against its IP
+ *
+ * @param {Object} state - Rate limit state
+ * @param {string} ip - Client IP
+ * @param {string} reason - What was exceeded
+ * @param {number} now - Current time (ms)
+ */
+function recordRejection(state, ip, reason, now) {
+  const entry = state.rejections[ip] || { count: 0, reasons: {} };
+  entry.count += 1;
+  entry.reasons[reason] = (entry.reasons[reason] || 0) + 1;
+  entry.lastAt = now;
+  state.rejections[ip] = entry;
+}
+
+/**
+ * Take a token for an action from the IP's and the address's buckets
+ *
+ * @param {string} action - heartbeat, mint, reveal or nonce
+ * @param {Object} client - Who is asking
+ * @param {string} client.ip - Client IP
+ * @param {string} client.address - Address the request acts on, if any
+ * @returns {Object} { allowed, limitedBy, retryAfterSeconds }
+ */
+function consume(action, { ip, address }) {
+  const now = Date.now();
+  const clientIp = normalizeIp(ip);
+
+  const scopes = [{ scope: "ip", key: `${action}:ip:${clientIp}` }];
+  if (address) {
+    scopes.push({
+      scope: "address",
+      key: `${action}:address:${address.toLowerCase()}`,
+    });
+  }
+
+  const state = getState();
+  prune(state, now);
+  dirty = true;
+
+  const levels = scopes.map(({ scope, key }) => {
+    const limit = rateLimitConfig.getRateLimit(action, scope);
+    return {
+      scope,
+      key,
+      limit,
+      tokens: refill(state.buckets[key], limit, now),
+    };
+  });
+
+  const empty = levels.find((level) => level.tokens < 1);
+  if (empty) {
+    recordRejection(state, clientIp, `${action}:${empty.scope}`, now);
+    return {
+      allowed: false,
+      limitedBy: empty.scope,
+      retryAfterSeconds: Math.ceil(
+        ((1 - empty.tokens) / empty.limit.refillPerMinute) * 60
+      ),
+    };
+  }
+
+  levels.forEach(({ key, limit, tokens }) => {
+    state.buckets[key] = { tokens: tokens - 1, updatedAt: now, limit };
+  });
+  return { allowed: true, limitedBy: null, retryAfterSeconds: 0 };
+}
+
+/**
+ * Check and record the registration of an address by an IP
+ *
+ * Addresses seen before, with a user profile, don't count as registrations.
+ *
+ * @param {Object} client - Who is asking
+ * @param {string} client.ip - Client IP
+ * @param {string} client.address - Address about to send a heartbeat
+ * @returns {Object} { allowed, retryAfterSeconds }
+ */
+function registerAddress({ ip, address }) {
+  const now = Date.now();
+  const clientIp = normalizeIp(ip);
+  const normalizedAddress = address.toLowerCase();
+
+  if (dataModel.getUserProfiles()[normalizedAddress]) {
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  const state = getState();
+  prune(state, now);
+  dirty = true;
+
+  const windowMs = rateLimitConfig.getRegistrationWindowSeconds() * 1000;
+  const recent = state.registrations.filter(
+    (registration) =>
+      registration.ip === clientIp && registration.at > now - windowMs
+  );
+
+  if (
+    recent.some((registration) => registration.address === normalizedAddress)
+  ) {
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  if (recent.length >= rateLimitConfig.getRegistrationsPerIp()) {
+    recordRejection(state, clientIp, "registration", now);
+    return {
+      allowed: false,
+      retryAfterSeconds: Math.ceil((recent[0].at + windowMs - now) / 1000),
+    };
+  }
+
+  state.registrations.push({
+    ip: clientIp,
+    address: normalizedAddress,
+    at: now,
+  });
+  return { allowed: true, retryAfterSeconds: 0 };
+}
+
+/**
+ * Report IPs and subnets that registered many addresses, and the IPs
+ * refused most often
+ *
+ * @returns {Object} Clusters and rejections over the report period
+ */
+function getAbuseReport() {
+  const now = Date.now();
+  const hours = rateLimitConfig.getAbuseReportHours();
+  const minAddresses = rateLimitConfig.getAbuseClusterMinAddresses();
+  const state = getState();
+
+  const groups = new Map();
+  const addTo = (kind, key, registration) => {
+    const id = `${kind}:${key}`;
+    if (!groups.has(id)) {
+      groups.set(id, { kind, key, addresses: new Set(), ips: new Set() });
+    }
+    const group = groups.get(id);
+    group.addresses.add(registration.address);
+    group.ips.add(registration.ip);
+    group.firstAt = Math.min(group.firstAt || Infinity, registration.at);
+    group.lastAt = Math.max(group.lastAt || 0, registration.at);
+  };
+
+  state.registrations
+    .filter((registration) => registration.at > now - hours * 3600 * 1000)
+    .forEach((registration) => {
+      addTo("ip", registration.ip, registration);
+      const subnet = subnetOf(registration.ip);
+      if (subnet) addTo("subnet", subnet, registration);
+    });
+
+  const clusters = Array.from(groups.values())
+    .filter((group) => group.addresses.size >= minAddresses)
+    // A subnet with one IP says no more than that IP's own cluster
+    .filter((group) => group.kind === "ip" || group.ips.size > 1)
+    .map((group) => ({
+      kind: group.kind,
+      [group.kind]: group.key,
+      addressCount: group.addresses.size,
+      addresses: Array.from(group.addresses),
+      ips: Array.from(group.ips),
+      firstAt: new Date(group.firstAt).toISOString(),
+      lastAt: new Date(group.lastAt).toISOString(),
+      rejections: Array.from(group.ips).reduce(
+        (total, ip) =>
+          total + (state.rejections[ip] ? state.rejections[ip].count : 0),
+        0
+      ),
+    }))
+    .sort((a, b) => b.addressCount - a.addressCount);
+
+  const rejections = Object.entries(state.rejections)
+    .map(([ip, entry]) => ({
+      ip,
+      count: entry.count,
+      reasons: entry.reasons,
+      lastAt: new Date(entry.lastAt).toISOString(),
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    periodHours: hours,
+    minAddresses,
+    clusters,
+    rejections,
+  };
+}
+
+module.exports = {
+  consume,
+  registerAddress,
+  getAbuseReport,
+  flush,
+  scheduleRateLimitFlush,
+};
@@ -0,0 +1,376 @@
+const { ethers } = require("ethers");
+const dataModel = require("../models/data");
+const nftModel = require("../models/nft");
+const profiles = require("../models/profiles");
+const contractConfig = require("../config/contract");
+const indexerConfig = require("../config/indexer");
+const merkleConfig = require("../config/merkle");
+const indexer = require("./indexer");
+const mintJobs = require("./mintJobs");
+const chainClock = require("./chainClock");
+const migrationService = require("./migrations");
+const reports = require("./reports");
+
+/**
+ * Disaster recovery
+ *
+ * Rebuilds minted ranges and batches from the chain when the data
+ * directory is lost or corrupt. Every mint is found through its
+ * MerkleSetAdded event and the Transfer events of the same transaction;
+ * roots, mint timestamps and reveal state are read from the contract.
+ * Reveal records are credited to each token's current owner, followed
+ * through every Transfer event.
+ *
+ * The URIs behind a batch's Merkle root are never stored on chain. A batch
+ * can only be restored for reveals if its URIs survive in token_uris.json
+ * and still hash to the on-chain root; everything else is listed in the
+ * report as unrecoverable.
+ */
+
+/**
+ * Read a collection, treating unreadable data as missing
+ *
+ * @param {string} name - Collection name
+ * @param {*} fallback - Value to use if the collection can't be read
+ * @returns {*} Collection data
+ */
+function readSurviving(name, fallback) {
+  try {
+    return dataModel.readCollection(name);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Group minting events by transaction into mints
+ *
+ * @param {Array<Object>} events - Indexed events in chain order
+ * @returns {Array<Object>} Mints ({ rootIndex, user, quantity, tokenIds,
+ *   txHash, blockNumber }); tokenIds is empty if no mint Transfer was found
+ */
+function collectMints(events) {
+  const mintedByTx = new Map();
+  events
+    .filter((e) => e.event === "Transfer" && e.args.from === ethers.ZeroAddress)
+    .forEach((e) => {
+      const ids = mintedByTx.get(e.transactionHash) || [];
+      ids.push(e.args.tokenId);
+      mintedByTx.set(e.transactionHash, ids);
+    });
+
+  return events
+    .filter((e) => e.event === "MerkleSetAdded")
+    .map((e) => ({
+      rootIndex: e.args.rootIndex,
+      user: e.args.user,
+      quantity: e.args.quantity,
+      tokenIds: (mintedByTx.get(e.transactionHash) || []).sort((a, b) => a - b),
+      txHash: e.transactionHash,
+      blockNumber: e.blockNumber,
+    }));
+}
+
+/**
+ * Follow every Transfer event to each token's current owner
+ *
+ * @param {Array<Object>} events - Indexed events in chain order
+ * @returns {Map<number, string>} Token ID to lowercase owner address
+ */
+function collectOwners(events) {
+  const owners = new Map();
+  events
+    .filter((e) => e.event === "Transfer")
+    .forEach(({ args }) => owners.set(args.tokenId, args.to));
+  return owners;
+}
+
+/**
+ * Find the leaf encoding under which surviving URIs rebuild a root
+ *
+ * @param {Array<number>} range - [startId, count]
+ * @param {Object} tokenURIs - Surviving token URIs
+ * @param {string} merkleRoot - On-chain root
+ * @returns {string|null} Matching encoding, or null if none matches
+ */
+function matchLeafEncoding([startId, count], tokenURIs, merkleRoot) {
+  const encodings = [
+    merkleConfig.getLeafEncoding(),
+    ...merkleConfig.LEAF_ENCODINGS,
+  ];
+  for (const encoding of new Set(encodings)) {
+    try {
+      const { tree } = nftModel.buildMerkleTree(
+        startId,
+        count,
+        tokenURIs,
+        encoding
+      );
+      if (tree.getHexRoot() === merkleRoot.toLowerCase()) return encoding;
+    } catch (error) {
+      return null; // A URI is missing
+    }
+  }
+  return null;
+}
+
+/**
+ * Settle unfinished mint jobs against the recovered data
+ *
+ * A job whose transaction is among the recovered mints is marked persisted,
+ * as its tokens are already in the recovered ranges. Other unfinished jobs
+ * are left to finish: their mints are not on chain yet, and pending jobs
+ * move their reservation onto the recovered ranges before they are sent.
+ *
+ * An unreadable jobs file is replaced with an empty one: every mint that
+ * reached the chain is in the recovered ranges, and the backup keeps the
+ * file as it was.
+ *
+ * @param {Array<Object>} mints - Recovered mints
+ * @returns {Object} { settled, open } job IDs, and `unreadable` with the
+ *   read error if the jobs file could not be read
+ */
+function reconcileJobs(mints) {
+  const recoveredByTx = new Map(
+    mints
+      .filter((mint) => mint.tokenIds.length > 0)
+      .map((mint) => [mint.txHash.toLowerCase(), mint])
+  );
+  const done = [mintJobs.JOB_STATUS.PERSISTED, mintJobs.JOB_STATUS.FAILED];
+  const result = { settled: [], open: [] };
+  let jobs;
+  try {
+    jobs = dataModel.getMintJobs();
+  } catch (error) {
+    dataModel.saveMintJobs({});
+    return { ...result, unreadable: error.message };
+  }
+
+  Object.values(jobs)
+    .filter((job) => !done.includes(job.status))
+    .forEach((job) => {
+      const mint = job.txHash && recoveredByTx.get(job.txHash.toLowerCase());
+      if (!mint) {
+        result.open.push(job.id);
+        return;
+      }
+      job.status = mintJobs.JOB_STATUS.PERSISTED;
+      job.mintedRange = [mint.tokenIds[0], mint.tokenIds.length];
+      job.blockNumber = mint.blockNumber;
+      job.updatedAt = new Date().toISOString();
+      profiles.recordMint(job.user, mint.tokenIds.length);
+      result.settled.push(job.id);
+    });
+
+  dataModel.saveMintJobs(jobs);
+  return result;
+}
+
+/**
+ * Rebuild local state from the chain
+ *
+ * Without `apply` nothing is written except the report. With `apply` the
+ * current data is backed up, then minted ranges, batches and reveal records
+ * are replaced with the recovered ones and unfinished mint jobs are settled.
+ * Applying is meant for a stopped server: it is refused if the chain gained
+ * mints or the local data changed while the chain was scanned.
+ *
+ * @param {Object} options - Recovery options
+ * @param {boolean} options.apply - Write the recovered data
+ * @returns {Object} Recovery report (also written to data/reports/)
+ */
+async function recoverFromChain({ apply = false } = {}) {
+  const localLastTokenId = readSurviving("mintedNFTs", {}).lastTokenId;
+  const fromBlock = indexerConfig.getIndexerStartBlock();
+  const toBlock = await contractConfig.provider.getBlockNumber();
+  const events = await indexer.fetchEvents(fromBlock, toBlock);
+
+  const revealThreshold = await contractConfig.getRevealThreshold();
+  const now = await chainClock.getChainTime();
+  const survivingURIs = readSurviving("tokenURIs", {});
+
+  const mintedData = { lastTokenId: 0, users: {} };
+  const batches = [];
+  const unrecoverable = [];
+  let expiredBatches = 0;
+
+  // Reveals seen in events; the contract is asked about the rest below
+  const revealedTokens = {};
+  events
+    .filter((e) => e.event === "NFTRevealed")
+    .forEach((e) => {
+      revealedTokens[e.args.tokenId] = {
+        user: null,
+        uri: e.args.tokenURI,
+        txHash: e.transactionHash,
+        revealedAt: null,
+      };
+    });
+
+  const mints = collectMints(events);
+  const owners = collectOwners(events);
+  for (const mint of mints) {
+    const { tokenIds } = mint;
+    const range = [tokenIds[0], tokenIds.length];
+    const contiguous = tokenIds.every((id, i) => id === tokenIds[0] + i);
+
+    if (tokenIds.length === 0 || !contiguous) {
+      unrecoverable.push({
+        type: "mint-without-range",
+        txHash: mint.txHash,
+        rootIndex: mint.rootIndex,
+        user: mint.user,
+        reason: "No contiguous minted token IDs found for this mint",
+      });
+      continue;
+    }
+
+    // 1. Ownership range: who the tokens were minted to
+    if (!mintedData.users[mint.user]) mintedData.users[mint.user] = [];
+    mintedData.users[mint.user].push(range);
+    mintedData.lastTokenId = Math.max(
+      mintedData.lastTokenId,
+      range[0] + range[1] - 1
+    );
+    tokenIds.forEach((tokenId) => {
+      if (revealedTokens[tokenId]) {
+        revealedTokens[tokenId].user = owners.get(tokenId) || mint.user;
+      }
+    });
+
+    // 2. Batch: only needed while its tokens can still be revealed
+    const timestamp = Number(
+      await contractConfig.contract.mintTimestamps(range[0])
+    );
+    const batch = {
+      user: mint.user,
+      tokenIdRange: range,
+      merkleRoot: (
+        await contractConfig.contract.merkleRoots(mint.rootIndex)
+      ).toLowerCase(),
+      rootIndex: mint.rootIndex,
+      timestamp,
+      blockNumber: mint.blockNumber,
+      txHash: mint.txHash,
+    };
+    if (chainClock.getRevealWindow(batch, revealThreshold, now).expired) {
+      expiredBatches++;
+      continue;
+    }
+
+    const unrevealed = [];
+    for (const tokenId of tokenIds) {
+      if (revealedTokens[tokenId]) continue;
+      if (await contractConfig.contract.revealed(tokenId)) {
+        revealedTokens[tokenId] = {
+          user: owners.get(tokenId) || mint.user,
+          uri: null,
+          txHash: null,
+          revealedAt: null,
+        };
+        continue;
+      }
+      unrevealed.push(tokenId);
+    }
+    if (unrevealed.length === 0) continue;
+
+    const leafEncoding = matchLeafEncoding(
+      range,
+      survivingURIs,
+      batch.merkleRoot
+    );
+    if (!leafEncoding) {
+      unrecoverable.push({
+        type: "unrevealed-uris",
+        txHash: mint.txHash,
+        rootIndex: mint.rootIndex,
+        user: mint.user,
+        tokenIds: unrevealed,
+        reason:
+          "URIs (leaf preimages) for this root are not stored on chain and no surviving token URIs match it; these tokens cannot be revealed",
+      });
+      continue;
+    }
+    batches.push({ ...batch, leafEncoding });
+  }
+
+  // Jobs not sent yet can't be found on chain
+  if (readSurviving("mintJobs", null) === null) {
+    unrecoverable.push({
+      type: "unreadable-mint-jobs",
+      reason:
+        "mint_jobs.json could not be read; mints already on chain are in the recovered ranges, mints that were not sent are lost and must be requested again",
+    });
+  }
+
+  // Token URIs are only kept for batches that can still be revealed
+  const tokenURIs = {};
+  batches.forEach(({ tokenIdRange: [startId, count] }) => {
+    for (let i = 0; i < count; i++) {
+      tokenURIs[startId + i] = survivingURIs[startId + i];
+    }
+  });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    applied: apply,
+    fromBlock,
+    toBlock,
+    backupDir: null,
+    mints: Object.values(mintedData.users).reduce((n, r) => n + r.length, 0),
+    users: Object.keys(mintedData.users).length,
+    lastTokenId: mintedData.lastTokenId,
+    batchesRecovered: batches.length,
+    expiredBatches,
+    revealedTokens: Object.keys(revealedTokens).length,
+    unrecoverable,
+    notes: [
+      "Logged-in users are not stored on chain and were not recovered",
+      "On apply, unfinished mint jobs whose transaction was recovered are marked persisted; the others are left to finish",
+      "Expired batches are not restored, as cleanup would remove them",
+    ],
+  };
+
+  if (apply) {
+    const head = await contractConfig.provider.getBlockNumber();
+    const laterMints = collectMints(
+      head > toBlock ? await indexer.fetchEvents(toBlock + 1, head) : []
+    );
+    if (laterMints.length > 0) {
+      throw new Error(
+        `${laterMints.length} mints were made after block ${toBlock} during the scan; stop the server and run recovery again`
+      );
+    }
+
+    report.backupDir = migrationService.backupData("recovery");
+    dataModel.transaction(() => {
+      // A mint persisted during the scan would be lost
+      if (readSurviving("mintedNFTs", {}).lastTokenId !== localLastTokenId) {
+        throw new Error(
+          "Minted data changed during the chain scan; stop the server and run recovery again"
+        );
+      }
+
+      report.mintJobs = reconcileJobs(mints);
+      dataModel.saveMintedNFTData(mintedData);
+      dataModel.saveBatches(batches);
+      dataModel.saveTokenURIs(tokenURIs);
+      dataModel.saveRevealedTokens(revealedTokens);
+
+      // The recovered data is in this release's format
+      const schema = readSurviving("schemaVersion", { history: [] });
+      schema.version = migrationService.getLatestVersion();
+      dataModel.writeCollection("schemaVersion", schema);
+    });
+    console.log(
+      `Recovered ${report.mints} mints and ${report.batchesRecovered} batches from the chain`
+    );
+  }
+
+  report.reportFile = reports.writeReport("recovery", report);
+  return report;
+}
+
+module.exports = {
+  recoverFromChain,
+};
@@ -0,0 +1,23 @@
+const fs = require("fs");
+const path = require("path");
+const paths = require("../config/paths");
+const dataModel = require("../models/data");
+
+/**
+ * Write a maintenance report to the reports directory
+ *
+ * @param {string} kind - Report kind, used as the file name prefix
+ * @param {Object} report - Report with a `generatedAt` ISO timestamp
+ * @returns {string} Path of the report file
+ */
+function writeReport(kind, report) {
+  fs.mkdirSync(paths.REPORTS_DIR, { recursive: true });
+  const stamp = report.generatedAt.replace(/[:.]/g, "-");
+  const file = path.join(paths.REPORTS_DIR, `${kind}-${stamp}.json`);
+  dataModel.writeJSON(file, report);
+  return file;
+}
+
+module.exports = {
+  writeReport,
+};
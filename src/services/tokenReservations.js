@@ -0,0 +1,129 @@
+const { ethers } = require("ethers");
+const { contractABI } = require("../config/abi");
+
+/**
+ * Token ID reservation
+ *
+ * The contract numbers tokens with its own counter, in the order mint
+ * transactions are mined. Each unfinished mint job holds a reservation for
+ * its range (`startTokenId`..`endTokenId`), allocated under the data lock so
+ * concurrent mints never compute the same range. A reservation is only
+ * provisional until its transaction is sent: just before sending, the range
+ * is re-aligned with the IDs the chain will actually assign. Jobs that fail
+ * for good stop counting, which releases their range.
+ */
+
+const contractInterface = new ethers.Interface(contractABI);
+
+// Jobs whose mint transaction has been sent and counts on chain
+const SENT_STATUSES = ["submitted", "confirmed"];
+const FINAL_STATUSES = ["persisted", "failed"];
+
+/**
+ * Highest token ID held by the given jobs or already recorded as minted
+ *
+ * @param {Object} mintedData - Minted NFT data (lastTokenId, users)
+ * @param {Array<Object>} jobs - Jobs to take into account
+ * @returns {number} Highest allocated token ID (0 if none)
+ */
+function highestAllocated(mintedData, jobs) {
+  return jobs.reduce(
+    (max, job) => Math.max(max, job.endTokenId),
+    mintedData.lastTokenId
+  );
+}
+
+/**
+ * First token ID not held by any unfinished job
+ *
+ * Used to hand out a new reservation.
+ *
+ * @param {Object} mintedData - Minted NFT data
+ * @param {Object} jobs - Mint jobs keyed by ID
+ * @param {string} excludeJobId - Job whose own reservation is ignored
+ * @returns {number} Start of the next free range
+ */
+function nextFreeTokenId(mintedData, jobs, excludeJobId = null) {
+  const holders = Object.values(jobs).filter(
+    (job) => job.id !== excludeJobId && !FINAL_STATUSES.includes(job.status)
+  );
+  return highestAllocated(mintedData, holders) + 1;
+}
+
+/**
+ * Token ID the contract will assign to the next mint we send
+ *
+ * Counts only ranges already minted or sent to the chain, since those are
+ * the only ones the contract's counter will have advanced past.
+ *
+ * @param {Object} mintedData - Minted NFT data
+ * @param {Object} jobs - Mint jobs keyed by ID
+ * @param {string} excludeJobId - Job about to be sent
+ * @returns {number} Next on-chain token ID
+ */
+function nextChainTokenId(mintedData, jobs, excludeJobId = null) {
+  return (
+    Object.values(jobs)
+      .filter(
+        (job) => job.id !== excludeJobId && SENT_STATUSES.includes(job.status)
+      )
+      .reduce((max, job) => {
+        // Confirmed jobs count with the IDs the chain actually gave them
+        const [startId, count] = job.mintedRange || [
+          job.startTokenId,
+          job.quantity,
+        ];
+        return Math.max(max, startId + count - 1);
+      }, mintedData.lastTokenId) + 1
+  );
+}
+
+/**
+ * Token IDs minted by a transaction, read from its Transfer logs
+ *
+ * @param {Object} receipt - Transaction receipt
+ * @param {string} contractAddress - MerkleNFT contract address
+ * @returns {Array<number>} Minted token IDs in ascending order
+ */
+function mintedTokenIdsFromReceipt(receipt, contractAddress) {
+  const tokenIds = [];
+
+  for (const log of receipt.logs || []) {
+    if (log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+
+    let parsed;
+    try {
+      parsed = contractInterface.parseLog(log);
+    } catch (error) {
+      continue; // Not an event we know about
+    }
+    if (
+      parsed &&
+      parsed.name === "Transfer" &&
+      parsed.args.from === ethers.ZeroAddress
+    ) {
+      tokenIds.push(Number(parsed.args.tokenId));
+    }
+  }
+
+  return tokenIds.sort((a, b) => a - b);
+}
+
+/**
+ * Collapse a sorted list of token IDs into a [startId, count] range
+ *
+ * @param {Array<number>} tokenIds - Sorted token IDs
+ * @returns {Array<number>|null} Range, or null if the IDs are not contiguous
+ */
+function toRange(tokenIds) {
+  if (tokenIds.length === 0) return null;
+  const contiguous = tokenIds.every((id, i) => id === tokenIds[0] + i);
+  return contiguous ? [tokenIds[0], tokenIds.length] : null;
+}
+
+module.exports = {
+  nextFreeTokenId,
+  nextChainTokenId,
+  mintedTokenIdsFromReceipt,
+  toRange,
+};
@@ -0,0 +1,563 @@
+const { ethers } = require("ethers");
+const contractConfig = require("../config/contract");
+const feeConfig = require("../config/fees");
+const feePolicy = require("./feePolicy");
+
+/**
+ * Serialized transaction sender for the minter wallet
+ *
+ * Every contract write goes through a single queue that assigns nonces
+ * itself, so concurrent mint cycles and reveals never race for the same
+ * nonce. Submission is serialized; waiting for receipts is not.
+ *
+ * Urgent sends (reveals about to run out of window) go ahead of everything
+ * else in the queue. Fees come from the fee policy, and a transaction that
+ * stays pending is replaced at the same nonce with higher fees.
+ */
+
+// Time between receipt checks while waiting for a transaction
+const POLL_INTERVAL_MS = 2000;
+
+// Next nonce to assign, or null when it must be re-read from the chain
+let nextNonce = null;
+
+// Transactions sent but not yet seen in a block, keyed by nonce. Each keeps
+// the call, gas limit and fees it was sent with so it can be replaced.
+const pending = new Map();
+
+// Entries of transactions found dropped, keyed by each hash they were sent
+// with, so whoever waits on them learns they will never be mined
+const dropped = new Map();
+
+// Sends waiting for their turn, urgent ones first
+const queue = [];
+let sending = false;
+
+/**
+ * Re-read the wallet nonce from the chain
+ *
+ * @returns {number} The nonce the next transaction will use
+ */
+async function syncNonce() {
+  nextNonce = await contractConfig.wallet.getNonce("pending");
+  console.log(`Minter nonce synced from chain: ${nextNonce}`);
+  return nextNonce;
+}
+
+/**
+ * Forget pending transactions the chain has already included, and detect
+ * ones that were dropped from the mempool
+ *
+ * Once the oldest is dropped, every later nonce is given up as well and
+ * their waiters get a TX_DROPPED error, so the calls can be sent again.
+ */
+async function reconcilePending() {
+  if (pending.size === 0) return;
+
+  const minedNonce = await contractConfig.wallet.getNonce("latest");
+  for (const nonce of pending.keys()) {
+    if (nonce < minedNonce) pending.delete(nonce);
+  }
+
+  // If the oldest pending tx has been waiting too long and the chain no
+  // longer knows about it, its nonce is free again: start over from there
+  const droppedAfterMs = contractConfig.getTxDroppedAfterSeconds() * 1000;
+  const oldest = pending.get(minedNonce);
+  if (oldest && Date.now() - oldest.sentAt > droppedAfterMs) {
+    const chainTx = await contractConfig.provider.getTransaction(oldest.hash);
+    if (!chainTx) {
+      console.warn(
+        `Transaction ${oldest.hash} (nonce ${minedNonce}, ${oldest.label}) was dropped, resetting nonce`
+      );
+      for (const entry of pending.values()) {
+        feePolicy.releaseSpend(entry.spend);
+        entry.hashes.forEach((hash) => dropped.set(hash, entry));
+      }
+      pending.clear();
+      nextNonce = minedNonce;
+    }
+  }
+}
+
+/**
+ * Check whether an error means our nonce view is out of date
+ *
+ * @param {Error} error - Error thrown while sending
+ * @returns {boolean} True if the nonce should be re-synced and the send retried
+ */
+function isNonceError(error) {
+  const message = (error.message || "").toLowerCase();
+  return (
+    error.code === "NONCE_EXPIRED" ||
+    message.includes("nonce too low") ||
+    message.includes("nonce has already been used")
+  );
+}
+
+/**
+ * Send one contract call with an explicit nonce, gas limit and fees
+ *
+ * @param {Object} send - Queued send
+ * @param {string} send.label - Short description for logs and status
+ * @param {string} send.method - Contract method name
+ * @param {Array|Function} send.args - Method arguments, or a function returning them
+ * @param {Function} send.onSent - Optional callback receiving the transaction
+ * @param {boolean} send.urgent - Use the urgent fee policy
+ * @returns {Object} The ethers transaction response
+ */
+async function submit({ label, method, args, onSent, urgent }) {
+  await reconcilePending().catch((error) => {
+    console.error("Error reconciling pending transactions:", error.message);
+  });
+  if (nextNonce === null) await syncNonce();
+
+  // Arguments can depend on what was sent before, so resolve them in turn
+  const callArgs = typeof args === "function" ? await args() : args;
+
+  // Estimating also surfaces a revert before anything is paid for
+  const gasLimit = await contractConfig.contract[method].estimateGas(
+    ...callArgs
+  );
+  const fees = await feePolicy.getFees({ urgent });
+  const spend = feePolicy.reserveSpend(gasLimit * fees.maxFeePerGas, {
+    urgent,
+    label,
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    const nonce = nextNonce;
+    try {
+      const tx = await contractConfig.contract[method](...callArgs, {
+        nonce,
+        gasLimit,
+        ...fees,
+      });
+      nextNonce = nonce + 1;
+      pending.set(nonce, {
+        nonce,
+        hash: tx.hash,
+        hashes: [tx.hash],
+        label,
+        method,
+        args: callArgs,
+        urgent,
+        gasLimit,
+        fees,
+        spend,
+        speedUps: 0,
+        sentAt: Date.now(),
+      });
+      console.log(`Sent ${label} with nonce ${nonce}: ${tx.hash}`);
+      if (onSent) await onSent(tx);
+      return tx;
+    } catch (error) {
+      // Whatever happened, our nonce may no longer match the chain
+      nextNonce = null;
+      await syncNonce().catch((syncError) => {
+        console.error("Error syncing nonce:", syncError.message);
+      });
+
+      if (attempt === 1 && nextNonce !== null && isNonceError(error)) {
+        console.warn(`Nonce ${nonce} rejected for ${label}, retrying`);
+        continue;
+      }
+      feePolicy.releaseSpend(spend);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Submit queued sends one at a time until the queue is empty
+ */
+async function drainQueue() {
+  if (sending) return;
+  sending = true;
+  while (queue.length > 0) {
+    const send = queue.shift();
+    try {
+      send.resolve(await submit(send));
+    } catch (error) {
+      send.reject(error);
+    }
+  }
+  sending = false;
+}
+
+/**
+ * Queue a contract write from the minter wallet
+ *
+ * Calls are submitted one at a time in the order they were queued, except
+ * that urgent calls go ahead of all non-urgent ones. The returned promise
+ * resolves once the transaction has been broadcast.
+ *
+ * @param {string} label - Short description for logs and status
+ * @param {string} method - Contract method name (e.g. mintWithMerkle, reveal)
+ * @param {Array|Function} args - Method arguments, or a function returning
+ *   them (or a promise of them) that is called when the transaction's turn
+ *   comes
+ * @param {Function} onSent - Optional callback receiving the transaction,
+ *   awaited before the next queued transaction is prepared
+ * @param {Object} options - Send options
+ * @param {boolean} options.urgent - Jump the queue and pay the urgent tip
+ * @returns {Promise<Object>} The ethers transaction response
+ */
+function sendTransaction(label, method, args, onSent, { urgent = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const send = { label, method, args, onSent, urgent, resolve, reject };
+    const position = urgent ? queue.findIndex((queued) => !queued.urgent) : -1;
+    if (position === -1) {
+      queue.push(send);
+    } else {
+      queue.splice(position, 0, send);
+    }
+    drainQueue();
+  });
+}
+
+/**
+ * Check what a contract write would do, without sending it
+ *
+ * Runs the call as the minter with `staticCall` against the latest block
+ * and, if it would succeed, estimates its gas and the fees the policy would
+ * pay. Nothing is queued, sent or reserved against the budget.
+ *
+ * @param {string} method - Contract method name
+ * @param {Array} args - Method arguments
+ * @param {Object} options - Simulation options
+ * @param {boolean} options.urgent - Price it as an urgent send
+ * @returns {Object} Revert reason, or gas limit and fees
+ */
+async function simulateTransaction(method, args, { urgent = false } = {}) {
+  const call = contractConfig.contract[method];
+  try {
+    await call.staticCall(...args);
+  } catch (error) {
+    if (error.code !== "CALL_EXCEPTION") throw error;
+    return {
+      method,
+      wouldRevert: true,
+      revertReason: error.reason || error.shortMessage || error.message,
+    };
+  }
+
+  const gasLimit = await call.estimateGas(...args);
+  const simulation = {
+    method,
+    wouldRevert: false,
+    revertReason: null,
+    urgent,
+    gasLimit: gasLimit.toString(),
+  };
+  try {
+    const fees = await feePolicy.getFees({ urgent });
+    Object.assign(simulation, {
+      maxFeePerGasGwei: ethers.formatUnits(fees.maxFeePerGas, "gwei"),
+      maxPriorityFeePerGasGwei: ethers.formatUnits(
+        fees.maxPriorityFeePerGas,
+        "gwei"
+      ),
+      maxCostEth: ethers.formatEther(gasLimit * fees.maxFeePerGas),
+    });
+  } catch (error) {
+    simulation.feeError = error.message; // e.g. base fee above the cap
+  }
+  return simulation;
+}
+
+/**
+ * Find the pending transaction a hash was sent as, including replacements
+ *
+ * @param {string} hash - Transaction hash
+ * @returns {Object|undefined} Pending entry
+ */
+function findPending(hash) {
+  return Array.from(pending.values()).find((entry) =>
+    entry.hashes.includes(hash)
+  );
+}
+
+/**
+ * Rebuild the pending entry of a transaction sent before a restart
+ *
+ * The pending map starts out empty, so a transaction sent by an earlier
+ * process could only be waited on until the wait timed out. The rebuilt
+ * entry is registered under its nonce, unless another send already has
+ * it, and is then checked for being dropped or replaced like any other.
+ * It has no call or fees, so it can't be sped up.
+ *
+ * @param {string} hash - Hash the transaction was first sent with
+ * @param {Object} sent - What the caller saved when it was sent
+ * @param {number} sent.nonce - Nonce, or null to look it up on the chain
+ * @param {Array<string>} sent.hashes - Every hash it was sent with
+ * @param {number} sent.sentAt - When it was sent, in milliseconds
+ * @returns {Object} Pending entry
+ */
+function restorePending(hash, { nonce = null, hashes = [], sentAt }) {
+  const sent = hashes.includes(hash) ? hashes : [hash, ...hashes];
+  const entry = {
+    nonce: null,
+    hash: sent[sent.length - 1],
+    hashes: [...sent],
+    label: `transaction ${hash}`,
+    speedUps: 0,
+    sentAt: sentAt || Date.now(),
+    restored: true,
+  };
+  if (nonce != null) registerRestored(entry, nonce);
+  return entry;
+}
+
+/**
+ * Give a rebuilt entry its nonce, and register it unless the nonce is taken
+ *
+ * @param {Object} entry - Rebuilt entry
+ * @param {number} nonce - Nonce it was sent with
+ */
+function registerRestored(entry, nonce) {
+  entry.nonce = nonce;
+  if (!pending.has(nonce)) pending.set(nonce, entry);
+}
+
+/**
+ * Look up the nonce of a rebuilt entry saved without one
+ *
+ * @param {Object} entry - Rebuilt entry
+ * @returns {boolean} False if the chain knows none of its hashes
+ */
+async function lookUpNonce(entry) {
+  for (const hash of entry.hashes) {
+    const chainTx = await contractConfig.provider.getTransaction(hash);
+    if (chainTx) {
+      registerRestored(entry, chainTx.nonce);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether a transaction's nonce was used by a transaction that is
+ * none of its copies, so it can never be mined
+ *
+ * @param {Object} entry - Pending entry
+ * @returns {boolean} True if the chain has moved past the nonce without it
+ */
+async function isNonceTaken(entry) {
+  const minedNonce = await contractConfig.wallet.getNonce("latest");
+  if (entry.nonce >= minedNonce) return false;
+
+  // A copy may have been mined since its receipt was last checked
+  for (const hash of entry.hashes) {
+    if (await contractConfig.provider.getTransactionReceipt(hash)) return false;
+  }
+  return true;
+}
+
+/**
+ * Replace a pending transaction with a copy paying higher fees
+ *
+ * Does nothing until the transaction has waited TX_SPEED_UP_AFTER_SECONDS,
+ * after TX_MAX_SPEED_UPS replacements, or if the bumped fees would exceed
+ * the cap. The copy has the same nonce, so only one of them can be mined.
+ *
+ * @param {Object} entry - Pending entry
+ * @returns {string|undefined} Hash of the copy, if one was sent
+ */
+async function speedUp(entry) {
+  if (
+    entry.restored ||
+    entry.speedUps >= feeConfig.getTxMaxSpeedUps() ||
+    Date.now() - entry.sentAt < feeConfig.getTxSpeedUpAfterSeconds() * 1000
+  ) {
+    return;
+  }
+
+  const fees = await feePolicy.bumpFees(entry.fees, { urgent: entry.urgent });
+  if (!fees) {
+    if (!entry.capped) {
+      console.warn(
+        `Can't speed up ${entry.label} (nonce ${entry.nonce}) without exceeding the fee cap`
+      );
+      entry.capped = true;
+    }
+    return;
+  }
+
+  const reserved = entry.spend.wei;
+  feePolicy.reserveSpend(
+    entry.gasLimit * fees.maxFeePerGas,
+    { urgent: entry.urgent, label: entry.label },
+    entry.spend
+  );
+  let tx;
+  try {
+    tx = await contractConfig.contract[entry.method](...entry.args, {
+      nonce: entry.nonce,
+      gasLimit: entry.gasLimit,
+      ...fees,
+    });
+  } catch (error) {
+    entry.spend.wei = reserved;
+    throw error;
+  }
+
+  entry.hash = tx.hash;
+  entry.hashes.push(tx.hash);
+  entry.fees = fees;
+  entry.speedUps++;
+  entry.sentAt = Date.now();
+  console.log(
+    `Sped up ${entry.label} (nonce ${entry.nonce}) to ${ethers.formatUnits(
+      fees.maxFeePerGas,
+      "gwei"
+    )} gwei: ${tx.hash}`
+  );
+  return tx.hash;
+}
+
+/**
+ * Wait for a transaction to be mined, speeding it up while it is stuck
+ *
+ * Replaces `tx.wait()`, which waits forever on an underpriced transaction.
+ * Watches the hash and every replacement of it; whichever is mined first is
+ * returned. Gives up after TX_WAIT_TIMEOUT_SECONDS, or with a TX_DROPPED
+ * error once the chain has forgotten it (see reconcilePending), or with a
+ * TX_REPLACED error once its nonce was used by another transaction. Only
+ * the last two mean it will never be mined. A transaction sent by an
+ * earlier process gets the same checks if the caller saved its nonce and
+ * hashes (see restorePending), but can't be sped up.
+ *
+ * @param {string} hash - Hash the transaction was first sent with
+ * @param {Object} options - Wait options
+ * @param {Function} options.onReplaced - Called with the new hash if a
+ *   replacement was mined instead, and awaited
+ * @param {Function} options.onSpedUp - Called with the hash of each copy
+ *   sent with higher fees, and awaited
+ * @param {number} options.nonce - Nonce it was sent with, if it may have
+ *   been sent by an earlier process
+ * @param {Array<string>} options.hashes - Every hash it was sent with
+ * @param {number} options.sentAt - When it was sent, in milliseconds
+ * @returns {Object} Receipt (check `status`: a reverted one is returned too)
+ */
+async function waitForReceipt(
+  hash,
+  { onReplaced, onSpedUp, nonce, hashes: sentHashes, sentAt } = {}
+) {
+  const timeoutSeconds = feeConfig.getTxWaitTimeoutSeconds();
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  // Kept once the entry leaves the pending map, to check its nonce
+  let watched =
+    findPending(hash) ||
+    dropped.get(hash) ||
+    restorePending(hash, { nonce, hashes: sentHashes, sentAt });
+
+  for (;;) {
+    const entry = findPending(hash);
+    const droppedEntry = dropped.get(hash);
+    watched = entry || droppedEntry || watched;
+    const { hashes } = watched;
+    for (const candidate of hashes) {
+      const receipt = await contractConfig.provider.getTransactionReceipt(
+        candidate
+      );
+      if (!receipt) continue;
+
+      if (entry) {
+        if (entry.spend) feePolicy.settleSpend(entry.spend, receipt);
+        pending.delete(entry.nonce);
+      }
+      if (droppedEntry) hashes.forEach((sent) => dropped.delete(sent));
+      if (candidate !== hash) {
+        console.log(`Transaction ${hash} was replaced by ${candidate}`);
+        if (onReplaced) await onReplaced(candidate);
+      }
+      return receipt;
+    }
+
+    // Without a saved nonce, a rebuilt entry is dropped once the chain has
+    // forgotten every copy for as long as a pending one would be
+    const forgotten =
+      watched.restored &&
+      watched.nonce == null &&
+      !(await lookUpNonce(watched)) &&
+      Date.now() - watched.sentAt >
+        contractConfig.getTxDroppedAfterSeconds() * 1000;
+    if (droppedEntry || forgotten) {
+      hashes.forEach((sent) => dropped.delete(sent));
+      const error = new Error(
+        `Transaction ${hash} was dropped before being mined`
+      );
+      error.code = "TX_DROPPED";
+      throw error;
+    }
+    if (watched.nonce != null && (await isNonceTaken(watched))) {
+      feePolicy.releaseSpend(watched.spend);
+      if (pending.get(watched.nonce) === watched) pending.delete(watched.nonce);
+      const error = new Error(
+        `Transaction ${hash} was replaced by another transaction with nonce ${watched.nonce}`
+      );
+      error.code = "TX_REPLACED";
+      throw error;
+    }
+    if (
+      entry &&
+      Date.now() - entry.sentAt >
+        contractConfig.getTxDroppedAfterSeconds() * 1000
+    ) {
+      await reconcilePending().catch((error) => {
+        console.error("Error reconciling pending transactions:", error.message);
+      });
+      if (dropped.has(hash)) continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(
+        `Transaction ${hash} was not mined within ${timeoutSeconds} seconds`
+      );
+    }
+    if (entry) {
+      const spedUp = await speedUp(entry).catch((error) => {
+        console.error(`Error speeding up ${entry.label}:`, error.message);
+      });
+      if (spedUp && onSpedUp) await onSpedUp(spedUp);
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Get the sender's current view of the wallet
+ *
+ * @returns {Object} Next nonce, queued sends and pending transactions
+ */
+function getStatus() {
+  return {
+    address: contractConfig.wallet.address,
+    nextNonce,
+    queued: queue.length + (sending ? 1 : 0),
+    pending: Array.from(pending.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([nonce, tx]) => ({
+        nonce,
+        hash: tx.hash,
+        label: tx.label,
+        method: tx.method,
+        urgent: tx.urgent,
+        maxFeePerGasGwei: tx.fees
+          ? ethers.formatUnits(tx.fees.maxFeePerGas, "gwei")
+          : null, // Sent before a restart
+        speedUps: tx.speedUps,
+        replaced: tx.hashes.slice(0, -1),
+        sentAt: new Date(tx.sentAt).toISOString(),
+      })),
+    fees: feePolicy.getStatus(),
+  };
+}
+
+module.exports = {
+  sendTransaction,
+  waitForReceipt,
+  simulateTransaction,
+  syncNonce,
+  getStatus,
+};
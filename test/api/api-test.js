@@ -3,6 +3,10 @@ const assert = require("assert");
 
 // Test configuration
 const API_BASE_URL = "http://localhost:3000/api";
+// Operator API key the server is started with (see ADMIN_API_KEYS)
+const ADMIN_HEADERS = {
+  "x-api-key": process.env.ADMIN_API_KEY || "local-test-key",
+};
 const TEST_ADDRESS = "0x1234567890123456789012345678901234567890"; // Test Ethereum address
 const TEST_ADDRESS2 = "0x9876543210987654321098765432109876543210"; // Second test address
 
@@ -194,7 +198,8 @@ async function testUserCleanup() {
   console.log("\n📋 Testing user cleanup for a specific user...");
   try {
     const response = await axios.get(
-      `${API_BASE_URL}/nft/cleanup/${TEST_ADDRESS}`
+      `${API_BASE_URL}/nft/cleanup/${TEST_ADDRESS}`,
+      { headers: ADMIN_HEADERS }
     );
 
     assert.strictEqual(response.status, 200);
@@ -216,7 +221,9 @@ async function testUserCleanup() {
 async function testGlobalCleanup() {
   console.log("\n📋 Testing global cleanup...");
   try {
-    const response = await axios.get(`${API_BASE_URL}/nft/cleanup`);
+    const response = await axios.get(`${API_BASE_URL}/nft/cleanup`, {
+      headers: ADMIN_HEADERS,
+    });
 
     assert.strictEqual(response.status, 200);
     assert.strictEqual(response.data.success, true);
@@ -245,7 +252,8 @@ async function testDeleteUser() {
 
     // Now delete it
     const response = await axios.delete(
-      `${API_BASE_URL}/users/${TEST_ADDRESS2}`
+      `${API_BASE_URL}/users/${TEST_ADDRESS2}`,
+      { headers: ADMIN_HEADERS }
     );
 
     assert.strictEqual(response.status, 200);
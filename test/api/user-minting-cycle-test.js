@@ -3,6 +3,10 @@ const assert = require("assert");
 
 // Test configuration
 const API_BASE_URL = "http://localhost:3000/api";
+// Operator API key the server is started with (see ADMIN_API_KEYS)
+const ADMIN_HEADERS = {
+  "x-api-key": process.env.ADMIN_API_KEY || "local-test-key",
+};
 const TEST_ADDRESSES = [
   "0xabc1000000000000000000000000000000000001",
   "0xabc2000000000000000000000000000000000002",
@@ -54,7 +58,9 @@ async function testUserMintingCycle() {
     console.log(`\n${YELLOW}📋 Cleaning up any existing test users...${NC}`);
     for (const address of TEST_ADDRESSES) {
       try {
-        await axios.delete(`${API_BASE_URL}/users/${address}`);
+        await axios.delete(`${API_BASE_URL}/users/${address}`, {
+          headers: ADMIN_HEADERS,
+        });
       } catch (error) {
         // Ignore errors deleting non-existent users
       }
@@ -205,7 +211,12 @@ async function testUserMintingCycle() {
     console.log(`\n${YELLOW}📋 Cleaning up test users...${NC}`);
     for (const address of TEST_ADDRESSES) {
       try {
-        const response = await axios.delete(`${API_BASE_URL}/users/${address}`);
+        const response = await axios.delete(
+          `${API_BASE_URL}/users/${address}`,
+          {
+            headers: ADMIN_HEADERS,
+          }
+        );
         console.log(
           `${GREEN}✅ Successfully deleted test user ${address}${NC}`
         );
@@ -0,0 +1,165 @@
+const assert = require("assert");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+} = require("./fixtures/setup");
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("admin-test-");
+delete process.env.AUTH_REQUIRED;
+
+const adminWallet = ethers.Wallet.createRandom();
+process.env.ADMIN_API_KEYS =
+  "dashboard|viewer|view-key,ops-bot|operator|ops-key";
+process.env.ADMIN_WALLETS = `${adminWallet.address}|admin`;
+
+const authService = require("../../src/services/auth");
+const auditLog = require("../../src/services/auditLog");
+const { requireRole } = require("../../src/middleware/auth");
+
+console.log(`${BLUE}🚀 Starting admin authentication tests...${NC}`);
+
+/**
+ * Run requireRole on a fake request and send a response if it passes
+ */
+function call(role, headers = {}) {
+  const req = {
+    method: "POST",
+    originalUrl: "/api/nft/fsck",
+    body: { fix: true },
+    ip: "127.0.0.1",
+    get: (name) => headers[name.toLowerCase()],
+  };
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    res.emit("finish");
+    return res;
+  };
+
+  let admin = null;
+  requireRole(role)(req, res, () => {
+    admin = req.admin;
+    res.json({ success: true });
+  });
+  return { status: res.statusCode, admin };
+}
+
+/**
+ * Sign in a wallet and return its session token
+ */
+async function signIn(wallet) {
+  const message = authService.buildMessage({
+    domain: "localhost",
+    address: wallet.address,
+    uri: "http://localhost",
+    chainId: await authService.getChainId(),
+    nonce: authService.createNonce().nonce,
+    issuedAt: new Date().toISOString(),
+  });
+  const result = await authService.signIn(
+    message,
+    await wallet.signMessage(message)
+  );
+  assert.strictEqual(result.success, true, result.error);
+  return result.token;
+}
+
+// Test 1: API keys carry their role and those below it
+async function testApiKeys() {
+  console.log(`\n${YELLOW}📋 Testing API key roles...${NC}`);
+
+  assert.strictEqual(call("viewer").status, 401);
+  assert.strictEqual(call("viewer", { "x-api-key": "wrong" }).status, 401);
+
+  const viewer = call("viewer", { "x-api-key": "view-key" });
+  assert.strictEqual(viewer.status, 200);
+  assert.deepStrictEqual(viewer.admin, {
+    actor: "dashboard",
+    role: "viewer",
+    via: "api-key",
+  });
+  assert.strictEqual(call("operator", { "x-api-key": "view-key" }).status, 403);
+  assert.strictEqual(call("viewer", { "x-api-key": "ops-key" }).status, 200);
+  assert.strictEqual(call("admin", { "x-api-key": "ops-key" }).status, 403);
+
+  console.log(`${GREEN}✅ API keys are checked against their role${NC}`);
+}
+
+// Test 2: sessions of admin wallets carry a role, other sessions don't
+async function testWallets() {
+  console.log(`\n${YELLOW}📋 Testing admin wallet sessions...${NC}`);
+
+  const adminToken = await signIn(adminWallet);
+  const admin = call("admin", { authorization: `Bearer ${adminToken}` });
+  assert.strictEqual(admin.status, 200);
+  assert.strictEqual(admin.admin.actor, adminWallet.address.toLowerCase());
+  assert.strictEqual(admin.admin.via, "wallet");
+
+  const userToken = await signIn(ethers.Wallet.createRandom());
+  assert.strictEqual(
+    call("viewer", { authorization: `Bearer ${userToken}` }).status,
+    401
+  );
+
+  console.log(`${GREEN}✅ Only listed wallets get a role${NC}`);
+}
+
+// Test 3: every call is in the audit log
+async function testAuditLog() {
+  console.log(`\n${YELLOW}📋 Testing the audit log...${NC}`);
+
+  const entries = auditLog.listEntries();
+  // Eight calls, including the three refused for missing credentials
+  assert.strictEqual(entries.length, 8);
+  assert.strictEqual(
+    entries.filter((entry) => entry.actor === null && entry.status === 401)
+      .length,
+    3
+  );
+  // Newest first: the plain user's session, then the admin wallet
+  assert.strictEqual(entries[0].actor, null);
+  assert.strictEqual(entries[0].status, 401);
+  assert.strictEqual(entries[1].actor, adminWallet.address.toLowerCase());
+  assert.strictEqual(entries[1].status, 200);
+
+  const refused = auditLog.listEntries({ actor: "ops-bot" });
+  assert.deepStrictEqual(
+    refused.map((entry) => entry.status),
+    [403, 200]
+  );
+  assert.strictEqual(refused[0].method, "POST");
+  assert.strictEqual(refused[0].path, "/api/nft/fsck");
+  assert.deepStrictEqual(refused[0].body, { fix: true });
+
+  console.log(
+    `${GREEN}✅ Privileged calls are recorded with their caller${NC}`
+  );
+}
+
+// Run tests
+(async () => {
+  try {
+    await testApiKeys();
+    await testWallets();
+    await testAuditLog();
+    console.log(`\n${BLUE}🏁 Admin authentication tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    removeDataDir();
+  }
+})();
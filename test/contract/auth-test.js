@@ -0,0 +1,208 @@
+const assert = require("assert");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+} = require("./fixtures/setup");
+const { ethers } = require("ethers");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("auth-test-");
+delete process.env.AUTH_REQUIRED;
+
+const authService = require("../../src/services/auth");
+const { requireSession } = require("../../src/middleware/auth");
+
+console.log(`${BLUE}🚀 Starting Sign-In with Ethereum tests...${NC}`);
+
+const DOMAIN = "bananas.example";
+const user = ethers.Wallet.createRandom();
+const other = ethers.Wallet.createRandom();
+
+/**
+ * Build a sign-in message for a fresh nonce
+ */
+async function messageFor(wallet, fields = {}) {
+  return authService.buildMessage({
+    domain: DOMAIN,
+    address: wallet.address,
+    statement: "Sign in to Banana NFT",
+    uri: `https://${DOMAIN}`,
+    chainId: await authService.getChainId(),
+    nonce: authService.createNonce().nonce,
+    issuedAt: new Date().toISOString(),
+    ...fields,
+  });
+}
+
+/**
+ * Run requireSession on a fake request
+ */
+function callMiddleware(token, address) {
+  const req = {
+    params: {},
+    body: { address },
+    get: (name) =>
+      name.toLowerCase() === "authorization" && token
+        ? `Bearer ${token}`
+        : undefined,
+  };
+  const result = { status: 200, nextCalled: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(body) {
+      result.body = body;
+      return res;
+    },
+  };
+  requireSession(req, res, () => {
+    result.nextCalled = true;
+  });
+  return result;
+}
+
+// Test 1: a signed message gives a session, once
+async function testSignIn() {
+  console.log(`\n${YELLOW}📋 Testing sign-in...${NC}`);
+
+  const message = await messageFor(user);
+  const fields = authService.parseMessage(message);
+  assert.strictEqual(fields.address, user.address);
+  assert.strictEqual(fields.statement, "Sign in to Banana NFT");
+
+  const signature = await user.signMessage(message);
+  const result = await authService.signIn(message, signature, {
+    domain: DOMAIN,
+  });
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(result.address, user.address.toLowerCase());
+  assert.strictEqual(
+    authService.getSession(result.token).address,
+    result.address
+  );
+
+  // The nonce is used up
+  const replay = await authService.signIn(message, signature, {
+    domain: DOMAIN,
+  });
+  assert.strictEqual(replay.success, false);
+
+  console.log(`${GREEN}✅ Signed message exchanged for a session${NC}`);
+  return result.token;
+}
+
+// Test 2: messages that must be refused
+async function testRejections() {
+  console.log(`\n${YELLOW}📋 Testing rejected sign-ins...${NC}`);
+
+  const signIn = async (message, wallet = user) =>
+    authService.signIn(message, await wallet.signMessage(message), {
+      domain: DOMAIN,
+    });
+
+  // Signed by someone else
+  const message = await messageFor(user);
+  const forged = await authService.signIn(
+    message,
+    await other.signMessage(message),
+    { domain: DOMAIN }
+  );
+  assert.strictEqual(forged.success, false);
+  assert.match(forged.error, /does not match/);
+
+  // Unknown nonce, other domain, other chain, expired
+  const unknown = await signIn(
+    authService.buildMessage({
+      ...authService.parseMessage(await messageFor(user)),
+      nonce: "0123456789abcdef",
+    })
+  );
+  assert.match(unknown.error, /nonce/);
+  assert.match(
+    (await signIn(await messageFor(user, { domain: "evil.example" }))).error,
+    /evil\.example/
+  );
+  assert.match(
+    (await signIn(await messageFor(user, { chainId: 1 }))).error,
+    /chain 1/
+  );
+  assert.match(
+    (
+      await signIn(
+        await messageFor(user, {
+          expirationTime: new Date(Date.now() - 1000).toISOString(),
+        })
+      )
+    ).error,
+    /expired/
+  );
+
+  console.log(
+    `${GREEN}✅ Forged, replayed and mismatched messages refused${NC}`
+  );
+}
+
+// Test 3: user-scoped routes need a session for their address
+async function testMiddleware(token) {
+  console.log(`\n${YELLOW}📋 Testing the session middleware...${NC}`);
+
+  const own = callMiddleware(token, user.address);
+  assert.strictEqual(own.nextCalled, true);
+
+  const noToken = callMiddleware(null, user.address);
+  assert.strictEqual(noToken.status, 401);
+  assert.strictEqual(noToken.nextCalled, false);
+
+  const otherAddress = callMiddleware(token, other.address);
+  assert.strictEqual(otherAddress.status, 403);
+  assert.strictEqual(otherAddress.nextCalled, false);
+
+  assert.strictEqual(authService.signOut(token), true);
+  assert.strictEqual(callMiddleware(token, user.address).status, 401);
+
+  console.log(`${GREEN}✅ Sessions only act for their own address${NC}`);
+}
+
+// Test 4: outstanding nonces are capped
+async function testNonceCap() {
+  console.log(`\n${YELLOW}📋 Testing the nonce cap...${NC}`);
+
+  process.env.AUTH_MAX_NONCES = "3";
+  const message = await messageFor(user);
+  for (let i = 0; i < 3; i++) authService.createNonce();
+
+  // The oldest nonce was dropped to make room
+  const result = await authService.signIn(
+    message,
+    await user.signMessage(message),
+    { domain: DOMAIN }
+  );
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /nonce/i);
+
+  delete process.env.AUTH_MAX_NONCES;
+  console.log(`${GREEN}✅ Oldest nonces give way to new ones${NC}`);
+}
+
+// Run tests
+(async () => {
+  try {
+    const token = await testSignIn();
+    await testRejections();
+    await testMiddleware(token);
+    await testNonceCap();
+    console.log(`\n${BLUE}🏁 Sign-In with Ethereum tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    removeDataDir();
+  }
+})();
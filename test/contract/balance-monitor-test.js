@@ -0,0 +1,107 @@
+const assert = require("assert");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+} = require("./fixtures/setup");
+const { ethers } = require("ethers");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("balance-test-");
+process.env.BALANCE_WARN_ETH = "0.1";
+process.env.BALANCE_CRITICAL_ETH = "0.02";
+delete process.env.MERKLE_LEAF_ENCODING; // The contract's packed leaves
+
+const contractConfig = require("../../src/config/contract");
+const balanceMonitor = require("../../src/services/balanceMonitor");
+const nftService = require("../../src/services/nft");
+const mintJobs = require("../../src/services/mintJobs");
+const userModel = require("../../src/models/users");
+const dataModel = require("../../src/models/data");
+
+console.log(`${BLUE}🚀 Starting balance monitor tests...${NC}`);
+
+const { simulatedChain } = contractConfig;
+const USER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const NEW_USER = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+
+/**
+ * Set the minter balance and run a check
+ */
+async function setBalance(eth) {
+  simulatedChain.setBalance(ethers.parseEther(eth));
+  return balanceMonitor.checkBalance();
+}
+
+// Test 1: levels follow the thresholds
+async function testLevels() {
+  console.log(`\n${YELLOW}📋 Testing balance levels...${NC}`);
+
+  assert.strictEqual(balanceMonitor.getStatus().level, "unknown");
+  assert.strictEqual((await balanceMonitor.checkBalance()).level, "ok");
+
+  const low = await setBalance("0.05");
+  assert.strictEqual(low.level, "warn");
+  assert.strictEqual(low.mintingPaused, false);
+
+  const critical = await setBalance("0.01");
+  assert.strictEqual(critical.level, "critical");
+  assert.strictEqual(critical.balanceEth, "0.01");
+  assert.strictEqual(critical.mintingPaused, true);
+
+  console.log(`${GREEN}✅ Warn and critical thresholds apply${NC}`);
+}
+
+// Test 2: automatic minting pauses, reveals go on, and minting resumes
+async function testPauseAndResume() {
+  console.log(`\n${YELLOW}📋 Testing the minting pause...${NC}`);
+
+  await setBalance("100");
+  const mint = await nftService.mintNFTs(USER, 2);
+  assert.strictEqual(mint.success, true, mint.error);
+
+  await setBalance("0.01");
+
+  // A new user's login doesn't mint, and unsent jobs wait
+  await userModel.updateUserHeartbeat(NEW_USER);
+  assert.strictEqual(Object.values(dataModel.getMintJobs()).length, 1);
+  const job = mintJobs.createJob({
+    user: NEW_USER,
+    uriList: ["ipfs://a", "ipfs://b"],
+  });
+  assert.strictEqual(await mintJobs.resumeJobs(), 0);
+  assert.strictEqual(mintJobs.getJob(job.id).status, "pending");
+
+  // Reveals are time-critical and still go out
+  const reveal = await nftService.revealNFT(USER, mint.startTokenId);
+  assert.strictEqual(reveal.success, true, reveal.error);
+
+  // Refunded: the next check resumes minting
+  const refunded = await setBalance("1");
+  assert.strictEqual(refunded.level, "ok");
+  assert.strictEqual(refunded.mintingPaused, false);
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  assert.strictEqual(mintJobs.getJob(job.id).status, "persisted");
+
+  console.log(
+    `${GREEN}✅ Minting pauses while critical, reveals continue${NC}`
+  );
+}
+
+// Run tests
+(async () => {
+  try {
+    await testLevels();
+    await testPauseAndResume();
+    console.log(`\n${BLUE}🏁 Balance monitor tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    removeDataDir();
+  }
+})();
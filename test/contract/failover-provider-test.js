@@ -0,0 +1,171 @@
+const assert = require("assert");
+const { GREEN, RED, YELLOW, BLUE, NC } = require("./fixtures/setup");
+const express = require("express");
+const { FailoverProvider } = require("../../src/chain/failoverProvider");
+
+console.log(`${BLUE}🚀 Starting failover provider tests...${NC}`);
+
+/**
+ * Start a fake JSON-RPC node on a free port
+ *
+ * `node.down` makes it answer 503; `node.head` is its latest block. Calls
+ * at a block it hasn't reached fail like geth does; eth_call at a reached
+ * block reverts, to check reverts are not failed over.
+ */
+function startNode(name, head) {
+  const node = { name, head, down: false, calls: 0, server: null, url: null };
+  const app = express();
+  app.use(express.json());
+  app.post("/", (req, res) => {
+    node.calls++;
+    if (node.down) return res.status(503).send("unavailable");
+
+    const answer = ({ id, method, params }) => {
+      switch (method) {
+        case "eth_chainId":
+          return { jsonrpc: "2.0", id, result: "0x1" };
+        case "eth_blockNumber":
+          return { jsonrpc: "2.0", id, result: `0x${node.head.toString(16)}` };
+        case "eth_call":
+          if (Number(params[1]) > node.head) {
+            return {
+              jsonrpc: "2.0",
+              id,
+              error: { code: -32000, message: "header not found" },
+            };
+          }
+          return {
+            jsonrpc: "2.0",
+            id,
+            error: { code: 3, message: "execution reverted", data: "0x" },
+          };
+        default:
+          return {
+            jsonrpc: "2.0",
+            id,
+            error: { code: -32601, message: "method not found" },
+          };
+      }
+    };
+    res.json(Array.isArray(req.body) ? req.body.map(answer) : answer(req.body));
+  });
+
+  return new Promise((resolve) => {
+    node.server = app.listen(0, "127.0.0.1", () => {
+      node.url = `http://127.0.0.1:${node.server.address().port}/`;
+      resolve(node);
+    });
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const blockNumber = async (provider) =>
+  Number(await provider.send("eth_blockNumber", []));
+
+// Test 1: failing over, marking unhealthy and probing again
+async function testFailover(primary, backup) {
+  console.log(`\n${YELLOW}📋 Testing failover and recovery...${NC}`);
+
+  const provider = new FailoverProvider(
+    [
+      { url: backup.url, priority: 2 },
+      { url: primary.url, priority: 1 },
+    ],
+    { failureThreshold: 2, retryAfterSeconds: 1 }
+  );
+
+  assert.strictEqual(await blockNumber(provider), 100);
+  assert.strictEqual(backup.calls, 0, "The preferred endpoint is used first");
+
+  primary.down = true;
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(await blockNumber(provider), 100);
+  }
+  let health = provider.getHealth().endpoints;
+  assert.strictEqual(health.find((e) => e.priority === 1).healthy, false);
+  assert.strictEqual(primary.calls, 3, "Unhealthy endpoints are skipped");
+
+  // Back up: retried once its retry time has passed
+  primary.down = false;
+  await sleep(1100);
+  await blockNumber(provider);
+  health = provider.getHealth().endpoints;
+  assert.strictEqual(health.find((e) => e.priority === 1).healthy, true);
+
+  // A revert is an answer, not an endpoint failure
+  const callsBefore = backup.calls;
+  await assert.rejects(
+    provider.call({
+      to: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+      data: "0x",
+    })
+  );
+  assert.strictEqual(backup.calls, callsBefore);
+  health = provider.getHealth().endpoints;
+  assert.strictEqual(health.find((e) => e.priority === 1).failures, 2);
+
+  provider.destroy();
+  console.log(
+    `${GREEN}✅ Fails over, marks the endpoint unhealthy and retries it later${NC}`
+  );
+}
+
+// Test 2: staying at the highest block seen
+async function testConsistentHead(primary, lagging, upToDate) {
+  console.log(
+    `\n${YELLOW}📋 Testing block consistency across endpoints...${NC}`
+  );
+
+  const provider = new FailoverProvider([
+    { url: primary.url, priority: 1 },
+    { url: lagging.url, priority: 2 },
+    { url: upToDate.url, priority: 3 },
+  ]);
+
+  assert.strictEqual(await blockNumber(provider), 100);
+
+  // With the primary down, the lagging node is skipped for the head...
+  primary.down = true;
+  assert.strictEqual(await blockNumber(provider), 100);
+
+  // ...and a read pinned to block 100 is answered by a node that has it
+  const upToDateCalls = upToDate.calls;
+  await assert.rejects(
+    provider.send("eth_call", [
+      { to: "0x5FbDB2315678afecb367f032d93F642f64180aa3", data: "0x" },
+      "0x64",
+    ]),
+    /execution reverted/
+  );
+  assert.strictEqual(upToDate.calls, upToDateCalls + 1);
+
+  const health = provider.getHealth();
+  assert.strictEqual(health.highestBlock, 100);
+  assert.strictEqual(health.endpoints[1].lastBlock, 98);
+
+  provider.destroy();
+  console.log(
+    `${GREEN}✅ "latest" never moves back and pinned reads go to nodes that have the block${NC}`
+  );
+}
+
+// Run tests
+(async () => {
+  const nodes = await Promise.all([
+    startNode("primary", 100),
+    startNode("backup", 100),
+    startNode("lagging", 98),
+  ]);
+  try {
+    const [primary, backup, lagging] = nodes;
+    await testFailover(primary, backup);
+    primary.down = false;
+    await testConsistentHead(primary, lagging, backup);
+    console.log(`\n${BLUE}🏁 Failover provider tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    nodes.forEach((node) => node.server.close());
+  }
+})();
@@ -0,0 +1,190 @@
+const assert = require("assert");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+} = require("./fixtures/setup");
+const { ethers } = require("ethers");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("fees-test-");
+process.env.MAX_FEE_PER_GAS_GWEI = "50";
+process.env.PRIORITY_FEE_GWEI = "1.5";
+process.env.URGENT_PRIORITY_FEE_GWEI = "4";
+process.env.TX_SPEED_UP_AFTER_SECONDS = "0";
+delete process.env.FEE_BUDGET_PER_HOUR_ETH;
+
+const contractConfig = require("../../src/config/contract");
+const txSender = require("../../src/services/txSender");
+
+console.log(`${BLUE}🚀 Starting fee policy tests...${NC}`);
+
+const { provider, simulatedChain } = contractConfig;
+const gwei = (value) => ethers.parseUnits(value, "gwei");
+
+/**
+ * Queue a cheap contract write through the sender
+ */
+function send(label, options) {
+  return txSender.sendTransaction(
+    label,
+    "setDefaultURI",
+    [`ipfs://${label}`],
+    null,
+    options
+  );
+}
+
+// Test 1: explicit EIP-1559 fees and the urgent tip
+async function testFees() {
+  console.log(`\n${YELLOW}📋 Testing fees under the cap...${NC}`);
+
+  // Base fee 1 gwei: max fee leaves room for it to double, plus the tip
+  const tx = await send("normal");
+  assert.strictEqual(tx.maxPriorityFeePerGas, gwei("1.5"));
+  assert.strictEqual(tx.maxFeePerGas, gwei("3.5"));
+  const receipt = await txSender.waitForReceipt(tx.hash);
+  assert.strictEqual(receipt.status, 1);
+
+  const urgent = await send("urgent", { urgent: true });
+  assert.strictEqual(urgent.maxPriorityFeePerGas, gwei("4"));
+
+  // Never above the cap, and nothing is sent while the base fee is over it
+  simulatedChain.setBaseFee(gwei("30"));
+  simulatedChain.mine();
+  const capped = await send("capped");
+  assert.strictEqual(capped.maxFeePerGas, gwei("50"));
+  simulatedChain.setBaseFee(gwei("60"));
+  simulatedChain.mine();
+  await assert.rejects(send("over-cap"), { code: "FEE_DEFERRED" });
+  simulatedChain.setBaseFee(gwei("1"));
+  simulatedChain.mine();
+
+  console.log(`${GREEN}✅ Fees follow the policy and the cap${NC}`);
+}
+
+// Test 2: urgent sends jump the queue
+async function testUrgentFirst() {
+  console.log(`\n${YELLOW}📋 Testing urgent sends go first...${NC}`);
+
+  const order = [];
+  const track = (label, options) =>
+    send(label, options).then((tx) => {
+      order.push([label, tx.nonce]);
+      return tx;
+    });
+
+  // The first send is taken off the queue at once; the urgent one is
+  // queued behind the second mint but sent before it
+  await Promise.all([
+    track("mint-a"),
+    track("mint-b"),
+    track("reveal", { urgent: true }),
+  ]);
+  const nonceOf = (label) => order.find(([l]) => l === label)[1];
+  assert.ok(nonceOf("reveal") < nonceOf("mint-b"), JSON.stringify(order));
+
+  console.log(`${GREEN}✅ Urgent reveals are sent before queued mints${NC}`);
+}
+
+// Test 3: the hourly budget defers normal sends but not urgent ones
+async function testBudget() {
+  console.log(`\n${YELLOW}📋 Testing the hourly budget...${NC}`);
+
+  const { spentLastHourEth } = txSender.getStatus().fees;
+  process.env.FEE_BUDGET_PER_HOUR_ETH = spentLastHourEth;
+
+  await assert.rejects(send("over-budget"), (error) => {
+    assert.strictEqual(error.code, "FEE_DEFERRED");
+    assert.ok(error.retryAfterSeconds > 0);
+    return true;
+  });
+  const urgent = await send("urgent-over-budget", { urgent: true });
+  assert.strictEqual((await txSender.waitForReceipt(urgent.hash)).status, 1);
+
+  delete process.env.FEE_BUDGET_PER_HOUR_ETH;
+  console.log(`${GREEN}✅ Budget holds back all but urgent sends${NC}`);
+}
+
+// Test 4: a stuck transaction is replaced at the same nonce
+async function testSpeedUp() {
+  console.log(`\n${YELLOW}📋 Testing speed-up of a stuck transaction...${NC}`);
+
+  // The next block's base fee jumps above what the tx offers
+  simulatedChain.setBaseFee(gwei("8"));
+  const tx = await send("stuck");
+  assert.strictEqual(await provider.getTransactionReceipt(tx.hash), null);
+
+  let replacedBy = null;
+  const receipt = await txSender.waitForReceipt(tx.hash, {
+    onReplaced: (hash) => {
+      replacedBy = hash;
+    },
+  });
+  assert.strictEqual(receipt.status, 1);
+  assert.notStrictEqual(receipt.hash, tx.hash);
+  assert.strictEqual(replacedBy, receipt.hash);
+
+  const replacement = await provider.getTransaction(receipt.hash);
+  assert.strictEqual(replacement.nonce, tx.nonce);
+  assert.ok(replacement.maxFeePerGas >= gwei("8"));
+  assert.strictEqual(await provider.getTransaction(tx.hash), null);
+  assert.strictEqual(txSender.getStatus().pending.length, 0);
+
+  console.log(`${GREEN}✅ Stuck transaction was sped up and mined${NC}`);
+}
+
+// Test 5: a dropped transaction frees its nonce and fails its waiter
+async function testDropped() {
+  console.log(`\n${YELLOW}📋 Testing a dropped transaction...${NC}`);
+
+  process.env.TX_MAX_SPEED_UPS = "0";
+  process.env.TX_DROPPED_AFTER_SECONDS = "0";
+
+  // Stamp the head block ahead of the clock so no new block is mined
+  // before the send: it is priced for a base fee of 1 gwei, which then jumps
+  simulatedChain.setBaseFee(gwei("1"));
+  simulatedChain.mine();
+  simulatedChain.advanceTime(-60);
+  simulatedChain.setBaseFee(gwei("20"));
+  const tx = await send("dropped");
+  assert.strictEqual(simulatedChain.dropPending(), 1);
+  simulatedChain.setBaseFee(gwei("1"));
+  simulatedChain.advanceTime(60);
+
+  await assert.rejects(txSender.waitForReceipt(tx.hash), (error) => {
+    assert.strictEqual(error.code, "TX_DROPPED");
+    return true;
+  });
+  assert.strictEqual(txSender.getStatus().pending.length, 0);
+
+  // The next send goes out at the freed nonce
+  const resent = await send("resent");
+  assert.strictEqual(resent.nonce, tx.nonce);
+  assert.strictEqual((await txSender.waitForReceipt(resent.hash)).status, 1);
+
+  delete process.env.TX_MAX_SPEED_UPS;
+  delete process.env.TX_DROPPED_AFTER_SECONDS;
+  console.log(`${GREEN}✅ Dropped transaction's nonce was reused${NC}`);
+}
+
+// Run tests
+(async () => {
+  try {
+    await testFees();
+    await testUrgentFirst();
+    await testBudget();
+    await testSpeedUp();
+    await testDropped();
+    console.log(`\n${BLUE}🏁 Fee policy tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    removeDataDir();
+  }
+})();
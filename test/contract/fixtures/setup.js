@@ -0,0 +1,72 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Shared setup for the contract tests
+ *
+ * Configuration is read when the service modules load, so a test requires
+ * this helper and calls prepareDataDir before anything under src/.
+ */
+
+// Colors for better readability
+const GREEN = "\x1b[32m";
+const RED = "\x1b[31m";
+const YELLOW = "\x1b[33m";
+const BLUE = "\x1b[34m";
+const NC = "\x1b[0m"; // No Color
+
+/**
+ * Point the service at a scratch data directory
+ *
+ * The directory gets a copy of the design distribution, and unless told
+ * otherwise the service runs against the in-process simulated chain.
+ *
+ * @param {string} prefix - Directory name prefix, e.g. "fees-test-"
+ * @param {Object} options - Setup options
+ * @param {boolean} options.simulated - Whether to set CHAIN_MODE=simulated
+ * @returns {string} Path of the data directory
+ */
+function prepareDataDir(prefix, { simulated = true } = {}) {
+  if (simulated) process.env.CHAIN_MODE = "simulated";
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  fs.copyFileSync(
+    path.join(__dirname, "../../../data/designs_distribution.json"),
+    path.join(process.env.DATA_DIR, "designs_distribution.json")
+  );
+  return process.env.DATA_DIR;
+}
+
+/**
+ * Remove the data directory made by prepareDataDir
+ */
+function removeDataDir() {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Replace Date.now with a clock that can be moved forward without waiting
+ *
+ * @returns {Object} { advance(ms), restore() }
+ */
+function fakeClock() {
+  const realNow = Date.now;
+  let offsetMs = 0;
+  Date.now = () => realNow() + offsetMs;
+
+  return {
+    advance: (ms) => (offsetMs += ms),
+    restore: () => (Date.now = realNow),
+  };
+}
+
+module.exports = {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+  fakeClock,
+};
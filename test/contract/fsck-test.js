@@ -0,0 +1,229 @@
+const fs = require("fs");
+const path = require("path");
+const assert = require("assert");
+const { spawnSync } = require("child_process");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+} = require("./fixtures/setup");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("fsck-test-");
+process.env.REVEAL_THRESHOLD_SECONDS = "120";
+process.env.REVEAL_SAFETY_MARGIN_SECONDS = "10";
+delete process.env.MERKLE_LEAF_ENCODING; // The contract's packed leaves
+
+const dataModel = require("../../src/models/data");
+const paths = require("../../src/config/paths");
+const nftService = require("../../src/services/nft");
+const integrity = require("../../src/services/integrity");
+
+console.log(`${BLUE}🚀 Starting integrity check tests...${NC}`);
+
+const USER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const OTHER = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+
+/**
+ * Run scripts/fsck.js and read back the report it wrote
+ */
+function runFsck(args = []) {
+  const result = spawnSync(
+    process.execPath,
+    [path.join(__dirname, "../../scripts/fsck.js"), ...args],
+    {
+      // Against a node that can't be reached, to check the clock fallback
+      env: {
+        ...process.env,
+        CHAIN_MODE: "rpc",
+        RPC_URL: "http://127.0.0.1:1",
+        PRIVATE_KEY: `0x${"11".repeat(32)}`,
+        CONTRACT_ADDRESS: `0x${"22".repeat(20)}`,
+      },
+      encoding: "utf8",
+      timeout: 60 * 1000,
+    }
+  );
+  const reports = fs
+    .readdirSync(paths.REPORTS_DIR)
+    .filter((name) => name.startsWith("fsck-"))
+    .sort();
+  const report = JSON.parse(
+    fs.readFileSync(
+      path.join(paths.REPORTS_DIR, reports[reports.length - 1]),
+      "utf8"
+    )
+  );
+  return { status: result.status, stderr: result.stderr, report };
+}
+
+/**
+ * Issue types of a report, sorted so the order they're found in doesn't matter
+ */
+function issueTypes(issues) {
+  return issues.map((issue) => issue.type).sort();
+}
+
+// Test 1: data written by real mints is consistent
+async function testCleanData() {
+  console.log(`\n${YELLOW}📋 Testing a clean data directory...${NC}`);
+
+  for (const [user, quantity] of [
+    [USER, 2],
+    [OTHER, 3],
+  ]) {
+    const mint = await nftService.mintNFTs(user, quantity);
+    assert.strictEqual(mint.success, true, mint.error);
+  }
+
+  const report = await integrity.checkIntegrity({ fix: true });
+  assert.strictEqual(report.ok, true, JSON.stringify(report.issues));
+  assert.strictEqual(report.clock, "chain");
+  assert.strictEqual(report.checked.lastTokenId, 5);
+  assert.strictEqual(report.checked.liveBatches, 2);
+  assert.strictEqual(report.backupDir, null); // Nothing to repair
+  assert.ok(fs.existsSync(report.reportFile));
+
+  console.log(`${GREEN}✅ Minted data passes the check${NC}`);
+}
+
+// Test 2: every kind of inconsistency is found
+async function testIssues() {
+  console.log(`\n${YELLOW}📋 Testing inconsistent data...${NC}`);
+
+  const minted = dataModel.getMintedNFTData();
+  minted.users[USER].push([1, 2]); // Duplicate range
+  minted.users[OTHER].push([5, 1]); // Overlaps the user's own [3, 3]
+  minted.lastTokenId = 4; // Token 5 would be minted again
+  dataModel.saveMintedNFTData(minted);
+
+  const [first, second] = dataModel.getBatches();
+  const wrongRoot = { ...first, merkleRoot: second.merkleRoot };
+  dataModel.saveBatches([
+    wrongRoot,
+    second,
+    { ...wrongRoot }, // Exact copy
+    { ...second, timestamp: second.timestamp + 1 }, // Copy that differs
+    { ...first, user: OTHER }, // Tokens never minted to this user
+  ]);
+
+  const tokenURIs = dataModel.getTokenURIs();
+  delete tokenURIs[4];
+  dataModel.saveTokenURIs(tokenURIs);
+
+  const report = await integrity.checkIntegrity();
+  assert.strictEqual(report.ok, false);
+  assert.deepStrictEqual(issueTypes(report.issues), [
+    "batch-without-range",
+    "duplicate-batch",
+    "duplicate-batch",
+    "duplicate-range",
+    "merkle-root-mismatch",
+    "missing-token-uri",
+    "overlapping-range",
+    "token-id-above-last",
+    "token-id-above-last",
+  ]);
+  assert.deepStrictEqual(
+    issueTypes(report.issues.filter((issue) => issue.fixable)),
+    ["duplicate-batch", "duplicate-range", "token-id-above-last"]
+  );
+  const differing = report.issues.find(
+    (issue) => issue.type === "duplicate-batch" && !issue.fixable
+  );
+  assert.strictEqual(differing.batchIndex, 3);
+  assert.deepStrictEqual(
+    report.issues.find((issue) => issue.type === "missing-token-uri").tokenIds,
+    [4]
+  );
+
+  // Checking writes nothing but the report
+  assert.strictEqual(report.backupDir, null);
+  assert.deepStrictEqual(dataModel.getMintedNFTData(), minted);
+  assert.strictEqual(dataModel.getBatches().length, 5);
+
+  console.log(`${GREEN}✅ Inconsistencies are reported${NC}`);
+}
+
+// Test 3: --fix repairs only what can't lose information
+function testFix() {
+  console.log(`\n${YELLOW}📋 Testing fsck --fix...${NC}`);
+
+  const before = {
+    minted: dataModel.getMintedNFTData(),
+    batches: dataModel.getBatches(),
+  };
+
+  // Without --fix the script only reports
+  let run = runFsck();
+  assert.strictEqual(run.status, 1, run.stderr);
+  assert.strictEqual(run.report.clock, "server");
+  assert.deepStrictEqual(run.report.fixed, []);
+  assert.deepStrictEqual(dataModel.getMintedNFTData(), before.minted);
+
+  run = runFsck(["--fix"]);
+  assert.strictEqual(run.status, 1, run.stderr); // Unsafe issues remain
+  assert.deepStrictEqual(issueTypes(run.report.fixed), [
+    "duplicate-batch",
+    "duplicate-range",
+    "token-id-above-last",
+  ]);
+  assert.deepStrictEqual(
+    run.report.fixed.find((f) => f.type === "token-id-above-last"),
+    { type: "token-id-above-last", from: 4, to: 5 }
+  );
+
+  // The previous data is backed up
+  const backedUp = JSON.parse(
+    fs.readFileSync(path.join(run.report.backupDir, "batches.json"), "utf8")
+  );
+  assert.deepStrictEqual(backedUp, before.batches);
+
+  // Exact copies are gone and lastTokenId covers every minted ID; everything
+  // that needs a person to decide is left as it was
+  const minted = dataModel.getMintedNFTData();
+  assert.strictEqual(minted.lastTokenId, 5);
+  assert.deepStrictEqual(minted.users[USER], [[1, 2]]);
+  assert.deepStrictEqual(minted.users[OTHER], before.minted.users[OTHER]);
+  assert.deepStrictEqual(dataModel.getBatches(), [
+    before.batches[0],
+    before.batches[1],
+    before.batches[3],
+    before.batches[4],
+  ]);
+
+  // A second run finds nothing left to repair
+  run = runFsck(["--fix"]);
+  assert.strictEqual(run.status, 1, run.stderr);
+  assert.deepStrictEqual(run.report.fixed, []);
+  assert.strictEqual(run.report.backupDir, null);
+  assert.deepStrictEqual(issueTypes(run.report.issues), [
+    "batch-without-range",
+    "duplicate-batch",
+    "merkle-root-mismatch",
+    "missing-token-uri",
+    "overlapping-range",
+  ]);
+  assert.ok(run.report.issues.every((issue) => !issue.fixable));
+
+  console.log(`${GREEN}✅ Only safe repairs are applied${NC}`);
+}
+
+// Run tests
+(async () => {
+  try {
+    await testCleanData();
+    await testIssues();
+    testFix();
+    console.log(`\n${BLUE}🏁 Integrity check tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    removeDataDir();
+  }
+})();
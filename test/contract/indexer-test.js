@@ -0,0 +1,177 @@
+const assert = require("assert");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+} = require("./fixtures/setup");
+const { ethers } = require("ethers");
+
+// Replays test/contract/fixtures/merkle-nft-logs.json, recorded from a local
+// node: three mints (the last to the contract itself), a reveal, a transfer
+// between users, a batchTransfer, and a log from an unrelated contract.
+const fixture = require("./fixtures/merkle-nft-logs.json");
+
+// Point the backend at the fixture's contract and a scratch data directory
+process.env.RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+process.env.PRIVATE_KEY = process.env.PRIVATE_KEY || `0x${"11".repeat(32)}`;
+process.env.CONTRACT_ADDRESS = fixture.contractAddress;
+prepareDataDir("indexer-test-", { simulated: false });
+process.env.INDEXER_START_BLOCK = "5";
+process.env.INDEXER_BATCH_SIZE = "4";
+process.env.INDEXER_CONFIRMATIONS = "2";
+
+const contractConfig = require("../../src/config/contract");
+const indexer = require("../../src/services/indexer");
+const dataModel = require("../../src/models/data");
+
+console.log(`${BLUE}🚀 Starting event indexer tests...${NC}`);
+
+const USER_A = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const USER_B = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+
+// Serve the fixture instead of a node. The head block can be moved to
+// simulate the chain advancing between syncs.
+let headBlock = fixture.headBlock;
+const logRequests = [];
+contractConfig.provider = {
+  getBlockNumber: async () => headBlock,
+  getLogs: async ({ fromBlock, toBlock }) => {
+    logRequests.push([fromBlock, toBlock]);
+    return fixture.logs.filter(
+      (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+    );
+  },
+};
+
+// Test 1: decoding raw logs
+function testProcessLogs() {
+  console.log(`\n${YELLOW}📋 Testing log decoding...${NC}`);
+
+  const events = indexer.processLogs(fixture.logs, fixture.contractAddress);
+  assert.strictEqual(events.length, 13, "Unrelated logs should be skipped");
+
+  const counts = events.reduce((acc, e) => {
+    acc[e.event] = (acc[e.event] || 0) + 1;
+    return acc;
+  }, {});
+  assert.deepStrictEqual(counts, {
+    Transfer: 8,
+    MerkleSetAdded: 3,
+    NFTRevealed: 1,
+    BatchTransfer: 1,
+  });
+
+  const mint = events.find((e) => e.event === "MerkleSetAdded");
+  assert.deepStrictEqual(mint.args, {
+    rootIndex: 0,
+    quantity: 3,
+    user: USER_A,
+  });
+  assert.strictEqual(mint.blockNumber, 10);
+  assert.strictEqual(mint.logIndex, 3);
+
+  console.log(`${GREEN}✅ Logs decoded with block and log positions${NC}`);
+}
+
+// Test 2: syncing in ranges and resuming from the cursor
+async function testResumableSync() {
+  console.log(`\n${YELLOW}📋 Testing resumable sync...${NC}`);
+
+  // Each sync only appends its new events
+  const appended = [];
+  const { appendChainEvents } = dataModel;
+  dataModel.appendChainEvents = (events) => {
+    appended.push(events.length);
+    appendChainEvents(events);
+  };
+  dataModel.saveChainEvents = () => {
+    throw new Error("Stored events should not be rewritten");
+  };
+
+  // First pass: the chain is at block 16, so blocks 5-14 are confirmed
+  headBlock = 16;
+  let result = await indexer.syncOnce();
+  assert.deepStrictEqual(logRequests, [
+    [5, 8],
+    [9, 12],
+    [13, 14],
+  ]);
+  assert.strictEqual(result.eventsAdded, 5);
+  assert.strictEqual(dataModel.getIndexerCursor().lastBlock, 14);
+  assert.strictEqual(
+    appended.reduce((sum, n) => sum + n, 0),
+    5
+  );
+
+  // Second pass picks up where the cursor stopped
+  headBlock = fixture.headBlock;
+  logRequests.length = 0;
+  result = await indexer.syncOnce();
+  assert.deepStrictEqual(logRequests[0], [15, 18]);
+  assert.strictEqual(result.eventsAdded, 8);
+  assert.strictEqual(dataModel.getIndexerCursor().lastBlock, 23);
+
+  // Nothing new: no requests and no duplicates
+  logRequests.length = 0;
+  result = await indexer.syncOnce();
+  assert.strictEqual(logRequests.length, 0);
+  assert.strictEqual(result.eventsAdded, 0);
+
+  // Replaying a stored range does not duplicate events
+  const replayed = indexer.processLogs(fixture.logs, fixture.contractAddress);
+  assert.strictEqual(await indexer.storeEvents(replayed, 23), 0);
+  assert.strictEqual(indexer.getStatus().eventCount, 13);
+  assert.strictEqual(
+    appended.reduce((sum, n) => sum + n, 0),
+    13
+  );
+
+  console.log(
+    `${GREEN}✅ Sync resumes from the cursor without gaps or duplicates${NC}`
+  );
+}
+
+// Test 3: views built from the indexed events
+function testViews() {
+  console.log(`\n${YELLOW}📋 Testing indexed views...${NC}`);
+
+  const owners = indexer.getTokenOwners();
+  assert.strictEqual(owners.get(1), USER_A);
+  assert.strictEqual(owners.get(3), USER_B, "Transfer should change owner");
+  assert.strictEqual(owners.get(6), USER_A, "batchTransfer recipient");
+
+  const reveals = indexer.getOnChainReveals();
+  assert.deepStrictEqual(Object.keys(reveals), ["2"]);
+  assert.strictEqual(reveals[2].uri, "ipfs://QmFixture/2.json");
+
+  // Both are kept per token, so lookups don't scan the events
+  const tokens = dataModel.getIndexedTokens();
+  assert.deepStrictEqual(tokens[2], { owner: USER_A, reveal: reveals[2] });
+  assert.strictEqual(tokens[3].owner, USER_B);
+
+  assert.strictEqual(indexer.getRootIndexForTx(ethers.id("txmint-b")), 1);
+  assert.strictEqual(indexer.getRootIndexForTx(ethers.id("txunknown")), null);
+
+  assert.strictEqual(indexer.getEvents({ tokenId: 6 }).length, 3);
+
+  console.log(`${GREEN}✅ Owners, reveals and root indexes match the log${NC}`);
+}
+
+// Run tests
+(async () => {
+  try {
+    testProcessLogs();
+    await testResumableSync();
+    testViews();
+    console.log(`\n${BLUE}🏁 Event indexer tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    removeDataDir();
+  }
+})();
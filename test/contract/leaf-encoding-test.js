@@ -0,0 +1,127 @@
+const { ethers } = require("ethers");
+const assert = require("assert");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+} = require("./fixtures/setup");
+
+// Keep the models away from the real data directory
+prepareDataDir("leaf-test-", { simulated: false });
+
+const nftModel = require("../../src/models/nft");
+const leafEncoding = require("../../src/models/leafEncoding");
+
+console.log(`${BLUE}🚀 Starting Merkle leaf encoding tests...${NC}`);
+
+const uris = [
+  "ipfs://QmBanana/1.json",
+  "ipfs://QmBanana/2.json",
+  "ipfs://QmBanana/3.json",
+  "ipfs://QmBanana/4.json",
+  "ipfs://QmBanana/5.json",
+];
+
+// Test 1: packed leaves match Solidity's keccak256(abi.encodePacked(uint256, string))
+function testPackedEncoding() {
+  console.log(
+    `\n${YELLOW}📋 Testing packed leaves against abi.encodePacked...${NC}`
+  );
+
+  for (const [tokenId, uri] of [
+    [1, uris[0]],
+    [255, uris[1]],
+    [123456789, "ipfs://QmÜnicode/☃.json"],
+  ]) {
+    // abi.encodePacked pads uint256 to 32 bytes and appends the raw UTF-8 string
+    const expected = ethers.keccak256(
+      ethers.concat([
+        ethers.zeroPadValue(ethers.toBeHex(tokenId), 32),
+        ethers.toUtf8Bytes(uri),
+      ])
+    );
+    const leaf = ethers.hexlify(
+      leafEncoding.encodeLeaf("packed", tokenId, uri)
+    );
+
+    assert.strictEqual(leaf, expected, `Leaf mismatch for token ${tokenId}`);
+  }
+
+  console.log(`${GREEN}✅ Packed leaves match the contract encoding${NC}`);
+}
+
+// Test 2: every proof from a built batch verifies like MerkleProof.verify
+function testBatchProofs() {
+  console.log(`\n${YELLOW}📋 Testing proofs for a built batch...${NC}`);
+
+  const startTokenId = 42;
+  const batch = nftModel.buildBatch(startTokenId, uris, "packed");
+  assert.strictEqual(batch.leafEncoding, "packed");
+
+  const { tree, leaves } = nftModel.buildMerkleTree(
+    startTokenId,
+    uris.length,
+    batch.tokenURIs,
+    "packed"
+  );
+  assert.strictEqual(tree.getHexRoot(), batch.merkleRoot, "Root not stable");
+
+  leaves.forEach((leaf, i) => {
+    const proof = tree.getHexProof(leaf);
+    assert.strictEqual(
+      leafEncoding.verifyProof(proof, batch.merkleRoot, leaf),
+      true,
+      `Proof failed for token ${startTokenId + i}`
+    );
+  });
+
+  // A proof must not verify a different URI for the same token
+  const proof = tree.getHexProof(leaves[0]);
+  const forged = leafEncoding.encodeLeaf(
+    "packed",
+    startTokenId,
+    "ipfs://QmBanana/rare.json"
+  );
+  assert.strictEqual(
+    leafEncoding.verifyProof(proof, batch.merkleRoot, forged),
+    false,
+    "Proof verified a URI that was not committed"
+  );
+
+  console.log(`${BLUE}ℹ️ Merkle Root: ${batch.merkleRoot}${NC}`);
+  console.log(
+    `${GREEN}✅ All ${uris.length} proofs verify and a swapped URI is rejected${NC}`
+  );
+}
+
+// Test 3: legacy token-id batches are not provable to the contract
+function testLegacyEncoding() {
+  console.log(`\n${YELLOW}📋 Testing legacy token-id encoding...${NC}`);
+
+  const packed = nftModel.buildBatch(1, uris, "packed");
+  const legacy = nftModel.buildBatch(1, uris, "token-id");
+  assert.notStrictEqual(legacy.merkleRoot, packed.merkleRoot);
+
+  assert.throws(() => leafEncoding.encodeLeaf("sha256", 1, uris[0]));
+
+  console.log(
+    `${GREEN}✅ Legacy roots differ from packed roots and unknown encodings are rejected${NC}`
+  );
+}
+
+// Run tests
+try {
+  testPackedEncoding();
+  testBatchProofs();
+  testLegacyEncoding();
+  console.log(`\n${BLUE}🏁 Merkle leaf encoding tests completed!${NC}`);
+} catch (error) {
+  console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+  process.exitCode = 1;
+} finally {
+  removeDataDir();
+}
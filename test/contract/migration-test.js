@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const assert = require("assert");
+const { ethers } = require("ethers");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+} = require("./fixtures/setup");
+
+// Keep the models away from the real data directory
+prepareDataDir("migration-test-", { simulated: false });
+
+const dataModel = require("../../src/models/data");
+const migrationService = require("../../src/services/migrations");
+const { loadMigrations } = require("../../src/migrations");
+
+console.log(`${BLUE}🚀 Starting data migration tests...${NC}`);
+
+const USER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+
+/**
+ * Write data as a release from before schema versioning left it
+ */
+function writeLegacyData() {
+  dataModel.writeCollection("schemaVersion", { version: 0, history: [] });
+  dataModel.saveLoggedUsers({
+    [USER]: { lastActive: 1000, lastMintTime: 2000 },
+  });
+  dataModel.saveMintedNFTData({ lastTokenId: 5, users: { [USER]: [[1, 5]] } });
+  dataModel.saveBatches([
+    { user: USER, tokenIdRange: [1, 5], merkleRoot: "0x01" },
+  ]);
+  dataModel.saveUserProfiles({});
+  dataModel.saveChainEvents([
+    {
+      event: "Transfer",
+      blockNumber: 9,
+      logIndex: 0,
+      args: { from: ethers.ZeroAddress, to: USER, tokenId: 1 },
+    },
+  ]);
+  dataModel.saveIndexedTokens({});
+}
+
+// Test 1: a dry run reports the changes and writes nothing
+function testDryRun() {
+  console.log(`\n${YELLOW}📋 Testing a dry run...${NC}`);
+
+  writeLegacyData();
+  const latest = migrationService.getLatestVersion();
+  assert.strictEqual(latest, loadMigrations().length);
+  assert.strictEqual(migrationService.getPendingMigrations().length, latest);
+
+  const result = migrationService.runMigrations({ dryRun: true });
+  assert.strictEqual(result.fromVersion, 0);
+  assert.strictEqual(result.toVersion, latest);
+  assert.strictEqual(result.backupDir, null);
+  assert.deepStrictEqual(
+    result.migrations.map((migration) => migration.name),
+    ["batch-timestamps", "user-profiles", "indexed-tokens"]
+  );
+  assert.ok(result.migrations.every((m) => m.changes.length > 0));
+
+  assert.strictEqual(migrationService.getSchemaVersion(), 0);
+  assert.strictEqual(dataModel.getBatches()[0].timestamp, undefined);
+  assert.deepStrictEqual(dataModel.getUserProfiles(), {});
+  assert.deepStrictEqual(dataModel.getIndexedTokens(), {});
+
+  console.log(`${GREEN}✅ Dry runs leave the data alone${NC}`);
+}
+
+// Test 2: migrations run in order, once, after a backup
+function testRun() {
+  console.log(`\n${YELLOW}📋 Testing applying migrations...${NC}`);
+
+  const result = migrationService.runMigrations();
+  assert.strictEqual(result.toVersion, migrationService.getLatestVersion());
+
+  // The backup holds the data as it was before
+  const backedUp = JSON.parse(
+    fs.readFileSync(path.join(result.backupDir, "batches.json"), "utf8")
+  );
+  assert.strictEqual(backedUp[0].timestamp, undefined);
+
+  assert.strictEqual(dataModel.getBatches()[0].timestamp, 0);
+  assert.strictEqual(dataModel.getUserProfiles()[USER].totalMinted, 5);
+  assert.strictEqual(dataModel.getLoggedUsers()[USER].lastMintTime, undefined);
+  assert.deepStrictEqual(dataModel.getIndexedTokens(), { 1: { owner: USER } });
+
+  const schema = dataModel.readCollection("schemaVersion");
+  assert.strictEqual(schema.version, result.toVersion);
+  assert.deepStrictEqual(
+    schema.history.map((entry) => entry.version),
+    [1, 2, 3]
+  );
+
+  // Nothing is pending any more
+  const again = migrationService.runMigrations();
+  assert.deepStrictEqual(again.migrations, []);
+  assert.strictEqual(again.backupDir, null);
+
+  console.log(`${GREEN}✅ Migrations are applied and stamped once${NC}`);
+}
+
+// Test 3: failures and data from newer releases
+function testFailures() {
+  console.log(`\n${YELLOW}📋 Testing failed migrations...${NC}`);
+
+  // A migration that throws is not stamped and can be re-run
+  writeLegacyData();
+  dataModel.saveBatches([{ user: USER, merkleRoot: "0x01" }]);
+  assert.throws(() => migrationService.runMigrations());
+  assert.strictEqual(migrationService.getSchemaVersion(), 0);
+  assert.strictEqual(migrationService.getPendingMigrations().length, 3);
+
+  dataModel.saveBatches([]);
+  assert.strictEqual(
+    migrationService.runMigrations().toVersion,
+    migrationService.getLatestVersion()
+  );
+
+  // Data written by a newer release is refused
+  const schema = dataModel.readCollection("schemaVersion");
+  schema.version = migrationService.getLatestVersion() + 1;
+  dataModel.writeCollection("schemaVersion", schema);
+  assert.throws(() => migrationService.runMigrations(), /newer than this/);
+
+  console.log(`${GREEN}✅ Failed migrations can be run again${NC}`);
+}
+
+// Run tests
+try {
+  testDryRun();
+  testRun();
+  testFailures();
+  console.log(`\n${BLUE}🏁 Data migration tests completed!${NC}`);
+} catch (error) {
+  console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+  process.exitCode = 1;
+} finally {
+  removeDataDir();
+}
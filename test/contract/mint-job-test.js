@@ -0,0 +1,475 @@
+const assert = require("assert");
+const { ethers } = require("ethers");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+  fakeClock,
+} = require("./fixtures/setup");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("mint-job-test-");
+process.env.MINT_JOB_MAX_ATTEMPTS = "2";
+process.env.MINT_JOB_RETRY_BASE_SECONDS = "15";
+process.env.MINT_JOB_RETENTION_HOURS = "24";
+
+const contractConfig = require("../../src/config/contract");
+const dataModel = require("../../src/models/data");
+const mintJobs = require("../../src/services/mintJobs");
+const txSender = require("../../src/services/txSender");
+
+console.log(`${BLUE}🚀 Starting mint job tests...${NC}`);
+
+const { simulatedChain } = contractConfig;
+const { JOB_STATUS } = mintJobs;
+const USER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+
+// Move the clock forward without waiting
+const clock = fakeClock();
+
+// Statuses each job was saved with, in order
+const statusLog = {};
+const saveMintJobs = dataModel.saveMintJobs;
+dataModel.saveMintJobs = (jobs) => {
+  for (const job of Object.values(jobs)) {
+    const log = (statusLog[job.id] = statusLog[job.id] || []);
+    if (log[log.length - 1] !== job.status) log.push(job.status);
+  }
+  return saveMintJobs(jobs);
+};
+
+/**
+ * URIs for a new batch
+ */
+function urisFor(tag, count) {
+  return Array.from(
+    { length: count },
+    (_, i) => `ipfs://QmBanana/${tag}-${i}.json`
+  );
+}
+
+/**
+ * Wait until a job reaches a status
+ */
+async function waitForStatus(jobId, status) {
+  while (mintJobs.getJob(jobId).status !== status) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Overwrite a stored job, as a crash would have left it
+ */
+function storeJob(job) {
+  dataModel.transaction(() => {
+    const jobs = dataModel.getMintJobs();
+    jobs[job.id] = job;
+    dataModel.saveMintJobs(jobs);
+  });
+}
+
+// Test 1: a mint goes through every stage and is written to local data
+async function testLifecycle() {
+  console.log(`\n${YELLOW}📋 Testing the job lifecycle...${NC}`);
+
+  const created = mintJobs.createJob({ user: USER, uriList: urisFor("a", 3) });
+  assert.strictEqual(created.status, JOB_STATUS.PENDING);
+  assert.deepStrictEqual([created.startTokenId, created.endTokenId], [1, 3]);
+
+  const job = await mintJobs.runJob(created.id);
+  assert.deepStrictEqual(statusLog[job.id], [
+    JOB_STATUS.PENDING,
+    JOB_STATUS.SUBMITTED,
+    JOB_STATUS.CONFIRMED,
+    JOB_STATUS.PERSISTED,
+  ]);
+  assert.deepStrictEqual(job.mintedRange, [1, 3]);
+  assert.strictEqual(job.rangeMismatch, false);
+  assert.strictEqual(job.rootIndex, 0);
+  const block = await contractConfig.provider.getBlock(job.blockNumber);
+  assert.strictEqual(job.mintTimestamp, block.timestamp);
+
+  // Range, batch and URIs are stored
+  assert.deepStrictEqual(dataModel.getMintedNFTData().users[USER], [[1, 3]]);
+  const [batch] = dataModel.getBatches();
+  assert.strictEqual(batch.merkleRoot, job.merkleRoot);
+  assert.strictEqual(batch.txHash, job.txHash);
+  assert.strictEqual(dataModel.getTokenURIs()[2], urisFor("a", 3)[1]);
+
+  // Summaries leave out the per-token URIs
+  assert.strictEqual(mintJobs.getJob(job.id).tokenURIs, undefined);
+  assert.deepStrictEqual(
+    mintJobs.listJobs({ address: USER }).map((summary) => summary.id),
+    [job.id]
+  );
+
+  console.log(`${GREEN}✅ Mints are recorded once confirmed${NC}`);
+}
+
+// Test 2: jobs interrupted at any stage are resumed without minting twice
+async function testResume() {
+  console.log(`\n${YELLOW}📋 Testing crash recovery...${NC}`);
+
+  // Crashed before sending
+  const unsent = mintJobs.createJob({ user: USER, uriList: urisFor("b", 2) });
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  assert.strictEqual(mintJobs.getJob(unsent.id).status, JOB_STATUS.PERSISTED);
+
+  // Crashed after sending, before the receipt came back
+  const sent = mintJobs.createJob({ user: USER, uriList: urisFor("c", 2) });
+  const tx = await txSender.sendTransaction(
+    "mint before crash",
+    "mintWithMerkle",
+    [sent.merkleRoot, USER, sent.quantity]
+  );
+  storeJob({ ...sent, status: JOB_STATUS.SUBMITTED, txHash: tx.hash });
+  const minted = simulatedChain.getStatus().tokensMinted;
+
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  const resumed = mintJobs.getJob(sent.id);
+  assert.strictEqual(resumed.status, JOB_STATUS.PERSISTED);
+  assert.deepStrictEqual(resumed.mintedRange, [6, 2]);
+  assert.strictEqual(simulatedChain.getStatus().tokensMinted, minted);
+
+  // Crashed after writing the data, before marking the job persisted
+  const ranges = dataModel.getMintedNFTData().users[USER].length;
+  const batches = dataModel.getBatches().length;
+  storeJob({
+    ...dataModel.getMintJobs()[sent.id],
+    status: JOB_STATUS.CONFIRMED,
+  });
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  assert.strictEqual(mintJobs.getJob(sent.id).status, JOB_STATUS.PERSISTED);
+  assert.strictEqual(dataModel.getMintedNFTData().users[USER].length, ranges);
+  assert.strictEqual(dataModel.getBatches().length, batches);
+
+  // Finished jobs are left alone
+  assert.strictEqual(await mintJobs.resumeJobs(), 0);
+
+  console.log(`${GREEN}✅ Interrupted jobs finish exactly once${NC}`);
+}
+
+// Test 3: retries with backoff, giving up, and pruning
+async function testRetries() {
+  console.log(`\n${YELLOW}📋 Testing retries...${NC}`);
+
+  // Without gas money every send fails
+  simulatedChain.setBalance(0n);
+  const created = mintJobs.createJob({ user: USER, uriList: urisFor("d", 2) });
+  let job = await mintJobs.runJob(created.id);
+  assert.strictEqual(job.status, JOB_STATUS.PENDING);
+  assert.strictEqual(job.attempts, 1);
+  assert.match(job.lastError, /insufficient funds/);
+  const retryIn = job.nextAttemptAt - Date.now();
+  assert.ok(retryIn > 14 * 1000 && retryIn <= 15 * 1000);
+
+  // Not retried before its time, and failed after the last attempt
+  assert.strictEqual(await mintJobs.resumeJobs(), 0);
+  clock.advance(15 * 1000);
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  job = mintJobs.getJob(created.id);
+  assert.strictEqual(job.status, JOB_STATUS.FAILED);
+  assert.strictEqual(job.attempts, 2);
+
+  // A failed job's range is free for the next one
+  simulatedChain.setBalance(ethers.parseEther("10"));
+  const next = mintJobs.createJob({ user: USER, uriList: urisFor("e", 2) });
+  assert.strictEqual(next.startTokenId, created.startTokenId);
+  job = await mintJobs.runJob(next.id);
+  assert.deepStrictEqual(job.mintedRange, [next.startTokenId, 2]);
+
+  // Finished jobs are pruned after the retention period
+  const finished = mintJobs.listJobs().length;
+  assert.strictEqual(await mintJobs.pruneJobs(), 0);
+  clock.advance(25 * 3600 * 1000);
+  assert.strictEqual(await mintJobs.pruneJobs(), finished);
+  assert.deepStrictEqual(mintJobs.listJobs(), []);
+
+  console.log(`${GREEN}✅ Failing jobs back off and give up${NC}`);
+}
+
+// Test 4: the minter wallet's nonces
+async function testNonces() {
+  console.log(`\n${YELLOW}📋 Testing the nonce manager...${NC}`);
+
+  // Concurrent sends get consecutive nonces, in the order they were queued
+  const sent = await Promise.all(
+    [1, 2, 3, 4].map((i) =>
+      txSender.sendTransaction(`uri ${i}`, "setDefaultURI", [`ipfs://d${i}`])
+    )
+  );
+  const first = sent[0].nonce;
+  assert.deepStrictEqual(
+    sent.map((tx) => tx.nonce),
+    [first, first + 1, first + 2, first + 3]
+  );
+  for (const tx of sent) await txSender.waitForReceipt(tx.hash);
+  assert.strictEqual(txSender.getStatus().nextNonce, first + 4);
+
+  // Another process using the wallet makes the next send resync
+  const outside = await contractConfig.contract.setDefaultURI("ipfs://other");
+  const resynced = await txSender.sendTransaction("after", "setDefaultURI", [
+    "ipfs://after",
+  ]);
+  assert.strictEqual(resynced.nonce, outside.nonce + 1);
+  await txSender.waitForReceipt(resynced.hash);
+
+  // A mint dropped from the mempool is sent again at the freed nonce.
+  // Stamp the head block ahead of the clock so it is priced for a base
+  // fee of 1 gwei, which then jumps.
+  process.env.TX_MAX_SPEED_UPS = "0";
+  process.env.TX_DROPPED_AFTER_SECONDS = "0";
+  simulatedChain.setBaseFee(ethers.parseUnits("1", "gwei"));
+  simulatedChain.mine();
+  simulatedChain.advanceTime(-60);
+  simulatedChain.setBaseFee(ethers.parseUnits("20", "gwei"));
+
+  const created = mintJobs.createJob({ user: USER, uriList: urisFor("f", 2) });
+  const running = mintJobs.runJob(created.id);
+  await waitForStatus(created.id, JOB_STATUS.SUBMITTED);
+  const [stuck] = txSender.getStatus().pending;
+  assert.strictEqual(simulatedChain.dropPending(), 1);
+  simulatedChain.setBaseFee(ethers.parseUnits("1", "gwei"));
+  simulatedChain.advanceTime(60);
+
+  let job = await running;
+  assert.strictEqual(job.status, JOB_STATUS.PENDING);
+  assert.strictEqual(job.txHash, null);
+  assert.match(job.lastError, /dropped/);
+
+  clock.advance(15 * 1000);
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  job = mintJobs.getJob(created.id);
+  assert.strictEqual(job.status, JOB_STATUS.PERSISTED);
+  const resent = await contractConfig.provider.getTransaction(job.txHash);
+  assert.strictEqual(resent.nonce, stuck.nonce);
+  assert.notStrictEqual(job.txHash, stuck.hash);
+
+  delete process.env.TX_MAX_SPEED_UPS;
+  delete process.env.TX_DROPPED_AFTER_SECONDS;
+  console.log(`${GREEN}✅ Sends never race for a nonce${NC}`);
+}
+
+// Test 5: token ID reservations and their reconciliation with the chain
+async function testReservations() {
+  console.log(`\n${YELLOW}📋 Testing token reservations...${NC}`);
+
+  // Jobs created back to back get disjoint ranges
+  const next = simulatedChain.getStatus().tokensMinted + 1;
+  const [a, b, c] = ["g", "h", "i"].map((tag) =>
+    mintJobs.createJob({ user: USER, uriList: urisFor(tag, 2) })
+  );
+  assert.deepStrictEqual(
+    [a, b, c].map((job) => [job.startTokenId, job.endTokenId]),
+    [
+      [next, next + 1],
+      [next + 2, next + 3],
+      [next + 4, next + 5],
+    ]
+  );
+
+  // When one fails for good, the others move onto what the chain assigns
+  storeJob({ ...dataModel.getMintJobs()[a.id], status: JOB_STATUS.FAILED });
+  const [jobB, jobC] = await Promise.all([
+    mintJobs.runJob(b.id),
+    mintJobs.runJob(c.id),
+  ]);
+  assert.deepStrictEqual(jobB.mintedRange, [next, 2]);
+  assert.deepStrictEqual(jobC.mintedRange, [next + 2, 2]);
+  assert.ok(!jobB.rangeMismatch && !jobC.rangeMismatch);
+  assert.strictEqual(
+    dataModel.getMintJobs()[b.id].tokenURIs[next],
+    urisFor("h", 2)[0]
+  );
+
+  // A mint the backend didn't send shifts the IDs: the receipt's range is
+  // recorded for ownership, but no batch since the root can't prove it
+  await contractConfig.contract.mintWithMerkle(ethers.ZeroHash, USER, 1);
+  const batches = dataModel.getBatches().length;
+  const shifted = mintJobs.createJob({ user: USER, uriList: urisFor("j", 2) });
+  const jobShifted = await mintJobs.runJob(shifted.id);
+  assert.strictEqual(jobShifted.status, JOB_STATUS.PERSISTED);
+  assert.strictEqual(jobShifted.rangeMismatch, true);
+  assert.deepStrictEqual(jobShifted.mintedRange, [next + 5, 2]);
+  assert.deepStrictEqual(dataModel.getMintedNFTData().users[USER].slice(-1), [
+    [next + 5, 2],
+  ]);
+  assert.strictEqual(dataModel.getBatches().length, batches);
+
+  // The next mint is reserved after the IDs the chain really used
+  const after = mintJobs.createJob({ user: USER, uriList: urisFor("k", 2) });
+  assert.strictEqual(after.startTokenId, next + 7);
+  assert.strictEqual((await mintJobs.runJob(after.id)).rangeMismatch, false);
+
+  console.log(`${GREEN}✅ Reservations follow the chain's token IDs${NC}`);
+}
+
+// Test 6: a sent mint is kept until it is mined or can no longer be
+async function testSlowMints() {
+  console.log(`\n${YELLOW}📋 Testing mints that outlast the wait...${NC}`);
+
+  /**
+   * Price the next send for a base fee of 1 gwei, which then jumps, so it
+   * waits in the mempool
+   */
+  function raiseBaseFeeAfterPricing() {
+    simulatedChain.setBaseFee(ethers.parseUnits("1", "gwei"));
+    simulatedChain.mine();
+    simulatedChain.advanceTime(-60);
+    simulatedChain.setBaseFee(ethers.parseUnits("20", "gwei"));
+  }
+
+  // Stop waiting for receipts right away
+  process.env.TX_WAIT_TIMEOUT_SECONDS = "0";
+  raiseBaseFeeAfterPricing();
+
+  const slow = mintJobs.createJob({ user: USER, uriList: urisFor("l", 2) });
+  let job = await mintJobs.runJob(slow.id);
+  assert.strictEqual(job.status, JOB_STATUS.SUBMITTED);
+  assert.match(job.lastError, /not mined within/);
+
+  // Timed out waits don't use up attempts, however many there are
+  for (let i = 0; i < 3; i++) {
+    clock.advance(15 * 1000);
+    assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  }
+  job = mintJobs.getJob(slow.id);
+  assert.strictEqual(job.status, JOB_STATUS.SUBMITTED);
+  assert.strictEqual(job.attempts, 0);
+
+  // Once fees come down it is mined and recorded, and the next mint is
+  // reserved after its tokens
+  simulatedChain.setBaseFee(ethers.parseUnits("1", "gwei"));
+  simulatedChain.mine();
+  clock.advance(15 * 1000);
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  job = mintJobs.getJob(slow.id);
+  assert.strictEqual(job.status, JOB_STATUS.PERSISTED);
+  assert.deepStrictEqual(job.mintedRange, [job.startTokenId, 2]);
+
+  const next = mintJobs.createJob({ user: USER, uriList: urisFor("m", 2) });
+  assert.strictEqual(next.startTokenId, job.startTokenId + 2);
+  assert.strictEqual((await mintJobs.runJob(next.id)).rangeMismatch, false);
+
+  // A mint whose nonce went to another transaction can never be mined, so
+  // it goes back to pending and is sent again
+  raiseBaseFeeAfterPricing();
+  const replaced = mintJobs.createJob({ user: USER, uriList: urisFor("n", 2) });
+  job = await mintJobs.runJob(replaced.id);
+  assert.strictEqual(job.status, JOB_STATUS.SUBMITTED);
+  const { nonce } = await contractConfig.provider.getTransaction(job.txHash);
+  await contractConfig.contract.setDefaultURI("ipfs://other", {
+    nonce,
+    maxFeePerGas: ethers.parseUnits("40", "gwei"),
+    maxPriorityFeePerGas: ethers.parseUnits("5", "gwei"),
+  });
+  simulatedChain.setBaseFee(ethers.parseUnits("1", "gwei"));
+
+  clock.advance(15 * 1000);
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  job = mintJobs.getJob(replaced.id);
+  assert.strictEqual(job.status, JOB_STATUS.PENDING);
+  assert.strictEqual(job.attempts, 1);
+  assert.match(job.lastError, /replaced by another transaction/);
+
+  clock.advance(15 * 1000);
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  job = mintJobs.getJob(replaced.id);
+  assert.strictEqual(job.status, JOB_STATUS.PERSISTED);
+  assert.deepStrictEqual(job.mintedRange, [next.startTokenId + 2, 2]);
+
+  /**
+   * Send a job's mint the way a process that then restarted did, stuck
+   * below the base fee, and store the job as that process left it
+   */
+  async function sendBeforeRestart(tag) {
+    const created = mintJobs.createJob({
+      user: USER,
+      uriList: urisFor(tag, 2),
+    });
+    simulatedChain.setBaseFee(ethers.parseUnits("20", "gwei"));
+    const tx = await contractConfig.contract.mintWithMerkle(
+      created.merkleRoot,
+      USER,
+      created.quantity,
+      { maxFeePerGas: ethers.parseUnits("2", "gwei") }
+    );
+    storeJob({
+      ...created,
+      status: JOB_STATUS.SUBMITTED,
+      txHash: tx.hash,
+      nonce: tx.nonce,
+      sentHashes: [tx.hash],
+      submittedAt: new Date().toISOString(),
+    });
+    return { job: created, tx };
+  }
+
+  // A mint sent before a restart is sent again once the node forgets it
+  process.env.TX_DROPPED_AFTER_SECONDS = "0";
+  const forgotten = await sendBeforeRestart("o");
+  assert.strictEqual(simulatedChain.dropPending(), 1);
+  simulatedChain.setBaseFee(ethers.parseUnits("1", "gwei"));
+  clock.advance(1000);
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  job = mintJobs.getJob(forgotten.job.id);
+  assert.strictEqual(job.status, JOB_STATUS.PENDING);
+  assert.match(job.lastError, /dropped/);
+
+  clock.advance(15 * 1000);
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  job = mintJobs.getJob(forgotten.job.id);
+  assert.strictEqual(job.status, JOB_STATUS.PERSISTED);
+  const resent = await contractConfig.provider.getTransaction(job.txHash);
+  assert.strictEqual(resent.nonce, forgotten.tx.nonce);
+  delete process.env.TX_DROPPED_AFTER_SECONDS;
+
+  // ...and once its nonce goes to another transaction
+  const taken = await sendBeforeRestart("p");
+  await contractConfig.contract.setDefaultURI("ipfs://other", {
+    nonce: taken.tx.nonce,
+    maxFeePerGas: ethers.parseUnits("40", "gwei"),
+    maxPriorityFeePerGas: ethers.parseUnits("5", "gwei"),
+  });
+  simulatedChain.setBaseFee(ethers.parseUnits("1", "gwei"));
+  clock.advance(1000);
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  job = mintJobs.getJob(taken.job.id);
+  assert.strictEqual(job.status, JOB_STATUS.PENDING);
+  assert.match(job.lastError, /replaced by another transaction/);
+
+  clock.advance(15 * 1000);
+  assert.strictEqual(await mintJobs.resumeJobs(), 1);
+  assert.strictEqual(
+    mintJobs.getJob(taken.job.id).status,
+    JOB_STATUS.PERSISTED
+  );
+
+  delete process.env.TX_WAIT_TIMEOUT_SECONDS;
+  console.log(
+    `${GREEN}✅ Sent mints are never given up while they can be mined${NC}`
+  );
+}
+
+// Run tests
+(async () => {
+  try {
+    await testLifecycle();
+    await testResume();
+    await testRetries();
+    await testNonces();
+    await testReservations();
+    await testSlowMints();
+    console.log(`\n${BLUE}🏁 Mint job tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    clock.restore();
+    removeDataDir();
+  }
+})();
@@ -0,0 +1,108 @@
+const assert = require("assert");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+  fakeClock,
+} = require("./fixtures/setup");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("quota-test-");
+process.env.NFTS_PER_USER = "3";
+process.env.MINT_INTERVAL_SECONDS = "60";
+process.env.MINT_QUOTA_HOURLY = "5";
+process.env.MINT_QUOTA_LIFETIME = "8";
+delete process.env.MINT_QUOTA_DAILY;
+
+const nftService = require("../../src/services/nft");
+const mintQuotas = require("../../src/services/mintQuotas");
+const userModel = require("../../src/models/users");
+const profiles = require("../../src/models/profiles");
+
+console.log(`${BLUE}🚀 Starting mint quota tests...${NC}`);
+
+const USER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+
+// Move the clock forward without waiting
+const clock = fakeClock();
+
+// Test 1: rolling and lifetime quotas
+async function testQuotas() {
+  console.log(`\n${YELLOW}📋 Testing hourly and lifetime quotas...${NC}`);
+
+  assert.deepStrictEqual(mintQuotas.getLimits(), {
+    hourly: 5,
+    daily: null,
+    lifetime: 8,
+  });
+
+  let result = await nftService.mintNFTs(USER, 3);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.quantity, 3);
+  assert.strictEqual(result.mintQuota.hourly.remaining, 2);
+  assert.strictEqual(result.mintQuota.daily.remaining, null);
+  assert.strictEqual(result.mintQuota.lifetime.remaining, 5);
+
+  // Only two tokens are left this hour
+  result = await nftService.mintNFTs(USER, 3);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.quantity, 2);
+
+  result = await nftService.mintNFTs(USER, 1);
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, "Mint quota exhausted for this address");
+  assert.strictEqual(result.mintQuota.remaining, 0);
+  assert.ok(result.mintQuota.hourly.resetsAt);
+
+  result = await nftService.mintNFTsForUser(USER);
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.result.mintQuota.hourly.used, 5);
+
+  // An hour later the rolling window is free, but the lifetime quota is not
+  clock.advance(3601 * 1000);
+  const quota = mintQuotas.getQuota(USER);
+  assert.strictEqual(quota.hourly.used, 0);
+  assert.strictEqual(quota.lifetime.used, 5);
+  assert.strictEqual(quota.remaining, 3);
+
+  result = await nftService.mintNFTsForUser(USER);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.result.quantity, 3);
+
+  clock.advance(3601 * 1000);
+  assert.strictEqual(mintQuotas.getQuota(USER).remaining, 0);
+  result = await nftService.mintNFTs(USER, 1);
+  assert.strictEqual(result.success, false);
+
+  console.log(`${GREEN}✅ Mints stay within the quotas${NC}`);
+}
+
+// Test 2: logins don't mint past the quotas
+async function testHeartbeat() {
+  console.log(`\n${YELLOW}📋 Testing heartbeats...${NC}`);
+
+  const before = profiles.getProfile(USER).mintCount;
+  await userModel.updateUserHeartbeat(USER);
+  assert.strictEqual(profiles.getProfile(USER).mintCount, before);
+
+  console.log(`${GREEN}✅ Logins don't mint without quota${NC}`);
+}
+
+// Run tests
+(async () => {
+  try {
+    await testQuotas();
+    await testHeartbeat();
+    console.log(`\n${BLUE}🏁 Mint quota tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    clock.restore();
+    removeDataDir();
+  }
+})();
@@ -0,0 +1,151 @@
+const fs = require("fs");
+const path = require("path");
+const assert = require("assert");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+  fakeClock,
+} = require("./fixtures/setup");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("rate-test-");
+delete process.env.RATE_LIMIT_ENABLED;
+process.env.RATE_LIMIT_MINT_IP = "4|2";
+process.env.RATE_LIMIT_MINT_ADDRESS = "2|1";
+process.env.RATE_LIMIT_NONCE_IP = "2|1";
+process.env.REGISTRATIONS_PER_IP = "2";
+process.env.ABUSE_CLUSTER_MIN_ADDRESSES = "2";
+
+const rateLimiter = require("../../src/services/rateLimiter");
+const userModel = require("../../src/models/users");
+const dataModel = require("../../src/models/data");
+
+console.log(`${BLUE}🚀 Starting rate limit tests...${NC}`);
+
+const ADDRESSES = [
+  "0x70997970c51812dc3a010c7d01b50e0d17dc79c8",
+  "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc",
+  "0x90f79bf6eb2c4f870365e785982e1f101e93b906",
+  "0x15d34aaf54267db7d7c367839aaf71a00a2c6a65",
+];
+
+// Move the clock forward without waiting
+const clock = fakeClock();
+
+// Test 1: address and IP buckets, and their refill
+async function testBuckets() {
+  console.log(`\n${YELLOW}📋 Testing token buckets...${NC}`);
+
+  const mint = (address, ip = "10.0.0.1") =>
+    rateLimiter.consume("mint", { ip, address });
+
+  assert.strictEqual(mint(ADDRESSES[0]).allowed, true);
+  assert.strictEqual(mint(ADDRESSES[0]).allowed, true);
+  const limited = mint(ADDRESSES[0]);
+  assert.strictEqual(limited.allowed, false);
+  assert.strictEqual(limited.limitedBy, "address");
+  assert.strictEqual(limited.retryAfterSeconds, 60);
+
+  // The IP bucket has two tokens left, shared between addresses
+  assert.strictEqual(mint(ADDRESSES[1]).allowed, true);
+  assert.strictEqual(mint(ADDRESSES[2]).allowed, true);
+  assert.strictEqual(mint(ADDRESSES[3]).limitedBy, "ip");
+  assert.strictEqual(mint(ADDRESSES[3], "10.0.0.2").allowed, true);
+
+  // A minute refills one token for the address
+  clock.advance(60 * 1000);
+  assert.strictEqual(mint(ADDRESSES[0]).allowed, true);
+  assert.strictEqual(mint(ADDRESSES[0]).allowed, false);
+
+  // Sign-in nonces have no address, so only the IP is limited
+  const nonce = () => rateLimiter.consume("nonce", { ip: "10.0.0.3" });
+  assert.strictEqual(nonce().allowed, true);
+  assert.strictEqual(nonce().allowed, true);
+  assert.strictEqual(nonce().limitedBy, "ip");
+
+  // Buckets are kept in memory and saved by flush, not by each request
+  const readStored = () =>
+    JSON.parse(
+      fs.readFileSync(path.join(process.env.DATA_DIR, "rate_limits.json"))
+    );
+  assert.deepStrictEqual(readStored().buckets, {});
+  assert.strictEqual(rateLimiter.flush(), true);
+  const stored = readStored();
+  assert.ok(stored.buckets[`mint:address:${ADDRESSES[0]}`]);
+  assert.strictEqual(stored.rejections["10.0.0.1"].count, 3);
+  assert.strictEqual(rateLimiter.flush(), false);
+
+  // Refused requests never write
+  let saves = 0;
+  const { saveRateLimits } = dataModel;
+  dataModel.saveRateLimits = (data) => {
+    saves++;
+    saveRateLimits(data);
+  };
+  for (let i = 0; i < 2; i++) assert.strictEqual(nonce().allowed, false);
+  assert.strictEqual(saves, 0);
+  rateLimiter.flush();
+  assert.strictEqual(saves, 1);
+  assert.strictEqual(readStored().rejections["10.0.0.3"].count, 3);
+  dataModel.saveRateLimits = saveRateLimits;
+
+  console.log(`${GREEN}✅ Buckets limit per address and per IP${NC}`);
+}
+
+// Test 2: new addresses per IP, and the abuse report
+async function testRegistrations() {
+  console.log(`\n${YELLOW}📋 Testing registrations...${NC}`);
+
+  const register = (address, ip) =>
+    rateLimiter.registerAddress({ ip, address });
+
+  assert.strictEqual(register(ADDRESSES[0], "::ffff:10.0.0.1").allowed, true);
+  assert.strictEqual(register(ADDRESSES[1], "10.0.0.1").allowed, true);
+  // Asking again for a registered address doesn't count twice
+  assert.strictEqual(register(ADDRESSES[1], "10.0.0.1").allowed, true);
+  const refused = register(ADDRESSES[2], "10.0.0.1");
+  assert.strictEqual(refused.allowed, false);
+  assert.ok(refused.retryAfterSeconds > 0);
+
+  // Addresses seen before are not registrations
+  await userModel.updateUserHeartbeat(ADDRESSES[3], false);
+  assert.strictEqual(register(ADDRESSES[3], "10.0.0.1").allowed, true);
+
+  // Another IP in the same subnet joins the cluster
+  assert.strictEqual(register(ADDRESSES[2], "10.0.0.7").allowed, true);
+
+  const report = rateLimiter.getAbuseReport();
+  const ipCluster = report.clusters.find((c) => c.ip === "10.0.0.1");
+  assert.deepStrictEqual(ipCluster.addresses, ADDRESSES.slice(0, 2));
+  const subnetCluster = report.clusters.find((c) => c.subnet === "10.0.0.0/24");
+  assert.strictEqual(subnetCluster.addressCount, 3);
+  assert.deepStrictEqual(subnetCluster.ips, ["10.0.0.1", "10.0.0.7"]);
+  assert.strictEqual(report.rejections[0].ip, "10.0.0.1");
+  assert.strictEqual(report.rejections[0].reasons.registration, 1);
+
+  // The window passes
+  clock.advance(3600 * 1000);
+  assert.strictEqual(register(ADDRESSES[2], "10.0.0.1").allowed, true);
+
+  console.log(`${GREEN}✅ New addresses per IP are limited and reported${NC}`);
+}
+
+// Run tests
+(async () => {
+  try {
+    await testBuckets();
+    await testRegistrations();
+    console.log(`\n${BLUE}🏁 Rate limit tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    clock.restore();
+    removeDataDir();
+  }
+})();
@@ -0,0 +1,181 @@
+const fs = require("fs");
+const assert = require("assert");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+} = require("./fixtures/setup");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("recovery-test-");
+process.env.REVEAL_THRESHOLD_SECONDS = "120";
+process.env.REVEAL_SAFETY_MARGIN_SECONDS = "10";
+delete process.env.MERKLE_LEAF_ENCODING; // The contract's packed leaves
+
+const contractConfig = require("../../src/config/contract");
+const dataModel = require("../../src/models/data");
+const nftService = require("../../src/services/nft");
+const mintJobs = require("../../src/services/mintJobs");
+const recovery = require("../../src/services/recovery");
+const migrationService = require("../../src/services/migrations");
+const { collections } = require("../../src/models/storage/collections");
+
+console.log(`${BLUE}🚀 Starting recovery tests...${NC}`);
+
+const { contract } = contractConfig;
+const USER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const OTHER = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+
+/**
+ * Lose the local data a crash and a bad restore would take with them
+ */
+function loseLocalData(keepTokenURIs) {
+  dataModel.saveMintedNFTData({ lastTokenId: 0, users: {} });
+  dataModel.saveBatches([]);
+  dataModel.saveRevealedTokens({});
+  const tokenURIs = dataModel.getTokenURIs();
+  dataModel.saveTokenURIs(
+    Object.fromEntries(
+      Object.entries(tokenURIs).filter(([id]) => keepTokenURIs(Number(id)))
+    )
+  );
+}
+
+// Test 1: ranges, batches and reveals are rebuilt from the chain
+async function testRecovery() {
+  console.log(`\n${YELLOW}📋 Testing recovery from the chain...${NC}`);
+
+  const first = await nftService.mintNFTs(USER, 2);
+  assert.strictEqual(first.success, true, first.error);
+  const second = await nftService.mintNFTs(OTHER, 3);
+  assert.strictEqual(second.success, true, second.error);
+  const reveal = await nftService.revealNFT(USER, 1);
+  assert.strictEqual(reveal.success, true, reveal.error);
+
+  // The server died after sending the second mint, and only the URIs of
+  // the second batch survived
+  const job = mintJobs.getJob(second.jobId);
+  dataModel.transaction(() => {
+    const jobs = dataModel.getMintJobs();
+    jobs[job.id] = {
+      ...job,
+      status: mintJobs.JOB_STATUS.SUBMITTED,
+      mintedRange: null,
+    };
+    dataModel.saveMintJobs(jobs);
+  });
+  loseLocalData((tokenId) => tokenId >= second.startTokenId);
+
+  // A dry run reports what it would restore and writes nothing else
+  const dryRun = await recovery.recoverFromChain();
+  assert.strictEqual(dryRun.applied, false);
+  assert.strictEqual(dryRun.backupDir, null);
+  assert.strictEqual(dryRun.mints, 2);
+  assert.strictEqual(dryRun.users, 2);
+  assert.strictEqual(dryRun.lastTokenId, 5);
+  assert.strictEqual(dryRun.batchesRecovered, 1);
+  assert.strictEqual(dryRun.revealedTokens, 1);
+  assert.deepStrictEqual(
+    dryRun.unrecoverable.map(({ type, tokenIds }) => ({ type, tokenIds })),
+    [{ type: "unrevealed-uris", tokenIds: [2] }]
+  );
+  assert.ok(fs.existsSync(dryRun.reportFile));
+  assert.strictEqual(dataModel.getMintedNFTData().lastTokenId, 0);
+  assert.strictEqual(
+    mintJobs.getJob(job.id).status,
+    mintJobs.JOB_STATUS.SUBMITTED
+  );
+
+  // Applying backs up the data, restores it and settles the sent job
+  const applied = await recovery.recoverFromChain({ apply: true });
+  assert.ok(fs.existsSync(applied.backupDir));
+  assert.deepStrictEqual(applied.mintJobs, { settled: [job.id], open: [] });
+
+  const minted = dataModel.getMintedNFTData();
+  assert.strictEqual(minted.lastTokenId, 5);
+  assert.deepStrictEqual(
+    Object.values(minted.users).sort((a, b) => a[0][0] - b[0][0]),
+    [[[1, 2]], [[3, 3]]]
+  );
+
+  const batches = dataModel.getBatches();
+  assert.strictEqual(batches.length, 1);
+  assert.deepStrictEqual(batches[0].tokenIdRange, [3, 3]);
+  assert.strictEqual(batches[0].rootIndex, 1);
+  assert.strictEqual(batches[0].txHash, second.transactionHash);
+  assert.strictEqual(
+    batches[0].timestamp,
+    Number(await contract.mintTimestamps(3))
+  );
+  assert.strictEqual(dataModel.getRevealedTokens()[1].uri, reveal.uri);
+
+  const settled = mintJobs.getJob(job.id);
+  assert.strictEqual(settled.status, mintJobs.JOB_STATUS.PERSISTED);
+  assert.deepStrictEqual(settled.mintedRange, [3, 3]);
+  assert.strictEqual(
+    migrationService.getSchemaVersion(),
+    migrationService.getLatestVersion()
+  );
+
+  // The recovered batch can still be revealed
+  const later = await nftService.revealNFT(OTHER, 4);
+  assert.strictEqual(later.success, true, later.error);
+  assert.strictEqual(await contract.tokenURI(4), later.uri);
+
+  console.log(`${GREEN}✅ Local data is rebuilt from the chain${NC}`);
+}
+
+// Test 2: reveal records follow transfers, and a corrupt jobs file is replaced
+async function testTransfersAndCorruptJobs() {
+  console.log(`\n${YELLOW}📋 Testing recovery after transfers...${NC}`);
+
+  // Tokens minted to the contract are handed out with batchTransfer
+  const holder = contract.target.toLowerCase();
+  const mint = await nftService.mintNFTs(holder, 2);
+  assert.strictEqual(mint.success, true, mint.error);
+  const tokenId = mint.startTokenId;
+  await (await contract.batchTransfer([tokenId], OTHER)).wait();
+  const reveal = await nftService.revealNFT(OTHER, tokenId);
+  assert.strictEqual(reveal.success, true, reveal.error);
+
+  fs.writeFileSync(collections.mintJobs.file, '{"partial":');
+
+  const dryRun = await recovery.recoverFromChain();
+  assert.deepStrictEqual(
+    dryRun.unrecoverable.map(({ type }) => type),
+    ["unrevealed-uris", "unreadable-mint-jobs"]
+  );
+
+  const applied = await recovery.recoverFromChain({ apply: true });
+  assert.deepStrictEqual(applied.mintJobs.settled, []);
+  assert.ok(applied.mintJobs.unreadable);
+  assert.deepStrictEqual(dataModel.getMintJobs(), {});
+  assert.strictEqual(
+    fs.readFileSync(`${applied.backupDir}/mint_jobs.json`, "utf8"),
+    '{"partial":'
+  );
+
+  const revealed = dataModel.getRevealedTokens();
+  assert.strictEqual(revealed[tokenId].user, OTHER);
+  assert.strictEqual(revealed[1].user, USER);
+
+  console.log(`${GREEN}✅ Reveals are credited to the current owner${NC}`);
+}
+
+// Run tests
+(async () => {
+  try {
+    await testRecovery();
+    await testTransfersAndCorruptJobs();
+    console.log(`\n${BLUE}🏁 Recovery tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    removeDataDir();
+  }
+})();
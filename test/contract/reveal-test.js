@@ -0,0 +1,275 @@
+const assert = require("assert");
+const { ethers } = require("ethers");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+  fakeClock,
+} = require("./fixtures/setup");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("reveal-test-");
+process.env.REVEAL_THRESHOLD_SECONDS = "120";
+process.env.REVEAL_SAFETY_MARGIN_SECONDS = "10";
+delete process.env.MERKLE_LEAF_ENCODING; // The contract's packed leaves
+
+const contractConfig = require("../../src/config/contract");
+const dataModel = require("../../src/models/data");
+const nftModel = require("../../src/models/nft");
+const nftService = require("../../src/services/nft");
+const merkleRoots = require("../../src/services/merkleRoots");
+const cleanup = require("../../src/services/cleanup");
+
+console.log(`${BLUE}🚀 Starting reveal tests...${NC}`);
+
+const { contract, provider, simulatedChain } = contractConfig;
+const USER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const OTHER = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+
+// Count the reveal transactions the backend sends
+let revealsSent = 0;
+const sendReveal = contract.reveal;
+contract.reveal = Object.assign((...args) => {
+  revealsSent++;
+  return sendReveal(...args);
+}, sendReveal);
+
+/**
+ * Store batches as a release without root indexes left them
+ */
+function stripRootIndexes(batches) {
+  dataModel.saveBatches(
+    batches.map(({ rootIndex, txHash, ...batch }) => batch)
+  );
+}
+
+// Test 1: reveals address roots by their on-chain index
+async function testRootIndexes() {
+  console.log(`\n${YELLOW}📋 Testing on-chain root indexes...${NC}`);
+
+  for (const quantity of [2, 2]) {
+    const mint = await nftService.mintNFTs(USER, quantity);
+    assert.strictEqual(mint.success, true, mint.error);
+  }
+  const batches = dataModel.getBatches();
+  assert.deepStrictEqual(
+    batches.map((batch) => batch.rootIndex),
+    [0, 1]
+  );
+
+  // Once cleanup drops the first batch, the second is first locally but
+  // still root 1 on chain
+  dataModel.saveBatches(batches.slice(1));
+  const reveal = await nftService.revealNFT(USER, 3);
+  assert.strictEqual(reveal.success, true, reveal.error);
+  assert.strictEqual(await contract.tokenURI(3), reveal.uri);
+
+  // Batches stored before root indexes were kept have to look it up. The
+  // backfill matches roots, and reports the ones the chain doesn't have.
+  stripRootIndexes(dataModel.getBatches());
+  const unknownRoot = ethers.id("never minted");
+  dataModel.saveBatches([
+    ...dataModel.getBatches(),
+    { user: USER, tokenIdRange: [90, 1], merkleRoot: unknownRoot },
+  ]);
+  assert.deepStrictEqual(await merkleRoots.backfillRootIndexes(), {
+    scanned: 2,
+    resolved: 1,
+    unresolved: [unknownRoot],
+  });
+  assert.strictEqual(dataModel.getBatches()[0].rootIndex, 1);
+
+  // A reveal from a batch without an index resolves and stores it
+  stripRootIndexes(dataModel.getBatches().slice(0, 1));
+  const resolved = await nftService.revealNFT(USER, 4);
+  assert.strictEqual(resolved.success, true, resolved.error);
+  assert.strictEqual(await contract.tokenURI(4), resolved.uri);
+  assert.strictEqual(dataModel.getBatches()[0].rootIndex, 1);
+
+  console.log(`${GREEN}✅ Reveals prove against the right root${NC}`);
+}
+
+// Test 2: reveal windows follow block timestamps, not the server clock
+async function testChainTime() {
+  console.log(`\n${YELLOW}📋 Testing reveal windows in chain time...${NC}`);
+
+  // The server clock runs an hour ahead of the chain
+  const clock = fakeClock();
+  clock.advance(3600 * 1000);
+  simulatedChain.advanceTime(-3600);
+
+  try {
+    const mint = await nftService.mintNFTs(USER, 2);
+    assert.strictEqual(mint.success, true, mint.error);
+    const batch = dataModel
+      .getBatches()
+      .find((b) => b.tokenIdRange[0] === mint.startTokenId);
+    const block = await provider.getBlock(batch.blockNumber);
+    assert.strictEqual(batch.timestamp, block.timestamp);
+    assert.ok(Date.now() / 1000 - batch.timestamp > 3000);
+
+    // By the server clock the window closed long ago; by the chain's it's open
+    const reveal = await nftService.revealNFT(USER, mint.startTokenId);
+    assert.strictEqual(reveal.success, true, reveal.error);
+    assert.strictEqual(await cleanup.cleanupExpiredBatches(), 0);
+
+    // Within the safety margin the reveal isn't sent
+    simulatedChain.advanceTime(115);
+    const tooLate = await nftService.revealNFT(USER, mint.endTokenId);
+    assert.strictEqual(tooLate.success, false);
+    assert.match(tooLate.error, /about to expire/);
+
+    // Once the chain moves past the window the batch expires, whatever the
+    // server clock says
+    clock.advance(-3600 * 1000);
+    simulatedChain.advanceTime(3600 + 15);
+    const late = await nftService.revealNFT(USER, mint.endTokenId);
+    assert.strictEqual(late.success, false);
+    assert.match(late.error, /has expired/);
+    assert.ok((await cleanup.cleanupExpiredBatches()) > 0);
+    assert.ok(
+      !dataModel
+        .getBatches()
+        .some((b) => b.tokenIdRange[0] === mint.startTokenId)
+    );
+  } finally {
+    clock.restore();
+  }
+
+  console.log(`${GREEN}✅ Reveal windows use chain time${NC}`);
+}
+
+// Test 3: reveal records stop duplicate reveals and show in the listing
+async function testRevealRecords() {
+  console.log(`\n${YELLOW}📋 Testing reveal records...${NC}`);
+
+  const mint = await nftService.mintNFTs(USER, 3);
+  assert.strictEqual(mint.success, true, mint.error);
+  const [first, second, third] = [0, 1, 2].map((i) => mint.startTokenId + i);
+
+  // A reveal is recorded once mined
+  const reveal = await nftService.revealNFT(USER, first);
+  assert.strictEqual(reveal.success, true, reveal.error);
+  const record = dataModel.getRevealedTokens()[first];
+  assert.strictEqual(record.user, USER);
+  assert.strictEqual(record.uri, reveal.uri);
+  assert.strictEqual(record.txHash, reveal.transactionHash);
+
+  // Revealing again is refused without sending anything
+  const reveals = revealsSent;
+  const again = await nftService.revealNFT(USER, first);
+  assert.strictEqual(again.success, false);
+  assert.strictEqual(again.error, "Token already revealed");
+  assert.strictEqual(again.txHash, reveal.transactionHash);
+
+  // So is a second reveal while the first is still being sent
+  const [racing, raced] = await Promise.all([
+    nftService.revealNFT(USER, second),
+    nftService.revealNFT(USER, second),
+  ]);
+  assert.strictEqual(racing.success, true, racing.error);
+  assert.match(raced.error, /already in progress/);
+  assert.strictEqual(revealsSent, reveals + 1);
+
+  // A token revealed elsewhere is only caught when asked to check the chain
+  const batch = nftModel.findBatchForToken(USER, third);
+  const [startId, count] = batch.tokenIdRange;
+  const { tree, leaves } = nftModel.buildMerkleTree(
+    startId,
+    count,
+    dataModel.getTokenURIs(),
+    batch.leafEncoding
+  );
+  await sendReveal(
+    third,
+    batch.rootIndex,
+    tree.getHexProof(leaves[third - startId]),
+    dataModel.getTokenURIs()[third]
+  );
+
+  const unchecked = await nftService.revealNFT(USER, third);
+  assert.strictEqual(unchecked.success, false);
+  assert.strictEqual(dataModel.getRevealedTokens()[third], undefined);
+
+  process.env.REVEAL_CHECK_ONCHAIN = "true";
+  const sent = revealsSent;
+  const checked = await nftService.revealNFT(USER, third);
+  assert.strictEqual(checked.success, false);
+  assert.strictEqual(checked.error, "Token already revealed");
+  assert.strictEqual(revealsSent, sent);
+  assert.strictEqual(dataModel.getRevealedTokens()[third].txHash, null);
+  assert.strictEqual(dataModel.getRevealedTokens()[third].user, USER);
+  delete process.env.REVEAL_CHECK_ONCHAIN;
+
+  // The listing moves revealed tokens out of the revealable ones
+  const nfts = await nftService.getUserNFTs(USER);
+  assert.deepStrictEqual(
+    nfts.revealedTokens
+      .filter(({ tokenId }) => tokenId >= first)
+      .map(({ tokenId, uri }) => [tokenId, uri]),
+    [first, second, third].map((tokenId) => [
+      tokenId,
+      dataModel.getRevealedTokens()[tokenId].uri,
+    ])
+  );
+  assert.ok(
+    !nfts.revealableTokenIds.some((tokenId) =>
+      [first, second, third].includes(tokenId)
+    )
+  );
+  assert.ok(nfts.tokenIds.includes(third));
+
+  console.log(`${GREEN}✅ Revealed tokens are recorded and not re-sent${NC}`);
+}
+
+// Test 4: only a token's current owner can reveal it
+async function testOwnership() {
+  console.log(`\n${YELLOW}📋 Testing reveals after a transfer...${NC}`);
+
+  // Tokens minted to the contract are handed out with batchTransfer
+  const holder = contract.target.toLowerCase();
+  const mint = await nftService.mintNFTs(holder, 2);
+  assert.strictEqual(mint.success, true, mint.error);
+  const tokenId = mint.startTokenId;
+  await contract.batchTransfer([tokenId], OTHER);
+
+  const byMinter = await nftService.revealNFT(holder, tokenId);
+  assert.strictEqual(byMinter.success, false);
+  assert.strictEqual(byMinter.error, "Token not owned by user");
+  assert.strictEqual(byMinter.ownedBy, OTHER);
+
+  // The listing reports the token as transferred away
+  const nfts = await nftService.getUserNFTs(holder);
+  assert.deepStrictEqual(nfts.transferredTokenIds, [tokenId]);
+  assert.deepStrictEqual(nfts.tokenIds, [mint.endTokenId]);
+  assert.deepStrictEqual(
+    nfts.tokens.find((token) => token.tokenId === tokenId),
+    { tokenId, mintedTo: holder, ownedBy: OTHER }
+  );
+
+  const byOwner = await nftService.revealNFT(OTHER, tokenId);
+  assert.strictEqual(byOwner.success, true, byOwner.error);
+  assert.strictEqual(await contract.tokenURI(tokenId), byOwner.uri);
+
+  console.log(`${GREEN}✅ Reveals follow on-chain ownership${NC}`);
+}
+
+// Run tests
+(async () => {
+  try {
+    await testRootIndexes();
+    await testChainTime();
+    await testRevealRecords();
+    await testOwnership();
+    console.log(`\n${BLUE}🏁 Reveal tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    removeDataDir();
+  }
+})();
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("assert");
+const { GREEN, RED, YELLOW, BLUE, NC } = require("./fixtures/setup");
+const { ethers } = require("ethers");
+const signers = require("../../src/chain/signers");
+const {
+  RemoteSigner,
+  createStandInServer,
+} = require("../../src/chain/remoteSigner");
+
+console.log(`${BLUE}🚀 Starting signer backend tests...${NC}`);
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "signer-test-"));
+const minter = ethers.Wallet.createRandom();
+
+// A transaction like the ones the backend sends to the contract
+const request = {
+  type: 2,
+  chainId: 1313161555,
+  nonce: 7,
+  to: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+  data: "0x1234",
+  gasLimit: 200000,
+  maxFeePerGas: ethers.parseUnits("2", "gwei"),
+  maxPriorityFeePerGas: ethers.parseUnits("1", "gwei"),
+};
+
+/**
+ * Start a stand-in signing service on a free port
+ */
+function startStandIn(wallet, token) {
+  return new Promise((resolve) => {
+    const server = createStandInServer(wallet, { token }).listen(
+      0,
+      "127.0.0.1",
+      () => {
+        resolve(server);
+      }
+    );
+  });
+}
+
+// Test 1: keystore unlocked with a passphrase file
+function testKeystoreSigner() {
+  console.log(`\n${YELLOW}📋 Testing encrypted keystore signer...${NC}`);
+
+  const keystoreFile = path.join(tmpDir, "minter.json");
+  const passwordFile = path.join(tmpDir, "passphrase");
+  fs.writeFileSync(keystoreFile, minter.encryptSync("correct horse"));
+  fs.writeFileSync(passwordFile, "correct horse\n");
+
+  process.env.SIGNER_TYPE = "keystore";
+  process.env.KEYSTORE_FILE = keystoreFile;
+  process.env.KEYSTORE_PASSWORD_FILE = passwordFile;
+  const signer = signers.createSigner(null);
+  assert.strictEqual(signer.address, minter.address);
+
+  fs.writeFileSync(passwordFile, "wrong");
+  assert.throws(() => signers.createSigner(null), /Could not unlock keystore/);
+
+  delete process.env.KEYSTORE_PASSWORD_FILE;
+  assert.throws(() => signers.createSigner(null), /KEYSTORE_PASSWORD/);
+
+  console.log(
+    `${GREEN}✅ Keystore unlocks only with the right passphrase${NC}`
+  );
+}
+
+// Test 2: remote signer against the local stand-in
+async function testRemoteSigner() {
+  console.log(`\n${YELLOW}📋 Testing remote signer...${NC}`);
+
+  const server = await startStandIn(minter, "secret");
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const impostor = await startStandIn(ethers.Wallet.createRandom(), "secret");
+
+  try {
+    const signer = new RemoteSigner({
+      url,
+      address: minter.address,
+      token: "secret",
+    });
+    const signed = ethers.Transaction.from(
+      await signer.signTransaction(request)
+    );
+    assert.strictEqual(signed.from, minter.address);
+    assert.strictEqual(signed.nonce, 7);
+    assert.strictEqual(
+      signed.serialized,
+      await minter.signTransaction(request)
+    );
+
+    const signature = await signer.signMessage("hello");
+    assert.strictEqual(
+      ethers.verifyMessage("hello", signature),
+      minter.address
+    );
+
+    // Wrong token, and a service holding a different key
+    const unauthorized = new RemoteSigner({
+      url,
+      address: minter.address,
+      token: "nope",
+    });
+    await assert.rejects(unauthorized.signTransaction(request), /Unauthorized/);
+
+    const wrongKey = new RemoteSigner({
+      url: `http://127.0.0.1:${impostor.address().port}`,
+      address: minter.address,
+      token: "secret",
+    });
+    await assert.rejects(
+      wrongKey.signTransaction(request),
+      /different payload or signer/
+    );
+  } finally {
+    server.close();
+    impostor.close();
+  }
+
+  console.log(
+    `${GREEN}✅ Remote signatures are checked against the minter address${NC}`
+  );
+}
+
+// Run tests
+(async () => {
+  try {
+    testKeystoreSigner();
+    await testRemoteSigner();
+    console.log(`\n${BLUE}🏁 Signer backend tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+})();
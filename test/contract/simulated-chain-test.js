@@ -0,0 +1,276 @@
+const fs = require("fs");
+const path = require("path");
+const assert = require("assert");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+} = require("./fixtures/setup");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("simchain-test-");
+process.env.REVEAL_THRESHOLD_SECONDS = "120";
+process.env.REVEAL_SAFETY_MARGIN_SECONDS = "10";
+delete process.env.MERKLE_LEAF_ENCODING; // The contract's packed leaves
+process.env.OWNER_LOOKUP_CONCURRENCY = "2";
+
+const contractConfig = require("../../src/config/contract");
+const nftService = require("../../src/services/nft");
+const indexer = require("../../src/services/indexer");
+const ownership = require("../../src/services/ownership");
+const profiles = require("../../src/models/profiles");
+const nftModel = require("../../src/models/nft");
+
+console.log(`${BLUE}🚀 Starting simulated chain tests...${NC}`);
+
+const { contract, provider, simulatedChain } = contractConfig;
+const USER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const OTHER = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+
+/**
+ * Contents of every data file, to check dry runs leave them alone
+ */
+function snapshotData() {
+  return fs
+    .readdirSync(process.env.DATA_DIR)
+    .sort()
+    .map((file) => {
+      const full = path.join(process.env.DATA_DIR, file);
+      return fs.statSync(full).isFile()
+        ? [file, fs.readFileSync(full, "utf8")]
+        : [file];
+    });
+}
+
+/**
+ * Expect a contract call to revert with the given reason
+ */
+async function expectRevert(promise, reason) {
+  await assert.rejects(promise, (error) => {
+    assert.strictEqual(error.code, "CALL_EXCEPTION");
+    assert.strictEqual(error.reason, reason);
+    return true;
+  });
+}
+
+// Test 1: the backend minting and revealing through the simulated chain
+async function testBackendFlow() {
+  console.log(
+    `\n${YELLOW}📋 Testing mint and reveal through the backend...${NC}`
+  );
+
+  // A dry run shows the mint without sending it or writing anything
+  const before = snapshotData();
+  const blockBefore = await provider.getBlockNumber();
+  const dryMint = await nftService.mintNFTs(OTHER, 2, { dryRun: true });
+  assert.strictEqual(dryMint.success, true, dryMint.error);
+  assert.strictEqual(dryMint.dryRun, true);
+  assert.deepStrictEqual(Object.keys(dryMint.tokenURIs), ["1", "2"]);
+  assert.strictEqual(dryMint.simulation.wouldRevert, false);
+  assert.ok(Number(dryMint.simulation.gasLimit) > 0);
+  assert.deepStrictEqual(snapshotData(), before);
+  assert.strictEqual(await provider.getBlockNumber(), blockBefore);
+
+  const mint = await nftService.mintNFTs(OTHER, 2);
+  assert.strictEqual(mint.success, true, mint.error);
+  assert.strictEqual(mint.startTokenId, 1);
+  assert.strictEqual(mint.endTokenId, 2);
+
+  const dryReveal = await nftService.revealNFT(OTHER, 1, { dryRun: true });
+  assert.strictEqual(dryReveal.success, true, dryReveal.error);
+  assert.ok(dryReveal.proof.length > 0);
+  assert.strictEqual(dryReveal.rootIndex, 0);
+  assert.strictEqual(await contract.revealed(1), false);
+
+  const reveal = await nftService.revealNFT(OTHER, 1);
+  assert.strictEqual(reveal.success, true, reveal.error);
+  assert.strictEqual(await contract.tokenURI(1), reveal.uri);
+
+  // Inside the safety margin the backend refuses before the chain would
+  simulatedChain.advanceTime(115);
+  const late = await nftService.revealNFT(OTHER, 2);
+  assert.strictEqual(late.success, false);
+  assert.ok(/about to expire/.test(late.error), late.error);
+  assert.strictEqual(await contract.revealed(2), false);
+
+  const head = await provider.getBlockNumber();
+  assert.ok(head >= 2, "Every transaction is mined in its own block");
+
+  console.log(
+    `${GREEN}✅ Backend mints and reveals on the simulated chain${NC}`
+  );
+}
+
+// Test 2: a reveal made elsewhere goes to whoever owned the token then
+async function testRevealedElsewhere() {
+  console.log(`\n${YELLOW}📋 Testing reveals made outside the backend...${NC}`);
+
+  // Minted to the contract, revealed directly, then handed to the user
+  const contractAddress = contract.target.toLowerCase();
+  const mint = await nftService.mintNFTs(contractAddress, 1);
+  assert.strictEqual(mint.success, true, mint.error);
+  const tokenId = mint.startTokenId;
+  const dry = await nftService.revealNFT(contractAddress, tokenId, {
+    dryRun: true,
+  });
+  assert.strictEqual(dry.success, true, dry.error);
+  await (
+    await contract.reveal(tokenId, dry.rootIndex, dry.proof, dry.uri)
+  ).wait();
+  await (await contract.batchTransfer([tokenId], USER)).wait();
+
+  process.env.INDEXER_ENABLED = "true";
+  try {
+    simulatedChain.mine();
+    simulatedChain.mine();
+    await indexer.syncOnce();
+
+    const result = await nftService.revealNFT(USER, tokenId);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error, "Token already revealed");
+    assert.strictEqual(result.user, contractAddress);
+    assert.strictEqual(result.uri, dry.uri);
+    const profile = profiles.getProfile(USER);
+    assert.strictEqual(profile ? profile.totalRevealed : 0, 0);
+  } finally {
+    delete process.env.INDEXER_ENABLED;
+  }
+
+  console.log(
+    `${GREEN}✅ The reveal is credited to the owner at the time${NC}`
+  );
+}
+
+// Test 3: the contract's rules, called directly
+async function testContractRules() {
+  console.log(`\n${YELLOW}📋 Testing contract rules...${NC}`);
+
+  const uris = ["ipfs://sim/1.json", "ipfs://sim/2.json", "ipfs://sim/3.json"];
+  // Continue after what the backend tests minted
+  const { tokensMinted, merkleRoots } = simulatedChain.getStatus();
+  const first = tokensMinted + 1;
+  const rootIndex = merkleRoots;
+  const { tokenURIs, merkleRoot } = nftModel.buildBatch(first, uris, "packed");
+  const { tree, leaves } = nftModel.buildMerkleTree(
+    first,
+    3,
+    tokenURIs,
+    "packed"
+  );
+  const proof = (i) => tree.getHexProof(leaves[i]);
+
+  const tx = await contract.mintWithMerkle(merkleRoot, USER, 3);
+  const receipt = await tx.wait();
+  const events = indexer.processLogs(receipt.logs, contract.target);
+  assert.deepStrictEqual(
+    events.map((e) => e.event),
+    ["Transfer", "Transfer", "Transfer", "MerkleSetAdded"]
+  );
+  assert.deepStrictEqual(events[3].args, {
+    rootIndex,
+    quantity: 3,
+    user: USER,
+  });
+  assert.strictEqual(await contract.merkleRoots(rootIndex), merkleRoot);
+  assert.strictEqual((await contract.ownerOf(first + 1)).toLowerCase(), USER);
+  assert.strictEqual(await contract.tokenURI(first), "");
+
+  await expectRevert(
+    contract.reveal(first, rootIndex, proof(1), uris[0]),
+    "Invalid merkle proof"
+  );
+  await expectRevert(
+    contract.reveal(first, rootIndex + 1, proof(0), uris[0]),
+    "Invalid merkle root index"
+  );
+  await expectRevert(
+    contract.reveal(first, rootIndex, proof(0), ""),
+    "URI must be non-empty"
+  );
+
+  await contract.reveal(first, rootIndex, proof(0), uris[0]);
+  assert.strictEqual(await contract.revealed(first), true);
+  assert.strictEqual(await contract.tokenURI(first), uris[0]);
+  await expectRevert(
+    contract.reveal(first, rootIndex, proof(0), uris[0]),
+    "Token already revealed"
+  );
+  await expectRevert(
+    contract.tokenURI(first + 3),
+    "URI query for nonexistent token"
+  );
+
+  // The window closes in chain time, not server time
+  simulatedChain.advanceTime(121);
+  await expectRevert(
+    contract.reveal(first + 1, rootIndex, proof(1), uris[1]),
+    "Reveal period has expired"
+  );
+
+  await expectRevert(
+    contract.batchTransfer([first + 1], OTHER),
+    "Token is not owned by contract"
+  );
+
+  console.log(
+    `${GREEN}✅ Revert reasons, events and proofs match the contract${NC}`
+  );
+}
+
+// Test 4: owners read from the contract, a few at a time
+async function testOwnerLookups() {
+  console.log(`\n${YELLOW}📋 Testing owner lookups...${NC}`);
+
+  const ownerOf = contract.ownerOf;
+  let calls = 0;
+  let running = 0;
+  let mostRunning = 0;
+  contract.ownerOf = async (...args) => {
+    calls++;
+    mostRunning = Math.max(mostRunning, ++running);
+    try {
+      return await ownerOf(...args);
+    } finally {
+      running--;
+    }
+  };
+
+  try {
+    const tokenIds = [1, 2, 3, 4, 5, 6, 7];
+    const owners = await ownership.getCurrentOwners(tokenIds);
+    assert.strictEqual(owners.get(1), OTHER);
+    assert.strictEqual(owners.get(3), USER); // Transferred from the contract
+    assert.strictEqual(owners.get(6), USER);
+    assert.strictEqual(owners.get(7), null); // Not minted
+    assert.strictEqual(calls, 7);
+    assert.strictEqual(mostRunning, 2);
+
+    // Answers are reused while they are fresh
+    await ownership.getCurrentOwners(tokenIds);
+    assert.strictEqual(calls, 7);
+  } finally {
+    contract.ownerOf = ownerOf;
+  }
+
+  console.log(`${GREEN}✅ ownerOf calls are bounded and cached${NC}`);
+}
+
+// Run tests
+(async () => {
+  try {
+    await testBackendFlow();
+    await testRevealedElsewhere();
+    await testContractRules();
+    await testOwnerLookups();
+    console.log(`\n${BLUE}🏁 Simulated chain tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    removeDataDir();
+  }
+})();
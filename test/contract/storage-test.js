@@ -0,0 +1,412 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("assert");
+const { spawnSync } = require("child_process");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+} = require("./fixtures/setup");
+
+// Keep the adapters away from the real data directory
+prepareDataDir("storage-test-", { simulated: false });
+
+const storage = require("../../src/models/storage");
+const { collections } = require("../../src/models/storage/collections");
+const storageConfig = require("../../src/config/storage");
+const lock = require("../../src/models/storage/lock");
+const { waitForDataLock } = require("../../src/middleware/dataLock");
+
+console.log(`${BLUE}🚀 Starting storage adapter tests...${NC}`);
+
+const USER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const OTHER = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+
+// PID of a process that has exited
+const DEAD_PID = spawnSync(process.execPath, ["-e", ""]).pid;
+
+/**
+ * A value for every collection, with the fields each table has to keep
+ */
+function sampleData() {
+  return {
+    loggedUsers: { [USER]: { lastActive: 1000 }, [OTHER]: { lastActive: 2 } },
+    userProfiles: { [USER]: { firstSeen: 1, mintCount: 2, recentMints: [] } },
+    mintedNFTs: {
+      lastTokenId: 8,
+      users: {
+        [USER]: [
+          [1, 5],
+          [7, 2],
+        ],
+        [OTHER]: [[6, 1]],
+      },
+    },
+    batches: [
+      {
+        user: USER,
+        tokenIdRange: [1, 5],
+        merkleRoot: "0x01",
+        timestamp: 1000,
+        rootIndex: 0,
+      },
+      { user: OTHER, tokenIdRange: [6, 1], merkleRoot: "0x02" },
+    ],
+    tokenURIs: { 1: "ipfs://QmBanana/1.json", 6: "ipfs://QmBanana/6.json" },
+    mintJobs: { job1: { id: "job1", status: "persisted", quantity: 5 } },
+    revealedTokens: { 3: { user: USER, uri: "ipfs://QmBanana/3.json" } },
+    chainEvents: [
+      { event: "NFTRevealed", blockNumber: 9, logIndex: 0, tokenId: 3 },
+    ],
+    indexedTokens: {
+      3: { owner: USER, reveal: { uri: "ipfs://QmBanana/3.json" } },
+    },
+    indexerCursor: { lastBlock: 9, updatedAt: "2026-01-01T00:00:00.000Z" },
+    auditLog: [{ action: "fsck", actor: "ops-bot" }],
+    rateLimits: {
+      buckets: { "mint:ip:1": 3 },
+      registrations: [],
+      rejections: {},
+    },
+    schemaVersion: { version: 2, history: [] },
+  };
+}
+
+/**
+ * Leave a lock file as another process would
+ */
+function holdLock(owner) {
+  fs.writeFileSync(
+    lock.LOCK_FILE,
+    JSON.stringify({ host: os.hostname(), acquiredAt: Date.now(), ...owner })
+  );
+}
+
+/**
+ * Row IDs of a SQLite table, to check which rows a write touched
+ */
+function rowIds(table) {
+  const Database = require("better-sqlite3");
+  const db = new Database(storageConfig.getSqliteFile(), { readonly: true });
+  try {
+    return db
+      .prepare(`SELECT id FROM ${table} ORDER BY id`)
+      .all()
+      .map((row) => row.id);
+  } finally {
+    db.close();
+  }
+}
+
+// Test 1: both adapters hand back what was written
+function testRoundTrip() {
+  console.log(`\n${YELLOW}📋 Testing collection round trips...${NC}`);
+
+  for (const name of storageConfig.SUPPORTED_ADAPTERS) {
+    const adapter = storage.loadAdapter(name);
+
+    // Never written collections read as their defaults
+    for (const [collection, { defaultValue }] of Object.entries(collections)) {
+      assert.deepStrictEqual(adapter.read(collection), defaultValue());
+    }
+
+    for (const [collection, value] of Object.entries(sampleData())) {
+      adapter.write(collection, value);
+    }
+    for (const [collection, value] of Object.entries(sampleData())) {
+      assert.deepStrictEqual(
+        adapter.read(collection),
+        value,
+        `${name} adapter changed ${collection}`
+      );
+    }
+    assert.deepStrictEqual(adapter.verify(), []);
+    assert.throws(() => adapter.read("nope"), /Unknown data collection/);
+
+    // List collections can be added to without writing them again
+    const event = { event: "Transfer", blockNumber: 10, logIndex: 1 };
+    adapter.append("chainEvents", [event]);
+    assert.deepStrictEqual(adapter.read("chainEvents"), [
+      ...sampleData().chainEvents,
+      event,
+    ]);
+    adapter.write("chainEvents", sampleData().chainEvents);
+    adapter.close();
+  }
+  assert.throws(() => storage.loadAdapter("nope"), /Unknown STORAGE_ADAPTER/);
+
+  console.log(`${GREEN}✅ JSON and SQLite store the same data${NC}`);
+}
+
+// Test 2: SQLite writes only the rows that changed
+function testRowWrites() {
+  console.log(`\n${YELLOW}📋 Testing SQLite row updates...${NC}`);
+
+  const adapter = storage.loadAdapter("sqlite");
+  const rangeIds = rowIds("user_ranges");
+  const batchIds = rowIds("batches");
+
+  // Another range and a root index for an existing batch
+  const minted = adapter.read("mintedNFTs");
+  minted.users[USER].push([9, 3]);
+  minted.lastTokenId = 11;
+  adapter.write("mintedNFTs", minted);
+
+  const batches = adapter.read("batches");
+  batches[1].rootIndex = 1;
+  batches.push({ user: USER, tokenIdRange: [9, 3], merkleRoot: "0x03" });
+  adapter.write("batches", batches);
+
+  assert.deepStrictEqual(rowIds("user_ranges"), [
+    ...rangeIds,
+    rangeIds[rangeIds.length - 1] + 1,
+  ]);
+  assert.deepStrictEqual(rowIds("batches"), [
+    ...batchIds,
+    batchIds[batchIds.length - 1] + 1,
+  ]);
+  assert.deepStrictEqual(adapter.read("batches"), batches);
+
+  // Removing a user's ranges deletes just their rows
+  delete minted.users[OTHER];
+  adapter.write("mintedNFTs", minted);
+  assert.strictEqual(rowIds("user_ranges").length, rangeIds.length);
+  assert.deepStrictEqual(adapter.read("mintedNFTs"), minted);
+
+  // A transaction that throws leaves nothing behind
+  assert.throws(
+    () =>
+      adapter.transaction(() => {
+        adapter.write("tokenURIs", {});
+        throw new Error("aborted");
+      }),
+    /aborted/
+  );
+  assert.deepStrictEqual(adapter.read("tokenURIs"), sampleData().tokenURIs);
+
+  // Appended events get new rows; events already stored are skipped
+  const eventIds = rowIds("chain_events");
+  const events = [
+    ...sampleData().chainEvents,
+    { event: "Transfer", blockNumber: 10, logIndex: 1 },
+  ];
+  adapter.append("chainEvents", events);
+  assert.strictEqual(rowIds("chain_events").length, eventIds.length + 1);
+  assert.deepStrictEqual(
+    rowIds("chain_events").slice(0, eventIds.length),
+    eventIds
+  );
+  assert.deepStrictEqual(adapter.read("chainEvents"), events);
+  adapter.close();
+
+  // Events earlier releases kept in a document are moved into the table
+  const Database = require("better-sqlite3");
+  const db = new Database(storageConfig.getSqliteFile());
+  db.prepare("DELETE FROM chain_events").run();
+  db.prepare(
+    "INSERT INTO documents (name, body) VALUES ('chainEvents', ?)"
+  ).run(JSON.stringify(events));
+  db.close();
+  const reopened = storage.loadAdapter("sqlite");
+  assert.deepStrictEqual(reopened.read("chainEvents"), events);
+  assert.strictEqual(rowIds("chain_events").length, events.length);
+  reopened.close();
+
+  console.log(`${GREEN}✅ Unchanged rows keep their IDs${NC}`);
+}
+
+// Test 3: the importer copies the JSON files into SQLite once
+function testImport() {
+  console.log(`\n${YELLOW}📋 Testing the JSON to SQLite import...${NC}`);
+
+  const importFile = path.join(process.env.DATA_DIR, "import.db");
+  const importer = (args = []) =>
+    spawnSync(
+      process.execPath,
+      [path.join(__dirname, "../../scripts/import-json-to-sqlite.js"), ...args],
+      {
+        env: { ...process.env, SQLITE_FILE: importFile },
+        encoding: "utf8",
+      }
+    );
+
+  let result = importer();
+  assert.strictEqual(result.status, 0, result.stderr);
+
+  process.env.SQLITE_FILE = importFile;
+  const target = storage.loadAdapter("sqlite");
+  for (const [collection, value] of Object.entries(sampleData())) {
+    assert.deepStrictEqual(target.read(collection), value);
+  }
+  target.close();
+
+  // A database that holds data is only overwritten with --force
+  result = importer();
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /already contains data/);
+  result = importer(["--force"]);
+  assert.strictEqual(result.status, 0, result.stderr);
+  delete process.env.SQLITE_FILE;
+
+  console.log(`${GREEN}✅ JSON data is imported into SQLite${NC}`);
+}
+
+// Test 4: JSON writes never leave a partial file
+function testAtomicWrites() {
+  console.log(`\n${YELLOW}📋 Testing atomic JSON writes...${NC}`);
+
+  const adapter = storage.loadAdapter("json");
+  const { file } = collections.loggedUsers;
+  const tmpFiles = () =>
+    fs
+      .readdirSync(process.env.DATA_DIR)
+      .filter((name) => name.endsWith(".tmp"));
+
+  adapter.write("loggedUsers", { [USER]: { lastActive: 5 } });
+  assert.deepStrictEqual(tmpFiles(), []);
+
+  // Writes cut short by a crash are cleaned up, writes in progress are not
+  const crashed = `${file}.${DEAD_PID}.tmp`;
+  const inProgress = `${file}.${process.ppid}.tmp`;
+  fs.writeFileSync(crashed, '{"partial":');
+  fs.writeFileSync(inProgress, '{"partial":');
+  storage.loadAdapter("json");
+  assert.deepStrictEqual(tmpFiles(), [path.basename(inProgress)]);
+  fs.rmSync(inProgress);
+
+  // A truncated file is reported instead of read as empty
+  const contents = fs.readFileSync(file);
+  fs.writeFileSync(file, "");
+  assert.throws(
+    () => adapter.read("loggedUsers"),
+    (error) => error.name === "DataFileError"
+  );
+  assert.deepStrictEqual(
+    adapter.verify().map((problem) => problem.collection),
+    ["loggedUsers"]
+  );
+  fs.writeFileSync(file, contents);
+  assert.deepStrictEqual(adapter.verify(), []);
+
+  console.log(`${GREEN}✅ Partial writes are never read${NC}`);
+}
+
+// Test 5: the cross-process data lock
+async function testLock() {
+  console.log(`\n${YELLOW}📋 Testing the data lock...${NC}`);
+
+  process.env.DATA_LOCK_TIMEOUT_MS = "200";
+  const isLocked = () => fs.existsSync(lock.LOCK_FILE);
+
+  // Re-entrant within a process, released when the outer call returns
+  lock.withLock(() => lock.withLock(() => assert.ok(isLocked())));
+  assert.ok(!isLocked());
+  assert.throws(() => lock.withLock(async () => {}), /must be synchronous/);
+  assert.ok(!isLocked());
+
+  // A live holder keeps the lock however old it is
+  holdLock({ pid: process.ppid, acquiredAt: 0 });
+  assert.throws(
+    () => lock.withLock(() => {}),
+    (error) => error.name === "DataLockError"
+  );
+  await assert.rejects(lock.waitForLock(), { name: "DataLockError" });
+
+  // Requests still waiting when it times out get 503 and Retry-After
+  const res = await new Promise((resolve) => {
+    const res = { headers: {} };
+    res.set = (name, value) => (res.headers[name] = value);
+    res.status = (code) => ((res.statusCode = code), res);
+    res.json = () => resolve(res);
+    waitForDataLock({ method: "GET", originalUrl: "/api/nft/x" }, res, () =>
+      resolve(res)
+    );
+  });
+  assert.strictEqual(res.statusCode, 503);
+  assert.strictEqual(res.headers["Retry-After"], "1");
+
+  // Waiting doesn't block the event loop and ends once the lock is released
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 10);
+  setTimeout(() => fs.rmSync(lock.LOCK_FILE), 100);
+  await lock.waitForLock();
+  clearInterval(ticker);
+  assert.ok(ticks > 0);
+
+  // So do the server's transactions, which then hold the lock themselves
+  holdLock({ pid: process.ppid });
+  ticks = 0;
+  const busyTicker = setInterval(() => ticks++, 10);
+  setTimeout(() => fs.rmSync(lock.LOCK_FILE), 100);
+  assert.strictEqual(await lock.withLockAsync(() => isLocked() && 7), 7);
+  clearInterval(busyTicker);
+  assert.ok(ticks > 0);
+  assert.ok(!isLocked());
+  await assert.rejects(
+    lock.withLockAsync(async () => {}),
+    /must be synchronous/
+  );
+  assert.ok(!isLocked());
+
+  // SQLite transactions wait for another connection's write lock the same way
+  const Database = require("better-sqlite3");
+  const adapter = storage.loadAdapter("sqlite");
+  const other = new Database(storageConfig.getSqliteFile());
+  other.exec("BEGIN IMMEDIATE");
+  ticks = 0;
+  const sqliteTicker = setInterval(() => ticks++, 10);
+  setTimeout(() => other.exec("ROLLBACK"), 100);
+  await adapter.transactionAsync(() =>
+    adapter.write("tokenURIs", { 1: "ipfs://QmLocked/1.json" })
+  );
+  clearInterval(sqliteTicker);
+  assert.ok(ticks > 0);
+  assert.deepStrictEqual(adapter.read("tokenURIs"), {
+    1: "ipfs://QmLocked/1.json",
+  });
+
+  other.exec("BEGIN IMMEDIATE");
+  await assert.rejects(
+    adapter.transactionAsync(() => {}),
+    (error) => error.name === "DataLockError"
+  );
+  other.exec("ROLLBACK");
+  other.close();
+  adapter.close();
+
+  // Locks of dead processes, and old ones from other hosts, are taken over
+  holdLock({ pid: DEAD_PID });
+  lock.withLock(() => {});
+  assert.ok(!isLocked());
+
+  holdLock({ pid: 1, host: "other-host" });
+  assert.throws(() => lock.withLock(() => {}), /Timed out/);
+  holdLock({ pid: 1, host: "other-host", acquiredAt: 0 });
+  await lock.waitForLock();
+  assert.ok(!isLocked());
+
+  delete process.env.DATA_LOCK_TIMEOUT_MS;
+  console.log(`${GREEN}✅ The lock is kept by live holders only${NC}`);
+}
+
+// Run tests
+(async () => {
+  try {
+    testRoundTrip();
+    testRowWrites();
+    testImport();
+    testAtomicWrites();
+    await testLock();
+    console.log(`\n${BLUE}🏁 Storage adapter tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    removeDataDir();
+  }
+})();
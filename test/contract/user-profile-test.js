@@ -0,0 +1,190 @@
+const assert = require("assert");
+const {
+  GREEN,
+  RED,
+  YELLOW,
+  BLUE,
+  NC,
+  prepareDataDir,
+  removeDataDir,
+  fakeClock,
+} = require("./fixtures/setup");
+
+// Run against the in-process chain with a scratch data directory
+prepareDataDir("profile-test-");
+process.env.NFTS_PER_USER = "2";
+process.env.MINT_INTERVAL_SECONDS = "600";
+process.env.USER_INACTIVITY_SECONDS = "60";
+
+const dataModel = require("../../src/models/data");
+const userModel = require("../../src/models/users");
+const profiles = require("../../src/models/profiles");
+const nftService = require("../../src/services/nft");
+const userProfilesMigration = require("../../src/migrations/002-user-profiles");
+
+console.log(`${BLUE}🚀 Starting user profile tests...${NC}`);
+
+const USER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const OTHER = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+const THIRD = "0x90f79bf6eb2c4f870365e785982e1f101e93b906";
+
+// Move the clock forward without waiting
+const clock = fakeClock();
+
+// Test 1: going offline keeps the minting history
+async function testPresenceAndHistory() {
+  console.log(`\n${YELLOW}📋 Testing presence and minting history...${NC}`);
+
+  // First heartbeat mints right away
+  await userModel.updateUserHeartbeat(USER);
+  let profile = profiles.getProfile(USER);
+  assert.strictEqual(profile.loginCount, 1);
+  assert.strictEqual(profile.mintCount, 1);
+  assert.strictEqual(profile.totalMinted, 2);
+  assert.ok(profile.lastMintTime > 0);
+
+  // Dropping the user from the active list keeps the profile
+  clock.advance(120 * 1000);
+  await userModel.checkOfflineUsers();
+  assert.strictEqual(dataModel.getLoggedUsers()[USER], undefined);
+  assert.strictEqual(profiles.getProfile(USER).totalMinted, 2);
+
+  // Coming back within the mint interval earns nothing
+  const userData = await userModel.updateUserHeartbeat(USER);
+  assert.strictEqual(userData.lastMintTime, profile.lastMintTime);
+  profile = profiles.getProfile(USER);
+  assert.strictEqual(profile.loginCount, 2);
+  assert.strictEqual(profile.totalMinted, 2);
+
+  // Once the interval has passed, the next heartbeat mints again
+  clock.advance(600 * 1000);
+  await userModel.updateUserHeartbeat(USER);
+  profile = profiles.getProfile(USER);
+  assert.strictEqual(profile.loginCount, 3);
+  assert.strictEqual(profile.mintCount, 2);
+  assert.strictEqual(profile.totalMinted, 4);
+
+  console.log(`${GREEN}✅ Minting history survives going offline${NC}`);
+}
+
+// Test 2: concurrent heartbeats mint once
+async function testConcurrentHeartbeats() {
+  console.log(`\n${YELLOW}📋 Testing concurrent heartbeats...${NC}`);
+
+  await Promise.all([1, 2, 3].map(() => userModel.updateUserHeartbeat(OTHER)));
+  assert.strictEqual(dataModel.getMintedNFTData().users[OTHER].length, 1);
+  assert.strictEqual(profiles.getProfile(OTHER).mintCount, 1);
+
+  // Heartbeats while online leave further mints to the minting cycle
+  for (let i = 0; i < 15; i++) {
+    clock.advance(50 * 1000);
+    await userModel.updateUserHeartbeat(OTHER);
+  }
+  assert.strictEqual(profiles.getProfile(OTHER).mintCount, 1);
+
+  console.log(`${GREEN}✅ A login mints one batch${NC}`);
+}
+
+// Test 3: a mint that never happens doesn't hold up the next one
+async function testFailedMint() {
+  console.log(`\n${YELLOW}📋 Testing failed mints...${NC}`);
+
+  const mintNFTsForUser = nftService.mintNFTsForUser;
+  try {
+    // No mint job was created: the claim is given back
+    nftService.mintNFTsForUser = async (address) => ({
+      success: false,
+      error: "Minter unavailable",
+      address,
+    });
+    const userData = await userModel.updateUserHeartbeat(THIRD);
+    assert.strictEqual(userData.lastMintTime, 0);
+    assert.strictEqual(profiles.getProfile(THIRD).lastMintTime, 0);
+
+    // A job that will be retried keeps the claim
+    clock.advance(120 * 1000);
+    nftService.mintNFTsForUser = async (address) => ({
+      success: false,
+      address,
+      result: { success: false, jobId: "job-1", willRetry: true },
+    });
+    const retried = await userModel.updateUserHeartbeat(THIRD);
+    assert.ok(retried.lastMintTime > 0);
+    assert.strictEqual(
+      profiles.getProfile(THIRD).lastMintTime,
+      retried.lastMintTime
+    );
+  } finally {
+    nftService.mintNFTsForUser = mintNFTsForUser;
+  }
+
+  // A claim released after a newer mint leaves that mint's time alone
+  const claim = profiles.claimMint(THIRD, 0);
+  clock.advance(1000);
+  profiles.recordMint(THIRD, 2);
+  const { lastMintTime } = profiles.getProfile(THIRD);
+  assert.ok(lastMintTime > claim.claimedAt);
+  profiles.releaseMint(THIRD, claim);
+  assert.strictEqual(profiles.getProfile(THIRD).lastMintTime, lastMintTime);
+
+  console.log(`${GREEN}✅ Failed mints give their claim back${NC}`);
+}
+
+// Test 4: the migration moves history out of the active user list
+async function testMigration() {
+  console.log(`\n${YELLOW}📋 Testing the user profiles migration...${NC}`);
+
+  const data = {
+    userProfiles: {},
+    loggedUsers: { [USER]: { lastActive: 1000, lastMintTime: 2000 } },
+    mintedNFTs: {
+      lastTokenId: 8,
+      users: {
+        [USER]: [
+          [1, 5],
+          [6, 3],
+        ],
+      },
+    },
+    revealedTokens: { 2: { user: USER }, 7: { user: USER } },
+  };
+  const store = {
+    read: (name) => data[name],
+    write: (name, value) => (data[name] = value),
+  };
+
+  const changes = userProfilesMigration.up(store);
+  assert.ok(changes.length > 0);
+  assert.deepStrictEqual(data.loggedUsers[USER], { lastActive: 1000 });
+  assert.deepStrictEqual(data.userProfiles[USER], {
+    firstSeen: 1000,
+    lastSeen: 1000,
+    loginCount: 0,
+    lastMintTime: 2000,
+    mintCount: 2,
+    totalMinted: 8,
+    totalRevealed: 2,
+  });
+
+  // Running it again changes nothing
+  assert.deepStrictEqual(userProfilesMigration.up(store), []);
+
+  console.log(`${GREEN}✅ Profiles are built from existing data${NC}`);
+}
+
+// Run tests
+(async () => {
+  try {
+    await testPresenceAndHistory();
+    await testConcurrentHeartbeats();
+    await testFailedMint();
+    await testMigration();
+    console.log(`\n${BLUE}🏁 User profile tests completed!${NC}`);
+  } catch (error) {
+    console.error(`${RED}❌ Test execution failed:${NC}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    clock.restore();
+    removeDataDir();
+  }
+})();
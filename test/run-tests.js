@@ -29,6 +29,97 @@ const tests = [
     script: path.join(__dirname, "contract/merkle-test.js"),
     description: "Tests Merkle tree generation and verification",
   },
+  {
+    name: "Storage Adapter Tests",
+    script: path.join(__dirname, "contract/storage-test.js"),
+    description: "Tests the storage adapters and the SQLite import",
+  },
+  {
+    name: "Data Migration Tests",
+    script: path.join(__dirname, "contract/migration-test.js"),
+    description: "Tests the data migration runner",
+  },
+  {
+    name: "Mint Job Tests",
+    script: path.join(__dirname, "contract/mint-job-test.js"),
+    description: "Tests mint job stages, crash recovery and retries",
+  },
+  {
+    name: "Merkle Leaf Encoding Tests",
+    script: path.join(__dirname, "contract/leaf-encoding-test.js"),
+    description: "Tests that Merkle leaves match the contract's encoding",
+  },
+  {
+    name: "Reveal Tests",
+    script: path.join(__dirname, "contract/reveal-test.js"),
+    description: "Tests root indexes and reveal windows",
+  },
+  {
+    name: "Event Indexer Tests",
+    script: path.join(__dirname, "contract/indexer-test.js"),
+    description: "Replays recorded contract logs through the event indexer",
+  },
+  {
+    name: "Recovery Tests",
+    script: path.join(__dirname, "contract/recovery-test.js"),
+    description: "Tests rebuilding local data from the chain",
+  },
+  {
+    name: "Integrity Check Tests",
+    script: path.join(__dirname, "contract/fsck-test.js"),
+    description: "Tests finding and repairing inconsistent data",
+  },
+  {
+    name: "Simulated Chain Tests",
+    script: path.join(__dirname, "contract/simulated-chain-test.js"),
+    description: "Mints and reveals against the in-process MerkleNFT chain",
+  },
+  {
+    name: "Signer Backend Tests",
+    script: path.join(__dirname, "contract/signer-test.js"),
+    description: "Tests the keystore and remote minter signers",
+  },
+  {
+    name: "Failover Provider Tests",
+    script: path.join(__dirname, "contract/failover-provider-test.js"),
+    description: "Tests RPC failover, health tracking and block consistency",
+  },
+  {
+    name: "Fee Policy Tests",
+    script: path.join(__dirname, "contract/fee-policy-test.js"),
+    description:
+      "Tests fee caps, the hourly budget and stuck transaction speed-ups",
+  },
+  {
+    name: "Balance Monitor Tests",
+    script: path.join(__dirname, "contract/balance-monitor-test.js"),
+    description: "Tests balance thresholds and the automatic minting pause",
+  },
+  {
+    name: "Sign-In with Ethereum Tests",
+    script: path.join(__dirname, "contract/auth-test.js"),
+    description: "Tests sign-in messages, nonces and session checks",
+  },
+  {
+    name: "Admin Authentication Tests",
+    script: path.join(__dirname, "contract/admin-auth-test.js"),
+    description: "Tests admin roles, API keys and the audit log",
+  },
+  {
+    name: "Rate Limit Tests",
+    script: path.join(__dirname, "contract/rate-limit-test.js"),
+    description: "Tests token buckets, registration limits and abuse reports",
+  },
+  {
+    name: "User Profile Tests",
+    script: path.join(__dirname, "contract/user-profile-test.js"),
+    description: "Tests that minting history outlives online presence",
+  },
+  {
+    name: "Mint Quota Tests",
+    script: path.join(__dirname, "contract/mint-quota-test.js"),
+    description: "Tests hourly, daily and lifetime mint quotas per address",
+  },
   // You can add the curl test here if needed, but it requires a bash shell
   // {
   //   name: 'API Curl Tests',
@@ -140,6 +231,8 @@ axios
     console.error(
       `${YELLOW}ℹ️ Please start the server before running tests:${NC}`
     );
-    console.error(`${YELLOW}   npm start${NC}`);
+    console.error(
+      `${YELLOW}   ADMIN_API_KEYS="tests|operator|local-test-key" AUTH_REQUIRED=false RATE_LIMIT_ENABLED=false npm start${NC}`
+    );
     process.exit(1);
   });